@@ -0,0 +1,89 @@
+/**
+ * Headless game simulation
+ * Runs full all-AI games on virtual time and prints the final standings.
+ *
+ * Usage: node run-simulation.js [--games N] [--seed S] [--players N] [--cycles N] [--map PRESET] [--json] [--verbose] [--replays DIR]
+ * Consecutive games use seed, seed + 1, ... so a batch can be reproduced from its first seed.
+ * --replays writes each game's replay file to DIR for the in-game replay viewer.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import HeadlessGameRunner from './src/simulation/HeadlessGameRunner.js';
+import SeededRandom from './src/utils/SeededRandom.js';
+
+function parseArgs(argv) {
+    const args = { games: 1, seed: null, players: 4, cycles: null, map: null, json: false, verbose: false, replays: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--games': args.games = parseInt(argv[++i], 10); break;
+            case '--seed': args.seed = argv[++i]; break;
+            case '--players': args.players = parseInt(argv[++i], 10); break;
+            case '--cycles': args.cycles = parseInt(argv[++i], 10); break;
+            case '--map': args.map = argv[++i]; break;
+            case '--json': args.json = true; break;
+            case '--verbose': args.verbose = true; break;
+            case '--replays': args.replays = argv[++i]; break;
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const firstSeed = args.seed !== null ? SeededRandom.normalizeSeed(args.seed) : SeededRandom.generateSeed();
+    const results = [];
+    const wins = {};
+
+    if (args.replays) {
+        fs.mkdirSync(args.replays, { recursive: true });
+    }
+
+    for (let game = 0; game < args.games; game++) {
+        const runner = new HeadlessGameRunner({
+            seed: (firstSeed + game) >>> 0,
+            playerCount: args.players,
+            maxCycles: args.cycles || undefined,
+            mapPreset: args.map || undefined,
+            quiet: !args.verbose
+        });
+
+        const { replay, ...result } = await runner.run();
+        results.push(result);
+
+        if (args.replays) {
+            const replayFile = path.join(args.replays, `replay-${result.seed}.json`);
+            fs.writeFileSync(replayFile, JSON.stringify(replay));
+            if (!args.json) console.log(`Replay written to ${replayFile}`);
+        }
+
+        const winner = result.finalResults[0];
+        wins[winner.playerId] = (wins[winner.playerId] || 0) + 1;
+
+        if (!args.json) {
+            console.log(`Game ${game + 1} (seed ${result.seed}): ${result.completed ? 'completed' : 'INCOMPLETE'} ` +
+                `after ${result.cyclesPlayed} cycles, ${Math.round(result.virtualTimeMs / 1000)}s virtual time`);
+            result.finalResults.forEach(r => {
+                console.log(`  #${r.rank} ${r.playerName}: score ${Math.round(r.score)} ` +
+                    `(gold ${r.gold}, territories ${r.territories}, constructs ${r.constructs})`);
+            });
+        }
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else if (args.games > 1) {
+        console.log('\nWins by player:');
+        Object.entries(wins).forEach(([playerId, count]) => {
+            console.log(`  ${playerId}: ${count} (${Math.round(count / args.games * 100)}%)`);
+        });
+    }
+}
+
+main().catch(error => {
+    console.error('Simulation failed:', error);
+    process.exit(1);
+});
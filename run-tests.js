@@ -0,0 +1,50 @@
+/**
+ * Test suite runner
+ * Runs every test script built on test-helpers.js, one at a time, and
+ * fails if any of them fails.
+ *
+ * Usage: node run-tests.js [NAME...]
+ * Names filter the scripts, e.g. `node run-tests.js bank ley-lines`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const TIMEOUT_MS = 180000;
+
+function findSuite(filters) {
+    return fs.readdirSync(ROOT)
+        .filter(file => /^test-.*\.js$/.test(file) && file !== 'test-helpers.js')
+        .filter(file => fs.readFileSync(path.join(ROOT, file), 'utf8').includes("from './test-helpers.js'"))
+        .filter(file => filters.length === 0 || filters.some(name => file.includes(name)))
+        .sort();
+}
+
+function main() {
+    const scripts = findSuite(process.argv.slice(2));
+    const failures = [];
+
+    scripts.forEach(script => {
+        const run = spawnSync(process.execPath, [script], { cwd: ROOT, encoding: 'utf8', timeout: TIMEOUT_MS });
+        const results = (run.stdout || '').match(/Results: .*/)?.[0] || 'no results';
+
+        if (run.status === 0) {
+            console.log(`✓ ${script} - ${results}`);
+        } else {
+            console.log(`✗ ${script} - ${run.error ? run.error.message : results}`);
+            process.stdout.write(run.stdout || '');
+            process.stdout.write(run.stderr || '');
+            failures.push(script);
+        }
+    });
+
+    console.log(`\n${scripts.length - failures.length} of ${scripts.length} test scripts passed`);
+    if (failures.length > 0) {
+        process.exit(1);
+    }
+}
+
+main();
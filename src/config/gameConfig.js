@@ -67,6 +67,52 @@ export const CONSTRUCT_DEFINITIONS = {
     }
 };
 
+// The Guild workshop sells base constructs and attunes them to one resource.
+// It builds new stock each outfitting phase from the arcanum the Guild Store holds.
+export const WORKSHOP = {
+    BASE_PRICE: 100, // Gold for a construct not yet attuned
+    ATTUNEMENT_COSTS: { // Gold to attune a construct to produce a resource
+        [RESOURCE_TYPES.MANA]: 25,
+        [RESOURCE_TYPES.VITALITY]: 50,
+        [RESOURCE_TYPES.ARCANUM]: 75,
+        [RESOURCE_TYPES.AETHER]: 100
+    },
+    REOUTFIT_FEE: 25, // Added to the attunement cost to re-attune an installed construct
+    STARTING_STOCK: 8,
+    MAX_STOCK: 12,
+    ARCANUM_PER_CONSTRUCT: 2 // Guild Store arcanum used up by each construct built
+};
+
+// A construct broken up for parts returns some of the arcanum it was made from
+export const CONSTRUCT_SALVAGE = {
+    ARCANUM_SHARE: 0.5 // Share of the construct type's arcanum cost returned
+};
+
+// Constructs wear a little every cycle and now and then break down. Their
+// mana upkeep is CONSUMPTION.MANA_PER_CONSTRUCT; when an owner cannot cover
+// it their constructs wear faster.
+export const MAINTENANCE = {
+    WEAR_PER_CYCLE: 0.03, // Efficiency each active construct loses every cycle
+    UNPAID_UPKEEP_WEAR: 0.05, // Further efficiency lost with the mana upkeep wholly unpaid
+    BREAKDOWN_CHANCE: 0.03, // Chance each cycle that a level 1 construct on mild terrain breaks down
+    LEVEL_RISK: { 1: 1.0, 2: 1.5, 3: 2.0 }, // Breakdown chance multiplier by construct level
+    TERRAIN_RISK: { volcanic_field: 2.5, mountain_peak: 1.5, marshland: 1.25 }, // Multiplier by terrain, 1 elsewhere
+    AT_RISK_EFFICIENCY: 0.5, // Constructs at or below this share of their installed efficiency are at risk
+    AT_RISK_BREAKDOWN_CHANCE: 0.1, // So are constructs at least this likely to break down
+    REPAIR_COST_SHARE: 0.5, // Share of the construct type's cost to repair a broken construct
+    AUTO_REPAIR_POLICIES: ['off', 'broken', 'worn'], // Repair nothing, broken constructs, or worn ones too
+    AUTO_REPAIR_THRESHOLD: 0.75, // A 'worn' policy repairs constructs at or below this share of their installed efficiency
+    HISTORY_LENGTH: 12 // Condition changes kept per construct
+};
+
+// Special abilities of level 3 constructs
+export const CONSTRUCT_ABILITIES = {
+    MANA_RESONANCE_BONUS: 0.2, // Production bonus for mana conduits next to a resonating conduit
+    LIFE_BLOOM_CHANCE: 0.1, // Chance each production phase that a well blooms
+    LIFE_BLOOM_VITALITY: 1, // Vitality a bloom gives every player
+    ARCANE_INSIGHT_DISCOUNT: 0.15 // Discount on the owner's construct upgrades
+};
+
 export const TERRITORY_COLORS = {
     [TERRITORY_TYPES.ANCIENT_GROVE]: 0x228822, // Green
     [TERRITORY_TYPES.CRYSTALLINE_CAVE]: 0x4444FF, // Blue
@@ -145,4 +191,276 @@ export const GAME_SETTINGS = {
     STARTING_GOLD: 1000,
     MAP_SIZE: { width: 8, height: 6 },
     HEX_SIZE: 100
-};
\ No newline at end of file
+};
+
+export const MAP_GENERATION = {
+    DEFAULT_PRESET: 'classic',
+    CHAIN_TERRAINS: [TERRITORY_TYPES.MOUNTAIN_PEAK, TERRITORY_TYPES.VOLCANIC_FIELD], // Laid as ranges and chains, not blobs
+    STARTING_REGIONS: { columns: 2, rows: 2 }, // Map areas that must each offer every starting terrain
+    STARTING_TERRAINS: [ // Terrains with a construct that suits them
+        TERRITORY_TYPES.ANCIENT_GROVE,
+        TERRITORY_TYPES.CRYSTALLINE_CAVE,
+        TERRITORY_TYPES.RUINED_TEMPLE,
+        TERRITORY_TYPES.VOLCANIC_FIELD
+    ],
+    MAX_TERRAIN_SHARE: 0.35 // No terrain may cover more of the map than this
+};
+
+// Named maps for the main menu. clusterSize is the average number of
+// territories per biome; weights make a terrain more likely to seed a biome.
+export const MAP_PRESETS = {
+    classic: {
+        name: 'Classic',
+        description: 'Balanced terrain on the standard map',
+        width: 8, height: 6, clusterSize: 5, chainLength: 3,
+        weights: {}
+    },
+    highlands: {
+        name: 'Highlands',
+        description: 'Long mountain ranges split the land',
+        width: 8, height: 6, clusterSize: 5, chainLength: 5,
+        weights: { [TERRITORY_TYPES.MOUNTAIN_PEAK]: 3, [TERRITORY_TYPES.CRYSTALLINE_CAVE]: 2 }
+    },
+    wetlands: {
+        name: 'Wetlands',
+        description: 'Wide marsh basins and old forests',
+        width: 8, height: 6, clusterSize: 7, chainLength: 2,
+        weights: { [TERRITORY_TYPES.MARSHLAND]: 3, [TERRITORY_TYPES.ANCIENT_GROVE]: 2 }
+    },
+    ashlands: {
+        name: 'Ashlands',
+        description: 'Volcanic chains across a larger map',
+        width: 10, height: 7, clusterSize: 5, chainLength: 4,
+        weights: { [TERRITORY_TYPES.VOLCANIC_FIELD]: 3, [TERRITORY_TYPES.RUINED_TEMPLE]: 2 }
+    },
+    frontier: {
+        name: 'Frontier',
+        description: 'A wide map for long games',
+        width: 12, height: 9, clusterSize: 6, chainLength: 4,
+        weights: {}
+    }
+};
+
+export const MAP_EDITOR = {
+    MIN_SIZE: 3, // Smallest width or height of a hand-made map
+    MAX_SIZE: 20,
+    MIN_TERRITORIES_PER_PLAYER: 3, // Open territories a map needs for each player it supports
+    MAX_RICHNESS: 3, // Highest richness a designer may assign
+    BLOCKED_COLOR: 0x222222 // Impassable hexes
+};
+
+// Ley lines crossing the map, and the bonuses for holding territory along them
+export const LEY_LINES = {
+    TERRITORIES_PER_LINE: 16, // One line for every 16 territories on the map
+    MIN_LINES: 2,
+    MIN_LENGTH: 4, // Shortest line in territories
+    BEND_CHANCE: 0.25, // Chance at each step that a line turns by one direction
+    CONNECTION_BONUS: 0.05, // Production bonus per other territory in a connected group on the lines
+    MAX_CONNECTION_BONUS: 0.25,
+    COLOR: 0x66CCFF,
+    HARMONICS: {
+        circle: {
+            name: 'Circle of Power',
+            description: 'Own all six neighbours of a territory',
+            bonus: 0.1 // For each territory of the circle
+        },
+        nexus: {
+            name: 'Ley Nexus',
+            description: 'Own a territory where ley lines cross',
+            bonus: 0.15
+        }
+    }
+};
+
+// Each further territory of one terrain a player produces on yields less (Diminishing Returns)
+export const DIMINISHING_RETURNS = {
+    STEP: 0.1, // Production lost by each territory after a player's best one of the same terrain
+    MIN_MULTIPLIER: 0.5
+};
+
+export const GUILD_STORE = {
+    STARTING_STOCK: {
+        [RESOURCE_TYPES.MANA]: 16,
+        [RESOURCE_TYPES.VITALITY]: 16,
+        [RESOURCE_TYPES.ARCANUM]: 8,
+        [RESOURCE_TYPES.AETHER]: 0
+    },
+    SPREAD: 0.3, // Store sells 15% above and buys 15% below the market price
+    PRODUCTION_SHARE: 0.1 // Share of each cycle's realm production the store takes into stock
+};
+
+// A player holding most of a resource earns more selling it (Resource Monopoly)
+export const MONOPOLY = {
+    THRESHOLD: 0.6, // Share of the resource held by players that makes a monopoly
+    PREMIUM: 0.2 // Paid to the monopolist on top of the price of each sale
+};
+
+export const DIRECT_TRADE = {
+    PENALTY_PER_HEX: 0.10, // Share of shipped resources lost per hex between the players' nearest territories
+    MAX_PENALTY: 0.5,
+    AI_RESPONSE_DELAY: 2000, // ms before an AI player answers an offer
+    AI_ACCEPT_MARGIN: 1.05 // AI players want 5% more value than they give up
+};
+
+export const BANKING = {
+    DEPOSIT_INTEREST_RATE: 0.03, // Paid on deposits each end of cycle
+    LOAN_INTEREST_RATE: 0.08, // Charged on loan balances each end of cycle
+    LOAN_TO_VALUE: 0.5, // Share of the pledged territories' value that can be borrowed
+    LOAN_TERM: 4, // Cycles until the balance falls due
+    MAX_MISSED_PAYMENTS: 2, // Missed interest payments before the bank forecloses
+    TERRITORY_VALUE: 500, // Collateral value of a territory
+    CONSTRUCT_LEVEL_VALUE: 200 // Added collateral value per level of a construct on it
+};
+
+// Land auctions after territory selection (Territory Auction Phase): claims
+// made without a free claim, unclaimed plots and plots owners put up for sale
+export const LAND_AUCTIONS = {
+    MIN_INCREMENT: 10, // Each bid must top the last by at least this
+    LOT_DURATION: 20, // Seconds a plot is open for bids
+    BID_EXTENSION: 5, // A bid in the last seconds keeps the plot open this long
+    UNCLAIMED_PER_CYCLE: 1, // Random unclaimed plots put up each cycle
+    PRICE_RANGE: { min: 50, max: 500 }, // Price scale of the land auction panel
+    PRICE_STEP: 50
+};
+
+export const SURVEY = {
+    COST: 50, // Gold for an assay of one territory
+    RICHNESS_LEVELS: [0.5, 0.75, 1.0, 1.25, 1.5], // Hidden per-resource richness a territory can have
+    RICHNESS_LABELS: ['poor', 'low', 'average', 'good', 'rich']
+};
+
+export const CONSUMPTION = {
+    VITALITY_PER_WIZARD: 15, // Vitality each wizard eats every cycle
+    MANA_PER_CONSTRUCT: 5, // Mana each active construct draws every cycle
+    MIN_ACTION_TIME_RATIO: 0.3 // A starving wizard keeps at least this share of action time
+};
+
+// Events that befall single players at the end of a cycle: boons favour
+// trailing players (Catch-up Mechanics) and banes the wealthy (Leader Targeting)
+export const PERSONAL_EVENTS = {
+    CHANCE: 0.3, // Chance each player meets an event at the end of a cycle
+    RANK_BIAS: 3, // A boon is this many times likelier for the last player than the leader, a bane the reverse
+    MAX_HISTORY: 50, // Events kept for the message log
+    EVENTS: {
+        familiar_aether: {
+            name: "Wizard's Familiar",
+            message: "{player}'s familiar finds {amount} aether",
+            kind: 'boon',
+            weight: 3,
+            effect: { type: 'resource', resource: 'aether', amount: 10 }
+        },
+        hidden_cache: {
+            name: 'Hidden Cache',
+            message: '{player} uncovers a hidden cache of {amount} gold',
+            kind: 'boon',
+            weight: 3,
+            effect: { type: 'gold', amount: 150 }
+        },
+        wandering_artificer: {
+            name: 'Wandering Artificer',
+            message: "A wandering artificer tunes {player}'s {target}",
+            kind: 'boon',
+            weight: 2,
+            effect: { type: 'construct_efficiency', change: 0.2, limit: 1.5 }
+        },
+        settlers_deed: {
+            name: "Settlers' Deed",
+            message: 'Settlers hand {player} the deed to {target}',
+            kind: 'boon',
+            weight: 1,
+            effect: { type: 'territory_gain' }
+        },
+        tax_audit: {
+            name: 'Tax Audit',
+            message: 'A guild tax audit costs {player} {amount} gold',
+            kind: 'bane',
+            weight: 3,
+            effect: { type: 'gold_share', share: 0.1 }
+        },
+        pilfering_imps: {
+            name: 'Pilfering Imps',
+            message: "Imps make off with {amount} of {player}'s {resource}",
+            kind: 'bane',
+            weight: 3,
+            effect: { type: 'resource_share', share: 0.25 }
+        },
+        rival_sabotage: {
+            name: 'Rival Sabotage',
+            message: "Saboteurs damage {player}'s {target}",
+            kind: 'bane',
+            weight: 2,
+            effect: { type: 'construct_efficiency', change: -0.25, limit: 0.25 }
+        },
+        creeping_blight: {
+            name: 'Creeping Blight',
+            message: "Blight creeps over {player}'s {target}, thinning its {resource}",
+            kind: 'bane',
+            weight: 1,
+            effect: { type: 'territory_richness' }
+        }
+    }
+};
+
+// World events from the Market Events table: each lasts some cycles and
+// changes production, prices or both for everyone while it does
+export const WORLD_EVENTS = {
+    CHANCE: 0.2, // Chance an event begins at the end of a cycle when none is under way
+    MAX_HISTORY: 20,
+    EVENTS: {
+        magical_convergence: {
+            name: 'Magical Convergence',
+            description: 'The ley lines align and mana floods the realm',
+            duration: 2, // Cycles of production the event covers
+            production: { mana: 1.5 },
+            prices: { mana: 0.6, vitality: 1.1, arcanum: 1.1, aether: 1.1 }
+        },
+        life_bloom: {
+            name: 'Life Bloom',
+            description: 'Life surges through every living thing',
+            duration: 2,
+            production: { vitality: 2.0 },
+            prices: { vitality: 0.7 }
+        },
+        ancient_discovery: {
+            name: 'Ancient Discovery',
+            description: 'A buried archive yields its arcanum',
+            duration: 3,
+            production: { arcanum: 1.35 },
+            prices: { arcanum: 0.65 }
+        },
+        aether_storm: {
+            name: 'Aether Storm',
+            description: 'An aether storm rages, its strength changing every cycle',
+            duration: 2,
+            production: { aether: 2.0 },
+            instability: 1.0, // Production multipliers are rolled each cycle within this of their value
+            prices: {}
+        },
+        mana_drought: {
+            name: 'Mana Drought',
+            description: 'The mana springs run low',
+            duration: 3,
+            production: { mana: 0.5 },
+            prices: { mana: 1.5 }
+        },
+        planar_interference: {
+            name: 'Planar Interference',
+            description: 'Another plane presses against the realm, dampening all magic',
+            duration: 2,
+            production: { mana: 0.8, vitality: 0.8, arcanum: 0.8, aether: 0.8 },
+            prices: { mana: 1.25, vitality: 1.25, arcanum: 1.25, aether: 1.25 }
+        }
+    }
+};
+
+export const REALM_SURVIVAL = {
+    WEAKEN_AFTER: 3, // Cycles of vitality shortage before magical beings weaken
+    FAIL_AFTER: 3, // Cycles of mana shortage before constructs begin failing
+    COLLAPSE_AFTER: 5, // Cycles of realm-wide shortage of both before the realm collapses
+    ACTION_TIME_PENALTY: 0.15, // Action time lost per cycle once weakened
+    MAX_ACTION_TIME_PENALTY: 0.6,
+    EFFICIENCY_PENALTY: 0.2, // Construct efficiency lost per cycle once failing
+    MAX_EFFICIENCY_PENALTY: 0.8,
+    COLLAPSE_IMPROVEMENT_LOSS: 0.5, // Share of improvements destroyed by a collapse
+    BASE_ACTION_TIME: 60 // Action time in seconds of a wizard at full strength
+};
@@ -48,6 +48,11 @@ export default class AuctionSystemIntegration {
             this.auctionManager.setMarketDataService(this.marketDataService);
         }
         
+        // Trades with the Guild Store settle against its stock
+        if (this.auctionManager && this.transactionEngine) {
+            this.transactionEngine.setGuildStore(this.auctionManager.guildStore);
+        }
+        
         // Set up event listeners
         this.setupEventListeners();
         
@@ -169,6 +174,7 @@ export default class AuctionSystemIntegration {
             resource: trade.resource,
             price: trade.price,
             quantity: trade.quantity,
+            premium: trade.premium || 0,
             timestamp: trade.timestamp,
             auctionTradeId: trade.id
         };
@@ -211,7 +217,8 @@ export default class AuctionSystemIntegration {
             transaction.sellerId,
             transaction.resource,
             transaction.price,
-            transaction.quantity
+            transaction.quantity,
+            transaction.premium
         );
         
         // Process immediately
@@ -272,18 +279,16 @@ export default class AuctionSystemIntegration {
      */
     showTransactionFeedback(transaction) {
         // Get player names
-        const buyer = this.gameStateManager?.getPlayer(transaction.buyerId);
-        const seller = this.gameStateManager?.getPlayer(transaction.sellerId);
-        
-        const buyerName = buyer?.name || `Player ${transaction.buyerId}`;
-        const sellerName = seller?.name || `Player ${transaction.sellerId}`;
+        const buyerName = this.getPartyName(transaction.buyerId);
+        const sellerName = this.getPartyName(transaction.sellerId);
         
         // Get the actual transaction from engine to get tax info
         const engineTxn = this.transactionEngine.getTransaction(transaction.auctionTradeId) || transaction;
         const taxText = engineTxn.guildTax ? ` (tax: ${engineTxn.guildTax}GP)` : '';
+        const premiumText = transaction.premium ? ` (monopoly: +${transaction.premium}GP)` : '';
         
         // Create floating text
-        const text = `${buyerName} bought ${transaction.quantity} ${transaction.resource} from ${sellerName} @ ${transaction.price}GP${taxText}`;
+        const text = `${buyerName} bought ${transaction.quantity} ${transaction.resource} from ${sellerName} @ ${transaction.price}GP${taxText}${premiumText}`;
         
         // Show in center of screen
         const centerX = this.scene.cameras.main.centerX;
@@ -314,6 +319,19 @@ export default class AuctionSystemIntegration {
         this.scene.updatePlayerDisplay();
     }
     
+    /**
+     * Display name of a trade party (a player or the Guild Store)
+     */
+    getPartyName(partyId) {
+        const guildStore = this.auctionManager?.guildStore;
+        if (guildStore && partyId === guildStore.id) {
+            return guildStore.name;
+        }
+        
+        const player = this.gameStateManager?.getPlayer(partyId);
+        return player?.name || `Player ${partyId}`;
+    }
+    
     /**
      * Show error feedback for failed transaction
      */
@@ -271,15 +271,19 @@ export default class ConstructSystemIntegration {
     onRepairRequested(data) {
         console.log('Repair requested for:', data.construct.type);
         
-        const player = this.scene.gameFlowController?.turnManager?.currentPlayer;
-        if (player && player.canAfford(data.cost)) {
-            // Perform repair
-            if (data.construct.repair(data.cost, player)) {
-                console.log('Construct repaired successfully');
-                this.panels.management.updateConstructList();
-            }
+        const maintenance = this.scene.gameFlowController?.maintenance;
+        const player = this.panels.management.getCurrentPlayer();
+        if (!maintenance || !player) return;
+        
+        const result = maintenance.repairConstruct(player.id, data.construct.id);
+        if (result.success) {
+            const costStr = Object.entries(result.costs)
+                .map(([res, amt]) => `${amt} ${res}`)
+                .join(', ');
+            this.panels.management.showMessage(`Repaired for ${costStr}`);
+            this.panels.management.updateConstructList();
         } else {
-            console.log('Cannot afford repair');
+            this.panels.management.showMessage(result.error);
         }
     }
 
@@ -429,12 +433,17 @@ export default class ConstructSystemIntegration {
                 .slice(0, 5); // Top 5
         }
 
-        // Add alerts for low efficiency constructs
+        // Add alerts for constructs at risk of breaking down, then other low efficiency constructs
+        const maintenance = this.scene.gameFlowController?.maintenance;
+        if (maintenance) {
+            monitorData.alerts.push(...maintenance.getRiskAlerts(currentPlayerId));
+        }
         const constructManager = this.scene.gameFlowController?.constructManager;
         if (constructManager) {
-            const playerConstructs = constructManager.getPlayerConstructs(this.getCurrentPlayerId());
+            const playerConstructs = constructManager.getPlayerConstructs(currentPlayerId);
             playerConstructs.forEach(construct => {
-                if (construct.status === 'active' && construct.efficiency < 1.0) {
+                if (construct.status === 'active' && construct.efficiency < 1.0 &&
+                    !maintenance?.isAtRisk(construct, construct.territory)) {
                     const territory = construct.territory;
                     const location = territory ? `(${Math.round(territory.x)}, ${Math.round(territory.y)})` : 'unknown';
                     monitorData.alerts.push(
@@ -415,4 +415,49 @@ export default class AuctionAnalytics {
             summary: this.getSummary()
         };
     }
+    
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        const { min, max } = this.metrics.overall.priceRange;
+        
+        return {
+            overall: {
+                ...this.metrics.overall,
+                priceRange: { min: Number.isFinite(min) ? min : null, max: max }
+            },
+            byResource: Array.from(this.metrics.byResource.entries()),
+            byPlayer: Array.from(this.metrics.byPlayer.entries()).map(([playerId, metrics]) => [
+                playerId,
+                { ...metrics, resourcesTraded: Array.from(metrics.resourcesTraded.entries()) }
+            ]),
+            byPhase: Array.from(this.metrics.byPhase.entries()),
+            temporal: this.metrics.temporal,
+            performance: this.performance
+        };
+    }
+    
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        if (savedState.overall) {
+            const { min, max } = savedState.overall.priceRange || {};
+            this.metrics.overall = {
+                ...savedState.overall,
+                priceRange: { min: min ?? Infinity, max: max || 0 }
+            };
+        }
+        this.metrics.byResource = new Map(savedState.byResource || []);
+        this.metrics.byPlayer = new Map((savedState.byPlayer || []).map(([playerId, metrics]) => [
+            playerId,
+            { ...metrics, resourcesTraded: new Map(metrics.resourcesTraded || []) }
+        ]));
+        this.metrics.byPhase = new Map(savedState.byPhase || []);
+        this.metrics.temporal = savedState.temporal || [];
+        if (savedState.performance) {
+            this.performance = savedState.performance;
+        }
+    }
 }
\ No newline at end of file
@@ -1,3 +1,9 @@
+import SeededRandom from '../utils/SeededRandom.js';
+import GameClock from '../utils/GameClock.js';
+import OrderBook from './OrderBook.js';
+import GuildStore, { GUILD_STORE_ID } from './GuildStore.js';
+import { MONOPOLY } from '../config/gameConfig.js';
+
 /**
  * AuctionManager
  * Manages the auction system state and logic
@@ -5,11 +11,15 @@
 export default class AuctionManager {
     constructor(gameFlow) {
         this.gameFlow = gameFlow;
+        this.random = gameFlow?.random || new SeededRandom();
+        this.clock = gameFlow?.clock || new GameClock();
         
         // Auction state
         this.currentResource = null; // 'mana', 'vitality', 'arcanum', 'aether'
         this.auctionPhase = 'inactive'; // 'inactive', 'setup', 'active', 'resolution'
         this.playerPositions = new Map(); // playerId -> {price, mode: 'buy'|'sell', quantity}
+        this.orderBooks = new Map(); // resource -> OrderBook of resting orders
+        this.defaultOrderQuantity = 5; // Units traded when a position gives no quantity
         
         // Price configuration
         this.priceRange = { min: 10, max: 100 };
@@ -24,11 +34,13 @@ export default class AuctionManager {
         // Transaction tracking
         this.transactions = [];
         this.pendingTrades = [];
+        this.tradeCounter = 0;
         
         // Market data
         this.supply = 0;
         this.demand = 0;
         this.priceHistory = new Map(); // resource -> array of prices
+        this.monopoly = null; // { playerId, share } of the player cornering the current resource
         
         // Event emitter reference
         this.events = gameFlow?.events;
@@ -42,6 +54,14 @@ export default class AuctionManager {
         // Market data service
         this.marketDataService = null;
         
+        // Guild Store market maker, always quoting both sides
+        this.guildStore = new GuildStore();
+        
+        // The store takes part of every cycle's production into stock
+        gameFlow?.on?.('resource_production.completed', (data) => {
+            this.guildStore.restockFromProduction(data?.summary?.totalProduction);
+        });
+        
         // Initialize price history for each resource
         const resources = ['mana', 'vitality', 'arcanum', 'aether'];
         resources.forEach(resource => {
@@ -111,6 +131,7 @@ export default class AuctionManager {
         this.auctionPhase = 'active';
         this.timeRemaining = this.auctionDuration;
         this.playerPositions.clear();
+        this.orderBooks.set(resource, new OrderBook(resource));
         this.pendingTrades = [];
         
         // Set market price based on dynamic calculation
@@ -124,9 +145,22 @@ export default class AuctionManager {
         }
         this.lastTradePrice = this.marketPrice;
         
+        // A player holding most of the resource earns a premium on their sales
+        this.monopoly = this.marketDataService?.getMonopoly(resource) || null;
+        if (this.monopoly) {
+            console.log(`${this.monopoly.playerId} holds ${Math.round(this.monopoly.share * 100)}% of ${resource}`);
+        }
+        
         // Calculate supply/demand for this resource
         this.calculateResourceSupplyDemand(resource);
         
+        // Guild Store quotes around the market price, which needs market data to go on
+        if (this.marketDataService) {
+            this.guildStore.updateQuote(resource, this.marketPrice, this.priceRange);
+        } else {
+            this.guildStore.withdrawQuote(resource);
+        }
+        
         // Check for market events
         if (this.marketEventSystem) {
             const event = this.marketEventSystem.checkForEvent(resource);
@@ -137,6 +171,9 @@ export default class AuctionManager {
                 if (effects.priceModifier) {
                     this.marketPrice = Math.round(this.marketPrice * effects.priceModifier);
                     this.marketPrice = Math.max(this.priceRange.min, Math.min(this.priceRange.max, this.marketPrice));
+                    if (this.marketDataService) {
+                        this.guildStore.updateQuote(resource, this.marketPrice, this.priceRange);
+                    }
                 }
                 
                 // Emit market event
@@ -156,7 +193,8 @@ export default class AuctionManager {
                 marketPrice: this.marketPrice,
                 supply: this.supply,
                 demand: this.demand,
-                duration: this.auctionDuration
+                duration: this.auctionDuration,
+                monopoly: this.monopoly
             });
         }
         
@@ -184,18 +222,21 @@ export default class AuctionManager {
             return false;
         }
         
-        // Update position
-        this.playerPositions.set(playerId, {
-            price: Math.round(price),
-            mode: mode,
-            quantity: quantity,
-            timestamp: Date.now()
-        });
+        // Place the order; it rests in the book until filled or moved
+        const order = this.getOrderBook().placeOrder(
+            playerId,
+            mode,
+            Math.round(price),
+            quantity || this.defaultOrderQuantity,
+            this.clock.now()
+        );
+        this.syncPlayerPosition(order);
         
         // Emit event
         if (this.events) {
             this.events.emit('auction.player.moved', {
                 playerId: playerId,
+                resource: this.currentResource,
                 price: price,
                 mode: mode,
                 quantity: quantity
@@ -208,66 +249,159 @@ export default class AuctionManager {
         return true;
     }
     
+    /**
+     * Withdraw a player's resting order from the current auction
+     */
+    removePlayerPosition(playerId) {
+        const book = this.getOrderBook();
+        const removed = book ? book.cancelOrder(playerId) : false;
+        this.playerPositions.delete(playerId);
+        
+        if (removed && this.events) {
+            this.events.emit('auction.player.left', {
+                playerId: playerId,
+                resource: this.currentResource
+            });
+        }
+        
+        return removed;
+    }
+    
+    /**
+     * Get the order book for a resource (defaults to the current auction)
+     */
+    getOrderBook(resource = this.currentResource) {
+        return this.orderBooks.get(resource) || null;
+    }
+    
+    /**
+     * Get price levels of the order book for display
+     */
+    getOrderBookDepth(resource = this.currentResource, levels = 5) {
+        const book = this.getOrderBook(resource);
+        return book ? book.getDepth(levels) : { bids: [], asks: [] };
+    }
+    
+    /**
+     * Mirror a resting order into playerPositions, or drop it once filled
+     */
+    syncPlayerPosition(order) {
+        if (order.remaining > 0) {
+            this.playerPositions.set(order.playerId, {
+                price: order.price,
+                mode: order.side,
+                quantity: order.remaining,
+                timestamp: order.timestamp
+            });
+        } else {
+            this.playerPositions.delete(order.playerId);
+        }
+    }
+    
     /**
      * Check if any trades can be executed
+     * Crossing orders are filled in price-time priority, partially where
+     * quantities differ, until the best bid is below the best ask. Orders
+     * left resting then trade with the Guild Store if they reach its quote.
      */
     checkForTrades() {
-        const buyers = [];
-        const sellers = [];
-        
-        // Separate buyers and sellers
-        this.playerPositions.forEach((position, playerId) => {
-            if (position.mode === 'buy') {
-                buyers.push({ playerId, ...position });
-            } else {
-                sellers.push({ playerId, ...position });
-            }
-        });
+        const book = this.getOrderBook();
+        if (!book || this.auctionPhase !== 'active') {
+            return [];
+        }
+        
+        const trades = book.match().map(fill => this.executeTrade(fill.buyOrder, fill.sellOrder, fill.quantity, fill.price));
+        return trades.concat(this.tradeWithGuildStore(book));
+    }
+    
+    /**
+     * Fill resting orders against the Guild Store's quote
+     * The store sells from stock to buyers at or above its sell price and
+     * buys everything offered at or below its buy price, at its own prices.
+     */
+    tradeWithGuildStore(book) {
+        const quote = this.guildStore.getQuote(this.currentResource);
+        if (!quote) {
+            return [];
+        }
         
-        // Sort buyers by price (highest first)
-        buyers.sort((a, b) => b.price - a.price);
+        const trades = [];
         
-        // Sort sellers by price (lowest first)
-        sellers.sort((a, b) => a.price - b.price);
+        // Stock already promised to unsettled trades is not for sale twice
+        let available = quote.stock - this.getPendingGuildStoreSales();
+        book.getSide('buy').forEach(order => {
+            if (order.price < quote.sellPrice || available <= 0) return;
+            
+            const quantity = Math.min(order.remaining, available);
+            available -= quantity;
+            trades.push(this.fillAgainstGuildStore(book, order, quote.sellPrice, quantity));
+        });
         
-        // Check for overlapping positions
-        for (const buyer of buyers) {
-            for (const seller of sellers) {
-                if (buyer.price >= seller.price) {
-                    // Trade is possible!
-                    this.executeTrade(buyer, seller);
-                    break; // Move to next buyer
-                }
-            }
+        book.getSide('sell').forEach(order => {
+            if (order.price > quote.buyPrice) return;
+            trades.push(this.fillAgainstGuildStore(book, order, quote.buyPrice, order.remaining));
+        });
+        
+        return trades;
+    }
+    
+    /**
+     * Fill part or all of a player's order with the Guild Store
+     */
+    fillAgainstGuildStore(book, order, price, quantity) {
+        order.remaining -= quantity;
+        if (order.remaining <= 0) {
+            book.cancelOrder(order.playerId);
         }
+        this.syncPlayerPosition(order);
+        
+        return order.side === 'buy' ?
+            this.recordTrade(order.playerId, GUILD_STORE_ID, price, quantity) :
+            this.recordTrade(GUILD_STORE_ID, order.playerId, price, quantity,
+                this.getMonopolyPremium(order.playerId, price, quantity));
     }
     
     /**
-     * Execute a trade between buyer and seller
+     * Units the Guild Store has sold in trades not yet settled
      */
-    executeTrade(buyer, seller) {
-        const tradePrice = Math.round((buyer.price + seller.price) / 2);
-        const quantity = Math.min(buyer.quantity || 5, seller.quantity || 5);
+    getPendingGuildStoreSales() {
+        return this.pendingTrades
+            .filter(trade => trade.sellerId === GUILD_STORE_ID && trade.resource === this.currentResource)
+            .reduce((sum, trade) => sum + trade.quantity, 0);
+    }
+    
+    /**
+     * Execute a fill between a resting buy order and sell order
+     */
+    executeTrade(buyOrder, sellOrder, quantity, price) {
+        // Filled orders leave the auction; partly filled ones keep resting
+        this.syncPlayerPosition(buyOrder);
+        this.syncPlayerPosition(sellOrder);
         
+        return this.recordTrade(buyOrder.playerId, sellOrder.playerId, price, quantity,
+            this.getMonopolyPremium(sellOrder.playerId, price, quantity));
+    }
+    
+    /**
+     * Queue a trade for settlement and announce it
+     */
+    recordTrade(buyerId, sellerId, price, quantity, premium = 0) {
         const trade = {
-            id: `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            buyerId: buyer.playerId,
-            sellerId: seller.playerId,
+            id: `trade_${++this.tradeCounter}`,
+            buyerId: buyerId,
+            sellerId: sellerId,
             resource: this.currentResource,
-            price: tradePrice,
+            price: price,
             quantity: quantity,
-            timestamp: Date.now()
+            premium: premium, // Monopoly bonus paid to the seller at settlement
+            timestamp: this.clock.now()
         };
         
         // Add to pending trades (will be processed in resolution)
         this.pendingTrades.push(trade);
         
         // Update last trade price
-        this.lastTradePrice = tradePrice;
-        
-        // Remove players from active positions
-        this.playerPositions.delete(buyer.playerId);
-        this.playerPositions.delete(seller.playerId);
+        this.lastTradePrice = price;
         
         // Emit event
         if (this.events) {
@@ -277,6 +411,18 @@ export default class AuctionManager {
         return trade;
     }
     
+    /**
+     * Bonus gold the monopolist earns on a sale, whichever order rested
+     * The buyer pays the fill price; the premium is paid to the seller on
+     * top of it at settlement.
+     */
+    getMonopolyPremium(sellerId, price, quantity) {
+        if (!this.monopoly || this.monopoly.playerId !== sellerId) {
+            return 0;
+        }
+        return Math.round(price * MONOPOLY.PREMIUM) * quantity;
+    }
+    
     /**
      * End current resource auction
      */
@@ -332,8 +478,8 @@ export default class AuctionManager {
     calculateMarketConditions() {
         // This would analyze all players' resources
         // For now, use mock data
-        this.supply = Math.floor(Math.random() * 100) + 50;
-        this.demand = Math.floor(Math.random() * 100) + 50;
+        this.supply = this.random.int(50, 149);
+        this.demand = this.random.int(50, 149);
     }
     
     /**
@@ -342,8 +488,8 @@ export default class AuctionManager {
     calculateResourceSupplyDemand(resource) {
         // This would check actual player inventories
         // For now, use mock data
-        this.supply = Math.floor(Math.random() * 50) + 25;
-        this.demand = Math.floor(Math.random() * 50) + 25;
+        this.supply = this.random.int(25, 74);
+        this.demand = this.random.int(25, 74);
     }
     
     /**
@@ -383,7 +529,7 @@ export default class AuctionManager {
                         this.auctionPhase = 'inactive';
                     } else {
                         // Start next resource after delay
-                        setTimeout(() => {
+                        this.clock.setTimeout(() => {
                             this.startResourceAuction(resources[nextIndex]);
                         }, 5000);
                     }
@@ -418,6 +564,9 @@ export default class AuctionManager {
                 playerId: id,
                 ...pos
             })),
+            orderBook: this.getOrderBookDepth(),
+            guildStore: this.guildStore.getQuote(this.currentResource),
+            monopoly: this.monopoly,
             pendingTrades: this.pendingTrades.length,
             priceRange: this.priceRange,
             marketEvents: this.getActiveMarketEvents()
@@ -430,7 +579,9 @@ export default class AuctionManager {
     reset() {
         this.auctionPhase = 'inactive';
         this.currentResource = null;
+        this.monopoly = null;
         this.playerPositions.clear();
+        this.orderBooks.clear();
         this.pendingTrades = [];
         this.timeRemaining = 0;
     }
@@ -0,0 +1,333 @@
+import ErrorHandler from '../utils/ErrorHandler.js';
+import { BANKING } from '../config/gameConfig.js';
+
+/**
+ * Bank
+ * Players deposit gold to earn interest and borrow against their
+ * territories. Interest is settled through the GoldManager at the end of
+ * every cycle. A loan whose interest goes unpaid too often, or whose
+ * balance cannot be repaid when it falls due, is foreclosed: the bank
+ * seizes the pledged territories, with whatever stands on them.
+ */
+export default class Bank {
+    constructor(gameFlowController) {
+        this.gameFlow = gameFlowController;
+        this.errorHandler = new ErrorHandler();
+
+        this.deposits = new Map(); // playerId -> gold on deposit
+        this.loans = new Map(); // loanId -> loan
+        this.loanCounter = 0;
+    }
+
+    getCurrentCycle() {
+        return this.gameFlow.cycleManager?.currentCycle || 1;
+    }
+
+    getDeposit(playerId) {
+        return this.deposits.get(playerId) || 0;
+    }
+
+    /**
+     * Move gold from a player's purse into the bank
+     */
+    deposit(playerId, amount) {
+        amount = Math.floor(amount);
+        if (!(amount > 0)) {
+            return { success: false, error: 'Deposit must be a positive amount' };
+        }
+
+        const result = this.gameFlow.goldManager.deductGold(playerId, amount, 'Bank deposit');
+        if (!result.success) {
+            return result;
+        }
+
+        this.deposits.set(playerId, this.getDeposit(playerId) + amount);
+        this.syncPlayer(playerId);
+        this.gameFlow.broadcastEvent('bank.deposit', { playerId, amount, balance: this.getDeposit(playerId) });
+
+        return { success: true, balance: this.getDeposit(playerId) };
+    }
+
+    /**
+     * Take gold back out of the bank
+     */
+    withdraw(playerId, amount) {
+        amount = Math.floor(amount);
+        if (!(amount > 0)) {
+            return { success: false, error: 'Withdrawal must be a positive amount' };
+        }
+        if (amount > this.getDeposit(playerId)) {
+            return { success: false, error: 'Insufficient deposit', available: this.getDeposit(playerId) };
+        }
+
+        this.deposits.set(playerId, this.getDeposit(playerId) - amount);
+        this.gameFlow.goldManager.addGold(playerId, amount, 'Bank withdrawal');
+        this.syncPlayer(playerId);
+        this.gameFlow.broadcastEvent('bank.withdrawal', { playerId, amount, balance: this.getDeposit(playerId) });
+
+        return { success: true, balance: this.getDeposit(playerId) };
+    }
+
+    /**
+     * Collateral value of a territory and the construct on it
+     */
+    getTerritoryValue(territory) {
+        return BANKING.TERRITORY_VALUE + (territory.construct ? (territory.construct.level || 1) * BANKING.CONSTRUCT_LEVEL_VALUE : 0);
+    }
+
+    /**
+     * IDs of territories pledged to open loans
+     */
+    getPledgedTerritoryIds() {
+        const pledged = new Set();
+        this.getActiveLoans().forEach(loan => loan.collateral.forEach(id => pledged.add(id)));
+        return pledged;
+    }
+
+    /**
+     * Most a player can borrow against a set of territories
+     */
+    getBorrowingLimit(territoryIds) {
+        const grid = this.gameFlow.territoryGrid;
+        const value = territoryIds.reduce((sum, id) => {
+            const territory = grid.getTerritoryById(id);
+            return sum + (territory ? this.getTerritoryValue(territory) : 0);
+        }, 0);
+        return Math.floor(value * BANKING.LOAN_TO_VALUE);
+    }
+
+    /**
+     * Borrow gold against territories the player owns
+     * @param {string} playerId - Borrower
+     * @param {number} amount - Gold to borrow
+     * @param {Array} territoryIds - Territories pledged as collateral
+     * @returns {Object} { success, loan } or { success: false, error }
+     */
+    takeLoan(playerId, amount, territoryIds = []) {
+        try {
+            amount = Math.floor(amount);
+            if (!(amount > 0)) {
+                return { success: false, error: 'Loan must be a positive amount' };
+            }
+            if (!this.gameFlow.stateManager.getPlayer(playerId)) {
+                return { success: false, error: 'Player not found' };
+            }
+            if (territoryIds.length === 0) {
+                return { success: false, error: 'A loan needs at least one territory as collateral' };
+            }
+
+            const pledged = this.getPledgedTerritoryIds();
+            for (const territoryId of territoryIds) {
+                const territory = this.gameFlow.territoryGrid.getTerritoryById(territoryId);
+                if (!territory || territory.ownerId !== playerId) {
+                    return { success: false, error: `You do not own territory ${territoryId}` };
+                }
+                if (pledged.has(territoryId)) {
+                    return { success: false, error: `Territory ${territoryId} is already pledged` };
+                }
+                if (this.gameFlow.landAuctions?.isForSale(territoryId)) {
+                    return { success: false, error: `Territory ${territoryId} is up for sale` };
+                }
+            }
+
+            const limit = this.getBorrowingLimit(territoryIds);
+            if (amount > limit) {
+                return { success: false, error: `Collateral only covers ${limit} gold`, limit: limit };
+            }
+
+            const cycle = this.getCurrentCycle();
+            const loan = {
+                id: `loan_${++this.loanCounter}`,
+                playerId: playerId,
+                principal: amount,
+                balance: amount,
+                interestRate: BANKING.LOAN_INTEREST_RATE,
+                collateral: [...territoryIds],
+                takenCycle: cycle,
+                dueCycle: cycle + BANKING.LOAN_TERM,
+                missedPayments: 0,
+                status: 'active'
+            };
+            this.loans.set(loan.id, loan);
+
+            this.gameFlow.goldManager.addGold(playerId, amount, `Loan ${loan.id}`);
+            this.syncPlayer(playerId);
+
+            console.log(`Bank: ${playerId} borrowed ${amount} gold against ${territoryIds.join(', ')} (due cycle ${loan.dueCycle})`);
+            this.gameFlow.broadcastEvent('bank.loan_taken', { playerId, loan });
+
+            return { success: true, loan: loan };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Bank.takeLoan');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Pay down a loan; paying off the whole balance releases the collateral
+     * @param {number} [amount] - Gold to pay, the whole balance if omitted
+     */
+    repayLoan(playerId, loanId, amount) {
+        const loan = this.loans.get(loanId);
+        if (!loan || loan.status !== 'active' || loan.playerId !== playerId) {
+            return { success: false, error: 'No open loan to repay' };
+        }
+
+        const payment = Math.min(loan.balance, Math.floor(amount ?? loan.balance));
+        if (!(payment > 0)) {
+            return { success: false, error: 'Payment must be a positive amount' };
+        }
+
+        const result = this.gameFlow.goldManager.deductGold(playerId, payment, `Loan ${loan.id} repayment`);
+        if (!result.success) {
+            return result;
+        }
+
+        loan.balance -= payment;
+        if (loan.balance <= 0) {
+            loan.status = 'repaid';
+            loan.closedCycle = this.getCurrentCycle();
+        }
+        this.syncPlayer(playerId);
+        this.gameFlow.broadcastEvent('bank.loan_repaid', { playerId, loan, amount: payment });
+
+        return { success: true, loan: loan, paid: payment };
+    }
+
+    getActiveLoans() {
+        return Array.from(this.loans.values()).filter(loan => loan.status === 'active');
+    }
+
+    getPlayerLoans(playerId) {
+        return this.getActiveLoans().filter(loan => loan.playerId === playerId);
+    }
+
+    /**
+     * Total a player owes across open loans
+     */
+    getLoanBalance(playerId) {
+        return this.getPlayerLoans(playerId).reduce((sum, loan) => sum + loan.balance, 0);
+    }
+
+    /**
+     * Settle interest and due loans at the end of a cycle
+     * Deposits earn interest into the player's purse. Each loan is charged
+     * interest; unpaid interest is added to the balance and counts as a
+     * missed payment. Loans that reach their due cycle must be repaid in full.
+     * @returns {Object} Summary of interest paid, charged and foreclosures
+     */
+    processEndOfCycle(cycle = this.getCurrentCycle()) {
+        const summary = { depositInterest: {}, loanInterest: {}, missedPayments: [], foreclosures: [] };
+
+        try {
+            this.deposits.forEach((balance, playerId) => {
+                const interest = Math.floor(balance * BANKING.DEPOSIT_INTEREST_RATE);
+                if (interest > 0) {
+                    this.gameFlow.goldManager.addGold(playerId, interest, 'Deposit interest');
+                    summary.depositInterest[playerId] = interest;
+                }
+            });
+
+            this.getActiveLoans().forEach(loan => {
+                const interest = Math.ceil(loan.balance * loan.interestRate);
+                const paid = this.gameFlow.goldManager.deductGold(loan.playerId, interest, `Loan ${loan.id} interest`);
+
+                if (paid.success) {
+                    loan.missedPayments = 0;
+                    summary.loanInterest[loan.playerId] = (summary.loanInterest[loan.playerId] || 0) + interest;
+                } else {
+                    loan.balance += interest;
+                    loan.missedPayments++;
+                    summary.missedPayments.push({ loanId: loan.id, playerId: loan.playerId, interest });
+                    this.gameFlow.broadcastEvent('bank.payment_missed', { playerId: loan.playerId, loan, interest });
+
+                    if (loan.missedPayments >= BANKING.MAX_MISSED_PAYMENTS) {
+                        summary.foreclosures.push(this.foreclose(loan, 'missed_payments'));
+                        return;
+                    }
+                }
+
+                if (cycle >= loan.dueCycle) {
+                    const repaid = this.repayLoan(loan.playerId, loan.id);
+                    if (!repaid.success) {
+                        summary.foreclosures.push(this.foreclose(loan, 'unpaid_at_term'));
+                    }
+                }
+            });
+
+            this.gameFlow.stateManager.gameState.players.forEach(player => this.syncPlayer(player.id));
+            this.gameFlow.broadcastEvent('bank.cycle_processed', { cycle, summary });
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Bank.processEndOfCycle');
+        }
+
+        return summary;
+    }
+
+    /**
+     * Seize a defaulted loan's collateral and write off the balance
+     */
+    foreclose(loan, reason) {
+        const seized = [];
+
+        loan.collateral.forEach(territoryId => {
+            const territory = this.gameFlow.territoryGrid.getTerritoryById(territoryId);
+            if (territory && territory.ownerId === loan.playerId) {
+                territory.setOwner(null);
+                if (territory.construct) {
+                    territory.construct.owner = null;
+                }
+                seized.push(territoryId);
+                this.gameFlow.broadcastEvent('territory.ownership_changed', {
+                    territoryId: territoryId,
+                    newOwner: null,
+                    previousOwner: loan.playerId
+                });
+            }
+        });
+
+        loan.status = 'foreclosed';
+        loan.closedCycle = this.getCurrentCycle();
+        loan.writtenOff = loan.balance;
+        loan.balance = 0;
+        this.syncPlayer(loan.playerId);
+
+        console.log(`Bank: foreclosed ${loan.id} of ${loan.playerId} (${reason}), seized ${seized.join(', ') || 'nothing'}`);
+        this.gameFlow.broadcastEvent('bank.foreclosure', { playerId: loan.playerId, loan, reason, territories: seized });
+
+        return { loanId: loan.id, playerId: loan.playerId, reason, territories: seized };
+    }
+
+    /**
+     * Mirror deposit and debt onto the player so wealth and scoring can see them
+     */
+    syncPlayer(playerId) {
+        const player = this.gameFlow.stateManager.getPlayer(playerId);
+        if (player) {
+            player.bankDeposit = this.getDeposit(playerId);
+            player.loanBalance = this.getLoanBalance(playerId);
+        }
+    }
+
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            deposits: Array.from(this.deposits.entries()),
+            loans: Array.from(this.loans.values()).map(loan => ({ ...loan, collateral: [...loan.collateral] })),
+            loanCounter: this.loanCounter
+        };
+    }
+
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        this.deposits = new Map(savedState.deposits || []);
+        this.loans = new Map((savedState.loans || []).map(loan => [loan.id, { ...loan }]));
+        this.loanCounter = savedState.loanCounter || 0;
+
+        (this.gameFlow.stateManager.gameState.players || []).forEach(player => this.syncPlayer(player.id));
+    }
+}
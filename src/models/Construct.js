@@ -1,3 +1,8 @@
+import { CONSTRUCT_ABILITIES, MAINTENANCE } from '../config/gameConfig.js';
+
+// Numbers constructs created without an id
+let constructCounter = 0;
+
 /**
  * Construct Model
  * Represents a magical construct used for resource production
@@ -12,14 +17,17 @@ export default class Construct {
      * @param {Object} config.owner - Player who owns this construct
      */
     constructor(config) {
-        this.id = config.id || `construct_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.id = config.id || `construct_${++constructCounter}`;
         this.type = config.type;
         this.level = config.level || 1;
         this.owner = config.owner || null;
         this.territory = null; // Will be set when placed
         this.efficiency = 1.0; // Can be reduced by events or damage
+        this.installedEfficiency = 1.0; // Efficiency the installation gave it; repairs restore this
+        this.shortagePenalty = 0; // Share of efficiency lost to the owner's mana shortage
         this.status = config.status || 'inventory'; // inventory, transporting, installing, active, damaged
         this.productionHistory = [];
+        this.conditionHistory = []; // Oldest first: { cycle, cause, efficiency }
         
         // Visual components
         this.sprite = null;
@@ -77,51 +85,111 @@ export default class Construct {
     
     /**
      * Initialize special ability based on construct type
+     * Each ability's applyEffect does the ability's work when the game asks
+     * for it: production, upgrade pricing or the construct's info panel.
      */
     initializeSpecialAbility() {
         switch (this.type) {
             case 'mana_conduit':
                 this.specialAbility = {
+                    id: 'mana_resonance',
                     name: 'Mana Resonance',
-                    description: 'Adjacent mana conduits gain a 20% production bonus',
-                    applyEffect: (territory) => {
-                        // Check for adjacent mana conduits
-                    }
+                    description: `Adjacent mana conduits gain a ${Math.round(CONSTRUCT_ABILITIES.MANA_RESONANCE_BONUS * 100)}% production bonus`,
+                    // Adjacent territories whose active mana conduits resonate
+                    applyEffect: (territory, territoryGrid) => territory.getAdjacentTerritories(territoryGrid)
+                        .filter(adjacent => adjacent.construct?.type === 'mana_conduit' && adjacent.construct.status === 'active')
                 };
                 break;
                 
             case 'vitality_well':
                 this.specialAbility = {
+                    id: 'life_bloom',
                     name: 'Life Bloom',
-                    description: 'Has a 10% chance each cycle to generate 1 vitality for all players',
-                    applyEffect: (gameState) => {
-                        // Apply vitality to all players
+                    description: `Has a ${Math.round(CONSTRUCT_ABILITIES.LIFE_BLOOM_CHANCE * 100)}% chance each cycle to generate ` +
+                        `${CONSTRUCT_ABILITIES.LIFE_BLOOM_VITALITY} vitality for all players`,
+                    // Roll for a bloom and add vitality to every player's resources
+                    applyEffect: (players, random) => {
+                        if (!random.chance(CONSTRUCT_ABILITIES.LIFE_BLOOM_CHANCE)) return false;
+                        
+                        players.forEach(player => {
+                            player.resources.vitality = (player.resources.vitality || 0) + CONSTRUCT_ABILITIES.LIFE_BLOOM_VITALITY;
+                        });
+                        return true;
                     }
                 };
                 break;
                 
             case 'arcanum_extractor':
                 this.specialAbility = {
+                    id: 'arcane_insight',
                     name: 'Arcane Insight',
-                    description: 'Provides a 15% discount on all construct upgrades',
-                    applyEffect: (player) => {
-                        // Apply discount to player
+                    description: `Provides a ${Math.round(CONSTRUCT_ABILITIES.ARCANE_INSIGHT_DISCOUNT * 100)}% discount on all construct upgrades`,
+                    // Discount upgrade costs for the owner
+                    applyEffect: (costs) => {
+                        const discounted = {};
+                        for (const [resource, amount] of Object.entries(costs)) {
+                            discounted[resource] = Math.floor(amount * (1 - CONSTRUCT_ABILITIES.ARCANE_INSIGHT_DISCOUNT));
+                        }
+                        return discounted;
                     }
                 };
                 break;
                 
             case 'aether_resonator':
                 this.specialAbility = {
+                    id: 'aether_sense',
                     name: 'Aether Sense',
                     description: 'Reveals aether deposits in adjacent territories',
-                    applyEffect: (territories) => {
-                        // Reveal aether in adjacent territories
-                    }
+                    // Projected yield of an aether resonator on each adjacent territory
+                    applyEffect: (territory, territoryGrid, productionCalculator) => territory.getAdjacentTerritories(territoryGrid)
+                        .map(adjacent => ({
+                            territoryId: adjacent.id,
+                            terrainType: adjacent.terrainType || adjacent.type,
+                            aether: productionCalculator.projectYield(adjacent, 'aether_resonator', this.owner?.id)
+                        }))
                 };
                 break;
         }
     }
     
+    /**
+     * Whether this construct's level 3 ability is working
+     * @param {string} abilityId - Ability to check for, any if omitted
+     */
+    hasActiveAbility(abilityId) {
+        return this.level >= 3 && this.status === 'active' && !!this.specialAbility &&
+            (!abilityId || this.specialAbility.id === abilityId);
+    }
+    
+    /**
+     * Set the construct's level, unlocking or losing its special ability
+     * @param {number} level - New level (1-3)
+     */
+    setLevel(level) {
+        this.level = level;
+        this.specialAbility = null;
+        if (this.level === 3) {
+            this.initializeSpecialAbility();
+        }
+    }
+    
+    /**
+     * Attune the construct to produce another resource
+     * A level 3 construct takes up the ability of its new type.
+     * @param {string} type - Construct type from CONSTRUCT_DEFINITIONS
+     */
+    outfit(type) {
+        this.type = type;
+        this.setLevel(this.level);
+    }
+    
+    /**
+     * Whether the construct has been attuned to a resource
+     */
+    isOutfitted() {
+        return !!this.type;
+    }
+    
     /**
      * Upgrade this construct to the next level
      * @param {Object} costs - Object containing the costs by resource type
@@ -158,9 +226,11 @@ export default class Construct {
     
     /**
      * Get the costs for upgrading this construct to the next level
+     * An owner with an active Arcane Insight construct pays less.
+     * @param {Array} territories - Territories on the map, to find the owner's abilities
      * @returns {Object|null} Object with costs by resource, or null if at max level
      */
-    getUpgradeCosts() {
+    getUpgradeCosts(territories = []) {
         if (this.level >= 3) {
             return null;
         }
@@ -182,7 +252,22 @@ export default class Construct {
             upgradeCosts[resource] = Math.floor(amount * multiplier);
         }
         
-        return upgradeCosts;
+        const insight = Construct.findOwnerAbility(this.owner?.id, territories, 'arcane_insight');
+        return insight ? insight.specialAbility.applyEffect(upgradeCosts) : upgradeCosts;
+    }
+    
+    /**
+     * Find an active construct of a player with the given ability
+     * @param {string} ownerId - Player whose territories to search
+     * @param {Array} territories - Territories on the map
+     * @param {string} abilityId - Ability to look for
+     * @returns {Construct|null} The first construct found
+     */
+    static findOwnerAbility(ownerId, territories, abilityId) {
+        if (!ownerId) return null;
+        
+        const territory = territories.find(t => t.ownerId === ownerId && t.construct?.hasActiveAbility?.(abilityId));
+        return territory ? territory.construct : null;
     }
     
     /**
@@ -196,14 +281,69 @@ export default class Construct {
     }
     
     /**
-     * Repair this construct to full efficiency
+     * Set the efficiency an installation gave the construct
+     * Any shortage penalty still applies on top.
+     * @param {number} efficiency - Efficiency from the installation roll
+     */
+    setInstalledEfficiency(efficiency) {
+        this.installedEfficiency = efficiency;
+        this.efficiency = efficiency * (1 - this.shortagePenalty);
+    }
+    
+    /**
+     * Efficiency the construct has in full repair: its installed
+     * efficiency less the owner's current shortage penalty
+     * @returns {number} Efficiency
+     */
+    getRepairedEfficiency() {
+        return this.installedEfficiency * (1 - this.shortagePenalty);
+    }
+    
+    /**
+     * Share of its repaired efficiency the construct still has
+     * @returns {number} Condition (0-1)
+     */
+    getCondition() {
+        const repaired = this.getRepairedEfficiency();
+        return repaired > 0 ? Math.min(1, Math.round(this.efficiency / repaired * 10000) / 10000) : 0;
+    }
+    
+    /**
+     * Set the efficiency lost to the owner's mana shortage
+     * The previous shortage penalty is lifted before the new one applies,
+     * so efficiency returns to its installed value once the shortage ends.
+     * @param {number} penalty - Share of efficiency lost (0-1)
+     * @returns {number} The new efficiency value
+     */
+    setShortagePenalty(penalty) {
+        const unpenalized = this.shortagePenalty < 1 ? this.efficiency / (1 - this.shortagePenalty) : this.efficiency;
+        this.shortagePenalty = penalty;
+        this.efficiency = Math.round(unpenalized * (1 - penalty) * 10000) / 10000;
+        return this.efficiency;
+    }
+    
+    /**
+     * Note the construct's condition after something changed it
+     * @param {number} cycle - Cycle the change happened in
+     * @param {string} cause - What changed it: wear, breakdown, repair or an event
+     */
+    recordCondition(cycle, cause) {
+        this.conditionHistory.push({ cycle, cause, efficiency: Math.round(this.efficiency * 100) / 100 });
+        if (this.conditionHistory.length > MAINTENANCE.HISTORY_LENGTH) {
+            this.conditionHistory.shift();
+        }
+    }
+    
+    /**
+     * Repair this construct to its installed efficiency
+     * A shortage penalty is left in place; it lifts when the shortage ends.
      * @param {Object} costs - Object containing repair costs by resource
      * @param {Object} player - The player performing the repair
      * @returns {boolean} Whether the repair was successful
      */
     repair(costs, player) {
-        if (this.efficiency >= 1.0) {
-            return false; // Already at full efficiency
+        if (this.efficiency >= this.getRepairedEfficiency()) {
+            return false; // Already in full repair
         }
         
         // Check if player has enough resources
@@ -219,8 +359,60 @@ export default class Construct {
         }
         
         // Restore efficiency
-        this.efficiency = 1.0;
+        this.efficiency = this.getRepairedEfficiency();
         
         return true;
     }
+    
+    /**
+     * Serialize construct for saving
+     * Owner and territory are stored by ID to avoid circular references
+     * @returns {Object} Serialized construct
+     */
+    serialize() {
+        return {
+            id: this.id,
+            type: this.type,
+            level: this.level,
+            ownerId: this.owner ? this.owner.id : null,
+            territoryId: this.territory ? this.territory.id : null,
+            efficiency: this.efficiency,
+            installedEfficiency: this.installedEfficiency,
+            shortagePenalty: this.shortagePenalty,
+            status: this.status,
+            productionHistory: this.productionHistory,
+            conditionHistory: this.conditionHistory
+        };
+    }
+    
+    /**
+     * Constructs held in player inventories are copied with the game state
+     */
+    toJSON() {
+        return this.serialize();
+    }
+    
+    /**
+     * Restore a construct from saved data
+     * @param {Object} data - Serialized construct
+     * @param {Object} owner - Player who owns the construct
+     * @returns {Construct} The restored construct
+     */
+    static deserialize(data, owner = null) {
+        const construct = new Construct({
+            id: data.id,
+            type: data.type,
+            level: data.level,
+            owner: owner || (data.ownerId ? { id: data.ownerId } : null),
+            status: data.status
+        });
+        
+        construct.efficiency = data.efficiency ?? 1.0;
+        construct.installedEfficiency = data.installedEfficiency ?? 1.0;
+        construct.shortagePenalty = data.shortagePenalty || 0;
+        construct.productionHistory = data.productionHistory || [];
+        construct.conditionHistory = data.conditionHistory || [];
+        
+        return construct;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,257 @@
+import ErrorHandler from '../utils/ErrorHandler.js';
+import { MAINTENANCE, CONSTRUCT_DEFINITIONS } from '../config/gameConfig.js';
+
+/**
+ * ConstructMaintenance
+ * Wear and breakdowns at the end of each cycle. Every active construct
+ * loses a little efficiency, more when its owner could not cover the mana
+ * upkeep that ResourceConsumption draws, and may break down, more likely
+ * the higher its level and the harsher its terrain. A broken construct
+ * stops working until it is repaired. Players can have their constructs
+ * repaired automatically when they break down or wear thin.
+ */
+export default class ConstructMaintenance {
+    constructor(gameFlowController) {
+        this.gameFlow = gameFlowController;
+        this.errorHandler = new ErrorHandler();
+
+        this.autoRepair = {}; // playerId -> one of MAINTENANCE.AUTO_REPAIR_POLICIES
+    }
+
+    /**
+     * Chance a construct breaks down at the end of a cycle
+     */
+    getBreakdownChance(construct, territory) {
+        const levelRisk = MAINTENANCE.LEVEL_RISK[construct.level] ?? 1;
+        const terrainRisk = MAINTENANCE.TERRAIN_RISK[territory?.type] ?? 1;
+        return MAINTENANCE.BREAKDOWN_CHANCE * levelRisk * terrainRisk;
+    }
+
+    /**
+     * Efficiency a construct loses to a cycle's wear
+     * Mana upkeep is drawn before wear, so the owner's consumption shows
+     * how much of it went unpaid.
+     */
+    getWear(owner) {
+        const unpaid = 1 - (owner?.consumption?.fed?.mana ?? 1);
+        return MAINTENANCE.WEAR_PER_CYCLE + unpaid * MAINTENANCE.UNPAID_UPKEEP_WEAR;
+    }
+
+    /**
+     * Resources to bring a construct back to its installed efficiency
+     * A broken construct costs REPAIR_COST_SHARE of its type's cost; a worn
+     * one costs that share of the condition it has lost.
+     * @returns {Object} Costs by resource, empty if nothing needs repairing
+     */
+    getRepairCosts(construct) {
+        const missing = construct.status === 'damaged' ? 1 : 1 - construct.getCondition();
+        const costs = {};
+        if (missing <= 0) return costs;
+
+        Object.entries(CONSTRUCT_DEFINITIONS[construct.type]?.baseCost || {}).forEach(([resource, amount]) => {
+            costs[resource] = Math.ceil(amount * MAINTENANCE.REPAIR_COST_SHARE * missing);
+        });
+        return costs;
+    }
+
+    /**
+     * Whether a construct is worn thin or likely to break down
+     */
+    isAtRisk(construct, territory) {
+        return construct.status === 'active' && (construct.getCondition() <= MAINTENANCE.AT_RISK_EFFICIENCY ||
+            this.getBreakdownChance(construct, territory) >= MAINTENANCE.AT_RISK_BREAKDOWN_CHANCE);
+    }
+
+    /**
+     * A player's constructs that are at risk, and broken ones
+     * @returns {Array} { territory, construct, breakdownChance, broken }
+     */
+    getAtRiskConstructs(playerId) {
+        return this.gameFlow.territoryGrid.getPlayerTerritories(playerId)
+            .filter(t => t.construct && (t.construct.status === 'damaged' || this.isAtRisk(t.construct, t)))
+            .map(territory => ({
+                territory,
+                construct: territory.construct,
+                breakdownChance: this.getBreakdownChance(territory.construct, territory),
+                broken: territory.construct.status === 'damaged'
+            }));
+    }
+
+    /**
+     * Warnings about a player's constructs for the production monitor
+     * @returns {Array} Alert lines
+     */
+    getRiskAlerts(playerId) {
+        return this.getAtRiskConstructs(playerId).map(({ territory, construct, breakdownChance, broken }) => {
+            const name = `${CONSTRUCT_DEFINITIONS[construct.type]?.name || construct.type} on ${territory.type.replace(/_/g, ' ')}`;
+            return broken ? `${name} has broken down` :
+                `${name}: ${Math.round(construct.getCondition() * 100)}% condition, ` +
+                `${Math.round(breakdownChance * 100)}% breakdown risk`;
+        });
+    }
+
+    /**
+     * How a player has their constructs repaired at the end of a cycle
+     * AI players repair worn constructs unless told otherwise.
+     */
+    getAutoRepairPolicy(player) {
+        return this.autoRepair[player.id] ?? (player.isAI ? 'worn' : 'off');
+    }
+
+    /**
+     * Choose how a player's constructs are repaired automatically
+     * @param {string} policy - 'off', 'broken' or 'worn'
+     * @returns {Object} { success } or { success: false, error }
+     */
+    setAutoRepairPolicy(playerId, policy) {
+        if (!MAINTENANCE.AUTO_REPAIR_POLICIES.includes(policy)) {
+            return { success: false, error: `Unknown auto-repair policy: ${policy}` };
+        }
+
+        this.autoRepair[playerId] = policy;
+        this.gameFlow.broadcastEvent('maintenance.auto_repair_changed', { playerId, policy });
+        return { success: true };
+    }
+
+    /**
+     * Repair one of a player's constructs, paying in resources
+     * @param {string} cause - Recorded in the construct's condition history
+     * @returns {Object} { success, construct, costs } or { success: false, error }
+     */
+    repairConstruct(playerId, constructId, cause = 'repair') {
+        try {
+            const player = this.gameFlow.stateManager.getPlayer(playerId);
+            const territory = this.gameFlow.territoryGrid.getPlayerTerritories(playerId)
+                .find(t => t.construct?.id === constructId);
+            const construct = territory?.construct;
+
+            if (!player || !construct) {
+                return { success: false, error: 'You have no such construct installed' };
+            }
+
+            const costs = this.getRepairCosts(construct);
+            if (Object.keys(costs).length === 0) {
+                return { success: false, error: 'Construct needs no repair' };
+            }
+
+            const wasBroken = construct.status === 'damaged';
+            if (!construct.repair(costs, player)) {
+                return { success: false, error: 'Not enough resources to repair' };
+            }
+            if (wasBroken) {
+                construct.status = 'active';
+            }
+            construct.recordCondition(this.gameFlow.cycleManager.currentCycle, cause);
+
+            console.log(`ConstructMaintenance: ${playerId} repaired ${construct.id} on ${territory.id}`);
+            this.gameFlow.broadcastEvent('construct.repaired', {
+                playerId,
+                constructId: construct.id,
+                territoryId: territory.id,
+                costs,
+                automatic: cause === 'auto-repair'
+            });
+
+            return { success: true, construct, costs };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'ConstructMaintenance.repairConstruct');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Wear down every active construct, roll for breakdowns, then make the
+     * repairs players asked for
+     * @param {number} cycle - Cycle that is ending
+     * @returns {Array} { playerId, territoryId, constructId, wear, brokeDown, repaired, efficiency }
+     */
+    processEndOfCycle(cycle) {
+        const report = [];
+
+        try {
+            this.gameFlow.territoryGrid.territories
+                .filter(t => t.ownerId && t.construct?.status === 'active')
+                .forEach(territory => report.push(this.wearConstruct(territory, cycle)));
+
+            (this.gameFlow.stateManager.gameState?.players || []).forEach(player => {
+                const policy = this.getAutoRepairPolicy(player);
+                if (policy === 'off') return;
+
+                this.gameFlow.territoryGrid.getPlayerTerritories(player.id)
+                    .filter(t => t.construct && (t.construct.status === 'damaged' ||
+                        (policy === 'worn' && t.construct.getCondition() <= MAINTENANCE.AUTO_REPAIR_THRESHOLD)))
+                    .forEach(territory => {
+                        const construct = territory.construct;
+                        const repaired = this.repairConstruct(player.id, construct.id, 'auto-repair').success;
+                        const entry = report.find(item => item.constructId === construct.id);
+                        if (entry) {
+                            entry.repaired = repaired;
+                            entry.efficiency = construct.efficiency;
+                        }
+                    });
+            });
+
+            this.gameFlow.broadcastEvent('maintenance.completed', { cycle, report });
+        } catch (error) {
+            this.errorHandler.handleError(error, 'ConstructMaintenance.processEndOfCycle');
+        }
+
+        return report;
+    }
+
+    /**
+     * A cycle's wear and breakdown roll for the construct on a territory
+     */
+    wearConstruct(territory, cycle) {
+        const construct = territory.construct;
+        const owner = this.gameFlow.stateManager.getPlayer(territory.ownerId);
+        const wear = this.getWear(owner);
+
+        construct.applyDamage(wear * 100);
+        const brokeDown = construct.efficiency <= 0 ||
+            this.gameFlow.random.chance(this.getBreakdownChance(construct, territory));
+
+        if (brokeDown) {
+            construct.status = 'damaged';
+            construct.efficiency = 0;
+            construct.recordCondition(cycle, 'breakdown');
+
+            console.log(`ConstructMaintenance: ${construct.id} on ${territory.id} broke down`);
+            this.gameFlow.broadcastEvent('construct.broke_down', {
+                playerId: territory.ownerId,
+                constructId: construct.id,
+                constructType: construct.type,
+                territoryId: territory.id,
+                cycle
+            });
+        } else {
+            construct.recordCondition(cycle, 'wear');
+        }
+
+        return {
+            playerId: territory.ownerId,
+            territoryId: territory.id,
+            constructId: construct.id,
+            wear,
+            brokeDown,
+            repaired: false,
+            efficiency: construct.efficiency
+        };
+    }
+
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            autoRepair: { ...this.autoRepair }
+        };
+    }
+
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        this.autoRepair = { ...(savedState.autoRepair || {}) };
+    }
+}
@@ -2,12 +2,16 @@
  * ConstructManager
  * Manages the lifecycle of all constructs in the game
  */
-import { CONSTRUCT_DEFINITIONS } from '../config/gameConfig.js';
+import { CONSTRUCT_DEFINITIONS, CONSTRUCT_SALVAGE } from '../config/gameConfig.js';
 import Construct from './Construct.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import GameClock from '../utils/GameClock.js';
 
 export default class ConstructManager {
     constructor(game) {
         this.game = game;
+        this.random = game?.random || new SeededRandom();
+        this.clock = game?.clock || new GameClock();
         this.constructs = new Map(); // constructId -> Construct
         this.installationQueue = [];
         this.productionCalculator = null; // Will be set by ResourceProductionCalculator
@@ -64,72 +68,6 @@ export default class ConstructManager {
         this.productionCalculator = productionCalculator;
     }
 
-    /**
-     * Purchase a construct for a player
-     * @param {string} playerId - The player's ID
-     * @param {string} constructType - The type of construct to purchase
-     * @returns {Construct} The newly created construct
-     */
-    purchaseConstruct(playerId, constructType) {
-        const player = this.getPlayer(playerId);
-        const constructDef = CONSTRUCT_DEFINITIONS[constructType];
-        
-        if (!constructDef) {
-            throw new Error(`Invalid construct type: ${constructType}`);
-        }
-
-        // Check if player can afford the construct
-        const cost = this.getConstructCost(constructType, player);
-        if (!player.canAfford(cost)) {
-            throw new Error('Insufficient resources');
-        }
-
-        // Deduct resources
-        player.deductResources(cost);
-
-        // Create the construct
-        const construct = new Construct({
-            type: constructType,
-            owner: player,
-            level: 1,
-            status: 'inventory'
-        });
-
-        // Add to player's inventory
-        if (!player.inventory) {
-            player.inventory = { constructs: [] };
-        }
-        player.inventory.constructs.push(construct);
-
-        // Track in manager
-        this.constructs.set(construct.id, construct);
-
-        // Emit event
-        if (this.game.events) {
-            this.game.events.emit('construct-purchased', {
-                player: player,
-                construct: construct,
-                cost: cost
-            });
-        }
-
-        return construct;
-    }
-
-    /**
-     * Get the cost of a construct, potentially with modifiers
-     * @param {string} constructType - The type of construct
-     * @param {Object} player - The player purchasing
-     * @returns {Object} Cost object with resource amounts
-     */
-    getConstructCost(constructType, player) {
-        const baseCost = { ...CONSTRUCT_DEFINITIONS[constructType].baseCost };
-        
-        // Apply any player modifiers or discounts
-        // For now, just return base cost
-        return baseCost;
-    }
-
     /**
      * Initiate installation of a construct on a territory
      * @param {string} constructId - The construct's ID
@@ -201,6 +139,10 @@ export default class ConstructManager {
             throw new Error('Cannot place another player\'s construct');
         }
 
+        if (!construct.isOutfitted()) {
+            throw new Error('Construct must be outfitted at the workshop before it is installed');
+        }
+
         // Update construct status
         construct.status = 'installing';
 
@@ -211,7 +153,7 @@ export default class ConstructManager {
         const installation = {
             construct: construct,
             territory: territory,
-            startTime: Date.now(),
+            startTime: this.clock.now(),
             duration: installTime,
             playerId: playerId
         };
@@ -239,7 +181,7 @@ export default class ConstructManager {
         const max = def.installTime.max;
         
         // Random time between min and max
-        return min + Math.random() * (max - min);
+        return this.random.range(min, max);
     }
 
     /**
@@ -248,34 +190,14 @@ export default class ConstructManager {
      * @returns {Object} Result object with success status and details
      */
     processInstallation(installation) {
-        // Get current cycle
-        let currentCycle = 1;
-        if (this.game.gameCycleManager) {
-            currentCycle = this.game.gameCycleManager.currentCycle;
-        } else if (this.game.gameFlowController?.gameCycleManager) {
-            currentCycle = this.game.gameFlowController.gameCycleManager.currentCycle;
-        } else if (this.game.stateManager?.gameState?.currentCycle) {
-            currentCycle = this.game.stateManager.gameState.currentCycle;
-        }
-        
-        // Roll dice - in cycle 1, limit to 3-6 range
-        let roll;
-        if (currentCycle === 1) {
-            // In cycle 1, roll 3-6 (no critical failures)
-            roll = Math.floor(Math.random() * 4) + 3;
-        } else {
-            // Normal 1-6 roll for later cycles
-            roll = Math.floor(Math.random() * 6) + 1;
-        }
-        
-        const result = this.resolveInstallationRoll(roll, installation);
+        const result = this.resolveInstallationRoll(this.rollInstallation(), installation);
 
         if (result.success) {
             // Successfully installed
             installation.construct.territory = installation.territory;
             installation.territory.construct = installation.construct;
             installation.construct.status = 'active';
-            installation.construct.efficiency = result.efficiency;
+            installation.construct.setInstalledEfficiency(result.efficiency);
         } else {
             // Failed installation
             installation.construct.status = 'damaged';
@@ -299,6 +221,29 @@ export default class ConstructManager {
         return result;
     }
 
+    /**
+     * Roll the dice for binding a construct to a territory
+     * @returns {number} Dice roll (1-6)
+     */
+    rollInstallation() {
+        // Get current cycle
+        let currentCycle = 1;
+        if (this.game.gameCycleManager) {
+            currentCycle = this.game.gameCycleManager.currentCycle;
+        } else if (this.game.gameFlowController?.gameCycleManager) {
+            currentCycle = this.game.gameFlowController.gameCycleManager.currentCycle;
+        } else if (this.game.stateManager?.gameState?.currentCycle) {
+            currentCycle = this.game.stateManager.gameState.currentCycle;
+        }
+
+        if (currentCycle === 1) {
+            // In cycle 1, roll 3-6 (no critical failures)
+            return this.random.int(3, 6);
+        }
+        // Normal 1-6 roll for later cycles
+        return this.random.int(1, 6);
+    }
+
     /**
      * Resolve installation roll outcome
      * @param {number} roll - Dice roll (1-6)
@@ -451,12 +396,301 @@ export default class ConstructManager {
         return Math.min(95, Math.max(50, baseRate));
     }
 
+    /**
+     * Find a territory by its ID
+     */
+    findTerritory(territoryId) {
+        const territoryGrid = this.game.territoryGrid || this.game.gameFlowController?.territoryGrid;
+        return territoryGrid?.getTerritoryById(territoryId) || null;
+    }
+
+    /**
+     * Get the player if they may take a construct action right now
+     * Moving, uninstalling and salvaging happen on the player's own turn
+     * during construct outfitting.
+     * @param {string} playerId - The player's ID
+     * @param {string} actionType - The turn action being taken
+     * @returns {Object} The player
+     */
+    getActingPlayer(playerId, actionType) {
+        const player = this.getPlayer(playerId);
+        const turnManager = this.game.turnManager;
+
+        if (!player) {
+            throw new Error('Player not found');
+        }
+        if (turnManager && !turnManager.canPlayerAct(player, { type: actionType })) {
+            throw new Error('Constructs can only be changed on your turn during construct outfitting');
+        }
+
+        return player;
+    }
+
+    /**
+     * Find the player's working construct on one of their territories
+     */
+    getInstalledConstruct(playerId, territoryId) {
+        const territory = this.findTerritory(territoryId);
+        const construct = territory?.construct;
+
+        if (!construct || territory.ownerId !== playerId) {
+            throw new Error('You have no construct on this territory');
+        }
+        if (construct.status !== 'active') {
+            throw new Error('Only a working construct can be moved or uninstalled');
+        }
+
+        return { territory, construct };
+    }
+
+    /**
+     * Move a working construct to another of the player's territories
+     * Binding it to the new territory takes a fresh installation roll: a
+     * failed roll leaves it damaged there, a critical failure loses it.
+     * @param {string} playerId - The player's ID
+     * @param {string} fromTerritoryId - Territory the construct is on
+     * @param {string} toTerritoryId - Territory to move it to
+     * @returns {Object} { construct, territory, result } with the roll's result
+     */
+    moveConstruct(playerId, fromTerritoryId, toTerritoryId) {
+        const { territory: from, construct } = this.getInstalledConstruct(playerId, fromTerritoryId);
+        const to = this.findTerritory(toTerritoryId);
+
+        if (!to || to.ownerId !== playerId) {
+            throw new Error('Constructs can only be moved to your own territory');
+        }
+        if (to.construct) {
+            throw new Error('Territory already has a construct');
+        }
+
+        const player = this.getActingPlayer(playerId, 'move_construct');
+
+        from.removeConstruct();
+        const result = this.resolveInstallationRoll(this.rollInstallation(), {
+            construct: construct,
+            territory: to,
+            playerId: playerId
+        });
+
+        if (result.outcome === 'critical_failure') {
+            construct.status = 'destroyed';
+            this.constructs.delete(construct.id);
+        } else {
+            construct.territory = to;
+            to.construct = construct;
+            construct.status = result.success ? 'active' : 'damaged';
+            if (result.success) {
+                construct.setInstalledEfficiency(result.efficiency);
+            } else {
+                construct.efficiency = 0;
+            }
+        }
+
+        console.log(`ConstructManager: ${playerId} moved ${construct.id} from ${from.id} to ${to.id} (${result.outcome})`);
+        this.game.turnManager?.executePlayerAction(player, {
+            type: 'move_construct',
+            target: from.id,
+            destination: to.id,
+            constructType: construct.type,
+            outcome: result.outcome
+        });
+        this.game.broadcastEvent?.('construct.moved', {
+            playerId: playerId,
+            constructId: construct.id,
+            fromTerritoryId: from.id,
+            toTerritoryId: to.id,
+            result: result
+        });
+
+        return { construct, territory: to, result };
+    }
+
+    /**
+     * Take a working construct off its territory and back into inventory
+     * It is installed again like any construct, with a new roll.
+     * @param {string} playerId - The player's ID
+     * @param {string} territoryId - Territory the construct is on
+     * @returns {Construct} The uninstalled construct
+     */
+    uninstallConstruct(playerId, territoryId) {
+        const { territory, construct } = this.getInstalledConstruct(playerId, territoryId);
+        const player = this.getActingPlayer(playerId, 'uninstall_construct');
+
+        territory.removeConstruct();
+        construct.status = 'inventory';
+        player.inventory.constructs.push(construct);
+
+        console.log(`ConstructManager: ${playerId} uninstalled ${construct.id} from ${territory.id}`);
+        this.game.turnManager?.executePlayerAction(player, {
+            type: 'uninstall_construct',
+            target: territory.id,
+            constructId: construct.id,
+            constructType: construct.type
+        });
+        this.game.broadcastEvent?.('construct.uninstalled', {
+            playerId: playerId,
+            constructId: construct.id,
+            territoryId: territory.id
+        });
+
+        return construct;
+    }
+
+    /**
+     * Arcanum returned for salvaging a construct
+     * @param {Construct} construct - The construct to salvage
+     * @returns {number} Arcanum returned
+     */
+    getSalvageValue(construct) {
+        const arcanumCost = CONSTRUCT_DEFINITIONS[construct.type]?.baseCost.arcanum || 0;
+        return Math.floor(arcanumCost * CONSTRUCT_SALVAGE.ARCANUM_SHARE);
+    }
+
+    /**
+     * Break up a construct, installed or in inventory, for part of its arcanum
+     * @param {string} playerId - The player's ID
+     * @param {string} constructId - The construct's ID
+     * @returns {Object} { construct, arcanum } with the arcanum returned
+     */
+    salvageConstruct(playerId, constructId) {
+        const player = this.getPlayer(playerId);
+        const construct = this.constructs.get(constructId) ||
+            player?.inventory?.constructs.find(c => c.id === constructId);
+
+        if (!construct || construct.owner?.id !== playerId) {
+            throw new Error('Construct not found');
+        }
+        if (!construct.isOutfitted()) {
+            throw new Error('A base construct has to be outfitted before it can be salvaged');
+        }
+        if (!['active', 'damaged', 'inventory'].includes(construct.status)) {
+            throw new Error('A construct being installed cannot be salvaged');
+        }
+
+        this.getActingPlayer(playerId, 'salvage_construct');
+
+        const territoryGrid = this.game.territoryGrid || this.game.gameFlowController?.territoryGrid;
+        const territory = construct.territory ||
+            (territoryGrid?.territories || []).find(t => t.construct === construct) || null;
+        if (territory) {
+            territory.removeConstruct();
+        }
+        player.inventory.constructs = player.inventory.constructs.filter(c => c !== construct);
+        this.constructs.delete(construct.id);
+        construct.status = 'destroyed';
+
+        const arcanum = this.getSalvageValue(construct);
+        player.resources.arcanum = (player.resources.arcanum || 0) + arcanum;
+
+        console.log(`ConstructManager: ${playerId} salvaged ${construct.id} for ${arcanum} arcanum`);
+        this.game.turnManager?.executePlayerAction(player, {
+            type: 'salvage_construct',
+            target: territory?.id || null,
+            constructId: construct.id,
+            constructType: construct.type,
+            arcanum: arcanum
+        });
+        this.game.broadcastEvent?.('construct.salvaged', {
+            playerId: playerId,
+            constructId: construct.id,
+            territoryId: territory?.id || null,
+            arcanum: arcanum
+        });
+
+        return { construct, arcanum };
+    }
+
+    /**
+     * Whether a damaged construct is worth repairing rather than salvaging
+     * Repair must cost less than replacing the construct would after its
+     * salvage value, and the player must be able to pay for it.
+     */
+    isWorthRepairing(player, construct) {
+        const maintenance = this.game.maintenance || this.game.gameFlowController?.maintenance;
+        if (!maintenance || !player) return false;
+
+        const total = (costs) => Object.values(costs).reduce((sum, amount) => sum + amount, 0);
+        const costs = maintenance.getRepairCosts(construct);
+        const replacement = total(CONSTRUCT_DEFINITIONS[construct.type]?.baseCost || {}) - this.getSalvageValue(construct);
+        return total(costs) < replacement && player.canAfford(costs);
+    }
+
+    /**
+     * Construct actions an AI player would take this turn
+     * A damaged construct is repaired when that is worth it and salvaged
+     * otherwise, and a construct on terrain it is not suited to is moved to
+     * an empty territory that suits it.
+     * @param {string} playerId - The AI player's ID
+     * @returns {Array} Actions as { type, territoryId, toTerritoryId, constructId }
+     */
+    getAIConstructActions(playerId) {
+        const territoryGrid = this.game.territoryGrid || this.game.gameFlowController?.territoryGrid;
+        const owned = territoryGrid?.getPlayerTerritories(playerId) || [];
+        const empty = owned.filter(t => !t.construct && !t.blocked);
+        const player = this.getPlayer(playerId);
+        const actions = [];
+
+        owned.filter(t => t.construct).forEach(territory => {
+            const construct = territory.construct;
+            if (construct.status === 'damaged') {
+                const type = this.isWorthRepairing(player, construct) ? 'repair_construct' : 'salvage_construct';
+                actions.push({ type, territoryId: territory.id, constructId: construct.id });
+                return;
+            }
+
+            const bestTerrain = CONSTRUCT_DEFINITIONS[construct.type]?.bestTerrain || [];
+            if (construct.status !== 'active' || construct.efficiency > 1.0 || bestTerrain.includes(territory.type)) {
+                return;
+            }
+
+            const destination = empty.find(t => bestTerrain.includes(t.type));
+            if (destination) {
+                empty.splice(empty.indexOf(destination), 1);
+                actions.push({
+                    type: 'move_construct',
+                    territoryId: territory.id,
+                    toTerritoryId: destination.id,
+                    constructId: construct.id
+                });
+            }
+        });
+
+        return actions;
+    }
+
+    /**
+     * Take a construct action chosen by getAIConstructActions
+     * @returns {boolean} Whether the action went through
+     */
+    performConstructAction(playerId, action) {
+        try {
+            switch (action.type) {
+                case 'move_construct':
+                    this.moveConstruct(playerId, action.territoryId, action.toTerritoryId);
+                    return true;
+                case 'uninstall_construct':
+                    this.uninstallConstruct(playerId, action.territoryId);
+                    return true;
+                case 'salvage_construct':
+                    this.salvageConstruct(playerId, action.constructId);
+                    return true;
+                case 'repair_construct':
+                    return this.game.maintenance.repairConstruct(playerId, action.constructId).success;
+                default:
+                    return false;
+            }
+        } catch (error) {
+            console.log(`ConstructManager: ${action.type} failed for ${playerId}: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * Update all constructs (called each game tick)
      */
     update() {
         // Process any ongoing installations
-        const now = Date.now();
+        const now = this.clock.now();
         const completedInstallations = [];
 
         this.installationQueue.forEach(installation => {
@@ -474,30 +708,19 @@ export default class ConstructManager {
 
     /**
      * Serialize construct manager state
+     * Installation progress is stored as elapsed game time so it resumes on load
      * @returns {Object} Serialized state
      */
     serialize() {
-        const constructsArray = [];
-        this.constructs.forEach(construct => {
-            constructsArray.push({
-                id: construct.id,
-                type: construct.type,
-                level: construct.level,
-                ownerId: construct.owner ? construct.owner.id : null,
-                territoryId: construct.territory ? construct.territory.id : null,
-                efficiency: construct.efficiency,
-                status: construct.status,
-                productionHistory: construct.productionHistory
-            });
-        });
+        const now = this.clock.now();
 
         return {
-            constructs: constructsArray,
+            constructs: Array.from(this.constructs.values()).map(construct => construct.serialize()),
             installationQueue: this.installationQueue.map(inst => ({
                 constructId: inst.construct.id,
                 territoryId: inst.territory.id,
                 playerId: inst.playerId,
-                startTime: inst.startTime,
+                elapsed: Math.max(0, now - inst.startTime),
                 duration: inst.duration
             }))
         };
@@ -505,6 +728,7 @@ export default class ConstructManager {
 
     /**
      * Deserialize construct manager state
+     * Territories must be restored first so placed constructs keep one instance
      * @param {Object} data - Serialized data
      * @param {Game} game - Game instance
      */
@@ -512,24 +736,17 @@ export default class ConstructManager {
         this.constructs.clear();
         this.installationQueue = [];
 
-        // Recreate constructs
-        data.constructs.forEach(constructData => {
-            const owner = this.getPlayer(constructData.ownerId);
-            const construct = new Construct({
-                id: constructData.id,
-                type: constructData.type,
-                level: constructData.level,
-                owner: owner,
-                status: constructData.status
-            });
+        const territoryGrid = game.territoryGrid || game.gameFlowController?.territoryGrid;
+        const findTerritory = (territoryId) => territoryGrid?.getTerritoryById(territoryId) || null;
 
-            construct.efficiency = constructData.efficiency;
-            construct.productionHistory = constructData.productionHistory;
+        // Recreate constructs
+        (data.constructs || []).forEach(constructData => {
+            const territory = constructData.territoryId ? findTerritory(constructData.territoryId) : null;
 
-            if (constructData.territoryId) {
-                const territory = game.territoryGrid ? 
-                    game.territoryGrid.getTerritory(constructData.territoryId) :
-                    game.gameFlowController?.territoryGrid?.getTerritory(constructData.territoryId);
+            // Reuse the construct the territory already restored
+            let construct = territory?.construct?.id === constructData.id ? territory.construct : null;
+            if (!construct) {
+                construct = Construct.deserialize(constructData, this.getPlayer(constructData.ownerId));
                 if (territory) {
                     construct.territory = territory;
                     territory.construct = construct;
@@ -539,22 +756,31 @@ export default class ConstructManager {
             this.constructs.set(construct.id, construct);
         });
 
+        // Inventories were saved as construct data - point them back at the instances
+        const players = this.game.stateManager?.gameState?.players || [];
+        players.forEach(player => {
+            if (player.inventory?.constructs) {
+                player.inventory.constructs = player.inventory.constructs
+                    .map(item => this.constructs.get(item.id))
+                    .filter(Boolean);
+            }
+        });
+
         // Recreate installation queue
-        data.installationQueue.forEach(instData => {
+        const now = this.clock.now();
+        (data.installationQueue || []).forEach(instData => {
             const construct = this.constructs.get(instData.constructId);
-            const territory = game.territoryGrid ? 
-                game.territoryGrid.getTerritory(instData.territoryId) :
-                game.gameFlowController?.territoryGrid?.getTerritory(instData.territoryId);
+            const territory = findTerritory(instData.territoryId);
             
             if (construct && territory) {
                 this.installationQueue.push({
                     construct: construct,
                     territory: territory,
                     playerId: instData.playerId,
-                    startTime: instData.startTime,
+                    startTime: now - (instData.elapsed || 0),
                     duration: instData.duration
                 });
             }
         });
     }
-}
\ No newline at end of file
+}
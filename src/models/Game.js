@@ -5,6 +5,7 @@ import Construct from './Construct.js';
 import Resource from './Resource.js';
 import Market from './Market.js';
 import ErrorHandler from '../utils/ErrorHandler.js';
+import SeededRandom from '../utils/SeededRandom.js';
 
 /**
  * Game Model
@@ -17,6 +18,7 @@ export default class Game {
      * @param {number} config.playerCount - Number of players
      * @param {number} config.totalCycles - Total game cycles
      * @param {Object} config.mapSize - Map dimensions
+     * @param {number|string} [config.seed] - Seed for every roll in the game
      */
     constructor(config = {}) {
         this.playerCount = config.playerCount || 4;
@@ -24,6 +26,7 @@ export default class Game {
         this.currentCycle = 1;
         this.totalCycles = config.totalCycles || 12;
         this.mapSize = config.mapSize || { width: 8, height: 6 };
+        this.random = new SeededRandom(config.seed);
         
         // Time tracking
         this.phaseTime = 0;
@@ -142,7 +145,8 @@ export default class Game {
                 basePrice: BASE_PRICES[type],
                 decayRate: DECAY_RATES[type],
                 productionRange: PRODUCTION_RATES[type],
-                volatility: this.getResourceVolatility(type)
+                volatility: this.getResourceVolatility(type),
+                random: this.random
             });
         }
     }
@@ -192,7 +196,8 @@ export default class Game {
         this.market = new Market({
             resources: this.resources,
             guildTax: 0.05,
-            equilibrium: 100 * this.playerCount
+            equilibrium: 100 * this.playerCount,
+            random: this.random
         });
     }
     
@@ -274,7 +279,7 @@ export default class Game {
         this.updateMarketPrices();
         
         // Random event
-        if (Math.random() < 0.3) { // 30% chance each cycle
+        if (this.random.chance(0.3)) { // 30% chance each cycle
             this.market.generateRandomEvent(this.currentCycle);
         }
         
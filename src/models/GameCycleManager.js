@@ -1,8 +1,12 @@
 import { GAME_SETTINGS } from '../config/gameConfig.js';
 import ErrorHandler from '../utils/ErrorHandler.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import GameClock from '../utils/GameClock.js';
 import ResourceProductionCalculator from './ResourceProductionCalculator.js';
 import ResourceStorage from './ResourceStorage.js';
 import ResourceDecay from './ResourceDecay.js';
+import ResourceConsumption from './ResourceConsumption.js';
+import RealmSurvival from './RealmSurvival.js';
 
 /**
  * GameCycleManager
@@ -14,8 +18,11 @@ export default class GameCycleManager {
         this.maxCycles = gameConfig.maxCycles || GAME_SETTINGS.TOTAL_CYCLES;
         this.currentPhase = 'territory_selection';
         this.phaseTimer = null;
+        this.phaseAdvanceAt = null;
+        this.resumePhaseAdvanceRemaining = null; // set when restoring a save
         this.cyclePhases = [
             'territory_selection',
+            'land_auction',
             'construct_outfitting', 
             'resource_production',
             'auction_phase',
@@ -24,6 +31,8 @@ export default class GameCycleManager {
         this.phaseIndex = 0;
         this.gameState = 'active'; // 'active', 'paused', 'ended'
         this.gameFlow = gameFlow; // Reference to GameFlowController
+        this.random = gameFlow?.random || new SeededRandom();
+        this.clock = gameFlow?.clock || new GameClock();
         
         // Event system
         this.eventListeners = {};
@@ -33,6 +42,8 @@ export default class GameCycleManager {
         this.resourceCalculator = null;
         this.resourceStorage = new ResourceStorage();
         this.resourceDecay = new ResourceDecay();
+        this.resourceConsumption = new ResourceConsumption();
+        this.realmSurvival = new RealmSurvival(this.random, this.resourceConsumption);
         
         // Phase configurations
         this.phaseConfigs = {
@@ -41,6 +52,11 @@ export default class GameCycleManager {
                 autoAdvance: false,
                 timeLimit: 120 // 2 minutes
             },
+            land_auction: {
+                allowsPlayerActions: false, // Bids come from any player at any time, not in turns
+                autoAdvance: false, // Ends when the last plot closes
+                timeLimit: 120
+            },
             construct_outfitting: {
                 allowsPlayerActions: true,
                 autoAdvance: false,
@@ -128,6 +144,9 @@ export default class GameCycleManager {
                 case 'territory_selection':
                     this.initializeTerritorySelection();
                     break;
+                case 'land_auction':
+                    this.initializeLandAuction();
+                    break;
                 case 'construct_outfitting':
                     this.initializeConstructOutfitting();
                     break;
@@ -177,6 +196,10 @@ export default class GameCycleManager {
                         this.gameFlow.territoryAcquisition.resolveDisputes();
                     }
                     break;
+                case 'land_auction':
+                    // Plots still to come wait for a later cycle's auction
+                    this.gameFlow?.landAuctions?.stop();
+                    break;
             }
             
             this.broadcastEvent('phase.ended', { 
@@ -197,10 +220,30 @@ export default class GameCycleManager {
         });
     }
 
+    /**
+     * Initialize land auction sub-phase
+     * Moves on once the last plot closes, or at once when there is nothing to sell.
+     */
+    initializeLandAuction() {
+        const started = this.gameFlow?.landAuctions?.startAuctions(() => this.onLandAuctionsComplete());
+        if (!started) {
+            this.schedulePhaseAdvance(0);
+        }
+    }
+
+    onLandAuctionsComplete() {
+        if (this.currentPhase === 'land_auction' && this.gameState === 'active') {
+            this.advancePhase();
+        }
+    }
+
     /**
      * Initialize construct outfitting phase
      */
     initializeConstructOutfitting() {
+        // The workshop builds this cycle's constructs from the Guild's arcanum
+        this.gameFlow?.workshop?.restock(this.currentCycle);
+        
         this.broadcastEvent('construct_outfitting.initialized', {
             cycle: this.currentCycle
         });
@@ -232,11 +275,18 @@ export default class GameCycleManager {
                 results: productionResults
             });
             
+            if (productionResults.lifeBlooms?.length > 0) {
+                this.broadcastEvent('construct.life_bloom', {
+                    cycle: this.currentCycle,
+                    blooms: productionResults.lifeBlooms
+                });
+            }
+            
             // Apply production to players with visual delays
             console.log('Scheduling production application for players...');
             productionResults.playerTotals.forEach((playerTotal, index) => {
                 console.log(`Scheduling player ${playerTotal.playerId} production in ${index * 500}ms`);
-                setTimeout(() => {
+                this.clock.setTimeout(() => {
                     console.log(`Applying production for player ${playerTotal.playerId}`);
                     this.applyProductionToPlayer(playerTotal);
                 }, index * 500);
@@ -244,7 +294,7 @@ export default class GameCycleManager {
             
             // Show production summary after all animations
             const totalDelay = productionResults.playerTotals.length * 500 + 1000;
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 this.broadcastEvent('resource_production.completed', {
                     cycle: this.currentCycle,
                     summary: this.generateProductionSummary(productionResults)
@@ -283,10 +333,16 @@ export default class GameCycleManager {
             cycle: this.currentCycle
         });
         
-        // Process resource decay, market events, etc.
+        // Process consumption, resource decay, market events, etc.
+        this.processResourceConsumption();
         this.processResourceDecay();
+        this.processRealmSurvival();
+        this.processBanking();
+        this.processPersonalEvents();
         this.processMarketEvents();
+        this.processConstructMaintenance();
         this.checkVictoryConditions();
+        if (this.gameState === 'ended') return;
         
         // Auto-advance after processing
         this.schedulePhaseAdvance(this.phaseConfigs.end_cycle_events.timeLimit);
@@ -372,13 +428,38 @@ export default class GameCycleManager {
                 playerId: playerTotal.playerId,
                 playerName: playerTotal.playerName,
                 territoryCount: playerTotal.territories.length,
-                totalResources: playerTotal.resources
+                totalResources: playerTotal.resources,
+                diminished: playerTotal.diminished
             });
         });
         
         return summary;
     }
 
+    /**
+     * Take each player's vitality and mana consumption before decay
+     */
+    processResourceConsumption() {
+        try {
+            const players = this.gameFlow?.stateManager?.gameState?.players || [];
+            const territories = this.gameFlow?.territoryGrid?.territories || [];
+            const results = this.resourceConsumption.consumeForAllPlayers(players, territories);
+            
+            results.forEach(result => {
+                console.log(`${result.playerName} consumed ${result.consumed.vitality} vitality, ${result.consumed.mana} mana` +
+                    (result.shortfall.vitality || result.shortfall.mana ?
+                        ` (short ${result.shortfall.vitality} vitality, ${result.shortfall.mana} mana)` : ''));
+            });
+            
+            this.broadcastEvent('resource_consumption.completed', {
+                cycle: this.currentCycle,
+                results: results
+            });
+        } catch (error) {
+            this.errorHandler.handleError(error, 'GameCycleManager.processResourceConsumption');
+        }
+    }
+
     /**
      * Process resource decay at end of cycle
      */
@@ -387,7 +468,7 @@ export default class GameCycleManager {
             console.log('=== PROCESSING RESOURCE DECAY ===');
             
             // Get all players
-            const players = this.gameFlow.game.players;
+            const players = this.gameFlow?.stateManager?.gameState?.players || [];
             
             // Apply decay to all players
             const decayResults = this.resourceDecay.applyDecayToAllPlayers(players);
@@ -406,7 +487,7 @@ export default class GameCycleManager {
             decayResults.forEach((result, index) => {
                 const totalDecay = Object.values(result.decayed).reduce((sum, val) => sum + val, 0);
                 if (totalDecay > 0) {
-                    setTimeout(() => {
+                    this.clock.setTimeout(() => {
                         this.broadcastEvent('player.resources_decayed', {
                             playerId: result.playerId,
                             playerName: result.playerName,
@@ -419,7 +500,7 @@ export default class GameCycleManager {
             
             // Broadcast completion after all animations
             const totalDelay = decayResults.length * 300 + 500;
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 this.broadcastEvent('resource_decay.completed', {
                     cycle: this.currentCycle,
                     summary: decaySummary
@@ -432,35 +513,71 @@ export default class GameCycleManager {
     }
 
     /**
-     * Process random market events
+     * Check whether players covered this cycle's consumption, escalating lasting shortages
      */
-    processMarketEvents() {
-        // Random chance for market events
-        const eventChance = Math.random();
-        
-        if (eventChance < 0.2) { // 20% chance per cycle
-            const events = [
-                'magical_convergence',
-                'life_bloom',
-                'ancient_discovery',
-                'aether_storm',
-                'mana_drought',
-                'planar_interference'
-            ];
-            
-            const selectedEvent = events[Math.floor(Math.random() * events.length)];
-            
-            this.broadcastEvent('market_event.triggered', {
-                event: selectedEvent,
-                cycle: this.currentCycle
+    processRealmSurvival() {
+        try {
+            const players = this.gameFlow?.stateManager?.gameState?.players || [];
+            const territories = this.gameFlow?.territoryGrid?.territories || [];
+            const report = this.realmSurvival.checkRequirements(players, territories);
+            
+            this.broadcastEvent('realm_survival.checked', {
+                cycle: this.currentCycle,
+                report: report
             });
+            
+            if (report.collapse) {
+                this.broadcastEvent('realm.collapsed', {
+                    cycle: this.currentCycle,
+                    destroyed: report.collapse.destroyed
+                });
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, 'GameCycleManager.processRealmSurvival');
         }
     }
 
+    /**
+     * Settle bank interest and loans that fall due
+     */
+    processBanking() {
+        this.gameFlow?.bank?.processEndOfCycle(this.currentCycle);
+    }
+
+    /**
+     * Roll each player's personal event, weighted by their standing
+     */
+    processPersonalEvents() {
+        this.gameFlow?.personalEvents?.processEndOfCycle(this.currentCycle);
+    }
+
+    /**
+     * Advance the world event under way and roll for a new one
+     */
+    processMarketEvents() {
+        this.gameFlow?.worldEvents?.processEndOfCycle(this.currentCycle);
+    }
+
+    /**
+     * Wear down constructs, roll for breakdowns and make automatic repairs
+     */
+    processConstructMaintenance() {
+        this.gameFlow?.maintenance?.processEndOfCycle(this.currentCycle);
+    }
+
     /**
      * Check for victory conditions
      */
     checkVictoryConditions() {
+        if (this.realmSurvival.collapsed) {
+            this.broadcastEvent('game.victory_check', {
+                cycle: this.currentCycle,
+                realmCollapsed: true
+            });
+            this.endGame('realm_collapse');
+            return;
+        }
+        
         if (this.currentCycle >= this.maxCycles) {
             this.broadcastEvent('game.victory_check', {
                 cycle: this.currentCycle,
@@ -475,7 +592,8 @@ export default class GameCycleManager {
     schedulePhaseAdvance(delay) {
         this.clearPhaseTimer();
         
-        this.phaseTimer = setTimeout(() => {
+        this.phaseAdvanceAt = this.clock.now() + delay * 1000;
+        this.phaseTimer = this.clock.setTimeout(() => {
             this.advancePhase();
         }, delay * 1000); // Convert to milliseconds
     }
@@ -485,21 +603,23 @@ export default class GameCycleManager {
      */
     clearPhaseTimer() {
         if (this.phaseTimer) {
-            clearTimeout(this.phaseTimer);
+            this.clock.clearTimeout(this.phaseTimer);
             this.phaseTimer = null;
         }
+        this.phaseAdvanceAt = null;
     }
 
     /**
      * End the game
      */
-    endGame() {
+    endGame(reason = 'cycles_complete') {
         try {
             this.gameState = 'ended';
             this.clearPhaseTimer();
             
             this.broadcastEvent('game.ended', {
-                finalCycle: this.currentCycle
+                finalCycle: this.currentCycle,
+                reason: reason
             });
         } catch (error) {
             this.errorHandler.handleError(error, 'GameCycleManager.endGame');
@@ -556,6 +676,74 @@ export default class GameCycleManager {
         };
     }
 
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            currentCycle: this.currentCycle,
+            currentPhase: this.currentPhase,
+            phaseIndex: this.phaseIndex,
+            gameState: this.gameState,
+            phaseAdvanceRemaining: this.phaseTimer ? Math.max(0, this.phaseAdvanceAt - this.clock.now()) : null,
+            resourceStorage: this.resourceStorage.getSerializableState(),
+            resourceDecay: this.resourceDecay.getSerializableState(),
+            realmSurvival: this.realmSurvival.getSerializableState()
+        };
+    }
+
+    /**
+     * Restore from saved state
+     * Call resumeCurrentPhase() afterwards to restart the phase's pending timer
+     */
+    restoreFromState(savedState) {
+        this.clearPhaseTimer();
+        this.currentCycle = savedState.currentCycle;
+        this.currentPhase = savedState.currentPhase;
+        // The phase name decides, so saves from before a phase was added still line up
+        const phaseIndex = this.cyclePhases.indexOf(savedState.currentPhase);
+        this.phaseIndex = phaseIndex !== -1 ? phaseIndex : savedState.phaseIndex;
+        this.gameState = savedState.gameState || this.gameState;
+        this.resumePhaseAdvanceRemaining = savedState.phaseAdvanceRemaining ?? null;
+        
+        if (savedState.resourceStorage) {
+            this.resourceStorage.restoreFromState(savedState.resourceStorage);
+        }
+        if (savedState.resourceDecay) {
+            this.resourceDecay.restoreFromState(savedState.resourceDecay);
+        }
+        if (savedState.realmSurvival) {
+            this.realmSurvival.restoreFromState(savedState.realmSurvival);
+        }
+    }
+
+    /**
+     * Continue a restored phase without re-running its start-of-phase work
+     * (production and decay were already applied before the save).
+     * An auction in progress is not saved, so the auction phase opens again.
+     */
+    resumeCurrentPhase() {
+        const advancePending = this.resumePhaseAdvanceRemaining !== null;
+        if (advancePending) {
+            this.schedulePhaseAdvance(this.resumePhaseAdvanceRemaining / 1000);
+            this.resumePhaseAdvanceRemaining = null;
+        }
+        
+        if (this.currentPhase === 'auction_phase') {
+            this.initializeAuctions();
+        }
+        // A land auction with plots left carries on with the open plot's time left
+        if (this.currentPhase === 'land_auction' && !advancePending) {
+            this.gameFlow?.landAuctions?.resumeAuctions(() => this.onLandAuctionsComplete());
+        }
+        
+        this.broadcastEvent('phase.resumed', {
+            phase: this.currentPhase,
+            cycle: this.currentCycle,
+            config: this.phaseConfigs[this.currentPhase]
+        });
+    }
+
     /**
      * Force advance to a specific phase (for testing/admin)
      */
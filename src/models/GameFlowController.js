@@ -6,10 +6,21 @@ import GamePersistence from './GamePersistence.js';
 import TerritoryGrid from './TerritoryGrid.js';
 import TerritoryAcquisition from './TerritoryAcquisition.js';
 import TerritoryImprovement from './TerritoryImprovement.js';
+import LandAuctionManager from './LandAuctionManager.js';
 import GoldManager from './GoldManager.js';
+import TradeOfferManager from './TradeOfferManager.js';
+import Bank from './Bank.js';
+import PersonalEventSystem from './PersonalEventSystem.js';
+import WorldEventSystem from './WorldEventSystem.js';
 import ConstructManager from './ConstructManager.js';
+import GuildWorkshop from './GuildWorkshop.js';
+import ConstructMaintenance from './ConstructMaintenance.js';
 import ResourceProductionCalculator from './ResourceProductionCalculator.js';
+import ReplayRecorder from './ReplayRecorder.js';
 import ErrorHandler from '../utils/ErrorHandler.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import GameClock from '../utils/GameClock.js';
+import { MAP_PRESETS, MAP_GENERATION } from '../config/gameConfig.js';
 
 /**
  * GameFlowController
@@ -23,28 +34,51 @@ export default class GameFlowController {
         // Error handling
         this.errorHandler = new ErrorHandler();
         
+        // Shared seeded random source - every system rolls through this
+        // so the same seed and inputs reproduce the same game
+        this.random = new SeededRandom(config.seed);
+        
+        // Shared clock for all game timers (real time unless one is supplied)
+        this.clock = config.clock || new GameClock();
+        
+        // Emitter for subsystems that publish through the game flow (AuctionManager)
+        this.events = {
+            emit: (eventName, data) => this.broadcastEvent(eventName, data)
+        };
+        
         // Initialize core systems
         this.cycleManager = new GameCycleManager(config, this);
         this.turnManager = new TurnManager([], this);
-        this.timeManager = new TimeManager();
+        this.timeManager = new TimeManager(this.clock);
         this.stateManager = new GameStateManager();
         this.persistence = new GamePersistence(config.storageType || 'localStorage');
         
         // Initialize territory management systems
+        // A map preset sets the terrain style and a default size; a map from the editor replaces both
+        const mapPreset = MAP_PRESETS[config.mapPreset] ? config.mapPreset : MAP_GENERATION.DEFAULT_PRESET;
         this.territoryGrid = new TerritoryGrid(
-            config.mapWidth || 8, 
-            config.mapHeight || 6, 
-            this
+            config.mapWidth || MAP_PRESETS[mapPreset].width, 
+            config.mapHeight || MAP_PRESETS[mapPreset].height, 
+            this,
+            mapPreset,
+            config.customMap
         );
         this.territoryAcquisition = new TerritoryAcquisition(this);
+        this.landAuctions = new LandAuctionManager(this);
         // TerritoryImprovement will be created per territory as needed
         this.territoryImprovement = null;
         
         // Initialize economy management
         this.goldManager = new GoldManager(this);
+        this.tradeOfferManager = new TradeOfferManager(this);
+        this.bank = new Bank(this);
+        this.personalEvents = new PersonalEventSystem(this);
+        this.worldEvents = new WorldEventSystem(this);
         
         // Initialize construct system
         this.constructManager = new ConstructManager(this);
+        this.workshop = new GuildWorkshop(this);
+        this.maintenance = new ConstructMaintenance(this);
         this.resourceProductionCalculator = new ResourceProductionCalculator(this);
         
         // Game state
@@ -64,6 +98,9 @@ export default class GameFlowController {
         if (this.territoryGrid && this.territoryGrid.setupEventListeners) {
             this.territoryGrid.setupEventListeners();
         }
+        
+        // Record every game for replay
+        this.replayRecorder = new ReplayRecorder(this);
     }
 
     /**
@@ -81,12 +118,20 @@ export default class GameFlowController {
         this.cycleManager.on('territory.produced', (data) => this.broadcastEvent('territory.produced', data));
         this.cycleManager.on('player.production_applied', (data) => this.broadcastEvent('player.production_applied', data));
         this.cycleManager.on('resource_production.completed', (data) => this.broadcastEvent('resource_production.completed', data));
+        this.cycleManager.on('construct.life_bloom', (data) => this.broadcastEvent('construct.life_bloom', data));
+        
+        // Resource consumption events - forward them
+        this.cycleManager.on('resource_consumption.completed', (data) => this.broadcastEvent('resource_consumption.completed', data));
         
         // Resource decay events - forward them
         this.cycleManager.on('resource_decay.processing', (data) => this.broadcastEvent('resource_decay.processing', data));
         this.cycleManager.on('player.resources_decayed', (data) => this.broadcastEvent('player.resources_decayed', data));
         this.cycleManager.on('resource_decay.completed', (data) => this.broadcastEvent('resource_decay.completed', data));
         
+        // Realm survival events - forward them
+        this.cycleManager.on('realm_survival.checked', (data) => this.broadcastEvent('realm_survival.checked', data));
+        this.cycleManager.on('realm.collapsed', (data) => this.broadcastEvent('realm.collapsed', data));
+        
         // Auction phase events - forward them
         this.cycleManager.on('auction_phase.initialized', (data) => {
             console.log('GameFlowController: Forwarding auction_phase.initialized event');
@@ -121,7 +166,7 @@ export default class GameFlowController {
     setupSystemIntegrations() {
         // Enable auto-save if configured
         if (this.autoSaveEnabled) {
-            this.persistence.enableAutoSave(this.stateManager, this.autoSaveInterval);
+            this.persistence.enableAutoSave(this, this.autoSaveInterval);
         }
     }
 
@@ -135,8 +180,13 @@ export default class GameFlowController {
                 throw new Error('At least one player is required');
             }
             
-            // Initialize game state
-            const gameInitialized = this.stateManager.initializeGame(players, settings);
+            // Initialize game state (seed and map are recorded so the game can be reproduced)
+            const gameInitialized = this.stateManager.initializeGame(players, {
+                ...settings,
+                seed: this.random.seed,
+                mapPreset: this.territoryGrid.mapPreset,
+                customMap: this.territoryGrid.customMap
+            });
             if (!gameInitialized) {
                 throw new Error('Failed to initialize game state');
             }
@@ -162,13 +212,17 @@ export default class GameFlowController {
             this.isInitialized = true;
             this.gameId = this.stateManager.gameState.gameId;
             
+            // Start recording before the first phase begins
+            this.replayRecorder.start(players, settings);
+            
             // Start the game flow
             this.startGameFlow();
             
             this.broadcastEvent('game.initialized', {
                 gameId: this.gameId,
                 players: players.map(p => ({ id: p.id, name: p.name })),
-                settings: settings
+                settings: settings,
+                seed: this.random.seed
             });
             
             return { success: true, gameId: this.gameId };
@@ -274,11 +328,13 @@ export default class GameFlowController {
             currentPlayerIndex: data.turnIndex
         });
         
-        // Start player timer if not in simultaneous phase
-        if (!this.turnManager.isSimultaneousPhase()) {
+        // Start player timer if not in simultaneous phase (a resumed turn keeps its restored timer)
+        const hasRestoredTimer = data.resumed && this.timeManager.playerTimers.has(data.player.id);
+        if (!this.turnManager.isSimultaneousPhase() && !hasRestoredTimer) {
             const phaseConfig = this.cycleManager.phaseConfigs[this.cycleManager.currentPhase];
             if (phaseConfig && phaseConfig.timeLimit) {
-                this.timeManager.startPlayerTimer(data.player.id, this.cycleManager.currentPhase);
+                this.timeManager.startPlayerTimer(data.player.id, this.cycleManager.currentPhase,
+                    this.turnManager.getTurnTimeLimit(data.player));
             }
         }
         
@@ -441,15 +497,17 @@ export default class GameFlowController {
             // Calculate total wealth (gold + territories + constructs + resources)
             let totalWealth = player.gold || 0;
             
+            // Ownership lives on the territory grid; player.territories is not kept in sync
+            const territories = this.territoryGrid?.getPlayerTerritories(player.id) || player.territories || [];
+            const constructs = territories.filter(t => t.construct).map(t => t.construct);
+            
             // Territory values
-            totalWealth += (player.territories || []).length * 50;
+            totalWealth += territories.length * 50;
             
             // Construct values
-            if (player.constructs) {
-                totalWealth += player.constructs.reduce((sum, construct) => {
-                    return sum + (construct.level || 1) * 75;
-                }, 0);
-            }
+            totalWealth += constructs.reduce((sum, construct) => {
+                return sum + (construct.level || 1) * 75;
+            }, 0);
             
             // Resource values (at current market prices)
             if (player.resources) {
@@ -459,12 +517,19 @@ export default class GameFlowController {
                 }
             }
             
+            // Gold in the bank counts, loans still owed count against
+            const bankDeposit = this.bank.getDeposit(player.id);
+            const loanBalance = this.bank.getLoanBalance(player.id);
+            totalWealth += bankDeposit - loanBalance;
+            
             return {
                 playerId: player.id,
                 playerName: player.name || player.id,
                 gold: player.gold || 0,
-                territories: (player.territories || []).length,
-                constructs: (player.constructs || []).length,
+                territories: territories.length,
+                constructs: constructs.length,
+                bankDeposit: bankDeposit,
+                loanBalance: loanBalance,
                 totalWealth: totalWealth,
                 score: totalWealth // Final score equals total wealth
             };
@@ -532,7 +597,7 @@ export default class GameFlowController {
         this.timeManager.pauseAllTimers();
         
         // Save pause state
-        this.persistence.saveGame(this.stateManager.gameState, 'pause_save');
+        this.persistence.saveGame(this.getSerializableState(), 'pause_save');
         
         this.stateManager.updateGameState({
             gameStatus: 'paused'
@@ -566,76 +631,87 @@ export default class GameFlowController {
         });
     }
 
-    /**
-     * Save game
-     */
-    async saveGame(slotName = 'manual_save') {
-        try {
-            const result = await this.persistence.saveGame(this.stateManager.gameState, slotName);
-            return result;
-        } catch (error) {
-            this.errorHandler.handleError(error, 'GameFlowController.saveGame');
-            return { success: false, error: error.message };
-        }
-    }
-
-    /**
-     * Load game
-     */
-    async loadGame(slotName) {
-        try {
-            const result = await this.persistence.loadGame(slotName);
-            
-            if (result.success) {
-                // Import the loaded state - pass the complete save data structure
-                const imported = this.stateManager.importGameState({
-                    version: result.version || '1.0',
-                    gameState: result.gameState,
-                    stateHistory: result.stateHistory || []
-                });
-                
-                if (imported) {
-                    // Reinitialize systems with loaded state
-                    this.reinitializeFromLoadedState();
-                    
-                    this.broadcastEvent('game.loaded', {
-                        slotName: slotName,
-                        gameId: this.stateManager.gameState.gameId,
-                        metadata: result.metadata
-                    });
-                }
-                
-                return { success: imported, gameState: this.stateManager.gameState };
-            }
-            
-            return result;
-        } catch (error) {
-            this.errorHandler.handleError(error, 'GameFlowController.loadGame');
-            return { success: false, error: error.message };
-        }
-    }
-
     /**
      * Reinitialize systems from loaded state
+     * Every stateful system is restored before play resumes mid-phase
      */
     reinitializeFromLoadedState() {
         const gameState = this.stateManager.gameState;
+        const systems = gameState.systems || {};
+        
+        // System state lives in the systems themselves once restored
+        delete gameState.systems;
+        
+        // Territories first - constructs and improvements are rebuilt on them
+        if (gameState.territories) {
+            this.territoryGrid.restoreFromState({
+                territories: gameState.territories,
+                mapPreset: gameState.settings?.mapPreset,
+                customMap: gameState.settings?.customMap,
+                leyLines: gameState.leyLines
+            });
+        }
+        if (gameState.territoryAcquisition) {
+            this.territoryAcquisition.restoreFromState(gameState.territoryAcquisition);
+        }
+        if (gameState.constructs && this.constructManager) {
+            this.constructManager.deserialize(gameState.constructs, this);
+        }
+        
+        // Restore random sequence position
+        if (gameState.randomState) {
+            this.random.restoreState(gameState.randomState);
+        }
         
         // Update cycle manager
-        this.cycleManager.currentCycle = gameState.currentCycle;
-        this.cycleManager.currentPhase = gameState.currentPhase;
-        this.cycleManager.gameState = gameState.gameStatus;
+        if (systems.cycle) {
+            this.cycleManager.restoreFromState(systems.cycle);
+        } else {
+            this.cycleManager.currentCycle = gameState.currentCycle;
+            this.cycleManager.currentPhase = gameState.currentPhase;
+            this.cycleManager.phaseIndex = this.cycleManager.cyclePhases.indexOf(gameState.currentPhase);
+            this.cycleManager.gameState = gameState.gameStatus;
+        }
         
         // Update turn manager
         this.turnManager.players = gameState.players;
-        this.turnManager.currentPlayerIndex = gameState.currentPlayerIndex;
-        this.turnManager.setPhase(gameState.currentPhase);
+        if (systems.turns) {
+            this.turnManager.restoreFromState(systems.turns);
+        } else {
+            this.turnManager.setPhase(gameState.currentPhase);
+            this.turnManager.currentPlayerIndex = gameState.currentPlayerIndex || 0;
+        }
         
-        // Restore territory system if territories exist
-        if (gameState.territories) {
-            this.territoryGrid.restoreFromState({
-                territories: gameState.territories
-            });
+        // Market systems are attached by the scene when it has them
+        if (systems.marketEvents && this.marketEventSystem) {
+            this.marketEventSystem.restoreFromState(systems.marketEvents);
+        }
+        if (systems.auctionAnalytics && this.auctionAnalytics) {
+            this.auctionAnalytics.restoreFromState(systems.auctionAnalytics);
+        }
+        if (systems.guildStore && this.auctionManager?.guildStore) {
+            this.auctionManager.guildStore.restoreFromState(systems.guildStore);
+        }
+        if (systems.tradeOffers) {
+            this.tradeOfferManager.restoreFromState(systems.tradeOffers);
+        }
+        if (systems.bank) {
+            this.bank.restoreFromState(systems.bank);
+        }
+        if (systems.personalEvents) {
+            this.personalEvents.restoreFromState(systems.personalEvents);
+        }
+        if (systems.worldEvents) {
+            this.worldEvents.restoreFromState(systems.worldEvents);
+        }
+        if (systems.landAuctions) {
+            this.landAuctions.restoreFromState(systems.landAuctions);
+        }
+        if (systems.workshop) {
+            this.workshop.restoreFromState(systems.workshop);
+        }
+        if (systems.maintenance) {
+            this.maintenance.restoreFromState(systems.maintenance);
         }
         
         // Set flags
@@ -643,10 +719,68 @@ export default class GameFlowController {
         this.gameId = gameState.gameId;
         this.isPaused = gameState.gameStatus === 'paused';
         
-        // If game was active, resume flow
+        // Timers first so the resumed turn keeps its running player timer
+        this.timeManager.clearAllTimers();
+        if (systems.timers) {
+            this.timeManager.restoreFromState(systems.timers);
+        }
+        
+        // If game was active, pick the flow back up where it was saved
         if (gameState.gameStatus === 'active') {
-            this.startGameFlow();
+            this.resumeGameFlow();
         }
+        if (this.isPaused) {
+            this.timeManager.pauseAllTimers();
+        }
+    }
+
+    /**
+     * Resume a loaded game mid-phase
+     * Restarting the phase would repeat production and reset turns,
+     * so the restored phase and turn are continued instead.
+     */
+    resumeGameFlow() {
+        if (!this.isInitialized) {
+            throw new Error('Game not initialized');
+        }
+        
+        this.cycleManager.resumeCurrentPhase();
+        this.turnManager.resumeTurnSequence();
+    }
+
+    /**
+     * Get the complete serializable game world
+     * @returns {Object} Game state with every system's saved state
+     */
+    getSerializableState() {
+        return {
+            ...this.stateManager.gameState,
+            
+            // Territories, constructs and claim state as they are now
+            territories: this.territoryGrid.getSerializableState().territories,
+            leyLines: this.territoryGrid.leyLines.getSerializableState(),
+            territoryAcquisition: this.territoryAcquisition.getSerializableState(),
+            constructs: this.constructManager.serialize(),
+            
+            // Keep the random sequence position so a loaded game rolls the same way
+            randomState: this.random.getState(),
+            
+            systems: {
+                cycle: this.cycleManager.getSerializableState(),
+                turns: this.turnManager.getSerializableState(),
+                timers: this.timeManager.getSerializableState(),
+                tradeOffers: this.tradeOfferManager.getSerializableState(),
+                bank: this.bank.getSerializableState(),
+                personalEvents: this.personalEvents.getSerializableState(),
+                worldEvents: this.worldEvents.getSerializableState(),
+                landAuctions: this.landAuctions.getSerializableState(),
+                workshop: this.workshop.getSerializableState(),
+                maintenance: this.maintenance.getSerializableState(),
+                marketEvents: this.marketEventSystem ? this.marketEventSystem.getSerializableState() : null,
+                auctionAnalytics: this.auctionAnalytics ? this.auctionAnalytics.getSerializableState() : null,
+                guildStore: this.auctionManager?.guildStore ? this.auctionManager.guildStore.getSerializableState() : null
+            }
+        };
     }
 
     /**
@@ -685,16 +819,7 @@ export default class GameFlowController {
      */
     async saveGame(slotName = 'autosave') {
         try {
-            // Get current game state
-            const gameState = this.stateManager.gameState;
-            
-            // Add construct data to game state
-            if (this.constructManager) {
-                gameState.constructs = this.constructManager.serialize();
-            }
-            
-            // Save the game
-            const result = await this.persistence.saveGame(gameState, slotName);
+            const result = await this.persistence.saveGame(this.getSerializableState(), slotName);
             
             if (result.success) {
                 this.broadcastEvent('game.saved', { slotName });
@@ -715,22 +840,17 @@ export default class GameFlowController {
             const result = await this.persistence.loadGame(slotName);
             
             if (result.success) {
-                const loadedState = result.saveData.gameState;
-                
-                // Restore game state
-                this.stateManager.gameState = loadedState;
-                
-                // Restore constructs if data exists
-                if (loadedState.constructs && this.constructManager) {
-                    this.constructManager.deserialize(loadedState.constructs, this);
-                }
+                // Already upgraded to the current save format by GamePersistence
+                this.stateManager.gameState = result.gameState;
                 
                 // Re-initialize systems with loaded state
-                this.turnManager.players = loadedState.players;
-                this.cycleManager.currentCycle = loadedState.currentCycle;
-                this.cycleManager.currentPhase = loadedState.currentPhase;
+                this.reinitializeFromLoadedState();
                 
-                this.broadcastEvent('game.loaded', { slotName });
+                this.broadcastEvent('game.loaded', {
+                    slotName: slotName,
+                    gameId: this.gameId,
+                    metadata: result.metadata
+                });
             }
             
             return result;
@@ -803,6 +923,8 @@ export default class GameFlowController {
     destroy() {
         // Stop all timers
         this.timeManager.clearAllTimers();
+        this.tradeOfferManager.clearTimers();
+        this.landAuctions.stop();
         
         // Disable auto-save
         this.persistence.disableAutoSave();
@@ -1,4 +1,5 @@
 import ErrorHandler from '../utils/ErrorHandler.js';
+import SaveMigrationRegistry from './SaveMigrationRegistry.js';
 
 /**
  * GamePersistence
@@ -28,6 +29,9 @@ export default class GamePersistence {
         
         // In-memory storage for fallback
         this.memoryStorage = new Map();
+        
+        // Save format versions and upgrades for older saves
+        this.migrations = new SaveMigrationRegistry();
     }
 
     /**
@@ -55,16 +59,17 @@ export default class GamePersistence {
      */
     async saveGame(gameState, slotName = 'autosave') {
         try {
+            const versionedState = {
+                ...this.cloneGameState(gameState),
+                version: this.migrations.currentVersion
+            };
             const saveData = {
-                version: '1.0',
+                version: this.migrations.currentVersion,
                 timestamp: Date.now(),
                 slotName: slotName,
-                gameState: {
-                    ...this.cloneGameState(gameState),
-                    version: '1.0'  // Add version to gameState for consistency
-                },
+                gameState: versionedState,
                 metadata: this.extractMetadata(gameState),
-                checksum: this.generateChecksum(gameState)
+                checksum: this.generateChecksum(versionedState)
             };
 
             let result;
@@ -125,23 +130,38 @@ export default class GamePersistence {
                 return { success: false, error: 'Save file not found' };
             }
             
-            // Validate save data
+            // Refuse saves this build can't read before looking inside them
+            const saveVersion = SaveMigrationRegistry.parseVersion(saveData.version);
+            const compatibility = this.migrations.checkCompatibility(saveVersion);
+            if (!compatibility.compatible) {
+                return this.reportIncompatibleSave(slotName, saveVersion, compatibility);
+            }
+            
+            // Validate save data as it was written
             const validation = this.validateSaveData(saveData);
             if (!validation.valid) {
                 return { success: false, error: `Save file corrupted: ${validation.error}` };
             }
             
+            // Upgrade older saves step by step
+            const { saveData: migratedData, applied } = this.migrations.migrate(saveData, saveVersion);
+            
             this.broadcastEvent('load.completed', {
                 slotName: slotName,
-                metadata: saveData.metadata,
-                timestamp: saveData.timestamp
+                metadata: migratedData.metadata,
+                timestamp: migratedData.timestamp,
+                saveVersion: saveVersion,
+                migrations: applied
             });
             
             return { 
                 success: true, 
-                gameState: saveData.gameState, 
-                metadata: saveData.metadata,
-                timestamp: saveData.timestamp
+                gameState: migratedData.gameState, 
+                metadata: migratedData.metadata,
+                timestamp: migratedData.timestamp,
+                saveVersion: saveVersion,
+                version: migratedData.version,
+                migrations: applied
             };
         } catch (error) {
             this.errorHandler.handleError(error, 'GamePersistence.loadGame');
@@ -153,6 +173,24 @@ export default class GamePersistence {
         }
     }
 
+    /**
+     * Build the failure result for a save this build can't load
+     */
+    reportIncompatibleSave(slotName, saveVersion, compatibility) {
+        console.error(`Cannot load save "${slotName}": ${compatibility.error}`);
+        
+        const report = {
+            success: false,
+            error: compatibility.error,
+            reason: compatibility.reason,
+            saveVersion: saveVersion,
+            supportedVersion: this.migrations.currentVersion
+        };
+        
+        this.broadcastEvent('load.failed', { slotName: slotName, ...report });
+        return report;
+    }
+
     /**
      * Save to localStorage
      */
@@ -446,15 +484,19 @@ export default class GamePersistence {
 
     /**
      * Enable auto-save
+     * @param {Object} stateSource - GameFlowController (whole world) or GameStateManager
+     * @param {number} [interval] - Milliseconds between saves
      */
-    enableAutoSave(gameStateManager, interval = null) {
+    enableAutoSave(stateSource, interval = null) {
         this.disableAutoSave();
         
         const saveInterval = interval || this.autoSaveInterval;
         
         this.autoSaveTimer = setInterval(async () => {
             try {
-                await this.saveGame(gameStateManager.gameState, 'autosave');
+                const gameState = stateSource.getSerializableState ?
+                    stateSource.getSerializableState() : stateSource.gameState;
+                await this.saveGame(gameState, 'autosave');
             } catch (error) {
                 console.warn('Auto-save failed:', error.message);
             }
@@ -494,8 +536,10 @@ export default class GamePersistence {
     validateSaveData(saveData) {
         try {
             // Check version compatibility
-            if (!saveData.version || saveData.version !== '1.0') {
-                return { valid: false, error: 'Incompatible save version' };
+            const saveVersion = SaveMigrationRegistry.parseVersion(saveData.version);
+            const compatibility = this.migrations.checkCompatibility(saveVersion);
+            if (!compatibility.compatible) {
+                return { valid: false, error: compatibility.error };
             }
             
             // Check required fields
@@ -568,7 +612,7 @@ export default class GamePersistence {
             }
             
             const exportData = {
-                version: '1.0',
+                version: this.migrations.currentVersion,
                 exportTime: Date.now(),
                 originalSlot: slotName,
                 saveData: saveResult
@@ -590,20 +634,31 @@ export default class GamePersistence {
     async importSave(saveFileContent, newSlotName) {
         try {
             const importData = JSON.parse(saveFileContent);
+            if (!importData.saveData?.gameState) {
+                throw new Error('Import file has no saved game');
+            }
             
-            if (importData.version !== '1.0') {
-                throw new Error('Incompatible import file version');
+            // Exports carry the format of the save they wrap (older ones only the file version)
+            const saveVersion = SaveMigrationRegistry.parseVersion(
+                importData.saveData.version ?? importData.saveData.gameState.version ?? importData.version
+            );
+            const compatibility = this.migrations.checkCompatibility(saveVersion);
+            if (!compatibility.compatible) {
+                return this.reportIncompatibleSave(newSlotName, saveVersion, compatibility);
             }
             
-            const result = await this.saveGame(importData.saveData.gameState, newSlotName);
+            const { saveData: migratedData, applied } = this.migrations.migrate(importData.saveData, saveVersion);
+            const result = await this.saveGame(migratedData.gameState, newSlotName);
             
             this.broadcastEvent('save.imported', {
                 originalSlot: importData.originalSlot,
                 newSlot: newSlotName,
-                metadata: importData.saveData.metadata
+                metadata: importData.saveData.metadata,
+                saveVersion: saveVersion,
+                migrations: applied
             });
             
-            return result;
+            return { ...result, saveVersion: saveVersion, migrations: applied };
         } catch (error) {
             return { success: false, error: error.message };
         }
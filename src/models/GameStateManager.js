@@ -1,5 +1,6 @@
 import { RESOURCE_TYPES, BASE_PRICES, GAME_SETTINGS } from '../config/gameConfig.js';
 import ErrorHandler from '../utils/ErrorHandler.js';
+import SaveMigrationRegistry, { SAVE_FORMAT_VERSION } from './SaveMigrationRegistry.js';
 
 /**
  * GameStateManager
@@ -7,8 +8,9 @@ import ErrorHandler from '../utils/ErrorHandler.js';
  */
 export default class GameStateManager {
     constructor() {
+        this.idCounter = 0;
         this.gameState = {
-            version: '1.0',  // Add version as first field
+            version: SAVE_FORMAT_VERSION,  // Save format version, checked on load
             gameId: this.generateGameId(),
             startTime: Date.now(),
             currentCycle: 1,
@@ -312,7 +314,7 @@ export default class GameStateManager {
             return `Invalid cycle: ${this.gameState.currentCycle}`;
         }
         
-        const validPhases = ['territory_selection', 'construct_outfitting', 'resource_production', 'auction_phase', 'end_cycle_events'];
+        const validPhases = ['territory_selection', 'land_auction', 'construct_outfitting', 'resource_production', 'auction_phase', 'end_cycle_events'];
         if (!validPhases.includes(this.gameState.currentPhase)) {
             return `Invalid phase: ${this.gameState.currentPhase}`;
         }
@@ -439,6 +441,13 @@ export default class GameStateManager {
         return this.gameState.players.find(p => p.id === playerId);
     }
 
+    /**
+     * Get the current game state (used by the auction services)
+     */
+    getState() {
+        return this.gameState;
+    }
+
     /**
      * Get player actions for a specific cycle
      */
@@ -503,19 +512,19 @@ export default class GameStateManager {
      * Generate unique IDs
      */
     generateGameId() {
-        return `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `game_${++this.idCounter}`;
     }
 
     generateActionId() {
-        return `action_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `action_${++this.idCounter}`;
     }
 
     generateUpdateId() {
-        return `update_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `update_${++this.idCounter}`;
     }
 
     generateSnapshotId() {
-        return `snapshot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `snapshot_${++this.idCounter}`;
     }
 
     /**
@@ -550,7 +559,7 @@ export default class GameStateManager {
      */
     exportGameState() {
         return {
-            version: '1.0',
+            version: SAVE_FORMAT_VERSION,
             exportTime: Date.now(),
             gameState: this.cloneState(this.gameState),
             stateHistory: this.stateHistory.slice(-10), // Export last 10 snapshots
@@ -569,12 +578,13 @@ export default class GameStateManager {
     importGameState(exportedData) {
         try {
             // Check both locations for version (backward compatibility)
-            const version = exportedData.version || exportedData.gameState?.version || exportedData?.version;
+            const version = SaveMigrationRegistry.parseVersion(exportedData.version || exportedData.gameState?.version);
             if (!version) {
                 throw new Error('Save file missing version information');
             }
-            if (version !== '1.0') {
-                throw new Error(`Unsupported save version: ${version}`);
+            // Older formats are upgraded by GamePersistence before they get here
+            if (version !== SAVE_FORMAT_VERSION) {
+                throw new Error(`Unsupported save version: ${version} (expected ${SAVE_FORMAT_VERSION})`);
             }
             
             this.gameState = this.cloneState(exportedData.gameState);
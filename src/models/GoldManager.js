@@ -6,6 +6,7 @@ export default class GoldManager {
     constructor(gameFlowController) {
         this.gameFlow = gameFlowController;
         this.transactionHistory = [];
+        this.transactionCounter = 0;
     }
     
     /**
@@ -29,7 +30,7 @@ export default class GoldManager {
         
         // Log transaction
         const transaction = {
-            id: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `txn_${++this.transactionCounter}`,
             playerId: playerId,
             amount: -amount,
             reason: reason,
@@ -80,7 +81,7 @@ export default class GoldManager {
         
         // Log transaction
         const transaction = {
-            id: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `txn_${++this.transactionCounter}`,
             playerId: playerId,
             amount: amount,
             reason: reason,
@@ -0,0 +1,145 @@
+import { GUILD_STORE } from '../config/gameConfig.js';
+
+export const GUILD_STORE_ID = 'guild_store';
+
+/**
+ * GuildStore
+ * Market maker in the resource auctions. The store always quotes a price it
+ * buys at and a higher price it sells at, around the market price, and can
+ * only sell what players have sold it or what it took in from production.
+ */
+export default class GuildStore {
+    constructor(config = {}) {
+        this.id = GUILD_STORE_ID;
+        this.name = 'Guild Store';
+
+        // Per-resource stock
+        this.inventory = { ...GUILD_STORE.STARTING_STOCK, ...config.startingStock };
+        this.boughtFromPlayers = {}; // resource -> units players sold the store, not yet used up
+
+        // Pricing
+        this.spread = config.spread ?? GUILD_STORE.SPREAD;
+        this.productionShare = config.productionShare ?? GUILD_STORE.PRODUCTION_SHARE;
+        this.quotes = new Map(); // resource -> {buyPrice, sellPrice}
+    }
+
+    /**
+     * Set the store's prices for a resource around the market price
+     * @param {string} resource - Resource type
+     * @param {number} marketPrice - Price from MarketDataService.calculateDynamicPrice
+     * @param {Object} priceRange - Auction price range { min, max }
+     * @returns {Object} The quote
+     */
+    updateQuote(resource, marketPrice, priceRange = { min: 10, max: 100 }) {
+        const halfSpread = this.spread / 2;
+        const sellPrice = Math.max(priceRange.min + 1, Math.min(priceRange.max, Math.round(marketPrice * (1 + halfSpread))));
+        const buyPrice = Math.max(priceRange.min, Math.min(sellPrice - 1, Math.round(marketPrice * (1 - halfSpread))));
+
+        const quote = { buyPrice, sellPrice };
+        this.quotes.set(resource, quote);
+        return quote;
+    }
+
+    /**
+     * Stop quoting a resource; the store takes no part in its auction
+     * @param {string} resource - Resource type
+     */
+    withdrawQuote(resource) {
+        this.quotes.delete(resource);
+    }
+
+    /**
+     * Get the store's quote and stock for a resource
+     * @param {string} resource - Resource type
+     * @returns {Object|null} { resource, buyPrice, sellPrice, stock } or null if not quoted
+     */
+    getQuote(resource) {
+        const quote = this.quotes.get(resource);
+        if (!quote) return null;
+
+        return {
+            resource: resource,
+            buyPrice: quote.buyPrice,
+            sellPrice: quote.sellPrice,
+            stock: this.getStock(resource)
+        };
+    }
+
+    getStock(resource) {
+        return this.inventory[resource] || 0;
+    }
+
+    addStock(resource, amount) {
+        this.inventory[resource] = this.getStock(resource) + amount;
+    }
+
+    removeStock(resource, amount) {
+        this.inventory[resource] = Math.max(0, this.getStock(resource) - amount);
+    }
+
+    /**
+     * Take resources a player sold the store into stock
+     */
+    buyFromPlayer(resource, amount) {
+        this.addStock(resource, amount);
+        this.boughtFromPlayers[resource] = (this.boughtFromPlayers[resource] || 0) + amount;
+    }
+
+    /**
+     * Units players sold the store that are still in stock
+     */
+    getBoughtFromPlayers(resource) {
+        return Math.min(this.boughtFromPlayers[resource] || 0, this.getStock(resource));
+    }
+
+    /**
+     * Use up stock that players sold the store
+     */
+    useBoughtFromPlayers(resource, amount) {
+        this.removeStock(resource, amount);
+        this.boughtFromPlayers[resource] = Math.max(0, (this.boughtFromPlayers[resource] || 0) - amount);
+    }
+
+    /**
+     * Take a share of the cycle's realm production into stock
+     * @param {Object} totalProduction - resource -> amount produced by all players
+     * @returns {Object} Amount added per resource
+     */
+    restockFromProduction(totalProduction = {}) {
+        const added = {};
+
+        Object.entries(totalProduction).forEach(([resource, amount]) => {
+            const share = Math.floor(amount * this.productionShare);
+            if (share > 0) {
+                this.addStock(resource, share);
+                added[resource] = share;
+            }
+        });
+
+        return added;
+    }
+
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            inventory: { ...this.inventory },
+            boughtFromPlayers: { ...this.boughtFromPlayers },
+            quotes: Array.from(this.quotes.entries())
+        };
+    }
+
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        if (savedState.inventory) {
+            this.inventory = { ...savedState.inventory };
+        }
+        this.boughtFromPlayers = { ...savedState.boughtFromPlayers };
+        if (savedState.quotes) {
+            this.quotes = new Map(savedState.quotes);
+        }
+    }
+}
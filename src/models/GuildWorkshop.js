@@ -0,0 +1,268 @@
+import ErrorHandler from '../utils/ErrorHandler.js';
+import Construct from './Construct.js';
+import { WORKSHOP, CONSTRUCT_DEFINITIONS } from '../config/gameConfig.js';
+
+/**
+ * GuildWorkshop
+ * The Guild's construct workshop. A player buys a base construct, then pays
+ * to attune (outfit) it to one resource before installing it; an installed
+ * construct can be re-attuned in place for a fee. The workshop only has so
+ * many constructs: each outfitting phase it builds more from the arcanum
+ * players have sold to the Guild Store.
+ */
+export default class GuildWorkshop {
+    constructor(gameFlowController) {
+        this.gameFlow = gameFlowController;
+        this.errorHandler = new ErrorHandler();
+
+        this.stock = WORKSHOP.STARTING_STOCK;
+        this.nextConstructId = 1;
+    }
+
+    /**
+     * Gold to attune a construct to a construct type
+     */
+    getAttunementCost(constructType) {
+        return WORKSHOP.ATTUNEMENT_COSTS[CONSTRUCT_DEFINITIONS[constructType]?.resourceType] ?? null;
+    }
+
+    /**
+     * Gold for a base construct attuned to a construct type
+     */
+    getOutfittedPrice(constructType) {
+        return WORKSHOP.BASE_PRICE + this.getAttunementCost(constructType);
+    }
+
+    /**
+     * Gold for the cheapest outfitted construct
+     */
+    getLowestPrice() {
+        return WORKSHOP.BASE_PRICE + Math.min(...Object.values(WORKSHOP.ATTUNEMENT_COSTS));
+    }
+
+    /**
+     * Gold to re-attune an installed construct to a construct type
+     */
+    getReoutfitCost(constructType) {
+        return this.getAttunementCost(constructType) + WORKSHOP.REOUTFIT_FEE;
+    }
+
+    /**
+     * Build new constructs from the arcanum players sold the Guild Store
+     * Called as each outfitting phase begins. The store's own starting stock
+     * and its share of production do not count. Without a market attached
+     * there is no Guild Store, and so no new stock.
+     * @returns {number} Constructs built
+     */
+    restock(cycle) {
+        const guildStore = this.gameFlow.auctionManager?.guildStore;
+        const arcanum = guildStore ? guildStore.getBoughtFromPlayers('arcanum') : 0;
+        const built = Math.max(0, Math.min(WORKSHOP.MAX_STOCK - this.stock, Math.floor(arcanum / WORKSHOP.ARCANUM_PER_CONSTRUCT)));
+
+        if (built > 0) {
+            guildStore.useBoughtFromPlayers('arcanum', built * WORKSHOP.ARCANUM_PER_CONSTRUCT);
+            this.stock += built;
+        }
+
+        console.log(`GuildWorkshop: built ${built} constructs, ${this.stock} in stock`);
+        this.gameFlow.broadcastEvent('workshop.restocked', { cycle, built, stock: this.stock });
+        return built;
+    }
+
+    /**
+     * Buy a base construct into the player's inventory
+     * @returns {Object} { success, construct } or { success: false, error }
+     */
+    buyConstruct(playerId) {
+        try {
+            const player = this.gameFlow.stateManager.getPlayer(playerId);
+            if (!player) {
+                return { success: false, error: 'Player not found' };
+            }
+            if (this.stock <= 0) {
+                return { success: false, error: 'The workshop has no constructs left this cycle' };
+            }
+
+            const payment = this.gameFlow.goldManager.deductGold(playerId, WORKSHOP.BASE_PRICE, 'Workshop: base construct');
+            if (!payment.success) {
+                return payment;
+            }
+
+            const construct = this.takeFromStock(player);
+            this.gameFlow.broadcastEvent('workshop.construct_purchased', {
+                playerId,
+                constructId: construct.id,
+                price: WORKSHOP.BASE_PRICE,
+                stock: this.stock
+            });
+
+            return { success: true, construct };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'GuildWorkshop.buyConstruct');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Attune a base construct in the player's inventory
+     * @returns {Object} { success, construct } or { success: false, error }
+     */
+    outfitConstruct(playerId, constructId, constructType) {
+        try {
+            const player = this.gameFlow.stateManager.getPlayer(playerId);
+            const construct = player?.inventory?.constructs.find(c => c.id === constructId);
+            const cost = this.getAttunementCost(constructType);
+
+            if (!construct) {
+                return { success: false, error: 'Construct not in your inventory' };
+            }
+            if (construct.isOutfitted()) {
+                return { success: false, error: 'Construct is already outfitted' };
+            }
+            if (cost === null) {
+                return { success: false, error: `Invalid construct type: ${constructType}` };
+            }
+
+            const payment = this.gameFlow.goldManager.deductGold(playerId, cost, `Workshop: outfit ${constructType}`);
+            if (!payment.success) {
+                return payment;
+            }
+
+            construct.outfit(constructType);
+            this.gameFlow.broadcastEvent('workshop.construct_outfitted', { playerId, constructId, constructType, cost });
+
+            return { success: true, construct };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'GuildWorkshop.outfitConstruct');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Buy a construct and attune it in one go, paying for both
+     * @returns {Object} { success, construct, price } or { success: false, error }
+     */
+    purchaseOutfitted(playerId, constructType) {
+        if (this.getAttunementCost(constructType) === null) {
+            return { success: false, error: `Invalid construct type: ${constructType}` };
+        }
+
+        const price = this.getOutfittedPrice(constructType);
+        const player = this.gameFlow.stateManager.getPlayer(playerId);
+        if (player && player.gold < price) {
+            return { success: false, error: `Insufficient gold (need ${price})` };
+        }
+
+        const purchase = this.buyConstruct(playerId);
+        if (!purchase.success) {
+            return purchase;
+        }
+
+        const outfitting = this.outfitConstruct(playerId, purchase.construct.id, constructType);
+        if (!outfitting.success) {
+            return outfitting;
+        }
+
+        return { success: true, construct: purchase.construct, price };
+    }
+
+    /**
+     * Re-attune an installed construct in place
+     * It keeps its level and efficiency.
+     * @returns {Object} { success, construct, cost } or { success: false, error }
+     */
+    reoutfitConstruct(playerId, territoryId, constructType) {
+        try {
+            const territory = this.gameFlow.territoryGrid.getTerritoryById(territoryId);
+            const construct = territory?.construct;
+            const cost = this.getAttunementCost(constructType) === null ? null : this.getReoutfitCost(constructType);
+
+            if (!territory || territory.ownerId !== playerId || !construct) {
+                return { success: false, error: 'You have no construct on this territory' };
+            }
+            if (construct.status !== 'active') {
+                return { success: false, error: 'Only a working construct can be re-outfitted' };
+            }
+            if (cost === null) {
+                return { success: false, error: `Invalid construct type: ${constructType}` };
+            }
+            if (construct.type === constructType) {
+                return { success: false, error: 'Construct is already outfitted for this' };
+            }
+
+            const payment = this.gameFlow.goldManager.deductGold(playerId, cost, `Workshop: re-outfit ${constructType}`);
+            if (!payment.success) {
+                return payment;
+            }
+
+            const previousType = construct.type;
+            construct.outfit(constructType);
+
+            console.log(`GuildWorkshop: ${playerId} re-outfitted ${territoryId} from ${previousType} to ${constructType}`);
+            this.gameFlow.broadcastEvent('workshop.construct_reoutfitted', {
+                playerId,
+                territoryId,
+                constructId: construct.id,
+                previousType,
+                constructType,
+                cost
+            });
+
+            return { success: true, construct, cost };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'GuildWorkshop.reoutfitConstruct');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Take back a construct whose installation was called off, refunding
+     * what the player paid for it
+     */
+    returnConstruct(playerId, construct, refund) {
+        const player = this.gameFlow.stateManager.getPlayer(playerId);
+        if (player?.inventory) {
+            player.inventory.constructs = player.inventory.constructs.filter(c => c !== construct);
+        }
+        this.gameFlow.constructManager.constructs.delete(construct.id);
+        this.stock++;
+        this.gameFlow.goldManager.addGold(playerId, refund, 'Workshop: construct returned');
+    }
+
+    takeFromStock(player) {
+        const construct = new Construct({
+            id: `workshop_${this.nextConstructId++}`,
+            type: null,
+            level: 1,
+            owner: player,
+            status: 'inventory'
+        });
+
+        if (!player.inventory) {
+            player.inventory = { constructs: [] };
+        }
+        player.inventory.constructs.push(construct);
+        this.gameFlow.constructManager.constructs.set(construct.id, construct);
+        this.stock--;
+
+        return construct;
+    }
+
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            stock: this.stock,
+            nextConstructId: this.nextConstructId
+        };
+    }
+
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        this.stock = savedState.stock ?? WORKSHOP.STARTING_STOCK;
+        this.nextConstructId = savedState.nextConstructId || 1;
+    }
+}
@@ -0,0 +1,455 @@
+import ErrorHandler from '../utils/ErrorHandler.js';
+import { LAND_AUCTIONS } from '../config/gameConfig.js';
+
+/**
+ * LandAuctionManager
+ * Runs the land auction sub-phase that follows territory selection
+ * (Territory Auction Phase). Plots come up one at a time: claims queued by
+ * TerritoryAcquisition.addToAuction, a few random unclaimed plots, and plots
+ * their owners have put up for sale with a reserve price. Bidding is
+ * ascending; when a plot's time runs out the highest bidder pays and takes it.
+ */
+export default class LandAuctionManager {
+    constructor(gameFlowController) {
+        this.gameFlow = gameFlowController;
+        this.clock = gameFlowController.clock;
+        this.errorHandler = new ErrorHandler();
+
+        this.listings = new Map(); // territory ID -> { territoryId, sellerId, reservePrice, listedCycle }
+        this.lots = []; // Plots still to come up this cycle
+        this.currentLot = null; // { id, territoryId, source, sellerId, startingBid, highBid, highBidderId, bids, endsAt }
+        this.lotTimer = null;
+        this.history = []; // Closed lots, oldest first
+        this.maxHistorySize = 50;
+        this.nextLotId = 1;
+    }
+
+    /**
+     * Put an owned plot up for sale at the next land auction
+     * Plots pledged to the bank cannot be sold.
+     * @param {string} playerId - Owner
+     * @param {string} territoryId - Plot to sell
+     * @param {number} reservePrice - Lowest price the owner will accept; bidding opens here
+     * @returns {Object} { success, listing } or { success: false, error }
+     */
+    listTerritory(playerId, territoryId, reservePrice) {
+        try {
+            const territory = this.gameFlow.territoryGrid.getTerritoryById(territoryId);
+            const reserve = Math.floor(reservePrice);
+
+            if (!territory || territory.ownerId !== playerId) {
+                return { success: false, error: 'You can only sell territory you own' };
+            }
+            if (this.isForSale(territoryId)) {
+                return { success: false, error: 'This territory is already for sale' };
+            }
+            if (this.gameFlow.bank?.getPledgedTerritoryIds().has(territoryId)) {
+                return { success: false, error: 'This territory is pledged to the bank' };
+            }
+            if (!Number.isFinite(reserve) || reserve < LAND_AUCTIONS.MIN_INCREMENT) {
+                return { success: false, error: `The reserve price must be at least ${LAND_AUCTIONS.MIN_INCREMENT} gold` };
+            }
+
+            const listing = {
+                territoryId,
+                sellerId: playerId,
+                reservePrice: reserve,
+                listedCycle: this.getCurrentCycle()
+            };
+            this.listings.set(territoryId, listing);
+
+            console.log(`LandAuctionManager: ${playerId} put ${territoryId} up for sale (reserve ${reserve})`);
+            this.gameFlow.broadcastEvent('land_auction.listed', { ...listing });
+
+            return { success: true, listing };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'LandAuctionManager.listTerritory');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Take a plot off the market before its auction opens
+     */
+    withdrawListing(playerId, territoryId) {
+        const listing = this.listings.get(territoryId);
+        if (!listing || listing.sellerId !== playerId) {
+            return { success: false, error: 'You have no sale of this territory' };
+        }
+        if (this.isOnAuction(territoryId)) {
+            return { success: false, error: 'Bidding on this territory has already begun' };
+        }
+
+        this.listings.delete(territoryId);
+        this.gameFlow.broadcastEvent('land_auction.withdrawn', { territoryId, sellerId: playerId });
+        return { success: true };
+    }
+
+    isOnAuction(territoryId) {
+        return this.currentLot?.territoryId === territoryId || this.lots.some(lot => lot.territoryId === territoryId);
+    }
+
+    /**
+     * Whether a plot is listed or waiting in this cycle's auction
+     */
+    isForSale(territoryId) {
+        return this.listings.has(territoryId) || this.isOnAuction(territoryId);
+    }
+
+    /**
+     * Gather this cycle's plots and open the first
+     * @param {Function} onComplete - Called once the last plot closes
+     * @returns {boolean} Whether any plot came up; if none did, onComplete is not called
+     */
+    startAuctions(onComplete = null) {
+        try {
+            this.onComplete = onComplete;
+            this.lots = [];
+            this.currentLot = null;
+
+            this.queueClaims();
+            this.queueUnclaimedLand();
+            this.queueListings();
+
+            this.gameFlow.broadcastEvent('land_auction.started', {
+                cycle: this.getCurrentCycle(),
+                lots: this.lots.map(lot => ({ ...lot }))
+            });
+
+            if (this.lots.length === 0) {
+                this.stop();
+                return false;
+            }
+
+            this.openNextLot();
+            return true;
+        } catch (error) {
+            this.errorHandler.handleError(error, 'LandAuctionManager.startAuctions');
+            this.stop();
+            return false;
+        }
+    }
+
+    /**
+     * Claims made without a free claim open with the claimant's bid
+     */
+    queueClaims() {
+        const acquisition = this.gameFlow.territoryAcquisition;
+
+        acquisition.auctionQueue.forEach(item => {
+            const territory = this.gameFlow.territoryGrid.getTerritoryById(item.territoryId);
+            if (!territory || territory.ownerId || this.isOnAuction(territory.id)) return;
+
+            const lot = this.createLot(territory, 'claim', null, item.minimumBid);
+            const opening = item.bids.reduce((highest, bid) => bid.amount > highest.amount ? bid : highest, item.bids[0]);
+            if (opening && (this.gameFlow.stateManager.getPlayer(opening.playerId)?.gold || 0) >= opening.amount) {
+                lot.highBid = opening.amount;
+                lot.highBidderId = opening.playerId;
+                lot.bids.push({ playerId: opening.playerId, amount: opening.amount });
+            }
+            this.lots.push(lot);
+        });
+
+        acquisition.auctionQueue = [];
+    }
+
+    /**
+     * A few plots nobody has claimed come up at random
+     */
+    queueUnclaimedLand() {
+        const open = this.gameFlow.territoryGrid.getUnownedTerritories()
+            .filter(territory => !territory.blocked && !this.isOnAuction(territory.id));
+
+        this.gameFlow.random.shuffle(open)
+            .slice(0, LAND_AUCTIONS.UNCLAIMED_PER_CYCLE)
+            .forEach(territory => {
+                this.lots.push(this.createLot(territory, 'unclaimed', null,
+                    this.gameFlow.territoryAcquisition.calculateMinimumBid(territory)));
+            });
+    }
+
+    /**
+     * Plots up for sale open at their reserve price
+     */
+    queueListings() {
+        this.listings.forEach((listing, territoryId) => {
+            const territory = this.gameFlow.territoryGrid.getTerritoryById(territoryId);
+            if (!territory || territory.ownerId !== listing.sellerId) {
+                this.listings.delete(territoryId);
+                return;
+            }
+            this.lots.push(this.createLot(territory, 'resale', listing.sellerId, listing.reservePrice));
+        });
+    }
+
+    createLot(territory, source, sellerId, startingBid) {
+        return {
+            id: `land_${this.nextLotId++}`,
+            territoryId: territory.id,
+            source, // 'claim', 'unclaimed' or 'resale'
+            sellerId,
+            startingBid,
+            highBid: 0,
+            highBidderId: null,
+            bids: [],
+            endsAt: null
+        };
+    }
+
+    /**
+     * Open the next plot for bidding
+     */
+    openNextLot() {
+        this.currentLot = this.lots.shift() || null;
+        if (!this.currentLot) {
+            this.finish();
+            return;
+        }
+
+        this.scheduleClose(LAND_AUCTIONS.LOT_DURATION * 1000);
+        console.log(`LandAuctionManager: bidding opens on ${this.currentLot.territoryId} at ${this.getMinimumBid()}`);
+        this.gameFlow.broadcastEvent('land_auction.lot_opened', { lot: { ...this.currentLot }, remaining: this.lots.length });
+    }
+
+    scheduleClose(delay) {
+        this.clearLotTimer();
+        this.currentLot.endsAt = this.clock.now() + delay;
+        this.lotTimer = this.clock.setTimeout(() => this.closeLot(), delay);
+    }
+
+    clearLotTimer() {
+        if (this.lotTimer) {
+            this.clock.clearTimeout(this.lotTimer);
+            this.lotTimer = null;
+        }
+    }
+
+    /**
+     * Lowest bid the open plot will take
+     */
+    getMinimumBid() {
+        if (!this.currentLot) return null;
+        return this.currentLot.highBidderId ?
+            this.currentLot.highBid + LAND_AUCTIONS.MIN_INCREMENT : this.currentLot.startingBid;
+    }
+
+    /**
+     * What an AI player bids on the open plot: the minimum bid, while that is
+     * within a fifth over the plot's worth and leaves it gold to build with
+     * @param {Object} player - AI player
+     * @param {number} keepGold - Gold the player holds back
+     * @returns {number|null} Bid, or null to pass
+     */
+    getAIBid(player, keepGold = 0) {
+        const lot = this.currentLot;
+        if (!lot || lot.sellerId === player.id || lot.highBidderId === player.id) return null;
+
+        const territory = this.gameFlow.territoryGrid.getTerritoryById(lot.territoryId);
+        const bid = this.getMinimumBid();
+        const value = Math.round(territory.getWorth() * 1.2);
+
+        return bid <= value && player.gold - bid >= keepGold ? bid : null;
+    }
+
+    getTimeRemaining() {
+        return this.currentLot ? Math.max(0, this.currentLot.endsAt - this.clock.now()) : 0;
+    }
+
+    /**
+     * Bid on the open plot
+     * @returns {Object} { success, lot } or { success: false, error }
+     */
+    placeBid(playerId, amount) {
+        try {
+            const lot = this.currentLot;
+            const player = this.gameFlow.stateManager.getPlayer(playerId);
+            const bid = Math.floor(amount);
+
+            if (!lot) {
+                return { success: false, error: 'No territory is up for auction' };
+            }
+            if (!player) {
+                return { success: false, error: 'Player not found' };
+            }
+            if (lot.sellerId === playerId) {
+                return { success: false, error: 'You cannot bid on your own territory' };
+            }
+            if (lot.highBidderId === playerId) {
+                return { success: false, error: 'You already hold the highest bid' };
+            }
+            if (!(bid >= this.getMinimumBid())) {
+                return { success: false, error: `The bid must be at least ${this.getMinimumBid()} gold` };
+            }
+            if (player.gold < bid) {
+                return { success: false, error: 'Insufficient gold' };
+            }
+
+            lot.highBid = bid;
+            lot.highBidderId = playerId;
+            lot.bids.push({ playerId, amount: bid });
+
+            // A late bid gives the others a moment to answer
+            if (this.getTimeRemaining() < LAND_AUCTIONS.BID_EXTENSION * 1000) {
+                this.scheduleClose(LAND_AUCTIONS.BID_EXTENSION * 1000);
+            }
+
+            this.gameFlow.broadcastEvent('land_auction.bid_placed', {
+                lotId: lot.id,
+                territoryId: lot.territoryId,
+                playerId,
+                amount: bid
+            });
+
+            return { success: true, lot: { ...lot } };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'LandAuctionManager.placeBid');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Award the open plot to its highest bidder and open the next
+     * A winner who can no longer pay loses the plot; it stays as it was.
+     */
+    closeLot() {
+        const lot = this.currentLot;
+        if (!lot) return null;
+
+        this.clearLotTimer();
+        this.currentLot = null;
+
+        let result;
+        try {
+            result = this.settleLot(lot);
+        } catch (error) {
+            this.errorHandler.handleError(error, 'LandAuctionManager.closeLot');
+            result = { ...lot, sold: false };
+        }
+
+        this.history.push(result);
+        if (this.history.length > this.maxHistorySize) {
+            this.history.shift();
+        }
+        this.gameFlow.broadcastEvent('land_auction.lot_closed', result);
+
+        this.openNextLot();
+        return result;
+    }
+
+    settleLot(lot) {
+        const territory = this.gameFlow.territoryGrid.getTerritoryById(lot.territoryId);
+        const stillForSale = territory && (lot.sellerId ? territory.ownerId === lot.sellerId : !territory.ownerId);
+        const closed = { ...lot, endsAt: null, cycle: this.getCurrentCycle(), sold: false };
+
+        if (!stillForSale || !lot.highBidderId) {
+            console.log(`LandAuctionManager: ${lot.territoryId} went unsold`);
+            return closed;
+        }
+        // Collateral stays with the borrower until the loan is settled
+        if (this.gameFlow.bank?.getPledgedTerritoryIds().has(lot.territoryId)) {
+            console.log(`LandAuctionManager: ${lot.territoryId} is pledged to the bank and cannot be sold`);
+            this.listings.delete(lot.territoryId);
+            return { ...closed, pledged: true };
+        }
+
+        const payment = this.gameFlow.goldManager.deductGold(lot.highBidderId, lot.highBid, `Land auction: ${lot.territoryId}`);
+        if (!payment.success) {
+            console.log(`LandAuctionManager: ${lot.highBidderId} could not pay for ${lot.territoryId}`);
+            return closed;
+        }
+        if (lot.sellerId) {
+            this.gameFlow.goldManager.addGold(lot.sellerId, lot.highBid, `Sale of ${lot.territoryId}`);
+            this.listings.delete(lot.territoryId);
+        }
+
+        // Whatever stands on the plot goes with it
+        const buyer = this.gameFlow.stateManager.getPlayer(lot.highBidderId);
+        territory.setOwner(lot.highBidderId);
+        if (territory.construct) {
+            territory.construct.owner = buyer;
+        }
+        this.gameFlow.broadcastEvent('territory.ownership_changed', {
+            territoryId: territory.id,
+            newOwner: lot.highBidderId,
+            previousOwner: lot.sellerId
+        });
+
+        console.log(`LandAuctionManager: ${lot.highBidderId} bought ${lot.territoryId} for ${lot.highBid}`);
+        return { ...closed, sold: true, winnerId: lot.highBidderId, price: lot.highBid };
+    }
+
+    /**
+     * All plots are done; hand the phase back
+     */
+    finish() {
+        this.clearLotTimer();
+        this.currentLot = null;
+        this.lots = [];
+        this.gameFlow.broadcastEvent('land_auction.completed', { cycle: this.getCurrentCycle() });
+
+        const onComplete = this.onComplete;
+        this.onComplete = null;
+        if (onComplete) {
+            onComplete();
+        }
+    }
+
+    /**
+     * Continue a restored land auction: the open plot keeps its time left
+     */
+    resumeAuctions(onComplete = null) {
+        this.onComplete = onComplete;
+        if (!this.currentLot) {
+            this.openNextLot();
+            return;
+        }
+        this.scheduleClose(this.currentLot.remainingTime ?? LAND_AUCTIONS.LOT_DURATION * 1000);
+        delete this.currentLot.remainingTime;
+    }
+
+    /**
+     * Stop bidding without settling; plots not yet sold wait for a later auction
+     */
+    stop() {
+        this.clearLotTimer();
+        this.currentLot = null;
+        this.lots = [];
+        this.onComplete = null;
+    }
+
+    getCurrentCycle() {
+        return this.gameFlow.cycleManager?.currentCycle || 1;
+    }
+
+    /**
+     * Get serializable state
+     * The open plot's end time is stored as time remaining so it resumes on load
+     */
+    getSerializableState() {
+        return {
+            listings: Array.from(this.listings.values()).map(listing => ({ ...listing })),
+            lots: this.lots.map(lot => ({ ...lot, bids: lot.bids.map(bid => ({ ...bid })) })),
+            currentLot: this.currentLot ? {
+                ...this.currentLot,
+                bids: this.currentLot.bids.map(bid => ({ ...bid })),
+                endsAt: null,
+                remainingTime: this.getTimeRemaining()
+            } : null,
+            history: this.history.map(lot => ({ ...lot })),
+            nextLotId: this.nextLotId
+        };
+    }
+
+    /**
+     * Restore from saved state
+     * GameCycleManager.resumeCurrentPhase picks the open plot's timer back up.
+     */
+    restoreFromState(savedState) {
+        this.stop();
+        this.listings = new Map((savedState.listings || []).map(listing => [listing.territoryId, { ...listing }]));
+        this.lots = (savedState.lots || []).map(lot => ({ ...lot }));
+        this.currentLot = savedState.currentLot ? { ...savedState.currentLot } : null;
+        this.history = (savedState.history || []).map(lot => ({ ...lot }));
+        this.nextLotId = savedState.nextLotId || 1;
+    }
+}
@@ -0,0 +1,209 @@
+import { LEY_LINES } from '../config/gameConfig.js';
+import HexUtils from '../utils/HexUtils.js';
+
+/**
+ * LeyLineNetwork
+ * Ley lines wander across the map from edge to edge. Territories a player
+ * holds along them strengthen each other when they touch (Ley Line Mastery),
+ * and some patterns of control grant harmonics (Magical Harmonics):
+ * owning all six neighbours of a territory, or a territory where lines cross.
+ */
+export default class LeyLineNetwork {
+    /**
+     * @param {TerritoryGrid} territoryGrid - Grid the lines run across
+     */
+    constructor(territoryGrid) {
+        this.grid = territoryGrid;
+        this.hexUtils = new HexUtils(1);
+        this.lines = []; // [{ id, cells: [{ q, r }] }] in the order each line runs
+        this.linesByHex = new Map(); // "q,r" -> ids of the lines through the hex
+    }
+
+    /**
+     * Lay out the lines for the current map
+     * @param {SeededRandom} random - Random source, so a seed always gives the same lines
+     */
+    generate(random) {
+        const count = Math.max(LEY_LINES.MIN_LINES,
+            Math.round(this.grid.territories.length / LEY_LINES.TERRITORIES_PER_LINE));
+
+        this.lines = [];
+        for (let i = 0; i < count; i++) {
+            const cells = this.drawLine(random);
+            if (cells) {
+                this.lines.push({ id: `ley_${i}`, cells: cells });
+            }
+        }
+        this.indexLines();
+    }
+
+    /**
+     * Walk a line in from an edge of the map until it leaves the map again
+     * The line bends by at most one direction at a time and never crosses itself.
+     * @returns {Array<Object>|null} Cells of the line, or null if no long enough line was found
+     */
+    drawLine(random) {
+        const edges = this.grid.territories.filter(t =>
+            this.hexUtils.neighbors(t.q, t.r).some(n => !this.grid.getTerritoryAt(n.q, n.r)));
+
+        for (let attempt = 0; attempt < 10; attempt++) {
+            let { q, r } = random.pick(edges);
+            const inward = [0, 1, 2, 3, 4, 5].filter(dir => {
+                const next = this.hexUtils.neighbors(q, r)[dir];
+                return this.grid.getTerritoryAt(next.q, next.r);
+            });
+            let direction = random.pick(inward);
+            const cells = [{ q, r }];
+
+            for (;;) {
+                if (random.chance(LEY_LINES.BEND_CHANCE)) {
+                    direction = (direction + random.pick([-1, 1]) + 6) % 6;
+                }
+                const next = this.hexUtils.neighbors(q, r)[direction];
+                if (!this.grid.getTerritoryAt(next.q, next.r) ||
+                    cells.some(cell => cell.q === next.q && cell.r === next.r)) break;
+
+                cells.push(next);
+                ({ q, r } = next);
+            }
+
+            if (cells.length >= LEY_LINES.MIN_LENGTH) return cells;
+        }
+        return null;
+    }
+
+    indexLines() {
+        this.linesByHex = new Map();
+        this.lines.forEach(line => line.cells.forEach(({ q, r }) => {
+            const key = `${q},${r}`;
+            this.linesByHex.set(key, [...(this.linesByHex.get(key) || []), line.id]);
+        }));
+    }
+
+    /**
+     * Ids of the lines running through a territory
+     */
+    getLinesAt(territory) {
+        return this.linesByHex.get(`${territory.q},${territory.r}`) || [];
+    }
+
+    isOnLeyLine(territory) {
+        return this.getLinesAt(territory).length > 0;
+    }
+
+    /**
+     * Territories on the lines connected to this one that the same player holds
+     * @param {Territory} territory - Territory to start from
+     * @param {string} [ownerId] - Player to count for (the territory's owner by default)
+     * @returns {Array<Territory>} The group, including the territory; empty if it is off the lines
+     */
+    getConnectedGroup(territory, ownerId = territory.ownerId) {
+        if (!ownerId || !this.isOnLeyLine(territory)) return [];
+
+        const group = [];
+        const visited = new Set([territory.id]);
+        const queue = [territory];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            group.push(current);
+
+            this.hexUtils.neighbors(current.q, current.r).forEach(({ q, r }) => {
+                const neighbour = this.grid.getTerritoryAt(q, r);
+                if (neighbour && !visited.has(neighbour.id) && neighbour.ownerId === ownerId &&
+                    this.isOnLeyLine(neighbour)) {
+                    visited.add(neighbour.id);
+                    queue.push(neighbour);
+                }
+            });
+        }
+
+        return group;
+    }
+
+    /**
+     * Harmonics a territory takes part in
+     * @param {Territory} territory - Territory to check
+     * @param {string} [ownerId] - Player to count for (the territory's owner by default)
+     * @returns {Array<string>} Keys of LEY_LINES.HARMONICS
+     */
+    getHarmonics(territory, ownerId = territory.ownerId) {
+        if (!ownerId) return [];
+
+        const harmonics = [];
+        const heldBy = (t) => t.id === territory.id || t.ownerId === ownerId;
+
+        // Part of a full ring around one of its neighbours
+        const inCircle = this.hexUtils.neighbors(territory.q, territory.r).some(({ q, r }) => {
+            const ring = this.getRing(q, r);
+            return ring && ring.every(heldBy);
+        });
+        if (inCircle) harmonics.push('circle');
+
+        if (this.getLinesAt(territory).length > 1) harmonics.push('nexus');
+
+        return harmonics;
+    }
+
+    /**
+     * The six territories around a hex, or null if the hex is at the edge of the map
+     */
+    getRing(q, r) {
+        if (!this.grid.getTerritoryAt(q, r)) return null;
+
+        const ring = this.hexUtils.neighbors(q, r).map(n => this.grid.getTerritoryAt(n.q, n.r));
+        return ring.every(Boolean) ? ring : null;
+    }
+
+    /**
+     * Production bonus for a territory from the lines and harmonics
+     * @param {Territory} territory - Producing territory
+     * @param {string} [ownerId] - Player to count for (the territory's owner by default)
+     * @returns {Object} { connection, harmonics, total } with bonuses as fractions
+     */
+    getProductionBonus(territory, ownerId = territory.ownerId) {
+        const group = this.getConnectedGroup(territory, ownerId);
+        const connection = Math.min(LEY_LINES.MAX_CONNECTION_BONUS,
+            Math.max(0, group.length - 1) * LEY_LINES.CONNECTION_BONUS);
+        const harmonics = this.getHarmonics(territory, ownerId);
+        const harmonicBonus = harmonics.reduce((sum, key) => sum + LEY_LINES.HARMONICS[key].bonus, 0);
+
+        return {
+            connection: connection,
+            harmonics: harmonics,
+            total: connection + harmonicBonus
+        };
+    }
+
+    /**
+     * Every harmonic held on the map, for the map overlay
+     * @returns {Array<Object>} { type, playerId, territoryIds, centerId? }
+     */
+    getActiveHarmonics() {
+        const active = [];
+
+        this.grid.territories.forEach(center => {
+            const ring = this.getRing(center.q, center.r);
+            const ownerId = ring?.[0].ownerId;
+            if (ownerId && ring.every(t => t.ownerId === ownerId)) {
+                active.push({ type: 'circle', playerId: ownerId, centerId: center.id, territoryIds: ring.map(t => t.id) });
+            }
+            if (center.ownerId && this.getLinesAt(center).length > 1) {
+                active.push({ type: 'nexus', playerId: center.ownerId, territoryIds: [center.id] });
+            }
+        });
+
+        return active;
+    }
+
+    getSerializableState() {
+        return {
+            lines: this.lines.map(line => ({ id: line.id, cells: line.cells.map(({ q, r }) => ({ q, r })) }))
+        };
+    }
+
+    restoreFromState(savedState) {
+        this.lines = (savedState?.lines || []).map(line => ({ id: line.id, cells: line.cells.map(({ q, r }) => ({ q, r })) }));
+        this.indexLines();
+    }
+}
@@ -0,0 +1,232 @@
+import { TERRITORY_TYPES, CONSTRUCT_DEFINITIONS, MAP_EDITOR, PLAYER_COLORS } from '../config/gameConfig.js';
+import { IMPROVEMENTS } from './TerritoryImprovement.js';
+import MapGenerator from './MapGenerator.js';
+import HexUtils from '../utils/HexUtils.js';
+
+/**
+ * Map file format written by the map editor
+ */
+export const MAP_FORMAT = 'magical-frontiers-map';
+export const MAP_FORMAT_VERSION = 1;
+
+/**
+ * MapDefinition
+ * A hand-made map: terrain for every hex plus optional richness, blocked
+ * hexes, neutral constructs and improvements. TerritoryGrid builds its
+ * territories from one instead of generating them.
+ */
+export default class MapDefinition {
+    /**
+     * @param {Object} data - Map data as saved by toJSON
+     */
+    constructor(data = {}) {
+        this.name = data.name || 'Untitled Map';
+        this.width = data.width;
+        this.height = data.height;
+        this.territories = (data.territories || []).map(territory => ({
+            q: territory.q,
+            r: territory.r,
+            type: territory.type,
+            richness: territory.richness ? { ...territory.richness } : null, // Rolled at game start when null
+            blocked: !!territory.blocked,
+            construct: territory.construct ? { type: territory.construct.type, level: territory.construct.level || 1 } : null,
+            improvements: [...(territory.improvements || [])]
+        }));
+        this.hexUtils = new HexUtils(1);
+    }
+
+    /**
+     * Start a map from the generator
+     * @param {number} width - Territories per row
+     * @param {number} height - Number of rows
+     * @param {string} presetId - Key of MAP_PRESETS for the terrain style
+     * @param {SeededRandom} random - Random source
+     */
+    static generate(width, height, presetId, random) {
+        const types = new MapGenerator(random, presetId).generate(width, height);
+        const territories = [];
+        types.forEach((row, r) => row.forEach((type, q) => territories.push({ q, r, type })));
+        return new MapDefinition({ width, height, territories });
+    }
+
+    /**
+     * Read a map file
+     * @param {string} json - File contents
+     * @returns {MapDefinition}
+     * @throws {Error} If the file is not a map
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.format !== MAP_FORMAT) {
+            throw new Error('This file is not a Magical Frontiers map');
+        }
+        if (data.version > MAP_FORMAT_VERSION) {
+            throw new Error(`Map was made by a newer version of the editor (map format ${data.version})`);
+        }
+        return new MapDefinition(data);
+    }
+
+    getTerritory(q, r) {
+        return this.territories.find(territory => territory.q === q && territory.r === r) || null;
+    }
+
+    /**
+     * Apply an editor brush to a hex
+     * Blocking a hex clears what was placed on it; constructs and
+     * improvements cannot go on blocked hexes.
+     * @param {number} q - Hex column
+     * @param {number} r - Hex row
+     * @param {Object} brush - { tool, terrain, resource, richness, construct, level, improvement }
+     * @returns {boolean} Whether the hex changed
+     */
+    paint(q, r, brush) {
+        const territory = this.getTerritory(q, r);
+        if (!territory) return false;
+        const before = JSON.stringify(territory);
+
+        switch (brush.tool) {
+            case 'terrain':
+                territory.type = brush.terrain;
+                break;
+            case 'blocked':
+                territory.blocked = true;
+                territory.construct = null;
+                territory.improvements = [];
+                break;
+            case 'richness':
+                territory.richness = {
+                    mana: 1.0, vitality: 1.0, arcanum: 1.0, aether: 1.0,
+                    ...territory.richness,
+                    [brush.resource]: brush.richness
+                };
+                break;
+            case 'construct':
+                if (territory.blocked) return false;
+                territory.construct = brush.construct ? { type: brush.construct, level: brush.level || 1 } : null;
+                break;
+            case 'improvement':
+                if (territory.blocked) return false;
+                territory.improvements = territory.improvements.includes(brush.improvement) ?
+                    territory.improvements.filter(type => type !== brush.improvement) :
+                    [...territory.improvements, brush.improvement];
+                break;
+            case 'erase':
+                territory.richness = null;
+                territory.blocked = false;
+                territory.construct = null;
+                territory.improvements = [];
+                break;
+            default:
+                return false;
+        }
+
+        return JSON.stringify(territory) !== before;
+    }
+
+    /**
+     * Check the map can be played
+     * @param {Object} [options]
+     * @param {number} [options.playerCount] - Players the map must hold
+     * @returns {Object} { valid, errors }
+     */
+    validate(options = {}) {
+        const playerCount = options.playerCount || PLAYER_COLORS.length;
+        const errors = [];
+        const sizeOk = (size) => Number.isInteger(size) && size >= MAP_EDITOR.MIN_SIZE && size <= MAP_EDITOR.MAX_SIZE;
+
+        if (!sizeOk(this.width) || !sizeOk(this.height)) {
+            errors.push(`Map must be between ${MAP_EDITOR.MIN_SIZE} and ${MAP_EDITOR.MAX_SIZE} hexes wide and high`);
+            return { valid: false, errors };
+        }
+
+        const seen = new Set();
+        this.territories.forEach(territory => {
+            const at = `(${territory.q}, ${territory.r})`;
+            const key = `${territory.q},${territory.r}`;
+
+            if (territory.q < 0 || territory.q >= this.width || territory.r < 0 || territory.r >= this.height) {
+                errors.push(`Hex ${at} is outside the map`);
+            } else if (seen.has(key)) {
+                errors.push(`Hex ${at} is defined twice`);
+            }
+            seen.add(key);
+
+            if (!Object.values(TERRITORY_TYPES).includes(territory.type)) {
+                errors.push(`Hex ${at} has unknown terrain "${territory.type}"`);
+            }
+            if (territory.richness && Object.values(territory.richness)
+                .some(value => typeof value !== 'number' || value <= 0 || value > MAP_EDITOR.MAX_RICHNESS)) {
+                errors.push(`Hex ${at} richness must be above 0 and at most ${MAP_EDITOR.MAX_RICHNESS}`);
+            }
+            if (territory.construct && (!CONSTRUCT_DEFINITIONS[territory.construct.type] ||
+                ![1, 2, 3].includes(territory.construct.level))) {
+                errors.push(`Hex ${at} has an unknown construct or level`);
+            }
+            if (territory.improvements.some(type => !IMPROVEMENTS[type]) ||
+                new Set(territory.improvements).size !== territory.improvements.length) {
+                errors.push(`Hex ${at} has unknown or repeated improvements`);
+            }
+            if (territory.blocked && (territory.construct || territory.improvements.length > 0)) {
+                errors.push(`Blocked hex ${at} cannot hold a construct or improvements`);
+            }
+        });
+
+        if (seen.size < this.width * this.height) {
+            errors.push(`${this.width * this.height - seen.size} hexes have no terrain`);
+        }
+
+        const open = this.territories.filter(territory => !territory.blocked);
+        const needed = MAP_EDITOR.MIN_TERRITORIES_PER_PLAYER * playerCount;
+        if (open.length < needed) {
+            errors.push(`${playerCount} players need at least ${needed} open territories, the map has ${open.length}`);
+        }
+
+        const unreachable = open.length - this.countReachable(open);
+        if (open.length > 0 && unreachable > 0) {
+            errors.push(`${unreachable} open territories are cut off from the rest of the map by blocked hexes`);
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Count open territories connected to the first one without crossing blocked hexes
+     */
+    countReachable(open) {
+        const openKeys = new Set(open.map(territory => `${territory.q},${territory.r}`));
+        const reached = new Set();
+        const queue = open.length > 0 ? [open[0]] : [];
+
+        while (queue.length > 0) {
+            const { q, r } = queue.shift();
+            const key = `${q},${r}`;
+            if (reached.has(key)) continue;
+            reached.add(key);
+
+            this.hexUtils.neighbors(q, r)
+                .filter(n => openKeys.has(`${n.q},${n.r}`) && !reached.has(`${n.q},${n.r}`))
+                .forEach(n => queue.push(n));
+        }
+
+        return reached.size;
+    }
+
+    toJSON() {
+        return {
+            format: MAP_FORMAT,
+            version: MAP_FORMAT_VERSION,
+            name: this.name,
+            width: this.width,
+            height: this.height,
+            territories: this.territories.map(territory => ({
+                q: territory.q,
+                r: territory.r,
+                type: territory.type,
+                ...(territory.richness ? { richness: territory.richness } : {}),
+                ...(territory.blocked ? { blocked: true } : {}),
+                ...(territory.construct ? { construct: territory.construct } : {}),
+                ...(territory.improvements.length > 0 ? { improvements: territory.improvements } : {})
+            }))
+        };
+    }
+}
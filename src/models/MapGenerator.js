@@ -0,0 +1,256 @@
+import { TERRITORY_TYPES, MAP_GENERATION, MAP_PRESETS } from '../config/gameConfig.js';
+import HexUtils from '../utils/HexUtils.js';
+import SeededRandom from '../utils/SeededRandom.js';
+
+/**
+ * MapGenerator
+ * Lays out terrain in biomes instead of picking each territory at random.
+ * Biome seeds are scattered over the map, mountains and volcanoes are drawn
+ * out into ranges and chains, and the other biomes grow outwards until the
+ * map is filled. The result is then adjusted so every terrain appears, no
+ * terrain covers too much of the map, and every starting region offers each
+ * starting terrain.
+ */
+export default class MapGenerator {
+    /**
+     * @param {SeededRandom} random - Random source, so a seed always gives the same map
+     * @param {string} [presetId] - Key of MAP_PRESETS
+     */
+    constructor(random, presetId = MAP_GENERATION.DEFAULT_PRESET) {
+        this.random = random || new SeededRandom();
+        this.presetId = MAP_PRESETS[presetId] ? presetId : MAP_GENERATION.DEFAULT_PRESET;
+        this.preset = MAP_PRESETS[this.presetId];
+        this.terrainTypes = Object.values(TERRITORY_TYPES);
+        this.hexUtils = new HexUtils(1);
+    }
+
+    /**
+     * Generate terrain for a map
+     * @param {number} width - Territories per row
+     * @param {number} height - Number of rows
+     * @returns {Array<Array<string>>} Terrain type by [r][q]
+     */
+    generate(width, height) {
+        this.width = width;
+        this.height = height;
+        this.types = Array.from({ length: height }, () => new Array(width).fill(null));
+
+        this.placeBiomes();
+        this.growBiomes();
+        this.limitTerrainShare();
+        this.balanceStartingRegions();
+
+        return this.types;
+    }
+
+    /**
+     * Scatter one seed per biome, drawing chain terrains out from their seed
+     * Every terrain gets at least one biome; the rest follow the preset weights.
+     */
+    placeBiomes() {
+        const cells = this.random.shuffle(this.getCells());
+        const biomeCount = Math.min(cells.length,
+            Math.max(this.terrainTypes.length, Math.round(cells.length / this.preset.clusterSize)));
+
+        const biomes = this.random.shuffle(this.terrainTypes).slice(0, biomeCount);
+        while (biomes.length < biomeCount) {
+            biomes.push(this.pickWeightedTerrain(this.terrainTypes));
+        }
+
+        // Seeds go on territories no earlier chain has taken
+        biomes.forEach(type => {
+            const cell = cells.find(({ q, r }) => this.types[r][q] === null);
+            if (!cell) return;
+
+            this.types[cell.r][cell.q] = type;
+            if (MAP_GENERATION.CHAIN_TERRAINS.includes(type)) {
+                this.drawChain(cell.q, cell.r, type);
+            }
+        });
+    }
+
+    /**
+     * Walk away from a seed in a wandering line, like a mountain range
+     * The line bends at most one step at a time and stops when it is boxed in.
+     */
+    drawChain(q, r, type) {
+        let direction = this.random.int(0, 5);
+
+        for (let step = 1; step < this.preset.chainLength; step++) {
+            const turns = this.random.shuffle([-1, 1]);
+            const next = [0, ...turns]
+                .map(turn => (direction + turn + 6) % 6)
+                .map(dir => ({ dir, ...this.hexUtils.neighbors(q, r)[dir] }))
+                .find(n => this.isOnMap(n.q, n.r) && this.types[n.r][n.q] === null);
+            if (!next) break;
+
+            this.types[next.r][next.q] = type;
+            ({ q, r, dir: direction } = next);
+        }
+    }
+
+    /**
+     * Fill the map by letting biomes spread into neighbouring empty territories
+     * Ranges and chains only spread where nothing else can, so they stay narrow.
+     */
+    growBiomes() {
+        let empty = this.getCells().filter(({ q, r }) => this.types[r][q] === null);
+
+        while (empty.length > 0) {
+            const frontier = this.random.shuffle(empty.filter(({ q, r }) => this.getNeighbourTypes(q, r).length > 0));
+            if (frontier.length === 0) break;
+
+            frontier.forEach(({ q, r }) => {
+                const neighbours = this.getNeighbourTypes(q, r);
+                const spreading = neighbours.filter(type => !MAP_GENERATION.CHAIN_TERRAINS.includes(type));
+                this.types[r][q] = this.pickWeightedTerrain(spreading.length > 0 ? spreading : neighbours);
+            });
+
+            empty = empty.filter(({ q, r }) => this.types[r][q] === null);
+        }
+
+        // Cells cut off from every seed (only on maps too small to connect)
+        empty.forEach(({ q, r }) => {
+            this.types[r][q] = this.pickWeightedTerrain(this.terrainTypes);
+        });
+    }
+
+    /**
+     * Shrink any terrain covering more than its share of the map from its edges
+     */
+    limitTerrainShare() {
+        const maxCount = this.getMaxTerrainCount();
+        this.terrainTypes.forEach(type => this.shrinkTerrain(type, maxCount));
+    }
+
+    /**
+     * Hand edge territories of a terrain to its neighbours until few enough are left
+     * @returns {boolean} Whether the terrain is down to the count
+     */
+    shrinkTerrain(type, count) {
+        const maxCount = this.getMaxTerrainCount();
+
+        while (this.countTerrain(type) > count) {
+            const cells = this.getCells().filter(({ q, r }) => this.types[r][q] === type && this.canReplace(q, r));
+            if (cells.length === 0) return false;
+
+            const edges = cells
+                .map(cell => ({
+                    ...cell,
+                    into: this.getNeighbourTypes(cell.q, cell.r)
+                        .filter(other => other !== type && this.countTerrain(other) < maxCount)
+                }))
+                .filter(cell => cell.into.length > 0);
+
+            // Boxed in by full terrains: the rarest terrain takes a territory instead
+            if (edges.length === 0) {
+                const cell = this.random.pick(cells);
+                const rarest = this.terrainTypes.filter(other => other !== type)
+                    .reduce((a, b) => this.countTerrain(b) < this.countTerrain(a) ? b : a);
+                this.types[cell.r][cell.q] = rarest;
+                continue;
+            }
+
+            const edge = this.random.pick(edges);
+            this.types[edge.r][edge.q] = this.random.pick(edge.into);
+        }
+        return true;
+    }
+
+    /**
+     * Give every starting region at least one territory of each starting terrain
+     * Missing terrains take over a territory next to where they already are when possible.
+     */
+    balanceStartingRegions() {
+        const maxCount = this.getMaxTerrainCount();
+
+        this.getStartingRegions().forEach(region => {
+            MAP_GENERATION.STARTING_TERRAINS.forEach(type => {
+                if (region.some(({ q, r }) => this.types[r][q] === type)) return;
+                // A terrain already at its share gives up an edge elsewhere first
+                if (!this.shrinkTerrain(type, maxCount - 1)) return;
+
+                const candidates = region.filter(({ q, r }) => this.canReplace(q, r));
+                const bordering = candidates.filter(({ q, r }) => this.getNeighbourTypes(q, r).includes(type));
+                const cell = this.random.pick(bordering.length > 0 ? bordering : candidates);
+                if (cell) {
+                    this.types[cell.r][cell.q] = type;
+                }
+            });
+        });
+    }
+
+    /**
+     * Whether a territory's terrain can change without breaking a guarantee
+     * It must not be the last of its terrain on the map, nor the last of a
+     * starting terrain in its starting region.
+     */
+    canReplace(q, r) {
+        const type = this.types[r][q];
+        if (this.countTerrain(type) <= 1) return false;
+        if (!MAP_GENERATION.STARTING_TERRAINS.includes(type)) return true;
+
+        const region = this.getStartingRegions().find(cells => cells.some(cell => cell.q === q && cell.r === r));
+        return region.filter(cell => this.types[cell.r][cell.q] === type).length > 1;
+    }
+
+    /**
+     * Territories of the map split into STARTING_REGIONS
+     * @returns {Array<Array<Object>>} Cells of each region
+     */
+    getStartingRegions() {
+        const { columns, rows } = MAP_GENERATION.STARTING_REGIONS;
+        const regions = Array.from({ length: columns * rows }, () => []);
+
+        this.getCells().forEach(cell => {
+            const column = Math.floor(cell.q * columns / this.width);
+            const row = Math.floor(cell.r * rows / this.height);
+            regions[row * columns + column].push(cell);
+        });
+
+        return regions;
+    }
+
+    /**
+     * Pick one of the given terrains, favouring the preset's weighted ones
+     * @param {Array<string>} types - Terrains to choose from (repeats count more)
+     */
+    pickWeightedTerrain(types) {
+        const weights = types.map(type => this.preset.weights[type] ?? 1);
+        let roll = this.random.next() * weights.reduce((sum, weight) => sum + weight, 0);
+
+        for (let i = 0; i < types.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return types[i];
+        }
+        return types[types.length - 1];
+    }
+
+    getMaxTerrainCount() {
+        return Math.max(1, Math.floor(this.width * this.height * MAP_GENERATION.MAX_TERRAIN_SHARE));
+    }
+
+    countTerrain(type) {
+        return this.types.reduce((count, row) => count + row.filter(t => t === type).length, 0);
+    }
+
+    getNeighbourTypes(q, r) {
+        return this.hexUtils.neighbors(q, r)
+            .filter(n => this.isOnMap(n.q, n.r) && this.types[n.r][n.q] !== null)
+            .map(n => this.types[n.r][n.q]);
+    }
+
+    getCells() {
+        const cells = [];
+        for (let r = 0; r < this.height; r++) {
+            for (let q = 0; q < this.width; q++) {
+                cells.push({ q, r });
+            }
+        }
+        return cells;
+    }
+
+    isOnMap(q, r) {
+        return q >= 0 && q < this.width && r >= 0 && r < this.height;
+    }
+}
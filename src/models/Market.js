@@ -1,3 +1,5 @@
+import SeededRandom from '../utils/SeededRandom.js';
+
 /**
  * Market Model
  * Manages the game economy and market auction system
@@ -9,9 +11,11 @@ export default class Market {
      * @param {Object} config.resources - Resource objects by type
      * @param {number} config.guildTax - Market transaction tax rate
      * @param {number} config.equilibrium - Base equilibrium point
+     * @param {SeededRandom} [config.random] - Shared random source
      */
     constructor(config) {
         this.resources = config.resources || {};
+        this.random = config.random || new SeededRandom();
         this.guildTax = config.guildTax || 0.05; // 5% transaction tax
         this.equilibrium = config.equilibrium || 100;
         
@@ -328,7 +332,7 @@ export default class Market {
         ];
         
         // Select a random event
-        const event = events[Math.floor(Math.random() * events.length)];
+        const event = this.random.pick(events);
         
         // Apply event effects
         for (const [resourceType, effects] of Object.entries(event.effects)) {
@@ -1,4 +1,5 @@
-import { BASE_PRICES } from '../config/gameConfig.js';
+import { BASE_PRICES, MONOPOLY } from '../config/gameConfig.js';
+import ResourceConsumption from './ResourceConsumption.js';
 
 /**
  * MarketDataService
@@ -7,6 +8,7 @@ import { BASE_PRICES } from '../config/gameConfig.js';
 export default class MarketDataService {
     constructor(gameStateManager) {
         this.gameStateManager = gameStateManager;
+        this.consumption = new ResourceConsumption();
         
         // Price history tracking
         this.priceHistory = new Map(); // resource -> array of {price, timestamp, volume}
@@ -23,6 +25,9 @@ export default class MarketDataService {
         this.marketEvents = [];
         this.maxEvents = 50;
         
+        // Price multipliers from the world event under way (WorldEventSystem)
+        this.priceModifiers = {}; // resource -> multiplier
+        
         // Market configuration for price calculation
         this.marketConfig = {
             equilibrium: 100, // Base equilibrium point for supply/demand
@@ -154,25 +159,18 @@ export default class MarketDataService {
             });
         });
         
-        // Calculate demand based on construction needs
+        // Calculate demand from what players consume each cycle
         Object.values(gameState.players).forEach(player => {
-            if (!player.plannedConstructs) return;
+            const required = player.consumption?.required || this.consumption.getRequirements(
+                (player.constructs || []).filter(construct => !construct.status || construct.status === 'active').length);
             
-            // Analyze planned constructs for resource needs
-            player.plannedConstructs.forEach(construct => {
-                if (!construct.resourceCost) return;
+            Object.entries(required).forEach(([resource, amount]) => {
+                const demandData = this.demandData.get(resource);
                 
-                Object.entries(construct.resourceCost).forEach(([resource, cost]) => {
-                    const demandData = this.demandData.get(resource);
-                    const currentAmount = player.resources[resource] || 0;
-                    const needed = Math.max(0, cost - currentAmount);
-                    
-                    if (needed > 0) {
-                        demandData.total += needed;
-                        const currentDemand = demandData.byPlayer.get(player.id) || 0;
-                        demandData.byPlayer.set(player.id, currentDemand + needed);
-                    }
-                });
+                if (amount > 0) {
+                    demandData.total += amount;
+                    demandData.byPlayer.set(player.id, amount);
+                }
             });
         });
     }
@@ -224,10 +222,30 @@ export default class MarketDataService {
             supply: supply.total,
             demand: demand.total,
             trend: trend,
-            marketPressure: this.calculateMarketPressure(resource)
+            marketPressure: this.calculateMarketPressure(resource),
+            monopoly: this.getMonopoly(resource),
+            eventModifier: this.priceModifiers[resource] ?? 1.0
         };
     }
     
+    /**
+     * Find a player holding enough of a resource to corner it (Resource Monopoly)
+     * Uses the supply from the last calculateSupplyDemand.
+     * @returns {Object|null} { playerId, share } or null if no player does
+     */
+    getMonopoly(resource) {
+        const supply = this.supplyData.get(resource);
+        if (!supply || supply.total <= 0) return null;
+        
+        for (const [playerId, amount] of supply.byPlayer) {
+            const share = amount / supply.total;
+            if (share >= MONOPOLY.THRESHOLD) {
+                return { playerId, share };
+            }
+        }
+        return null;
+    }
+    
     /**
      * Get current price (last traded or average)
      */
@@ -277,6 +295,10 @@ export default class MarketDataService {
         // Apply min/max constraints (10-500)
         dynamicPrice = Math.max(10, Math.min(500, dynamicPrice));
         
+        // A world event moves the price even when supply has pushed it to a bound
+        const eventModifier = this.priceModifiers[resource] ?? 1.0;
+        dynamicPrice = Math.max(10, Math.min(500, Math.round(dynamicPrice * eventModifier)));
+        
         return dynamicPrice;
     }
     
@@ -300,6 +322,15 @@ export default class MarketDataService {
         });
     }
     
+    /**
+     * Set the price multipliers of a world event and reprice the market
+     * @param {Object} modifiers - resource -> multiplier
+     */
+    setPriceModifiers(modifiers) {
+        this.priceModifiers = { ...modifiers };
+        this.updateMarketPrices();
+    }
+    
     /**
      * Add market event
      */
@@ -1,11 +1,16 @@
+import SeededRandom from '../utils/SeededRandom.js';
+import GameClock from '../utils/GameClock.js';
+
 /**
  * MarketEventSystem
  * Manages random market events that affect resource prices and trading
  */
 export default class MarketEventSystem {
-    constructor(marketDataService, auctionManager) {
+    constructor(marketDataService, auctionManager, random = null, clock = null) {
         this.marketDataService = marketDataService;
         this.auctionManager = auctionManager;
+        this.random = random || auctionManager?.gameFlow?.random || new SeededRandom();
+        this.clock = clock || auctionManager?.clock || new GameClock();
         
         // Event configuration
         this.eventProbability = 0.15; // 15% chance per resource auction
@@ -103,7 +108,7 @@ export default class MarketEventSystem {
      * Check if a market event should trigger
      */
     checkForEvent(resource) {
-        if (Math.random() > this.eventProbability) {
+        if (this.random.next() > this.eventProbability) {
             return null; // No event
         }
         
@@ -128,7 +133,7 @@ export default class MarketEventSystem {
      * Select a random event based on weights
      */
     selectRandomEvent() {
-        const random = Math.random() * this.totalWeight;
+        const random = this.random.next() * this.totalWeight;
         let accumulator = 0;
         
         for (const event of this.eventDefinitions) {
@@ -145,15 +150,16 @@ export default class MarketEventSystem {
      * Create an instance of an event
      */
     createEventInstance(eventDef, resource) {
+        const now = this.clock.now();
         return {
-            id: `${eventDef.id}_${Date.now()}`,
+            id: `${eventDef.id}_${now}`,
             definitionId: eventDef.id,
             name: eventDef.name,
             description: eventDef.description.replace('{resource}', resource),
             resource: resource,
             effect: { ...eventDef.effect },
-            startTime: Date.now(),
-            endTime: Date.now() + (eventDef.effect.duration * 1000),
+            startTime: now,
+            endTime: now + (eventDef.effect.duration * 1000),
             active: true
         };
     }
@@ -211,13 +217,13 @@ export default class MarketEventSystem {
         const volatility = 5 * event.effect.volatilityIncrease;
         
         // Add volatility flag
-        event.volatilityInterval = setInterval(() => {
+        event.volatilityInterval = this.clock.setInterval(() => {
             if (!event.active) {
-                clearInterval(event.volatilityInterval);
+                this.clock.clearInterval(event.volatilityInterval);
                 return;
             }
             
-            const noise = (Math.random() - 0.5) * volatility;
+            const noise = (this.random.next() - 0.5) * volatility;
             const newPrice = Math.round(basePrice + noise);
             this.auctionManager.marketPrice = Math.max(10, Math.min(100, newPrice));
         }, 2000);
@@ -230,7 +236,7 @@ export default class MarketEventSystem {
         if (!this.auctionManager) return;
         
         const direction = event.effect.direction === 'random' ? 
-            (Math.random() > 0.5 ? 1 : -1) : 
+            (this.random.next() > 0.5 ? 1 : -1) : 
             (event.effect.direction === 'up' ? 1 : -1);
         
         const currentPrice = this.auctionManager.marketPrice;
@@ -263,7 +269,7 @@ export default class MarketEventSystem {
      * Get current active events for a resource
      */
     getActiveEvents(resource = null) {
-        const now = Date.now();
+        const now = this.clock.now();
         
         // Remove expired events
         this.activeEvents = this.activeEvents.filter(event => {
@@ -289,7 +295,7 @@ export default class MarketEventSystem {
     removeEventEffects(event) {
         // Clean up any intervals
         if (event.volatilityInterval) {
-            clearInterval(event.volatilityInterval);
+            this.clock.clearInterval(event.volatilityInterval);
         }
         
         console.log(`Market event ended: ${event.name}`);
@@ -324,7 +330,7 @@ export default class MarketEventSystem {
     addToHistory(event) {
         this.eventHistory.unshift({
             ...event,
-            timestamp: Date.now()
+            timestamp: this.clock.now()
         });
         
         // Trim history
@@ -350,7 +356,7 @@ export default class MarketEventSystem {
             events: activeEvents.map(event => ({
                 name: event.name,
                 description: event.description,
-                timeRemaining: Math.max(0, Math.ceil((event.endTime - Date.now()) / 1000))
+                timeRemaining: Math.max(0, Math.ceil((event.endTime - this.clock.now()) / 1000))
             }))
         };
     }
@@ -367,4 +373,43 @@ export default class MarketEventSystem {
         this.activeEvents = [];
         this.eventHistory = [];
     }
+    
+    /**
+     * Get serializable state
+     * Event end times are stored as time remaining so they resume on load
+     */
+    getSerializableState() {
+        const now = this.clock.now();
+        const stripTimers = ({ volatilityInterval, ...event }) => event;
+        
+        return {
+            activeEvents: this.getActiveEvents().map(event => ({
+                ...stripTimers(event),
+                elapsed: now - event.startTime,
+                remainingTime: Math.max(0, event.endTime - now)
+            })),
+            eventHistory: this.eventHistory.map(stripTimers)
+        };
+    }
+    
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        this.reset();
+        
+        const now = this.clock.now();
+        this.activeEvents = (savedState.activeEvents || []).map(({ elapsed, remainingTime, ...event }) => ({
+            ...event,
+            startTime: now - elapsed,
+            endTime: now + remainingTime,
+            active: true
+        }));
+        this.eventHistory = savedState.eventHistory || [];
+        
+        // Volatility keeps moving prices while it lasts
+        this.activeEvents
+            .filter(event => event.effect.type === 'volatility')
+            .forEach(event => this.applyVolatilityEffect(event));
+    }
 }
\ No newline at end of file
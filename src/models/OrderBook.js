@@ -0,0 +1,151 @@
+/**
+ * OrderBook
+ * Resting buy and sell orders for one auctioned resource, matched by
+ * price-time priority: the best price trades first, and among orders at
+ * the same price the one placed earliest trades first.
+ */
+export default class OrderBook {
+    /**
+     * @param {string} resource - Resource traded in this book
+     */
+    constructor(resource) {
+        this.resource = resource;
+        this.orders = new Map(); // playerId -> order
+        this.sequence = 0; // Placement counter, breaks ties between equal timestamps
+    }
+
+    /**
+     * Place or replace a player's order
+     * A player holds at most one order. Re-sending the same price, side and
+     * quantity keeps the resting order and its place in the queue; any other
+     * change replaces it and sends it to the back of its price level. Units
+     * already filled on that side still count against the new quantity.
+     * @param {string} playerId - Player placing the order
+     * @param {string} side - 'buy' or 'sell'
+     * @param {number} price - Limit price
+     * @param {number} quantity - Units wanted in total
+     * @param {number} timestamp - Game clock time of placement
+     * @returns {Object} The resting order, with nothing remaining if it is already filled
+     */
+    placeOrder(playerId, side, price, quantity, timestamp) {
+        const existing = this.orders.get(playerId);
+        if (existing && existing.side === side && existing.price === price && existing.quantity === quantity) {
+            return existing;
+        }
+
+        const filled = existing && existing.side === side ? existing.quantity - existing.remaining : 0;
+        const order = {
+            playerId: playerId,
+            side: side,
+            price: price,
+            quantity: quantity,
+            remaining: Math.max(0, quantity - filled),
+            timestamp: timestamp,
+            sequence: ++this.sequence
+        };
+        if (order.remaining > 0) {
+            this.orders.set(playerId, order);
+        } else {
+            this.orders.delete(playerId);
+        }
+        return order;
+    }
+
+    /**
+     * Withdraw a player's order
+     * @param {string} playerId - Player leaving the book
+     * @returns {boolean} Whether an order was removed
+     */
+    cancelOrder(playerId) {
+        return this.orders.delete(playerId);
+    }
+
+    /**
+     * Get a player's resting order
+     * @param {string} playerId - Player ID
+     * @returns {Object|null} Order or null
+     */
+    getOrder(playerId) {
+        return this.orders.get(playerId) || null;
+    }
+
+    /**
+     * Orders on one side in priority order
+     * @param {string} side - 'buy' or 'sell'
+     * @returns {Array} Buys highest price first, sells lowest price first
+     */
+    getSide(side) {
+        const direction = side === 'buy' ? -1 : 1;
+        return Array.from(this.orders.values())
+            .filter(order => order.side === side)
+            .sort((a, b) => (a.price - b.price) * direction || a.sequence - b.sequence);
+    }
+
+    /**
+     * Match crossing orders until the book no longer crosses
+     * Each fill trades the smaller remaining quantity at the price of the
+     * order that was resting first; the other order keeps resting with what
+     * is left. Filled orders leave the book.
+     * @returns {Array} Fills as { buyOrder, sellOrder, quantity, price }
+     */
+    match() {
+        const fills = [];
+        const bids = this.getSide('buy');
+        const asks = this.getSide('sell');
+
+        while (bids.length > 0 && asks.length > 0 && bids[0].price >= asks[0].price) {
+            const buyOrder = bids[0];
+            const sellOrder = asks[0];
+            const quantity = Math.min(buyOrder.remaining, sellOrder.remaining);
+            const price = buyOrder.sequence < sellOrder.sequence ? buyOrder.price : sellOrder.price;
+
+            buyOrder.remaining -= quantity;
+            sellOrder.remaining -= quantity;
+            fills.push({ buyOrder, sellOrder, quantity, price });
+
+            if (buyOrder.remaining <= 0) {
+                bids.shift();
+                this.orders.delete(buyOrder.playerId);
+            }
+            if (sellOrder.remaining <= 0) {
+                asks.shift();
+                this.orders.delete(sellOrder.playerId);
+            }
+        }
+
+        return fills;
+    }
+
+    /**
+     * Remaining quantity at each price level
+     * @param {number} [levels] - Price levels to list per side
+     * @returns {Object} { bids, asks }, each best price first, as { price, quantity, orders }
+     */
+    getDepth(levels = 5) {
+        const aggregate = (orders) => {
+            const depth = [];
+            orders.forEach(order => {
+                const level = depth[depth.length - 1];
+                if (level && level.price === order.price) {
+                    level.quantity += order.remaining;
+                    level.orders++;
+                } else {
+                    depth.push({ price: order.price, quantity: order.remaining, orders: 1 });
+                }
+            });
+            return depth.slice(0, levels);
+        };
+
+        return {
+            bids: aggregate(this.getSide('buy')),
+            asks: aggregate(this.getSide('sell'))
+        };
+    }
+
+    /**
+     * Remove every order
+     */
+    clear() {
+        this.orders.clear();
+    }
+}
@@ -0,0 +1,277 @@
+import ErrorHandler from '../utils/ErrorHandler.js';
+import HexUtils from '../utils/HexUtils.js';
+import Player from './Player.js';
+import { PERSONAL_EVENTS, CONSTRUCT_DEFINITIONS, RESOURCE_TYPES, SURVEY } from '../config/gameConfig.js';
+
+/**
+ * PersonalEventSystem
+ * At the end of every cycle each player may meet an event of their own.
+ * Boons such as a familiar finding aether grow likelier the further a
+ * player trails, and banes such as a tax audit the nearer they are to the
+ * lead, ranked by Player.calculateScore (Catch-up Mechanics and Leader
+ * Targeting). An event changes the player's gold, resources, constructs
+ * or territories and is kept for the message log.
+ */
+export default class PersonalEventSystem {
+    constructor(gameFlowController) {
+        this.gameFlow = gameFlowController;
+        this.errorHandler = new ErrorHandler();
+        this.hexUtils = new HexUtils(1);
+
+        this.history = []; // Oldest first: { cycle, playerId, playerName, eventId, name, kind, rank, message }
+    }
+
+    /**
+     * Rank players by score
+     * @returns {Array<Object>} { player, score, rank, standing } in player order; rank 0 leads and
+     *     standing runs from 0 for the leader to 1 for the last player
+     */
+    getStandings() {
+        const players = this.gameFlow.stateManager.gameState.players || [];
+        const scored = players.map(player => ({ player, score: this.calculateScore(player) }));
+
+        return scored.map(entry => {
+            const rank = scored.filter(other => other.score > entry.score).length;
+            return { ...entry, rank, standing: players.length > 1 ? rank / (players.length - 1) : 0.5 };
+        });
+    }
+
+    /**
+     * Score a player with Player.calculateScore from what they hold now
+     * Ownership lives on the territory grid, so territories and constructs come from there.
+     */
+    calculateScore(player) {
+        const territories = this.getTerritories(player.id);
+        const scored = new Player({ id: player.id, name: player.name, resources: { ...player.resources } });
+        scored.gold = player.gold || 0;
+        scored.territories = territories;
+        scored.constructs = territories.filter(t => t.construct).map(t => t.construct);
+        scored.bankDeposit = player.bankDeposit || 0;
+        scored.loanBalance = player.loanBalance || 0;
+
+        return scored.calculateScore();
+    }
+
+    getTerritories(playerId) {
+        return this.gameFlow.territoryGrid?.getPlayerTerritories(playerId) || [];
+    }
+
+    /**
+     * Weight of an event for a player at a given standing
+     */
+    getEventWeight(definition, standing) {
+        const favour = definition.kind === 'boon' ? standing : 1 - standing;
+        return definition.weight * (1 + (PERSONAL_EVENTS.RANK_BIAS - 1) * favour);
+    }
+
+    /**
+     * Roll an event for each player
+     * @param {number} cycle - Cycle that is ending
+     * @returns {Array<Object>} Events that happened
+     */
+    processEndOfCycle(cycle) {
+        const triggered = [];
+
+        try {
+            this.getStandings().forEach(standing => {
+                if (!this.gameFlow.random.chance(PERSONAL_EVENTS.CHANCE)) return;
+
+                const event = this.triggerEvent(standing, cycle);
+                if (event) {
+                    triggered.push(event);
+                }
+            });
+        } catch (error) {
+            this.errorHandler.handleError(error, 'PersonalEventSystem.processEndOfCycle');
+        }
+
+        return triggered;
+    }
+
+    /**
+     * Pick and apply an event for one player
+     * Only events with something to act on are drawn: no sabotage for a
+     * player without constructs, no audit for one without gold.
+     * @param {Object} standing - Entry from getStandings
+     * @param {number} cycle - Cycle the event happens in
+     * @returns {Object|null} The event, or null if none could affect the player
+     */
+    triggerEvent(standing, cycle) {
+        const { player } = standing;
+        const options = Object.entries(PERSONAL_EVENTS.EVENTS)
+            .map(([id, definition]) => ({
+                id,
+                definition,
+                targets: this.getTargets(player, definition.effect),
+                weight: this.getEventWeight(definition, standing.standing)
+            }))
+            .filter(option => option.targets.length > 0);
+        if (options.length === 0) return null;
+
+        const totalWeight = options.reduce((sum, option) => sum + option.weight, 0);
+        let roll = this.gameFlow.random.next() * totalWeight;
+        const chosen = options.find(option => (roll -= option.weight) < 0) || options[options.length - 1];
+
+        const details = this.applyEffect(player, chosen.definition, this.gameFlow.random.pick(chosen.targets));
+        const event = {
+            cycle: cycle,
+            playerId: player.id,
+            playerName: player.name || player.id,
+            eventId: chosen.id,
+            name: chosen.definition.name,
+            kind: chosen.definition.kind,
+            rank: standing.rank + 1,
+            message: this.formatMessage(chosen.definition.message, { player: player.name || player.id, ...details })
+        };
+
+        this.history.push(event);
+        if (this.history.length > PERSONAL_EVENTS.MAX_HISTORY) {
+            this.history.shift();
+        }
+
+        console.log(`PersonalEventSystem: ${event.message}`);
+        this.gameFlow.broadcastEvent('personal_event.triggered', event);
+
+        return event;
+    }
+
+    /**
+     * What an effect could act on for a player
+     * @returns {Array} Resources, territories or { territory, resource } pairs; empty if nothing
+     */
+    getTargets(player, effect) {
+        const territories = this.getTerritories(player.id);
+
+        switch (effect.type) {
+            case 'gold':
+                return ['gold'];
+            case 'resource':
+                return [effect.resource];
+            case 'gold_share':
+                return Math.floor((player.gold || 0) * effect.share) > 0 ? ['gold'] : [];
+            case 'resource_share':
+                return Object.values(RESOURCE_TYPES).filter(resource => (player.resources?.[resource] || 0) > 0);
+            case 'construct_efficiency':
+                return territories.filter(t => t.construct?.status === 'active' && (effect.change > 0 ?
+                    t.construct.efficiency < effect.limit : t.construct.efficiency > effect.limit));
+            case 'territory_gain':
+                return this.getBorderTerritories(territories);
+            case 'territory_richness':
+                return territories.flatMap(territory => {
+                    const resources = territory.construct ?
+                        [territory.construct.getResourceType()] : Object.values(RESOURCE_TYPES);
+                    return resources
+                        .filter(resource => this.getLowerRichness(territory.richness?.[resource] ?? 1.0) !== null)
+                        .map(resource => ({ territory, resource }));
+                });
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Open unowned territories next to a player's own
+     */
+    getBorderTerritories(territories) {
+        const border = new Map();
+        territories.forEach(territory => {
+            this.hexUtils.neighbors(territory.q, territory.r).forEach(({ q, r }) => {
+                const neighbour = this.gameFlow.territoryGrid.getTerritoryAt(q, r);
+                if (neighbour && !neighbour.ownerId && !neighbour.blocked) {
+                    border.set(neighbour.id, neighbour);
+                }
+            });
+        });
+        return Array.from(border.values());
+    }
+
+    /**
+     * The richness level below a value, or null at the bottom
+     */
+    getLowerRichness(richness) {
+        const lower = SURVEY.RICHNESS_LEVELS.filter(level => level < richness);
+        return lower.length > 0 ? lower[lower.length - 1] : null;
+    }
+
+    /**
+     * Apply an event's effect to a player
+     * @returns {Object} Values for the event's message
+     */
+    applyEffect(player, definition, target) {
+        const effect = definition.effect;
+
+        switch (effect.type) {
+            case 'gold':
+                this.gameFlow.goldManager.addGold(player.id, effect.amount, definition.name);
+                return { amount: effect.amount };
+            case 'resource':
+                player.resources[target] = (player.resources[target] || 0) + effect.amount;
+                return { amount: effect.amount, resource: target };
+            case 'gold_share': {
+                const amount = Math.floor(player.gold * effect.share);
+                this.gameFlow.goldManager.deductGold(player.id, amount, definition.name);
+                return { amount };
+            }
+            case 'resource_share': {
+                const amount = Math.ceil(player.resources[target] * effect.share);
+                player.resources[target] -= amount;
+                return { amount, resource: target };
+            }
+            case 'construct_efficiency': {
+                const construct = target.construct;
+                const efficiency = construct.efficiency + effect.change;
+                construct.efficiency = effect.change > 0 ?
+                    Math.min(effect.limit, efficiency) : Math.max(effect.limit, efficiency);
+                construct.recordCondition?.(this.gameFlow.cycleManager?.currentCycle, definition.name);
+                const name = CONSTRUCT_DEFINITIONS[construct.type]?.name || construct.type;
+                return { target: `${name} on ${this.describeTerritory(target)}` };
+            }
+            case 'territory_gain':
+                target.setOwner(player.id);
+                this.gameFlow.broadcastEvent('territory.ownership_changed', {
+                    territoryId: target.id,
+                    newOwner: player.id,
+                    previousOwner: null
+                });
+                return { target: this.describeTerritory(target) };
+            case 'territory_richness':
+                target.territory.setRichness({
+                    [target.resource]: this.getLowerRichness(target.territory.richness?.[target.resource] ?? 1.0)
+                });
+                return { target: this.describeTerritory(target.territory), resource: target.resource };
+            default:
+                return {};
+        }
+    }
+
+    describeTerritory(territory) {
+        return `${territory.getTypeName()} (${territory.q}, ${territory.r})`;
+    }
+
+    formatMessage(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+    }
+
+    /**
+     * Events of the last cycles, newest first, for the message log
+     */
+    getHistory(playerId = null) {
+        return this.history.filter(event => !playerId || event.playerId === playerId).reverse();
+    }
+
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            history: this.history.map(event => ({ ...event }))
+        };
+    }
+
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        this.history = (savedState.history || []).map(event => ({ ...event }));
+    }
+}
@@ -1,3 +1,6 @@
+import { REALM_SURVIVAL } from '../config/gameConfig.js';
+import ResourceConsumption from './ResourceConsumption.js';
+
 /**
  * Player Model
  * Represents a wizard player in the game
@@ -19,6 +22,10 @@ export default class Player {
         this.color = config.color || 0xFFFFFF;
         this.gold = config.gold || 1000;
         
+        // Banking - kept in step by the Bank
+        this.bankDeposit = 0;
+        this.loanBalance = 0;
+        
         // Resources - Start with some basic resources
         this.resources = config.resources || {
             mana: 100,
@@ -39,9 +46,12 @@ export default class Player {
         
         // Player attributes
         this.specialization = config.specialization || null;
-        this.actionTime = 60; // Base action time in seconds
+        this.actionTime = REALM_SURVIVAL.BASE_ACTION_TIME; // Base action time in seconds, lowered by weakening
         this.specializationBonuses = {};
         
+        // Last cycle's vitality and mana consumption - set by ResourceConsumption
+        this.consumption = null;
+        
         // Initialize specialization bonuses
         if (this.specialization) {
             this.initializeSpecialization();
@@ -207,6 +217,9 @@ export default class Player {
         // Add improvement values
         worth += this.improvements.length * 300;
         
+        // Add bank deposits, subtract loans still owed
+        worth += this.bankDeposit - this.loanBalance;
+        
         this.netWorth = worth;
         return worth;
     }
@@ -226,7 +239,9 @@ export default class Player {
             (this.resources.mana + 
              this.resources.vitality + 
              this.resources.arcanum + 
-             this.resources.aether) * 2;
+             this.resources.aether) * 2 +
+            // Bank deposits less loans still owed
+            this.bankDeposit - this.loanBalance;
              
         return this.score;
     }
@@ -285,22 +300,30 @@ export default class Player {
     
     /**
      * Get the player's current action time based on vitality
-     * @param {number} requiredVitality - Vitality required for full action time
      * @returns {number} Action time in seconds
      */
-    getCurrentActionTime(requiredVitality) {
-        // Base action time
-        let time = this.actionTime;
+    getCurrentActionTime() {
+        return Player.getCurrentActionTime(this);
+    }
+    
+    /**
+     * Current action time of any player record, including the plain
+     * players kept in game state
+     * Weakening (actionTime) and last cycle's vitality shortfall both come
+     * from going short of vitality, so only the harsher of the two applies.
+     * @param {Object} player - Player or game state player
+     * @returns {number} Action time in seconds
+     */
+    static getCurrentActionTime(player) {
+        // Base action time, shortened by the weakening or the shortfall
+        let time = Math.min(
+            player.actionTime ?? REALM_SURVIVAL.BASE_ACTION_TIME,
+            REALM_SURVIVAL.BASE_ACTION_TIME * ResourceConsumption.getActionTimeRatio(player)
+        );
         
         // Apply specialization bonus
-        if (this.specializationBonuses.actionTime) {
-            time *= (1 + this.specializationBonuses.actionTime);
-        }
-        
-        // Reduce based on vitality shortage
-        if (this.resources.vitality < requiredVitality) {
-            const ratio = this.resources.vitality / requiredVitality;
-            time *= Math.max(0.3, ratio); // Minimum 30% of action time
+        if (player.specializationBonuses?.actionTime) {
+            time *= (1 + player.specializationBonuses.actionTime);
         }
         
         return time;
@@ -1,10 +1,13 @@
+import SeededRandom from '../utils/SeededRandom.js';
+
 /**
  * PricePredictionSystem
  * Predicts future price movements based on market data
  */
 export default class PricePredictionSystem {
-    constructor(marketDataService) {
+    constructor(marketDataService, random = null) {
         this.marketDataService = marketDataService;
+        this.random = random || new SeededRandom();
         
         // Prediction configuration
         this.config = {
@@ -200,7 +203,7 @@ export default class PricePredictionSystem {
             price *= (1 + trend * patternWeight);
             
             // Add volatility component
-            const volatilityImpact = (Math.random() - 0.5) * volatility * this.config.volatilityWeight;
+            const volatilityImpact = (this.random.next() - 0.5) * volatility * this.config.volatilityWeight;
             price *= (1 + volatilityImpact);
             
             // Apply bounds
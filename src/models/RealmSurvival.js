@@ -0,0 +1,209 @@
+import { REALM_SURVIVAL } from '../config/gameConfig.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import ResourceConsumption from './ResourceConsumption.js';
+
+/**
+ * RealmSurvival
+ * Tracks vitality and mana shortages at the end of each cycle. A wizard
+ * short of vitality for long enough weakens and loses action time; one
+ * short of mana sees their constructs fail. If the realm as a whole is
+ * short of both for long enough it collapses, destroying half of all
+ * improvements and ending the game.
+ */
+export default class RealmSurvival {
+    constructor(random = new SeededRandom(), consumption = new ResourceConsumption()) {
+        this.random = random;
+        this.consumption = consumption;
+
+        // Consecutive cycles of shortage
+        this.playerShortages = new Map(); // playerId -> { vitality, mana }
+        this.realmShortage = { vitality: 0, mana: 0, both: 0 };
+        this.collapsed = false;
+        this.lastReport = null;
+    }
+
+    /**
+     * What a wizard needs each cycle - the cycle's consumption
+     * @param {number} constructCount - Active constructs the player runs
+     */
+    getRequirements(constructCount = 0) {
+        return this.consumption.getRequirements(constructCount);
+    }
+
+    getPlayerShortage(playerId) {
+        return this.playerShortages.get(playerId) || { vitality: 0, mana: 0 };
+    }
+
+    /**
+     * Penalty that grows each cycle a shortage lasts past its threshold
+     */
+    getEscalatingPenalty(streak, threshold, perCycle, max) {
+        if (streak < threshold) return 0;
+        return Math.min(max, perCycle * (streak - threshold + 1));
+    }
+
+    getActionTimePenalty(playerId) {
+        return this.getEscalatingPenalty(this.getPlayerShortage(playerId).vitality, REALM_SURVIVAL.WEAKEN_AFTER,
+            REALM_SURVIVAL.ACTION_TIME_PENALTY, REALM_SURVIVAL.MAX_ACTION_TIME_PENALTY);
+    }
+
+    getEfficiencyPenalty(playerId) {
+        return this.getEscalatingPenalty(this.getPlayerShortage(playerId).mana, REALM_SURVIVAL.FAIL_AFTER,
+            REALM_SURVIVAL.EFFICIENCY_PENALTY, REALM_SURVIVAL.MAX_EFFICIENCY_PENALTY);
+    }
+
+    /**
+     * Check every player and the realm against their requirements
+     * @param {Array} players - Players in the game
+     * @param {Array} territories - All territories on the map
+     * @returns {Object} Report with per-player results, realm totals and any collapse
+     */
+    checkRequirements(players, territories) {
+        const realm = { required: { vitality: 0, mana: 0 }, held: { vitality: 0, mana: 0 } };
+
+        const playerResults = players.map(player => {
+            const constructs = territories
+                .filter(t => t.ownerId === player.id && t.construct && t.construct.status === 'active')
+                .map(t => t.construct);
+            const required = this.getRequirements(constructs.length);
+            // What the player had to cover this cycle's consumption
+            const available = player.consumption?.available || player.resources || {};
+            const held = {
+                vitality: available.vitality || 0,
+                mana: available.mana || 0
+            };
+
+            // Streaks grow while short and reset once the requirement is met
+            const previous = this.getPlayerShortage(player.id);
+            const shortage = {
+                vitality: held.vitality < required.vitality ? previous.vitality + 1 : 0,
+                mana: held.mana < required.mana ? previous.mana + 1 : 0
+            };
+            this.playerShortages.set(player.id, shortage);
+
+            this.applyPenalties(player, constructs);
+
+            ['vitality', 'mana'].forEach(resource => {
+                realm.required[resource] += required[resource];
+                realm.held[resource] += held[resource];
+            });
+
+            return {
+                playerId: player.id,
+                required: required,
+                held: held,
+                shortage: shortage,
+                actionTimePenalty: this.getActionTimePenalty(player.id),
+                efficiencyPenalty: this.getEfficiencyPenalty(player.id)
+            };
+        });
+
+        const realmShortVitality = realm.held.vitality < realm.required.vitality;
+        const realmShortMana = realm.held.mana < realm.required.mana;
+        this.realmShortage = {
+            vitality: realmShortVitality ? this.realmShortage.vitality + 1 : 0,
+            mana: realmShortMana ? this.realmShortage.mana + 1 : 0,
+            both: realmShortVitality && realmShortMana ? this.realmShortage.both + 1 : 0
+        };
+
+        let collapse = null;
+        if (!this.collapsed && this.realmShortage.both >= REALM_SURVIVAL.COLLAPSE_AFTER) {
+            collapse = this.collapseRealm(territories);
+        }
+
+        this.lastReport = {
+            players: playerResults,
+            realm: { ...realm, shortage: { ...this.realmShortage } },
+            collapse: collapse
+        };
+        return this.lastReport;
+    }
+
+    /**
+     * Set a player's action time and construct efficiency from their shortages
+     * Action time only carries the lasting penalty; Player.getCurrentActionTime
+     * weighs it against the shortfall of the last cycle when a turn starts. Constructs lose efficiency
+     * for both the lasting penalty and the share of last cycle's mana
+     * consumption they went without, up to the maximum penalty.
+     */
+    applyPenalties(player, constructs) {
+        const actionTimePenalty = this.getActionTimePenalty(player.id);
+        player.actionTime = Math.round(REALM_SURVIVAL.BASE_ACTION_TIME * (1 - actionTimePenalty));
+
+        const unfed = 1 - (1 - this.getEfficiencyPenalty(player.id)) * (player.consumption?.fed?.mana ?? 1);
+        const efficiencyPenalty = Math.min(REALM_SURVIVAL.MAX_EFFICIENCY_PENALTY, unfed);
+        constructs.forEach(construct => construct.setShortagePenalty(efficiencyPenalty));
+    }
+
+    /**
+     * Destroy a share of all improvements in the realm
+     * @returns {Object} { destroyed: [{ territoryId, type }] }
+     */
+    collapseRealm(territories) {
+        this.collapsed = true;
+
+        const improvements = [];
+        territories.forEach(territory => {
+            territory.improvements.forEach(improvement => improvements.push({ territory, improvement }));
+        });
+
+        const lost = Math.ceil(improvements.length * REALM_SURVIVAL.COLLAPSE_IMPROVEMENT_LOSS);
+        const destroyed = this.random.shuffle(improvements).slice(0, lost).map(({ territory, improvement }) => {
+            territory.removeImprovement(improvement);
+            return { territoryId: territory.id, type: improvement.type };
+        });
+
+        console.log(`Realm collapsed: ${destroyed.length} of ${improvements.length} improvements destroyed`);
+        return { destroyed: destroyed };
+    }
+
+    /**
+     * HUD warnings for a player: their own shortages and the realm's
+     * @returns {Array} Warning strings, most serious first
+     */
+    getWarnings(playerId) {
+        const warnings = [];
+        const shortage = this.getPlayerShortage(playerId);
+        const cycles = (count) => `${count} cycle${count === 1 ? '' : 's'}`;
+
+        if (this.collapsed) {
+            warnings.push('The realm has collapsed');
+        } else if (this.realmShortage.both > 0) {
+            warnings.push(`Realm short of vitality and mana for ${cycles(this.realmShortage.both)} - collapse after ${REALM_SURVIVAL.COLLAPSE_AFTER}`);
+        }
+
+        if (shortage.vitality >= REALM_SURVIVAL.WEAKEN_AFTER) {
+            warnings.push(`Weakened: action time -${Math.round(this.getActionTimePenalty(playerId) * 100)}%`);
+        } else if (shortage.vitality > 0) {
+            warnings.push(`Short of vitality for ${cycles(shortage.vitality)} - weakening after ${REALM_SURVIVAL.WEAKEN_AFTER}`);
+        }
+
+        if (shortage.mana >= REALM_SURVIVAL.FAIL_AFTER) {
+            warnings.push(`Constructs failing: efficiency -${Math.round(this.getEfficiencyPenalty(playerId) * 100)}%`);
+        } else if (shortage.mana > 0) {
+            warnings.push(`Short of mana for ${cycles(shortage.mana)} - constructs fail after ${REALM_SURVIVAL.FAIL_AFTER}`);
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            playerShortages: Array.from(this.playerShortages.entries()),
+            realmShortage: { ...this.realmShortage },
+            collapsed: this.collapsed
+        };
+    }
+
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        this.playerShortages = new Map(savedState.playerShortages || []);
+        this.realmShortage = { vitality: 0, mana: 0, both: 0, ...savedState.realmShortage };
+        this.collapsed = savedState.collapsed || false;
+    }
+}
@@ -0,0 +1,482 @@
+import Construct from './Construct.js';
+import TransactionEngine from './TransactionEngine.js';
+import { GUILD_STORE_ID } from './GuildStore.js';
+import ErrorHandler from '../utils/ErrorHandler.js';
+import { REPLAY_VERSION } from './ReplayRecorder.js';
+
+/**
+ * ReplayPlayer
+ * Plays a recorded replay back onto a game flow built from the same seed and
+ * settings. Entries are re-applied in order at their recorded game times;
+ * seeking restores the nearest keyframe and re-applies the entries after it.
+ * The game flow's phases and timers are not started - the replay drives it.
+ */
+export default class ReplayPlayer {
+    /**
+     * @param {Object} replay - Replay data from ReplayRecorder
+     * @param {GameFlowController} gameFlow - Game flow created with the replay's seed and map size
+     */
+    constructor(replay, gameFlow) {
+        ReplayPlayer.validateReplay(replay);
+
+        this.replay = replay;
+        this.gameFlow = gameFlow;
+        this.clock = gameFlow.clock;
+        this.entries = replay.entries || [];
+        this.keyframes = replay.keyframes || [];
+
+        // Keyframes by the entry count they were taken at, for resyncing during playback
+        this.keyframesByEntry = new Map(this.keyframes.map(k => [k.entryIndex, k]));
+
+        // Playback state
+        this.position = 0; // game ms into the replay
+        this.nextIndex = 0; // next entry to apply
+        this.speed = 1;
+        this.isPlaying = false;
+        this.tickInterval = 100;
+        this.tickTimer = null;
+        this.lastTick = 0;
+
+        this.eventListeners = {};
+        this.errorHandler = new ErrorHandler();
+
+        // Settles recorded auction trades the way the game did
+        this.transactionEngine = new TransactionEngine();
+    }
+
+    /**
+     * Check a replay can be played by this build
+     * @param {Object} replay - Replay data
+     * @throws {Error} When the replay is missing data or from a newer version
+     */
+    static validateReplay(replay) {
+        if (!replay || !Array.isArray(replay.entries) || !Array.isArray(replay.keyframes) || replay.keyframes.length === 0) {
+            throw new Error('Invalid replay: missing entries or keyframes');
+        }
+        if (replay.version > REPLAY_VERSION) {
+            throw new Error(`Replay version ${replay.version} is newer than this game supports (${REPLAY_VERSION})`);
+        }
+    }
+
+    /**
+     * Set up the replayed world and move to the start
+     */
+    load() {
+        const stateManager = this.gameFlow.stateManager;
+        stateManager.initializeGame(this.replay.players, {
+            ...this.replay.settings,
+            seed: this.replay.seed
+        });
+        this.gameFlow.turnManager.players = stateManager.gameState.players;
+
+        // The map is regenerated from the seed; recorded types win if generation has changed
+        (this.replay.map || []).forEach(({ id, type }) => {
+            const territory = this.gameFlow.territoryGrid.getTerritoryById(id);
+            if (territory && territory.type !== type) {
+                console.warn(`ReplayPlayer: Territory ${id} generated as ${territory.type}, replay has ${type}`);
+                territory.type = type;
+                territory.baseModifiers = territory.getDefaultBaseModifiers();
+            }
+        });
+
+        this.restoreTo(0, 0);
+        console.log(`ReplayPlayer: Loaded replay (seed ${this.replay.seed}, ${this.entries.length} entries)`);
+    }
+
+    /**
+     * Start or continue playback
+     */
+    play() {
+        if (this.isPlaying) return;
+        if (this.position >= this.getDuration()) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.lastTick = this.clock.now();
+        this.tickTimer = this.clock.setInterval(() => this.tick(), this.tickInterval);
+        this.broadcastEvent('replay.played', { position: this.position });
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        this.clock.clearInterval(this.tickTimer);
+        this.tickTimer = null;
+        this.broadcastEvent('replay.paused', { position: this.position });
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} speed - Replay milliseconds per clock millisecond
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0, speed);
+        this.broadcastEvent('replay.speed_changed', { speed: this.speed });
+    }
+
+    /**
+     * Get the playback speed
+     */
+    getSpeed() {
+        return this.speed;
+    }
+
+    /**
+     * Advance playback by the clock time since the last tick
+     */
+    tick() {
+        const now = this.clock.now();
+        const elapsed = now - this.lastTick;
+        this.lastTick = now;
+
+        this.advanceTo(this.position + elapsed * this.speed);
+    }
+
+    /**
+     * Apply every entry up to a replay time
+     * @param {number} targetTime - Replay time in ms
+     */
+    advanceTo(targetTime) {
+        try {
+            const target = Math.min(targetTime, this.getDuration());
+            const applied = [];
+
+            while (this.nextIndex < this.entries.length && this.entries[this.nextIndex].t <= target) {
+                applied.push(this.applyNextEntry());
+            }
+            this.position = target;
+
+            applied.forEach(entry => this.broadcastEvent('replay.entry', { entry }));
+            this.broadcastUpdate();
+
+            if (this.position >= this.getDuration()) {
+                this.pause();
+                this.broadcastEvent('replay.ended', { finalResults: this.replay.finalResults });
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, 'ReplayPlayer.advanceTo');
+        }
+    }
+
+    /**
+     * Jump to a replay time (forwards or backwards)
+     * @param {number} time - Replay time in ms
+     */
+    seek(time) {
+        const target = Math.max(0, Math.min(time, this.getDuration()));
+        let entryCount = 0;
+        while (entryCount < this.entries.length && this.entries[entryCount].t <= target) {
+            entryCount++;
+        }
+
+        this.restoreTo(entryCount, target);
+        this.broadcastEvent('replay.seeked', { position: this.position });
+    }
+
+    /**
+     * Apply the next entry and pause there
+     */
+    stepForward() {
+        this.pause();
+        if (this.nextIndex >= this.entries.length) return;
+
+        const entry = this.applyNextEntry();
+        this.position = entry.t;
+
+        this.broadcastEvent('replay.entry', { entry });
+        this.broadcastUpdate();
+    }
+
+    /**
+     * Undo the last applied entry and pause there
+     */
+    stepBackward() {
+        this.pause();
+        if (this.nextIndex === 0) return;
+
+        const entryCount = this.nextIndex - 1;
+        const position = entryCount > 0 ? this.entries[entryCount - 1].t : 0;
+        this.restoreTo(entryCount, position);
+        this.broadcastEvent('replay.seeked', { position: this.position });
+    }
+
+    /**
+     * Rebuild the world as it was after a number of entries
+     * @param {number} entryCount - Entries to have applied
+     * @param {number} position - Replay time to report
+     */
+    restoreTo(entryCount, position) {
+        try {
+            // Latest keyframe taken at or before that entry
+            let keyframe = this.keyframes[0];
+            for (const candidate of this.keyframes) {
+                if (candidate.entryIndex <= entryCount) {
+                    keyframe = candidate;
+                } else {
+                    break;
+                }
+            }
+
+            this.applyKeyframe(keyframe);
+            for (let i = keyframe.entryIndex; i < entryCount; i++) {
+                this.applyEntry(this.entries[i]);
+            }
+
+            this.nextIndex = entryCount;
+            this.position = position;
+            this.broadcastUpdate();
+        } catch (error) {
+            this.errorHandler.handleError(error, 'ReplayPlayer.restoreTo');
+        }
+    }
+
+    /**
+     * Apply the next entry, resyncing to a keyframe taken right after it
+     * (production and decay between actions only show up in keyframes)
+     * @returns {Object} The applied entry
+     */
+    applyNextEntry() {
+        const entry = this.entries[this.nextIndex];
+        this.applyEntry(entry);
+        this.nextIndex++;
+
+        const keyframe = this.keyframesByEntry.get(this.nextIndex);
+        if (keyframe) {
+            this.applyKeyframe(keyframe);
+        }
+        return entry;
+    }
+
+    /**
+     * Reset the world to a keyframe
+     */
+    applyKeyframe(keyframe) {
+        this.setCyclePhase(keyframe.cycle, keyframe.phase);
+        keyframe.players.forEach(snapshot => this.applyPlayerSnapshot(snapshot));
+
+        this.gameFlow.territoryGrid.territories.forEach(territory => {
+            territory.ownerId = null;
+            territory.owner = null;
+            territory.construct = null;
+        });
+
+        keyframe.territories.forEach(saved => {
+            const territory = this.gameFlow.territoryGrid.getTerritoryById(saved.id);
+            if (!territory) return;
+
+            territory.ownerId = saved.ownerId;
+            if (saved.construct) {
+                this.placeConstruct(territory, saved.construct.type, saved.construct.level, saved.construct.id);
+            }
+        });
+    }
+
+    /**
+     * Apply a single recorded entry
+     */
+    applyEntry(entry) {
+        this.setCyclePhase(entry.cycle, entry.phase);
+        const data = entry.data || {};
+
+        if (entry.kind === 'action') {
+            switch (entry.type) {
+                case 'claim_territory': {
+                    // Selections carry a target; ownership comes from the resolved claim
+                    const territory = this.gameFlow.territoryGrid.getTerritoryById(data.territoryId);
+                    if (territory) territory.ownerId = entry.playerId;
+                    break;
+                }
+                case 'place_construct': {
+                    const territory = this.gameFlow.territoryGrid.getTerritoryById(data.target);
+                    if (territory) {
+                        territory.ownerId = territory.ownerId || entry.playerId;
+                        this.placeConstruct(territory, data.constructType, 1);
+                    }
+                    break;
+                }
+                case 'upgrade_construct': {
+                    const territory = this.gameFlow.territoryGrid.getTerritoryById(data.target);
+                    if (territory?.construct) territory.construct.setLevel(data.newLevel);
+                    break;
+                }
+                case 'move_construct': {
+                    const from = this.gameFlow.territoryGrid.getTerritoryById(data.target);
+                    const to = this.gameFlow.territoryGrid.getTerritoryById(data.destination);
+                    const construct = from?.construct;
+                    if (!construct) break;
+
+                    from.construct = null;
+                    if (to && data.outcome !== 'critical_failure') {
+                        construct.territory = to;
+                        to.construct = construct;
+                    }
+                    break;
+                }
+                case 'uninstall_construct':
+                case 'salvage_construct': {
+                    const territory = data.target ? this.gameFlow.territoryGrid.getTerritoryById(data.target) : null;
+                    if (territory) territory.construct = null;
+                    break;
+                }
+            }
+
+            if (entry.player) {
+                this.applyPlayerSnapshot(entry.player);
+            }
+        } else if (entry.kind === 'auction' && entry.type === 'trade') {
+            this.applyTrade(data);
+        } else if (entry.kind === 'trade') {
+            (entry.players || []).forEach(player => this.applyPlayerSnapshot(player));
+        } else if (entry.kind === 'land' && entry.type === 'sale') {
+            const territory = this.gameFlow.territoryGrid.getTerritoryById(data.territoryId);
+            if (territory) territory.ownerId = entry.playerId;
+            (entry.players || []).forEach(player => this.applyPlayerSnapshot(player));
+        }
+    }
+
+    /**
+     * Move gold and resources for a recorded auction trade, with the guild tax
+     * and monopoly premium settled as TransactionEngine does
+     */
+    applyTrade(trade) {
+        const buyer = this.gameFlow.stateManager.getPlayer(trade.buyerId);
+        const seller = this.gameFlow.stateManager.getPlayer(trade.sellerId);
+        const { totalCost, sellerReceives } = this.transactionEngine.getSettlement(trade, trade.sellerId === GUILD_STORE_ID);
+
+        if (buyer) {
+            buyer.gold -= totalCost;
+            buyer.resources[trade.resource] = (buyer.resources[trade.resource] || 0) + trade.quantity;
+        }
+        if (seller) {
+            seller.gold += sellerReceives;
+            seller.resources[trade.resource] = Math.max(0, (seller.resources[trade.resource] || 0) - trade.quantity);
+        }
+    }
+
+    /**
+     * Put a construct on a territory
+     */
+    placeConstruct(territory, type, level, id = null) {
+        const construct = new Construct({
+            id: id || `replay_construct_${territory.id}`,
+            type: type,
+            level: level,
+            owner: this.gameFlow.stateManager.getPlayer(territory.ownerId),
+            status: 'active'
+        });
+        construct.territory = territory;
+        territory.construct = construct;
+    }
+
+    /**
+     * Restore a player's gold and resources
+     */
+    applyPlayerSnapshot(snapshot) {
+        const player = this.gameFlow.stateManager.getPlayer(snapshot.id);
+        if (!player) return;
+
+        player.gold = snapshot.gold;
+        player.resources = { ...snapshot.resources };
+    }
+
+    /**
+     * Show the recorded cycle and phase
+     */
+    setCyclePhase(cycle, phase) {
+        const gameState = this.gameFlow.stateManager.gameState;
+        this.gameFlow.cycleManager.currentCycle = cycle;
+        this.gameFlow.cycleManager.currentPhase = phase;
+        gameState.currentCycle = cycle;
+        gameState.currentPhase = phase;
+    }
+
+    /**
+     * Tell viewers the replayed world has changed
+     */
+    broadcastUpdate() {
+        this.broadcastEvent('replay.updated', {
+            position: this.position,
+            duration: this.getDuration(),
+            entryIndex: this.nextIndex,
+            totalEntries: this.entries.length,
+            cycle: this.gameFlow.cycleManager.currentCycle,
+            phase: this.gameFlow.cycleManager.currentPhase
+        });
+    }
+
+    /**
+     * Get the current replay time in ms
+     */
+    getPosition() {
+        return this.position;
+    }
+
+    /**
+     * Get the replay length in ms
+     */
+    getDuration() {
+        const lastEntry = this.entries[this.entries.length - 1];
+        return Math.max(this.replay.duration || 0, lastEntry ? lastEntry.t : 0);
+    }
+
+    /**
+     * Get the entries applied so far
+     * @param {number} limit - Most recent entries to return
+     */
+    getRecentEntries(limit = 10) {
+        return this.entries.slice(Math.max(0, this.nextIndex - limit), this.nextIndex);
+    }
+
+    /**
+     * Stop playback and release listeners
+     */
+    destroy() {
+        this.pause();
+        this.eventListeners = {};
+    }
+
+    /**
+     * Event system methods
+     */
+    on(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+    }
+
+    off(eventName, callback) {
+        if (this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = this.eventListeners[eventName]
+                .filter(listener => listener !== callback);
+        }
+    }
+
+    broadcastEvent(eventName, data = {}) {
+        if (this.eventListeners[eventName]) {
+            this.eventListeners[eventName].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    this.errorHandler.handleError(error, `Event callback for ${eventName}`);
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,297 @@
+import ErrorHandler from '../utils/ErrorHandler.js';
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * ReplayRecorder
+ * Records a game as it is played: seed, settings, every player action and
+ * auction event with its game-clock timestamp, plus a keyframe of the world
+ * at the start of each phase so playback can jump to any point.
+ */
+export default class ReplayRecorder {
+    /**
+     * @param {GameFlowController} gameFlow - Game to record
+     */
+    constructor(gameFlow) {
+        this.gameFlow = gameFlow;
+        this.clock = gameFlow.clock;
+        this.errorHandler = new ErrorHandler();
+
+        this.isRecording = false;
+        this.startTime = 0;
+        this.replay = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Listen for everything worth replaying
+     */
+    setupEventListeners() {
+        this.gameFlow.on('action.logged', (data) => this.onActionLogged(data));
+        this.gameFlow.on('turn.ended', (data) => this.recordEntry('turn', 'turn_ended', data.player?.id));
+        this.gameFlow.on('phase.started', (data) => this.onPhaseStarted(data));
+        this.gameFlow.on('game.ended', (data) => this.onGameEnded(data));
+
+        // Auction events (emitted by AuctionManager through gameFlow.events)
+        this.gameFlow.on('auction.resource.started', (data) => {
+            this.recordEntry('auction', 'resource_started', null, {
+                resource: data.resource,
+                marketPrice: data.marketPrice
+            });
+        });
+        this.gameFlow.on('auction.player.moved', (data) => {
+            this.recordEntry('auction', 'position', data.playerId, {
+                resource: data.resource,
+                price: data.price,
+                mode: data.mode,
+                quantity: data.quantity
+            });
+        });
+        this.gameFlow.on('auction.trade.executed', (trade) => {
+            this.recordEntry('auction', 'trade', trade.buyerId, {
+                buyerId: trade.buyerId,
+                sellerId: trade.sellerId,
+                resource: trade.resource,
+                price: trade.price,
+                quantity: trade.quantity,
+                premium: trade.premium || 0
+            });
+        });
+        // Direct trades between players
+        this.gameFlow.on('trade_offer.accepted', ({ offer }) => {
+            this.recordEntry('trade', 'direct', offer.fromPlayerId, {
+                toPlayerId: offer.toPlayerId,
+                penaltyRate: offer.penaltyRate,
+                emergency: offer.emergency
+            });
+        });
+        // Land auctions: bids, and plots changing hands
+        this.gameFlow.on('land_auction.bid_placed', (data) => {
+            this.recordEntry('land', 'bid', data.playerId, {
+                territoryId: data.territoryId,
+                amount: data.amount
+            });
+        });
+        this.gameFlow.on('land_auction.lot_closed', (lot) => {
+            if (!lot.sold) return;
+            this.recordEntry('land', 'sale', lot.winnerId, {
+                territoryId: lot.territoryId,
+                sellerId: lot.sellerId,
+                price: lot.price
+            });
+        });
+        this.gameFlow.on('auction.resource.ended', (data) => {
+            this.recordEntry('auction', 'resource_ended', null, {
+                resource: data.resource,
+                finalPrice: data.finalPrice
+            });
+        });
+    }
+
+    /**
+     * Start a new recording
+     * @param {Array} players - Player configs the game was started with
+     * @param {Object} settings - Game settings
+     */
+    start(players, settings = {}) {
+        this.startTime = this.clock.now();
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed: this.gameFlow.random.seed,
+            recordedAt: new Date().toISOString(),
+            settings: {
+                mapWidth: this.gameFlow.territoryGrid.width,
+                mapHeight: this.gameFlow.territoryGrid.height,
+                mapPreset: this.gameFlow.territoryGrid.mapPreset,
+                customMap: this.gameFlow.territoryGrid.customMap,
+                maxCycles: this.gameFlow.cycleManager.maxCycles,
+                startingGold: settings.startingGold
+            },
+            players: players.map(p => ({ id: p.id, name: p.name, color: p.color, isAI: !!p.isAI })),
+            map: this.gameFlow.territoryGrid.territories.map(t => ({ id: t.id, type: t.type })),
+            entries: [],
+            keyframes: [],
+            duration: 0,
+            finalResults: null
+        };
+        this.isRecording = true;
+
+        this.recordKeyframe();
+        console.log(`ReplayRecorder: Recording started (seed ${this.replay.seed})`);
+    }
+
+    /**
+     * Stop recording
+     */
+    stop() {
+        if (!this.isRecording) return;
+        this.replay.duration = this.getElapsed();
+        this.isRecording = false;
+    }
+
+    /**
+     * Game time since recording started
+     */
+    getElapsed() {
+        return this.clock.now() - this.startTime;
+    }
+
+    /**
+     * Record player actions logged by the state manager
+     */
+    onActionLogged(data) {
+        const record = data.action;
+        if (!record) return;
+
+        // TurnManager actions arrive as objects, direct logs as a type plus details
+        const action = typeof record.action === 'string'
+            ? { type: record.action, ...record.details }
+            : { ...record.action };
+
+        this.recordEntry('action', action.type, record.playerId, action);
+    }
+
+    /**
+     * Keyframe each phase so playback can seek
+     */
+    onPhaseStarted(data) {
+        this.recordEntry('phase', data.phase, null, { cycle: data.cycle });
+        this.recordKeyframe();
+    }
+
+    /**
+     * Finish the recording with the final standings
+     */
+    onGameEnded(data) {
+        if (!this.isRecording) return;
+        this.recordEntry('game', 'ended', null, {});
+        this.recordKeyframe();
+        this.replay.finalResults = data.finalResults || null;
+        this.stop();
+    }
+
+    /**
+     * Add a timestamped entry to the replay
+     * @param {string} kind - action, turn, phase, auction, trade, land or game
+     * @param {string} type - Entry type within its kind
+     * @param {string|null} playerId - Acting player
+     * @param {Object} data - Entry details
+     */
+    recordEntry(kind, type, playerId, data = {}) {
+        if (!this.isRecording) return;
+
+        try {
+            const gameState = this.gameFlow.stateManager.gameState;
+            const entry = {
+                t: this.getElapsed(),
+                kind: kind,
+                type: type,
+                cycle: this.gameFlow.cycleManager.currentCycle,
+                phase: this.gameFlow.cycleManager.currentPhase,
+                playerId: playerId || null,
+                data: this.toPlainData(data)
+            };
+
+            // Player actions carry the acting player's resulting purse
+            if (kind === 'action' && playerId) {
+                const player = gameState.players.find(p => p.id === playerId);
+                if (player) {
+                    entry.player = this.snapshotPlayer(player);
+                }
+            }
+            
+            // Direct trades carry both players' purses after settlement
+            if (kind === 'trade') {
+                entry.players = gameState.players
+                    .filter(p => p.id === playerId || p.id === data.toPlayerId)
+                    .map(p => this.snapshotPlayer(p));
+            }
+            
+            // Land sales carry the buyer's and seller's purses
+            if (kind === 'land' && type === 'sale') {
+                entry.players = gameState.players
+                    .filter(p => p.id === playerId || p.id === data.sellerId)
+                    .map(p => this.snapshotPlayer(p));
+            }
+
+            this.replay.entries.push(entry);
+        } catch (error) {
+            this.errorHandler.handleError(error, 'ReplayRecorder.recordEntry');
+        }
+    }
+
+    /**
+     * Record the world state at the current point in the replay
+     */
+    recordKeyframe() {
+        if (!this.isRecording) return;
+
+        const gameState = this.gameFlow.stateManager.gameState;
+        this.replay.keyframes.push({
+            t: this.getElapsed(),
+            entryIndex: this.replay.entries.length,
+            cycle: this.gameFlow.cycleManager.currentCycle,
+            phase: this.gameFlow.cycleManager.currentPhase,
+            players: gameState.players.map(p => this.snapshotPlayer(p)),
+            territories: this.gameFlow.territoryGrid.territories
+                .filter(t => t.ownerId || t.construct)
+                .map(t => ({
+                    id: t.id,
+                    ownerId: t.ownerId,
+                    construct: t.construct ? {
+                        id: t.construct.id,
+                        type: t.construct.type,
+                        level: t.construct.level
+                    } : null
+                }))
+        });
+    }
+
+    /**
+     * Player gold and resources
+     */
+    snapshotPlayer(player) {
+        return {
+            id: player.id,
+            gold: player.gold || 0,
+            resources: { ...(player.resources || {}) }
+        };
+    }
+
+    /**
+     * Strip object references (players, territories) down to JSON-safe values
+     */
+    toPlainData(data) {
+        const plain = {};
+        Object.entries(data || {}).forEach(([key, value]) => {
+            if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+                plain[key] = value;
+            } else if (value && typeof value === 'object' && value.id !== undefined) {
+                plain[key] = value.id;
+            }
+        });
+        return plain;
+    }
+
+    /**
+     * Get the replay recorded so far
+     * @returns {Object|null} Replay data
+     */
+    getReplay() {
+        if (!this.replay) return null;
+        return {
+            ...this.replay,
+            duration: this.isRecording ? this.getElapsed() : this.replay.duration
+        };
+    }
+
+    /**
+     * Export the replay as a JSON string for sharing
+     * @returns {string|null} Replay JSON
+     */
+    exportReplay() {
+        const replay = this.getReplay();
+        return replay ? JSON.stringify(replay) : null;
+    }
+}
@@ -1,3 +1,5 @@
+import SeededRandom from '../utils/SeededRandom.js';
+
 /**
  * Resource Model
  * Represents a magical resource in the game economy
@@ -11,6 +13,7 @@ export default class Resource {
      * @param {number} config.volatility - Price volatility factor
      * @param {number} config.decayRate - Resource decay rate per cycle
      * @param {Object} config.productionRange - Min/max production per territory
+     * @param {SeededRandom} [config.random] - Shared random source
      */
     constructor(config) {
         this.type = config.type;
@@ -18,6 +21,7 @@ export default class Resource {
         this.volatility = config.volatility || 1.0;
         this.decayRate = config.decayRate || 0;
         this.productionRange = config.productionRange || { min: 5, max: 15 };
+        this.random = config.random || new SeededRandom();
         
         // Current market state
         this.currentPrice = this.basePrice;
@@ -88,7 +92,7 @@ export default class Resource {
      */
     getRandomProduction() {
         const range = this.productionRange.max - this.productionRange.min;
-        return Math.floor(this.productionRange.min + Math.random() * range);
+        return Math.floor(this.random.range(this.productionRange.min, this.productionRange.min + range));
     }
     
     /**
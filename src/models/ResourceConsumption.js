@@ -0,0 +1,90 @@
+import { CONSUMPTION } from '../config/gameConfig.js';
+
+/**
+ * ResourceConsumption
+ * What players use up every cycle: vitality to sustain each wizard and
+ * mana to run each active construct. Consumption is taken at the end of
+ * the cycle before decay. A player who cannot cover it is left with a
+ * shortfall that shortens their next turn and weakens their constructs.
+ */
+export default class ResourceConsumption {
+    /**
+     * What a player uses in a cycle
+     * @param {number} constructCount - Active constructs the player runs
+     * @returns {Object} { vitality, mana }
+     */
+    getRequirements(constructCount = 0) {
+        return {
+            vitality: CONSUMPTION.VITALITY_PER_WIZARD,
+            mana: constructCount * CONSUMPTION.MANA_PER_CONSTRUCT
+        };
+    }
+
+    /**
+     * Active constructs standing on a player's territories
+     */
+    countActiveConstructs(playerId, territories) {
+        return territories.filter(t => t.ownerId === playerId && t.construct && t.construct.status === 'active').length;
+    }
+
+    /**
+     * Work out a cycle's consumption for a player without taking it
+     * @returns {Object} { playerId, playerName, available, required, consumed, shortfall, fed }
+     */
+    assess(player, constructCount = 0) {
+        const required = this.getRequirements(constructCount);
+        const result = {
+            playerId: player.id,
+            playerName: player.name,
+            available: {},
+            required: required,
+            consumed: {},
+            shortfall: {},
+            fed: {}
+        };
+
+        Object.entries(required).forEach(([resource, amount]) => {
+            const available = player.resources?.[resource] || 0;
+            const consumed = Math.min(available, amount);
+
+            result.available[resource] = available;
+            result.consumed[resource] = consumed;
+            result.shortfall[resource] = amount - consumed;
+            result.fed[resource] = amount > 0 ? consumed / amount : 1;
+        });
+
+        return result;
+    }
+
+    /**
+     * Take a cycle's consumption from a player's resources
+     * The result is kept on the player as player.consumption until the next cycle.
+     */
+    consume(player, constructCount = 0) {
+        const result = this.assess(player, constructCount);
+
+        Object.entries(result.consumed).forEach(([resource, amount]) => {
+            player.resources[resource] = result.available[resource] - amount;
+        });
+
+        player.consumption = result;
+        return result;
+    }
+
+    /**
+     * Take consumption from every player
+     * @param {Array} players - Players in the game
+     * @param {Array} territories - All territories, to count active constructs
+     */
+    consumeForAllPlayers(players, territories = []) {
+        return players.map(player => this.consume(player, this.countActiveConstructs(player.id, territories)));
+    }
+
+    /**
+     * Share of action time a player keeps after last cycle's vitality shortfall
+     */
+    static getActionTimeRatio(player) {
+        const fed = player.consumption?.fed?.vitality ?? 1;
+        return Math.max(CONSUMPTION.MIN_ACTION_TIME_RATIO, fed);
+    }
+}
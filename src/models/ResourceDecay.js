@@ -218,4 +218,22 @@ export default class ResourceDecay {
         
         return summary;
     }
+    
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            playerPreservation: Array.from(this.playerPreservation.entries())
+        };
+    }
+    
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        if (savedState.playerPreservation) {
+            this.playerPreservation = new Map(savedState.playerPreservation);
+        }
+    }
 }
\ No newline at end of file
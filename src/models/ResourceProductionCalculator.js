@@ -1,3 +1,5 @@
+import { CONSTRUCT_ABILITIES, DIMINISHING_RETURNS } from '../config/gameConfig.js';
+
 export default class ResourceProductionCalculator {
     constructor(gameFlowController) {
         this.gameFlow = gameFlowController;
@@ -28,6 +30,9 @@ export default class ResourceProductionCalculator {
         
         // Bonus per construct level
         this.levelBonus = 0.5; // +50% per level above 1
+        
+        // Bonus for mana conduits next to a level 3 conduit's Mana Resonance
+        this.resonanceBonus = 1 + CONSTRUCT_ABILITIES.MANA_RESONANCE_BONUS;
     }
     
     calculateTerritoryProduction(territory) {
@@ -49,23 +54,48 @@ export default class ResourceProductionCalculator {
         const level = construct.level || 1;
         production *= (1 + (level - 1) * this.levelBonus);
         
+        // Apply the territory's hidden richness in this resource
+        const richness = territory.richness?.[resourceType] ?? 1.0;
+        production *= richness;
+        
         // Apply efficiency from dice roll (critical fail = 0, normal = 1.0, good = 1.2, perfect = 1.5)
         const efficiency = construct.efficiency !== undefined ? construct.efficiency : 1.0;
         production *= efficiency;
         
+        // Improvements lift terrain penalties, lessen interference and enhance enchantments
+        const terrainType = territory.terrainType || territory.type;
+        const terrainModifiers = this.territoryModifiers[terrainType] || {};
+        const interferenceCount = this.calculateInterference(territory);
+        const improved = territory.applyImprovementEffects({
+            terrain: terrainModifiers[resourceType] || 1.0,
+            interference: interferenceCount * this.interferencePenalty
+        });
+        
         // Apply territory type modifier
-        const terrainModifiers = this.territoryModifiers[territory.terrainType] || {};
-        const terrainMod = terrainModifiers[resourceType] || 1.0;
+        const terrainMod = improved.terrain;
         production *= terrainMod;
         
         // Apply synergy bonus if construct matches optimal terrain
-        if (this.hasSynergy(territory.terrainType, construct.type)) {
+        if (this.hasSynergy(terrainType, construct.type)) {
             production *= this.synergyBonus;
         }
         
         // Apply interference from adjacent enemy territories
-        const interferenceCount = this.calculateInterference(territory);
-        production *= (1 - interferenceCount * this.interferencePenalty);
+        production *= (1 - improved.interference);
+        
+        // Enchantment bonuses below are enhanced by a Harmonic Anchor
+        const enchantment = improved.enchantment;
+        
+        // Apply Mana Resonance from an adjacent level 3 conduit
+        const resonance = this.hasResonance(territory);
+        if (resonance) {
+            production *= 1 + (this.resonanceBonus - 1) * enchantment;
+        }
+        
+        // Apply Ley Line Mastery and Magical Harmonics
+        const leyLine = this.gameFlow?.territoryGrid?.leyLines?.getProductionBonus(territory) ||
+            { connection: 0, harmonics: [], total: 0 };
+        production *= 1 + leyLine.total * enchantment;
         
         // Apply any active events or modifiers
         production = this.applyEventModifiers(production, resourceType);
@@ -80,9 +110,14 @@ export default class ResourceProductionCalculator {
                 base: this.baseProduction[resourceType],
                 level: level,
                 efficiency: efficiency,
+                richness: richness,
                 terrain: terrainMod,
-                synergy: this.hasSynergy(territory.terrainType, construct.type),
-                interference: interferenceCount
+                synergy: this.hasSynergy(terrainType, construct.type),
+                interference: interferenceCount,
+                resonance: resonance,
+                leyLine: leyLine.connection,
+                harmonics: leyLine.harmonics,
+                improvements: (territory.improvements || []).filter(i => i.isActive).map(i => i.type)
             }
         };
     }
@@ -107,7 +142,14 @@ export default class ResourceProductionCalculator {
                     arcanum: 0,
                     aether: 0
                 },
-                territories: []
+                territories: [],
+                // Production lost to diminishing returns
+                diminished: {
+                    mana: 0,
+                    vitality: 0,
+                    arcanum: 0,
+                    aether: 0
+                }
             });
         });
         
@@ -123,37 +165,109 @@ export default class ResourceProductionCalculator {
         console.log(`- Territories with constructs: ${territoriesWithConstructs.length}`);
         
         // Calculate production for each territory
+        const productions = [];
         territories.forEach(territory => {
             if (territory.ownerId && territory.construct) {
                 const production = this.calculateTerritoryProduction(territory);
-                
                 if (production) {
-                    productionResults.push(production);
-                    
-                    // Add to player totals
-                    const playerTotal = playerTotals.get(production.playerId);
-                    if (playerTotal) {
-                        playerTotal.resources[production.resource] += production.amount;
-                        playerTotal.territories.push({
-                            territoryId: territory.id,
-                            terrainType: territory.terrainType,
-                            resource: production.resource,
-                            amount: production.amount
-                        });
-                    }
+                    productions.push({ territory, production });
                 }
             }
         });
         
+        // Each further territory of the same terrain yields less
+        this.applyDiminishingReturns(productions);
+        
+        // Focus Pillars may double what their territory yields
+        this.applyImprovementEffects(productions);
+        
+        productions.forEach(({ territory, production }) => {
+            productionResults.push(production);
+            
+            // Add to player totals
+            const playerTotal = playerTotals.get(production.playerId);
+            if (playerTotal) {
+                playerTotal.resources[production.resource] += production.amount;
+                playerTotal.diminished[production.resource] += production.diminished;
+                playerTotal.territories.push({
+                    territoryId: territory.id,
+                    terrainType: territory.terrainType,
+                    resource: production.resource,
+                    amount: production.amount,
+                    diminished: production.diminished
+                });
+            }
+        });
+        
+        // Level 3 vitality wells may bloom for every player
+        const lifeBlooms = this.applyLifeBlooms(territories, Array.from(playerTotals.values()));
+        
         return {
             individualProduction: productionResults,
             playerTotals: Array.from(playerTotals.values()),
+            lifeBlooms: lifeBlooms,
             cycleNumber: this.gameFlow?.cycleManager?.currentCycle || 
                         this.gameFlow?.game?.currentCycle || 
                         1
         };
     }
     
+    /**
+     * Apply Diminishing Returns to a cycle's production
+     * A player's territories of one terrain are ranked by what they produce;
+     * the best keeps its full yield and each one after it loses another step.
+     * @param {Array<Object>} productions - { territory, production } for each producing territory
+     */
+    applyDiminishingReturns(productions) {
+        const groups = new Map(); // "playerId|terrain" -> productions
+        productions.forEach(entry => {
+            const terrainType = entry.territory.terrainType || entry.territory.type;
+            const key = `${entry.production.playerId}|${terrainType}`;
+            groups.set(key, [...(groups.get(key) || []), entry]);
+        });
+        
+        groups.forEach(group => {
+            group.sort((a, b) => b.production.amount - a.production.amount);
+            group.forEach(({ production }, rank) => {
+                const multiplier = this.getDiminishingMultiplier(rank);
+                const amount = Math.floor(production.amount * multiplier);
+                
+                production.diminished = production.amount - amount;
+                production.amount = amount;
+                production.modifiers.terrainRank = rank + 1;
+                production.modifiers.diminishing = multiplier;
+            });
+        });
+    }
+    
+    /**
+     * Apply the production effects of finished improvements, such as the
+     * Focus Pillar's chance to double a territory's yield
+     * @param {Array<Object>} productions - { territory, production } for each producing territory
+     */
+    applyImprovementEffects(productions) {
+        productions.forEach(({ territory, production }) => {
+            (territory.improvements || []).forEach(improvement => {
+                if (!improvement.isActive || !improvement.applyProductionEffects) return;
+                
+                const amount = improvement.applyProductionEffects(production.amount);
+                if (amount !== production.amount) {
+                    production.modifiers.doubled = true;
+                    production.amount = amount;
+                }
+            });
+        });
+    }
+    
+    /**
+     * Production multiplier for a player's territory by its rank among
+     * their territories of the same terrain (0 for the best)
+     */
+    getDiminishingMultiplier(rank) {
+        const multiplier = Math.round((1 - rank * DIMINISHING_RETURNS.STEP) * 100) / 100;
+        return Math.max(DIMINISHING_RETURNS.MIN_MULTIPLIER, multiplier);
+    }
+    
     getResourceTypeFromConstruct(constructType) {
         const resourceMap = {
             'mana_conduit': 'mana',
@@ -179,6 +293,58 @@ export default class ResourceProductionCalculator {
         return terrainSynergies.includes(constructType);
     }
     
+    /**
+     * Whether an adjacent level 3 mana conduit's Mana Resonance reaches this territory
+     */
+    hasResonance(territory) {
+        const territoryGrid = this.gameFlow?.territoryGrid;
+        if (!territoryGrid || territory.construct?.type !== 'mana_conduit') return false;
+        
+        return territory.getAdjacentTerritories(territoryGrid).some(adjacent =>
+            adjacent.construct?.hasActiveAbility?.('mana_resonance') &&
+            adjacent.construct.specialAbility.applyEffect(adjacent, territoryGrid).includes(territory));
+    }
+    
+    /**
+     * Roll each active Life Bloom well and add its vitality to every player's production
+     * @param {Array} territories - All territories on the map
+     * @param {Array} playerTotals - Per-player production totals
+     * @returns {Array} The blooms that happened: { territoryId, playerId }
+     */
+    applyLifeBlooms(territories, playerTotals) {
+        const random = this.gameFlow?.random;
+        if (!random) return [];
+        
+        const blooms = [];
+        territories.forEach(territory => {
+            if (territory.ownerId && territory.construct?.hasActiveAbility?.('life_bloom') &&
+                territory.construct.specialAbility.applyEffect(playerTotals, random)) {
+                blooms.push({ territoryId: territory.id, playerId: territory.ownerId });
+                console.log(`Life Bloom at ${territory.id}: +${CONSTRUCT_ABILITIES.LIFE_BLOOM_VITALITY} vitality for all players`);
+            }
+        });
+        
+        return blooms;
+    }
+    
+    /**
+     * Production a construct would have on a territory, without building it
+     * Used by Aether Sense to show yields of neighbouring territories.
+     * @param {Territory} territory - Territory to project for
+     * @param {string} constructType - Construct that would stand there
+     * @param {string} ownerId - Player who would own it
+     * @param {number} level - Construct level
+     * @returns {number} Projected production per cycle
+     */
+    projectYield(territory, constructType, ownerId, level = 1) {
+        const probe = Object.create(territory);
+        probe.ownerId = ownerId;
+        probe.construct = { type: constructType, level: level, efficiency: 1.0, status: 'active' };
+        
+        const production = this.calculateTerritoryProduction(probe);
+        return production ? production.amount : 0;
+    }
+    
     calculateInterference(territory) {
         let interferenceCount = 0;
         
@@ -220,46 +386,10 @@ export default class ResourceProductionCalculator {
     }
     
     applyEventModifiers(production, resourceType) {
-        // Check for active market events
-        const activeMarketEvent = this.gameFlow?.game?.activeMarketEvent || 
-                                  this.gameFlow?.stateManager?.getActiveMarketEvent?.();
-        
-        if (activeMarketEvent) {
-            const event = activeMarketEvent;
-            
-            switch (event.type) {
-                case 'magical_convergence':
-                    if (resourceType === 'mana') {
-                        production *= 1.5;
-                    }
-                    break;
-                case 'life_bloom':
-                    if (resourceType === 'vitality') {
-                        production *= 2.0;
-                    }
-                    break;
-                case 'ancient_discovery':
-                    if (resourceType === 'arcanum') {
-                        production *= 1.35;
-                    }
-                    break;
-                case 'aether_storm':
-                    if (resourceType === 'aether') {
-                        production *= 2.0;
-                    }
-                    break;
-                case 'mana_drought':
-                    if (resourceType === 'mana') {
-                        production *= 0.5;
-                    }
-                    break;
-                case 'planar_interference':
-                    production *= 0.8;
-                    break;
-            }
-        }
+        // Apply the world event under way (Life Bloom, Mana Drought, ...)
+        const multiplier = this.gameFlow?.worldEvents?.getProductionMultiplier(resourceType) ?? 1.0;
         
-        return production;
+        return production * multiplier;
     }
     
     /**
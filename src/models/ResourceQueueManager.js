@@ -1,3 +1,5 @@
+import GameClock from '../utils/GameClock.js';
+
 /**
  * ResourceQueueManager
  * Manages the queue of resources for auction rotation
@@ -5,6 +7,7 @@
 export default class ResourceQueueManager {
     constructor(auctionManager) {
         this.auctionManager = auctionManager;
+        this.clock = auctionManager?.clock || new GameClock();
         
         // Resource queue configuration
         this.defaultResources = ['mana', 'vitality', 'arcanum', 'aether'];
@@ -95,7 +98,7 @@ export default class ResourceQueueManager {
         // Record in history
         this.queueHistory.push({
             resource: currentResource,
-            startTime: Date.now(),
+            startTime: this.clock.now(),
             index: this.currentIndex
         });
         
@@ -116,13 +119,13 @@ export default class ResourceQueueManager {
     scheduleNextTransition() {
         // Clear any existing timer
         if (this.transitionTimer) {
-            clearTimeout(this.transitionTimer);
+            this.clock.clearTimeout(this.transitionTimer);
         }
         
         // Calculate total time (auction duration + transition delay)
         const totalTime = (this.resourceDuration + this.transitionDelay) * 1000;
         
-        this.transitionTimer = setTimeout(() => {
+        this.transitionTimer = this.clock.setTimeout(() => {
             this.onResourceComplete();
         }, totalTime);
     }
@@ -142,8 +145,8 @@ export default class ResourceQueueManager {
             this.auctionManager.endResourceAuction();
         }
         
-        // Advance to next after a short delay
-        setTimeout(() => {
+        // Advance to next after a short delay (tracked so pause/destroy can cancel it)
+        this.transitionTimer = this.clock.setTimeout(() => {
             this.advanceToNextResource();
         }, this.transitionDelay * 1000);
     }
@@ -160,7 +163,7 @@ export default class ResourceQueueManager {
         
         // Clear transition timer
         if (this.transitionTimer) {
-            clearTimeout(this.transitionTimer);
+            this.clock.clearTimeout(this.transitionTimer);
             this.transitionTimer = null;
         }
         
@@ -200,7 +203,7 @@ export default class ResourceQueueManager {
         
         // Clear timer
         if (this.transitionTimer) {
-            clearTimeout(this.transitionTimer);
+            this.clock.clearTimeout(this.transitionTimer);
         }
         
         // Mark as completed and advance
@@ -227,7 +230,7 @@ export default class ResourceQueueManager {
         
         // Clear timer
         if (this.transitionTimer) {
-            clearTimeout(this.transitionTimer);
+            this.clock.clearTimeout(this.transitionTimer);
             this.transitionTimer = null;
         }
         
@@ -286,7 +289,7 @@ export default class ResourceQueueManager {
         this.isPaused = false;
         
         if (this.transitionTimer) {
-            clearTimeout(this.transitionTimer);
+            this.clock.clearTimeout(this.transitionTimer);
             this.transitionTimer = null;
         }
         
@@ -298,7 +301,7 @@ export default class ResourceQueueManager {
      */
     destroy() {
         if (this.transitionTimer) {
-            clearTimeout(this.transitionTimer);
+            this.clock.clearTimeout(this.transitionTimer);
             this.transitionTimer = null;
         }
         
@@ -170,4 +170,22 @@ export default class ResourceStorage {
         
         return info;
     }
+    
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            playerUpgrades: Array.from(this.playerUpgrades.entries())
+        };
+    }
+    
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        if (savedState.playerUpgrades) {
+            this.playerUpgrades = new Map(savedState.playerUpgrades);
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * Save format version written by this build.
+ * Bump this whenever the saved shape of the game state changes
+ * (Territory.serialize, ConstructManager.serialize,
+ * TerritoryAcquisition.getSerializableState, ...) and register a
+ * migration from the previous version below.
+ */
+export const SAVE_FORMAT_VERSION = 6;
+
+/**
+ * SaveMigrationRegistry
+ * Upgrades older saves to the current save format one version at a time
+ */
+export default class SaveMigrationRegistry {
+    /**
+     * @param {number} [currentVersion] - Save format version of this build
+     */
+    constructor(currentVersion = SAVE_FORMAT_VERSION) {
+        this.currentVersion = currentVersion;
+        this.migrations = new Map(); // fromVersion -> { fromVersion, toVersion, description, migrate }
+
+        this.registerDefaultMigrations();
+    }
+
+    /**
+     * Read a save's format version
+     * Saves from before versioning stored the string '1.0', which is format 1.
+     * @param {number|string} version - Stored version
+     * @returns {number|null} Format version, or null if unreadable
+     */
+    static parseVersion(version) {
+        if (version === undefined || version === null) return null;
+        const parsed = typeof version === 'number' ? version : parseInt(version, 10);
+        return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : null;
+    }
+
+    /**
+     * Register a migration from one version to the next
+     * @param {number} fromVersion - Version the migration upgrades from
+     * @param {string} description - What changed in the save format
+     * @param {Function} migrate - (saveData) => saveData at fromVersion + 1
+     */
+    register(fromVersion, description, migrate) {
+        this.migrations.set(fromVersion, {
+            fromVersion: fromVersion,
+            toVersion: fromVersion + 1,
+            description: description,
+            migrate: migrate
+        });
+    }
+
+    /**
+     * Check whether a save version can be loaded by this build
+     * @param {number} version - Save format version
+     * @returns {Object} Compatibility report
+     */
+    checkCompatibility(version) {
+        if (version === null) {
+            return { compatible: false, reason: 'unknown_version', error: 'Save file has no readable version' };
+        }
+
+        if (version > this.currentVersion) {
+            return {
+                compatible: false,
+                reason: 'too_new',
+                error: `Save was made by a newer version of the game (save format ${version}, ` +
+                       `this build supports up to ${this.currentVersion}). Update the game to load it.`
+            };
+        }
+
+        for (let v = version; v < this.currentVersion; v++) {
+            if (!this.migrations.has(v)) {
+                return {
+                    compatible: false,
+                    reason: 'no_migration',
+                    error: `No migration from save format ${v} to ${v + 1}`
+                };
+            }
+        }
+
+        return { compatible: true };
+    }
+
+    /**
+     * Upgrade save data to the current version
+     * @param {Object} saveData - Save data with version and gameState
+     * @param {number} fromVersion - Version of the save data
+     * @returns {Object} The migrated save data and the steps applied
+     */
+    migrate(saveData, fromVersion) {
+        let migrated = JSON.parse(JSON.stringify(saveData));
+        const applied = [];
+
+        for (let version = fromVersion; version < this.currentVersion; version++) {
+            const migration = this.migrations.get(version);
+            if (!migration) {
+                throw new Error(`No migration from save format ${version} to ${version + 1}`);
+            }
+
+            migrated = migration.migrate(migrated) || migrated;
+            migrated.version = migration.toVersion;
+            if (migrated.gameState) {
+                migrated.gameState.version = migration.toVersion;
+            }
+
+            applied.push({
+                from: migration.fromVersion,
+                to: migration.toVersion,
+                description: migration.description
+            });
+            console.log(`Migrated save from format ${migration.fromVersion} to ${migration.toVersion}: ${migration.description}`);
+        }
+
+        return { saveData: migrated, applied: applied };
+    }
+
+    /**
+     * Migrations for every past save format
+     */
+    registerDefaultMigrations() {
+        this.register(1, 'Territory owners stored as ownerId; construct and acquisition state sections added', (saveData) => {
+            const gameState = saveData.gameState;
+
+            // Format 1 tracked claims in an `owner` field next to the serialized ownerId
+            gameState.territories = (gameState.territories || []).map(territory => {
+                const { owner, ...rest } = territory;
+                return {
+                    ...rest,
+                    ownerId: owner !== undefined ? owner : (territory.ownerId ?? null)
+                };
+            });
+
+            // Constructs were an empty placeholder array until ConstructManager saved its state
+            if (Array.isArray(gameState.constructs)) {
+                gameState.constructs = { constructs: gameState.constructs, installationQueue: [] };
+            }
+
+            gameState.territoryAcquisition = gameState.territoryAcquisition || null;
+            gameState.settings = { ...gameState.settings, seed: gameState.settings?.seed ?? null };
+
+            return saveData;
+        });
+
+        this.register(2, 'Per-system state section added; installations store elapsed time', (saveData) => {
+            const gameState = saveData.gameState;
+
+            // Installations were timed from the wall clock of the saving machine
+            if (gameState.constructs?.installationQueue) {
+                gameState.constructs.installationQueue = gameState.constructs.installationQueue
+                    .map(({ startTime, ...installation }) => ({
+                        ...installation,
+                        elapsed: Math.max(0, (saveData.timestamp || startTime || 0) - (startTime || 0))
+                    }));
+            }
+
+            // Without saved system state the game resumes from the stored cycle and phase
+            gameState.systems = gameState.systems || {};
+
+            return saveData;
+        });
+
+        this.register(3, 'Territories store hidden richness and who surveyed them', (saveData) => {
+            const gameState = saveData.gameState;
+
+            // Older maps had no richness, so every territory was average
+            gameState.territories = (gameState.territories || []).map(territory => ({
+                ...territory,
+                richness: territory.richness || { mana: 1.0, vitality: 1.0, arcanum: 1.0, aether: 1.0 },
+                surveyedBy: territory.surveyedBy || []
+            }));
+
+            return saveData;
+        });
+
+        this.register(4, 'Territories can be blocked by the map editor', (saveData) => {
+            const gameState = saveData.gameState;
+
+            gameState.territories = (gameState.territories || []).map(territory => ({
+                ...territory,
+                blocked: territory.blocked || false
+            }));
+
+            return saveData;
+        });
+
+        this.register(5, 'Ley lines are saved with the map', (saveData) => {
+            // Older games load with the ley lines of the map they are loaded into
+            saveData.gameState.leyLines = saveData.gameState.leyLines || null;
+
+            return saveData;
+        });
+    }
+}
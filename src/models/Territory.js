@@ -1,5 +1,7 @@
-import { RESOURCE_TYPES } from '../config/gameConfig.js';
+import { RESOURCE_TYPES, SURVEY } from '../config/gameConfig.js';
 import ErrorHandler from '../utils/ErrorHandler.js';
+import Construct from './Construct.js';
+import TerritoryImprovement from './TerritoryImprovement.js';
 
 /**
  * Territory Model
@@ -40,6 +42,9 @@ export default class Territory {
         
         // Production modifiers
         this.baseModifiers = this.getDefaultBaseModifiers(); // From territory type
+        this.richness = config.richness || { mana: 1.0, vitality: 1.0, arcanum: 1.0, aether: 1.0 }; // Hidden until surveyed
+        this.surveyedBy = []; // Players who know this territory's richness
+        this.blocked = config.blocked || false; // Impassable hex from the map editor: never owned or built on
         this.improvementModifiers = {}; // From improvements
         this.interferenceModifiers = {}; // From neighboring territories
         
@@ -120,9 +125,24 @@ export default class Territory {
         
         let production = baseProduction;
         
+        // Sum interference penalties
+        let interference = 0;
+        for (const modifier of Object.values(this.interferenceModifiers)) {
+            if (typeof modifier === 'number') {
+                interference += modifier;
+            }
+        }
+        const improved = this.applyImprovementEffects({
+            terrain: this.baseModifiers[resourceType],
+            interference: interference
+        });
+        
+        // Apply the territory's richness in this resource
+        production *= this.richness[resourceType] ?? 1.0;
+        
         // Apply territory type modifiers
         if (this.baseModifiers[resourceType]) {
-            production += production * this.baseModifiers[resourceType];
+            production += production * improved.terrain;
         }
         
         // Apply construct level multiplier
@@ -146,13 +166,11 @@ export default class Territory {
         production += production * improvementBonus;
         
         // Apply interference penalties
-        let interference = 0;
-        for (const modifier of Object.values(this.interferenceModifiers)) {
-            if (typeof modifier === 'number') {
-                interference += modifier;
-            }
-        }
-        production -= production * interference;
+        production -= production * improved.interference;
+        
+        // Apply ley line and harmonic bonuses
+        const leyLineBonus = this.gameFlow?.territoryGrid?.leyLines?.getProductionBonus(this).total || 0;
+        production += production * leyLineBonus * improved.enchantment;
         
         return Math.max(0, Math.floor(production));
     }
@@ -175,6 +193,52 @@ export default class Territory {
         }
     }
     
+    /**
+     * Effects of the finished improvements on this territory
+     * @returns {Object} Effect values by name, e.g. { interference_reduction: 0.5 }
+     */
+    getImprovementEffects() {
+        return this.improvements.reduce((effects, improvement) =>
+            ({ ...effects, ...(improvement.getEffects?.() || {}) }), {});
+    }
+    
+    /**
+     * Apply the finished improvements to production factors
+     * A Purification Circle keeps the terrain modifier from falling below 1,
+     * a Wardstone lessens interference and a Harmonic Anchor strengthens
+     * enchantment bonuses such as ley lines and resonance.
+     * @param {Object} factors - { terrain, interference } before improvements
+     * @returns {Object} { terrain, interference, enchantment } - enchantment multiplies enchantment bonuses
+     */
+    applyImprovementEffects({ terrain = 1.0, interference = 0 } = {}) {
+        const effects = this.getImprovementEffects();
+        return {
+            terrain: effects.remove_negative_modifiers ? Math.max(1.0, terrain) : terrain,
+            interference: interference * (1 - (effects.interference_reduction || 0)),
+            enchantment: 1 + (effects.enchantment_bonus || 0)
+        };
+    }
+    
+    /**
+     * Remove an improvement and the modifiers it granted
+     * @param {Object} improvement - Improvement object
+     * @returns {boolean} Whether the improvement was on this territory
+     */
+    removeImprovement(improvement) {
+        const index = this.improvements.indexOf(improvement);
+        if (index === -1) return false;
+        
+        this.improvements.splice(index, 1);
+        
+        if (improvement.modifiers) {
+            for (const [resource, value] of Object.entries(improvement.modifiers)) {
+                this.improvementModifiers[resource] = (this.improvementModifiers[resource] || 0) - value;
+            }
+        }
+        
+        return true;
+    }
+    
     /**
      * Add interference from a nearby territory
      * @param {string} sourceId - ID of the interfering territory
@@ -200,6 +264,52 @@ export default class Territory {
         this.baseModifiers = modifiers;
     }
     
+    /**
+     * Set the hidden richness of each resource
+     * @param {Object} richness - Production multiplier by resource type
+     */
+    setRichness(richness) {
+        this.richness = { ...this.richness, ...richness };
+    }
+    
+    isSurveyedBy(playerId) {
+        return this.surveyedBy.includes(playerId);
+    }
+    
+    /**
+     * Record that a player has surveyed this territory
+     */
+    markSurveyed(playerId) {
+        if (!this.isSurveyedBy(playerId)) {
+            this.surveyedBy.push(playerId);
+        }
+    }
+    
+    /**
+     * Richness this player knows about
+     * A survey reveals every resource; an Aethermancer senses aether anyway.
+     * @param {Object} player - Player asking
+     * @returns {Object} Richness by resource type, only for known resources
+     */
+    getKnownRichness(player) {
+        if (!player) return {};
+        if (this.isSurveyedBy(player.id)) {
+            return { ...this.richness };
+        }
+        if (player.specialization === 'aethermancer' || player.specializationBonuses?.aetherDetection) {
+            return { aether: this.richness.aether };
+        }
+        return {};
+    }
+    
+    /**
+     * Readable name for a richness value
+     */
+    static getRichnessLabel(richness) {
+        const index = SURVEY.RICHNESS_LEVELS.indexOf(richness);
+        return index === -1 ? `x${richness}` : SURVEY.RICHNESS_LABELS[index];
+    }
+    
     /**
      * Get the owner of this territory
      * @returns {Object|null} The player who owns this territory, or null
@@ -243,7 +353,7 @@ export default class Territory {
             // Update through state manager if game flow is available
             if (this.gameFlow && this.gameFlow.stateManager) {
                 const territories = this.gameFlow.stateManager.gameState.territories.map(t => 
-                    t.id === this.id ? { ...t, owner: this.ownerId } : t
+                    t.id === this.id ? { ...t, ownerId: this.ownerId } : t
                 );
                 
                 this.gameFlow.stateManager.updateGameState({ territories });
@@ -277,7 +387,7 @@ export default class Territory {
      * Check if territory can be claimed by player
      */
     canBeClaimedBy(playerId) {
-        if (!this.gameFlow) return this.owner === null;
+        if (!this.gameFlow) return this.owner === null && !this.blocked;
         
         const currentPhase = this.gameFlow.cycleManager.currentPhase;
         const turnManager = this.gameFlow.turnManager;
@@ -290,6 +400,7 @@ export default class Territory {
         
         return this.owner === null && 
                this.ownerId === null &&
+               !this.blocked &&
                currentPhase === 'territory_selection' &&
                turnManager.canPlayerAct(player, { type: 'claim_territory' });
     }
@@ -324,9 +435,10 @@ export default class Territory {
         
         const construct = this.construct;
         this.construct = null;
+        construct.territory = null;
         
         // Remove from owner's constructs
-        if (this.owner) {
+        if (this.owner?.constructs) {
             const index = this.owner.constructs.indexOf(construct);
             if (index !== -1) {
                 this.owner.constructs.splice(index, 1);
@@ -395,15 +507,8 @@ export default class Territory {
     calculateInterference() {
         let interference = 0;
         
-        // Check for wardstone protection
-        const hasWardstone = this.hasImprovement('wardstone');
-        const baseInterference = 0.1; // Base 10% interference
-        
-        if (hasWardstone) {
-            interference = baseInterference * 0.5; // 50% reduction
-        } else {
-            interference = baseInterference;
-        }
+        // Base 10% interference, lessened by a finished wardstone
+        interference = this.applyImprovementEffects({ interference: 0.1 }).interference;
         
         // Add interference from neighboring territories
         for (const modifier of Object.values(this.interferenceModifiers)) {
@@ -455,7 +560,10 @@ export default class Territory {
             enchantmentLevel: this.enchantmentLevel,
             lastProductionCycle: this.lastProductionCycle,
             baseModifiers: this.baseModifiers,
-            improvementModifiers: this.improvementModifiers
+            improvementModifiers: this.improvementModifiers,
+            richness: this.richness,
+            surveyedBy: [...this.surveyedBy],
+            blocked: this.blocked
         };
     }
     
@@ -463,6 +571,7 @@ export default class Territory {
      * Restore territory from saved data
      */
     restoreFromData(data) {
+        this.type = data.type || this.type;
         this.ownerId = data.ownerId;
         this.enchantmentLevel = data.enchantmentLevel || 0;
         this.lastProductionCycle = data.lastProductionCycle || 0;
@@ -474,9 +583,24 @@ export default class Territory {
         if (data.improvementModifiers) {
             this.improvementModifiers = data.improvementModifiers;
         }
+        if (data.richness) {
+            this.setRichness(data.richness);
+        }
+        this.surveyedBy = [...(data.surveyedBy || [])];
+        this.blocked = !!data.blocked;
+        
+        // Rebuild the construct and improvements as model instances
+        if (data.construct) {
+            const owner = this.gameFlow?.stateManager?.getPlayer(data.construct.ownerId) || null;
+            this.construct = Construct.deserialize(data.construct, owner);
+            this.construct.territory = this;
+        } else {
+            this.construct = null;
+        }
         
-        // Note: construct and improvements will need to be restored externally
-        // as they require proper object instantiation
+        this.improvements = (data.improvements || []).map(improvementData =>
+            TerritoryImprovement.deserialize(improvementData, this, this.gameFlow)
+        );
     }
     
     /**
@@ -1,4 +1,6 @@
 import ErrorHandler from '../utils/ErrorHandler.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import { SURVEY } from '../config/gameConfig.js';
 
 /**
  * TerritoryAcquisition
@@ -8,6 +10,7 @@ export default class TerritoryAcquisition {
     constructor(gameFlowController) {
         this.gameFlow = gameFlowController;
         this.eventSystem = gameFlowController;
+        this.random = gameFlowController?.random || new SeededRandom();
         this.freeClaimsPerPlayer = new Map(); // player ID -> remaining claims
         this.disputedTerritories = new Map(); // territory ID -> [player IDs]
         this.auctionQueue = [];
@@ -95,6 +98,7 @@ export default class TerritoryAcquisition {
         });
         
         return territory.ownerId === null &&
+               !territory.blocked &&
                currentPhase === 'territory_selection' &&
                canAct;
     }
@@ -218,7 +222,7 @@ export default class TerritoryAcquisition {
         // Cap at 80% chance to avoid always disputing
         desirability = Math.min(desirability, 0.8);
         
-        return Math.random() < desirability;
+        return this.random.chance(desirability);
     }
 
     /**
@@ -312,9 +316,60 @@ export default class TerritoryAcquisition {
             });
         }
         
+        // Add bank deposits, subtract loans still owed
+        wealth += (player.bankDeposit || 0) - (player.loanBalance || 0);
+        
         return wealth;
     }
 
+    /**
+     * Pay for an assay that reveals a territory's richness to one player
+     * Only during territory selection, on the player's own turn. Surveying
+     * does not use up the turn's claim.
+     * @returns {Object} { success, richness } or { success: false, reason }
+     */
+    surveyTerritory(playerId, territoryId) {
+        try {
+            const territory = this.gameFlow?.territoryGrid?.getTerritoryById(territoryId);
+            const player = this.gameFlow?.stateManager?.getPlayer(playerId);
+            const turnManager = this.gameFlow?.turnManager;
+            
+            if (!territory || !player) {
+                return { success: false, reason: 'Territory or player not found' };
+            }
+            if (this.gameFlow.cycleManager?.currentPhase !== 'territory_selection' ||
+                !turnManager?.canPlayerAct(player, { type: 'survey_territory' })) {
+                return { success: false, reason: 'Surveys can only be made on your turn during territory selection' };
+            }
+            if (territory.isSurveyedBy(playerId)) {
+                return { success: false, reason: 'You have already surveyed this territory' };
+            }
+            
+            const payment = this.gameFlow.goldManager.deductGold(playerId, SURVEY.COST, `Survey of ${territory.id}`);
+            if (!payment.success) {
+                return { success: false, reason: payment.error };
+            }
+            
+            territory.markSurveyed(playerId);
+            turnManager.executePlayerAction(player, {
+                type: 'survey_territory',
+                target: territory.id,
+                cost: SURVEY.COST
+            });
+            
+            // The richness itself only goes back to the surveying player
+            this.eventSystem?.broadcastEvent('territory.surveyed', {
+                playerId: playerId,
+                territoryId: territory.id
+            });
+            
+            return { success: true, richness: territory.getKnownRichness(player) };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'TerritoryAcquisition.surveyTerritory');
+            return { success: false, reason: error.message };
+        }
+    }
+
     /**
      * Add territory to auction queue
      */
@@ -1,27 +1,39 @@
 import Territory from './Territory.js';
-import { TERRITORY_TYPES } from '../config/gameConfig.js';
+import MapGenerator from './MapGenerator.js';
+import MapDefinition from './MapDefinition.js';
+import Construct from './Construct.js';
+import TerritoryImprovement from './TerritoryImprovement.js';
+import LeyLineNetwork from './LeyLineNetwork.js';
+import { SURVEY, MAP_GENERATION } from '../config/gameConfig.js';
 import ErrorHandler from '../utils/ErrorHandler.js';
+import SeededRandom from '../utils/SeededRandom.js';
 
 /**
  * TerritoryGrid
  * Manages the hexagonal grid of territories and their interactions
  */
 export default class TerritoryGrid {
-    constructor(width, height, gameFlowController) {
+    constructor(width, height, gameFlowController, mapPreset = MAP_GENERATION.DEFAULT_PRESET, customMap = null) {
         this.width = width;
         this.height = height;
+        this.mapPreset = mapPreset;
+        this.customMap = null; // Map editor data the territories were built from
         this.gameFlow = gameFlowController;
         this.eventSystem = gameFlowController;
+        this.random = gameFlowController?.random || new SeededRandom();
         this.territories = [];
         this.territoryMap = new Map(); // For quick lookup by id or coordinates
         this.selectedTerritory = null;
         this.hoveredTerritory = null;
+        this.leyLines = new LeyLineNetwork(this);
         
         // Error handling
         this.errorHandler = new ErrorHandler();
         
-        // Generate initial territories
-        this.generateTerritories();
+        // Build a hand-made map, or generate one
+        if (!customMap || !this.loadMap(customMap)) {
+            this.generateTerritories();
+        }
         
         // Defer event listener setup until after GameFlowController is fully initialized
         // This will be called by GameFlowController after all systems are ready
@@ -31,16 +43,87 @@ export default class TerritoryGrid {
      * Generate the territory grid
      */
     generateTerritories() {
-        const territoryTypes = Object.values(TERRITORY_TYPES || [
-            'ancient_grove', 'crystalline_cave', 'ruined_temple', 
-            'mountain_peak', 'marshland', 'volcanic_field'
-        ]);
+        const generator = new MapGenerator(this.random, this.mapPreset);
+        this.mapPreset = generator.presetId;
+        this.buildTerritories(generator.generate(this.width, this.height));
+        
+        // Hidden richness, rolled after the layout so the terrain stays the same for a seed
+        this.territories.forEach(territory => territory.setRichness(this.generateRichness()));
+        this.leyLines.generate(this.random);
+        
+        // Calculate adjacent territories and interference
+        this.calculateAdjacencies();
+    }
+
+    /**
+     * Build the territories from a map made in the map editor
+     * Richness the designer left out is rolled as on a generated map.
+     * @param {MapDefinition|Object} customMap - Map definition or its saved data
+     * @returns {boolean} Whether the map was valid and loaded
+     */
+    loadMap(customMap) {
+        try {
+            const definition = customMap instanceof MapDefinition ? customMap : new MapDefinition(customMap);
+            const validation = definition.validate({ playerCount: 1 });
+            if (!validation.valid) {
+                throw new Error(`Invalid map "${definition.name}": ${validation.errors.join('; ')}`);
+            }
+            
+            this.width = definition.width;
+            this.height = definition.height;
+            this.mapPreset = 'custom';
+            this.customMap = definition.toJSON();
+            
+            const types = Array.from({ length: this.height }, () => new Array(this.width).fill(null));
+            definition.territories.forEach(t => { types[t.r][t.q] = t.type; });
+            this.buildTerritories(types);
+            
+            definition.territories.forEach(data => {
+                const territory = this.getTerritoryAt(data.q, data.r);
+                territory.setRichness(data.richness || this.generateRichness());
+                territory.blocked = data.blocked;
+                
+                // Neutral constructs belong to nobody until the territory is claimed
+                if (data.construct) {
+                    territory.construct = new Construct({
+                        id: `neutral_${territory.id}`,
+                        type: data.construct.type,
+                        level: data.construct.level,
+                        status: 'active'
+                    });
+                    territory.construct.territory = territory;
+                }
+                data.improvements.forEach(type => {
+                    territory.addImprovement(TerritoryImprovement.deserialize({
+                        type: type,
+                        constructionStartCycle: 0,
+                        isActive: true,
+                        isUnderConstruction: false
+                    }, territory, this.gameFlow));
+                });
+            });
+            
+            this.leyLines.generate(this.random);
+            this.calculateAdjacencies();
+            return true;
+        } catch (error) {
+            this.errorHandler.handleError(error, 'TerritoryGrid.loadMap');
+            return false;
+        }
+    }
+
+    /**
+     * Create a territory for every cell of the map
+     * @param {Array<Array<string>>} types - Terrain type by [r][q]
+     */
+    buildTerritories(types) {
+        this.territories = [];
+        this.territoryMap = new Map();
         
         // Use offset coordinates for hexagonal grid
         for (let r = 0; r < this.height; r++) {
             for (let q = 0; q < this.width; q++) {
                 const id = `territory_${q}_${r}`;
-                const type = territoryTypes[Math.floor(Math.random() * territoryTypes.length)];
                 
                 // Calculate screen position (hexagonal layout)
                 const hexSize = 50;
@@ -51,7 +134,7 @@ export default class TerritoryGrid {
                     id: id,
                     q: q,
                     r: r,
-                    type: type,
+                    type: types[r][q],
                     x: x,
                     y: y,
                     gameFlowController: this.gameFlow
@@ -62,9 +145,17 @@ export default class TerritoryGrid {
                 this.territoryMap.set(`${q},${r}`, territory);
             }
         }
-        
-        // Calculate adjacent territories and interference
-        this.calculateAdjacencies();
+    }
+
+    /**
+     * Roll a territory's hidden richness in each resource
+     */
+    generateRichness() {
+        const richness = {};
+        ['mana', 'vitality', 'arcanum', 'aether'].forEach(resource => {
+            richness[resource] = this.random.pick(SURVEY.RICHNESS_LEVELS);
+        });
+        return richness;
     }
 
     /**
@@ -272,7 +363,7 @@ export default class TerritoryGrid {
     enableTerritorySelection() {
         // Highlight unowned territories
         this.territories.forEach(territory => {
-            if (!territory.ownerId) {
+            if (!territory.ownerId && !territory.blocked) {
                 territory.isHighlighted = true;
             }
         });
@@ -310,7 +401,7 @@ export default class TerritoryGrid {
         this.territories.forEach(territory => {
             switch (currentPhase) {
                 case 'territory_selection':
-                    territory.isHighlighted = !territory.ownerId;
+                    territory.isHighlighted = !territory.ownerId && !territory.blocked;
                     break;
                 case 'construct_outfitting':
                     territory.isHighlighted = territory.ownerId === playerId;
@@ -374,7 +465,7 @@ export default class TerritoryGrid {
      * Get unowned territories
      */
     getUnownedTerritories() {
-        return this.territories.filter(territory => !territory.ownerId);
+        return this.territories.filter(territory => !territory.ownerId && !territory.blocked);
     }
 
     /**
@@ -433,7 +524,10 @@ export default class TerritoryGrid {
         return {
             width: this.width,
             height: this.height,
+            mapPreset: this.mapPreset,
+            customMap: this.customMap,
             territories: this.territories.map(t => t.serialize()),
+            leyLines: this.leyLines.getSerializableState(),
             selectedTerritory: this.selectedTerritory?.id || null
         };
     }
@@ -442,6 +536,28 @@ export default class TerritoryGrid {
      * Restore from saved state
      */
     restoreFromState(savedState) {
+        // A save from a map of another size replaces the generated layout
+        const rebuild = savedState.territories && !this.matchesLayout(savedState.territories);
+        if (rebuild) {
+            this.width = Math.max(...savedState.territories.map(t => t.q)) + 1;
+            this.height = Math.max(...savedState.territories.map(t => t.r)) + 1;
+            const types = Array.from({ length: this.height }, () => new Array(this.width).fill(null));
+            savedState.territories.forEach(t => { types[t.r][t.q] = t.type; });
+            this.buildTerritories(types);
+        }
+        if (savedState.mapPreset) {
+            this.mapPreset = savedState.mapPreset;
+        }
+        if (savedState.customMap !== undefined) {
+            this.customMap = savedState.customMap;
+        }
+        // Saves from before ley lines were kept use the lines of this map, redrawn if the layout changed
+        if (savedState.leyLines) {
+            this.leyLines.restoreFromState(savedState.leyLines);
+        } else if (rebuild) {
+            this.leyLines.generate(this.random);
+        }
+        
         if (savedState.territories) {
             savedState.territories.forEach(territoryData => {
                 const territory = this.getTerritoryById(territoryData.id);
@@ -460,6 +576,14 @@ export default class TerritoryGrid {
         this.calculateInterference();
     }
 
+    /**
+     * Whether saved territories fit this grid's layout
+     */
+    matchesLayout(savedTerritories) {
+        return savedTerritories.length === this.territories.length &&
+            savedTerritories.every(t => this.territoryMap.has(t.id));
+    }
+
     /**
      * Get grid statistics
      */
@@ -1,10 +1,12 @@
 import { RESOURCE_TYPES } from '../config/gameConfig.js';
 import ErrorHandler from '../utils/ErrorHandler.js';
+import SeededRandom from '../utils/SeededRandom.js';
 
 // Improvement definitions
 export const IMPROVEMENTS = {
     wardstone: {
         name: "Wardstone",
+        icon: "🛡️",
         cost: { arcanum: 100, mana: 50 },
         effect: { interference_reduction: 0.5 },
         constructionTime: 2, // cycles
@@ -12,6 +14,7 @@ export const IMPROVEMENTS = {
     },
     harmonic_anchor: {
         name: "Harmonic Anchor",
+        icon: "⚓",
         cost: { arcanum: 150, mana: 100 },
         effect: { enchantment_bonus: 0.5 },
         constructionTime: 3,
@@ -19,6 +22,7 @@ export const IMPROVEMENTS = {
     },
     purification_circle: {
         name: "Purification Circle",
+        icon: "⭕",
         cost: { arcanum: 200, vitality: 150 },
         effect: { remove_negative_modifiers: true },
         constructionTime: 3,
@@ -26,6 +30,7 @@ export const IMPROVEMENTS = {
     },
     focus_pillar: {
         name: "Focus Pillar",
+        icon: "🗼",
         cost: { arcanum: 300, mana: 200, vitality: 100 },
         effect: { double_production_chance: 0.1 },
         constructionTime: 4,
@@ -33,6 +38,9 @@ export const IMPROVEMENTS = {
     }
 };
 
+// Share of an improvement's cost returned when its construction is cancelled
+export const CANCEL_REFUND_SHARE = 0.5;
+
 /**
  * TerritoryImprovement
  * Represents an improvement that can be built on a territory
@@ -43,6 +51,7 @@ export default class TerritoryImprovement {
         this.type = improvementType;
         this.gameFlow = gameFlowController;
         this.eventSystem = gameFlowController;
+        this.random = gameFlowController?.random || new SeededRandom();
         this.config = IMPROVEMENTS[improvementType];
         
         if (!this.config) {
@@ -59,21 +68,38 @@ export default class TerritoryImprovement {
     }
 
     /**
-     * Check if improvement can be built
+     * Why a player cannot build this improvement, or null if they can
      */
-    canBuild(playerId) {
-        if (!this.gameFlow) return false;
+    getBuildError(playerId) {
+        if (!this.gameFlow) return 'No game in progress';
+        
+        const player = this.gameFlow.stateManager?.getPlayer(playerId);
         
-        const player = this.gameFlow.stateManager?.gameState?.players.find(p => p.id === playerId);
-        const cost = this.config.cost;
-        const currentPhase = this.gameFlow.cycleManager?.currentPhase;
+        if (!player || this.territory.ownerId !== playerId) {
+            return 'You can only improve your own territories';
+        }
+        if (this.territory.hasImprovement(this.type)) {
+            return `This territory already has a ${this.config.name}`;
+        }
+        if (!this.territory.canAddImprovement(this.type)) {
+            return `A ${this.config.name} needs a territory with a weak resource to purify`;
+        }
+        if (this.gameFlow.cycleManager?.currentPhase !== 'construct_outfitting' ||
+            !this.gameFlow.turnManager?.canPlayerAct(player, { type: 'build_improvement' })) {
+            return 'Improvements can only be built on your turn during construct outfitting';
+        }
+        if (!this.hasResources(player, this.config.cost)) {
+            return 'Not enough resources';
+        }
         
-        return player && 
-               this.hasResources(player, cost) && 
-               !this.territory.hasImprovement(this.type) &&
-               this.territory.ownerId === playerId &&
-               currentPhase === 'construct_outfitting' &&
-               this.gameFlow.turnManager?.canPlayerAct(playerId, { type: 'build_improvement' });
+        return null;
+    }
+
+    /**
+     * Check if improvement can be built
+     */
+    canBuild(playerId) {
+        return this.getBuildError(playerId) === null;
     }
 
     /**
@@ -81,14 +107,15 @@ export default class TerritoryImprovement {
      */
     startConstruction(playerId) {
         try {
-            if (!this.canBuild(playerId)) {
-                return { success: false, reason: 'Cannot build improvement' };
+            const error = this.getBuildError(playerId);
+            if (error) {
+                return { success: false, reason: error };
             }
 
-            const player = this.gameFlow.stateManager?.gameState?.players.find(p => p.id === playerId);
+            const player = this.gameFlow.stateManager.getPlayer(playerId);
             const cost = this.config.cost;
             
-            // Spend resources through state manager
+            // Pay for the whole construction up front
             this.spendResources(player, cost);
             
             // Start construction
@@ -113,9 +140,6 @@ export default class TerritoryImprovement {
                 improvement: this.type
             });
 
-            // Schedule completion
-            this.scheduleCompletion();
-            
             // Emit event
             this.eventSystem?.broadcastEvent('improvement.started', {
                 territoryId: this.territory.id,
@@ -135,20 +159,56 @@ export default class TerritoryImprovement {
     }
 
     /**
-     * Schedule improvement completion
+     * Stop construction and return part of the cost
+     * @returns {Object} { success, refund } or { success: false, reason }
      */
-    scheduleCompletion() {
-        if (!this.eventSystem) return;
-        
-        const completionHandler = (event) => {
-            if (event.cycle >= this.constructionStartCycle + this.constructionTime) {
-                this.completeConstruction();
-                // Remove this listener after completion
-                this.eventSystem.off('cycle.started', completionHandler);
+    cancelConstruction(playerId) {
+        try {
+            const player = this.gameFlow?.stateManager?.getPlayer(playerId);
+            
+            if (!player || this.territory.ownerId !== playerId || !this.territory.improvements.includes(this)) {
+                return { success: false, reason: 'You can only cancel improvements on your own territories' };
             }
-        };
-        
-        this.eventSystem.on('cycle.started', completionHandler);
+            if (!this.isUnderConstruction) {
+                return { success: false, reason: `The ${this.config.name} is already finished` };
+            }
+            if (!this.gameFlow.turnManager?.canPlayerAct(player, { type: 'cancel_improvement' })) {
+                return { success: false, reason: 'Construction can only be cancelled on your turn during construct outfitting' };
+            }
+            
+            const refund = {};
+            Object.entries(this.config.cost).forEach(([resource, amount]) => {
+                refund[resource] = Math.floor(amount * CANCEL_REFUND_SHARE);
+                player.resources[resource] = (player.resources[resource] || 0) + refund[resource];
+            });
+            
+            this.isUnderConstruction = false;
+            this.territory.removeImprovement(this);
+            
+            this.gameFlow.stateManager?.logPlayerAction(playerId, 'cancel_improvement', {
+                territoryId: this.territory.id,
+                improvementType: this.type,
+                refund: refund
+            });
+            
+            this.gameFlow.turnManager?.executePlayerAction(player, {
+                type: 'cancel_improvement',
+                target: this.territory.id,
+                improvement: this.type
+            });
+            
+            this.eventSystem?.broadcastEvent('improvement.cancelled', {
+                territoryId: this.territory.id,
+                improvementType: this.type,
+                playerId: playerId,
+                refund: refund
+            });
+            
+            return { success: true, refund };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'TerritoryImprovement.cancelConstruction');
+            return { success: false, reason: error.message };
+        }
     }
 
     /**
@@ -158,9 +218,6 @@ export default class TerritoryImprovement {
         this.isUnderConstruction = false;
         this.isActive = true;
         
-        // Apply improvement effects
-        this.applyEffects();
-        
         this.eventSystem?.broadcastEvent('improvement.completed', {
             territoryId: this.territory.id,
             improvementType: this.type,
@@ -169,37 +226,12 @@ export default class TerritoryImprovement {
     }
 
     /**
-     * Apply improvement effects to territory
+     * Effects the improvement has on its territory once finished
+     * Territory and ResourceProductionCalculator read these when working out
+     * production; the Focus Pillar's roll is made in applyProductionEffects.
      */
-    applyEffects() {
-        const effects = this.config.effect;
-        
-        switch (this.type) {
-            case 'wardstone':
-                // Interference reduction is handled in territory calculation
-                break;
-                
-            case 'harmonic_anchor':
-                // Enchantment bonus is handled in territory calculation
-                break;
-                
-            case 'purification_circle':
-                if (effects.remove_negative_modifiers) {
-                    // Reset negative modifiers to 1.0
-                    const modifiers = { ...this.territory.baseModifiers };
-                    Object.keys(modifiers).forEach(resource => {
-                        if (modifiers[resource] < 1.0) {
-                            modifiers[resource] = 1.0;
-                        }
-                    });
-                    this.territory.setBaseModifiers(modifiers);
-                }
-                break;
-                
-            case 'focus_pillar':
-                // Double production chance is handled during production calculation
-                break;
-        }
+    getEffects() {
+        return this.isActive ? this.config.effect : {};
     }
 
     /**
@@ -215,17 +247,9 @@ export default class TerritoryImprovement {
      * Spend resources for improvement
      */
     spendResources(player, cost) {
-        const updatedResources = { ...player.resources };
         Object.entries(cost).forEach(([resource, amount]) => {
-            updatedResources[resource] = (updatedResources[resource] || 0) - amount;
+            player.resources[resource] = (player.resources[resource] || 0) - amount;
         });
-        
-        // Update through state manager
-        const players = this.gameFlow.stateManager?.gameState?.players.map(p => 
-            p.id === player.id ? { ...p, resources: updatedResources } : p
-        );
-        
-        this.gameFlow.stateManager?.updateGameState({ players });
     }
 
     /**
@@ -237,7 +261,7 @@ export default class TerritoryImprovement {
         let production = baseProduction;
         
         // Apply focus pillar double production chance
-        if (this.type === 'focus_pillar' && Math.random() < this.config.effect.double_production_chance) {
+        if (this.type === 'focus_pillar' && this.random.chance(this.config.effect.double_production_chance)) {
             production *= 2;
             
             this.eventSystem?.broadcastEvent('production.doubled', {
@@ -251,15 +275,32 @@ export default class TerritoryImprovement {
         return production;
     }
 
+    /**
+     * Cycles of construction done by a cycle, up to the construction time
+     */
+    getCyclesBuilt(currentCycle) {
+        if (!this.isUnderConstruction) return this.isActive ? this.constructionTime : 0;
+        return Math.min(this.constructionTime, Math.max(0, currentCycle - this.constructionStartCycle));
+    }
+
     /**
      * Update for new cycle
      */
     updateForNewCycle(currentCycle) {
+        if (!this.isUnderConstruction) return;
+        
         // Check if construction should complete
-        if (this.isUnderConstruction && 
-            currentCycle >= this.constructionStartCycle + this.constructionTime) {
+        if (currentCycle >= this.constructionStartCycle + this.constructionTime) {
             this.completeConstruction();
+            return;
         }
+        
+        this.eventSystem?.broadcastEvent('improvement.progressed', {
+            territoryId: this.territory.id,
+            improvementType: this.type,
+            cyclesBuilt: this.getCyclesBuilt(currentCycle),
+            constructionTime: this.constructionTime
+        });
     }
 
     /**
@@ -283,16 +324,6 @@ export default class TerritoryImprovement {
         improvement.isActive = data.isActive;
         improvement.isUnderConstruction = data.isUnderConstruction;
         
-        // Re-apply effects if active
-        if (improvement.isActive) {
-            improvement.applyEffects();
-        }
-        
-        // Re-schedule completion if under construction
-        if (improvement.isUnderConstruction) {
-            improvement.scheduleCompletion();
-        }
-        
         return improvement;
     }
 
@@ -300,16 +331,19 @@ export default class TerritoryImprovement {
      * Get improvement display info
      */
     getDisplayInfo() {
+        const currentCycle = this.gameFlow?.cycleManager?.currentCycle || 0;
         return {
             type: this.type,
             name: this.config.name,
+            icon: this.config.icon,
             description: this.config.description,
             cost: this.config.cost,
             isActive: this.isActive,
             isUnderConstruction: this.isUnderConstruction,
             turnsRemaining: this.isUnderConstruction ? 
-                Math.max(0, (this.constructionStartCycle + this.constructionTime) - 
-                    (this.gameFlow?.cycleManager?.currentCycle || 0)) : 0
+                Math.max(0, (this.constructionStartCycle + this.constructionTime) - currentCycle) : 0,
+            cyclesBuilt: this.getCyclesBuilt(currentCycle),
+            constructionTime: this.constructionTime
         };
     }
 
@@ -1,15 +1,19 @@
 import ErrorHandler from '../utils/ErrorHandler.js';
+import GameClock from '../utils/GameClock.js';
 
 /**
  * TimeManager
  * Manages timers, time limits, and time-based game events
  */
 export default class TimeManager {
-    constructor() {
+    constructor(clock = null) {
+        this.clock = clock || new GameClock();
         this.globalTimer = null;
         this.playerTimers = new Map();
+        this.timerCounter = 0;
         this.phaseTimeouts = {
             territory_selection: 120, // 2 minutes per player
+            land_auction: 120, // 2 minutes total
             construct_outfitting: 180, // 3 minutes per player
             auction_phase: 300, // 5 minutes total
             resource_production: 30, // 30 seconds (automated)
@@ -54,7 +58,7 @@ export default class TimeManager {
                 type: 'phase',
                 phase: phase,
                 playerId: playerId,
-                startTime: Date.now(),
+                startTime: this.clock.now(),
                 duration: timeLimit * 1000, // convert to milliseconds
                 remainingTime: timeLimit * 1000,
                 isActive: true,
@@ -95,7 +99,7 @@ export default class TimeManager {
                 type: 'player',
                 phase: phase,
                 playerId: playerId,
-                startTime: Date.now(),
+                startTime: this.clock.now(),
                 duration: actualTimeLimit * 1000,
                 remainingTime: actualTimeLimit * 1000,
                 isActive: true,
@@ -126,7 +130,7 @@ export default class TimeManager {
     startTimerUpdates() {
         if (this.updateTimer) return;
         
-        this.updateTimer = setInterval(() => {
+        this.updateTimer = this.clock.setInterval(() => {
             this.updateAllTimers();
         }, this.updateInterval);
     }
@@ -136,7 +140,7 @@ export default class TimeManager {
      */
     stopTimerUpdates() {
         if (this.updateTimer) {
-            clearInterval(this.updateTimer);
+            this.clock.clearInterval(this.updateTimer);
             this.updateTimer = null;
         }
     }
@@ -176,7 +180,7 @@ export default class TimeManager {
      * Update a specific timer
      */
     updateSingleTimer(timer) {
-        const elapsed = Date.now() - timer.startTime;
+        const elapsed = this.getTimerElapsed(timer);
         timer.remainingTime = Math.max(0, timer.duration - elapsed);
         
         const secondsRemaining = Math.ceil(timer.remainingTime / 1000);
@@ -205,6 +209,14 @@ export default class TimeManager {
         }
     }
 
+    /**
+     * Get game time elapsed on a timer, excluding time spent paused
+     */
+    getTimerElapsed(timer) {
+        const now = timer.isPaused && timer.pausedAt !== undefined ? timer.pausedAt : this.clock.now();
+        return Math.min(timer.duration, Math.max(0, now - timer.startTime));
+    }
+
     /**
      * Check and broadcast time warnings
      */
@@ -293,6 +305,9 @@ export default class TimeManager {
             case 'territory_selection':
                 this.broadcastEvent('phase.timeout', { phase: 'territory_selection' });
                 break;
+            case 'land_auction':
+                this.broadcastEvent('phase.timeout', { phase: 'land_auction' });
+                break;
             case 'construct_outfitting':
                 this.broadcastEvent('phase.timeout', { phase: 'construct_outfitting' });
                 break;
@@ -334,7 +349,7 @@ export default class TimeManager {
      */
     pauseAllTimers() {
         this.isPaused = true;
-        const pauseTime = Date.now();
+        const pauseTime = this.clock.now();
         
         // Pause global timer
         if (this.globalTimer && this.globalTimer.isActive) {
@@ -357,7 +372,7 @@ export default class TimeManager {
      * Resume all timers
      */
     resumeAllTimers() {
-        const resumeTime = Date.now();
+        const resumeTime = this.clock.now();
         
         // Resume global timer
         if (this.globalTimer && this.globalTimer.isPaused) {
@@ -516,6 +531,64 @@ export default class TimeManager {
         return status;
     }
 
+    /**
+     * Get serializable state
+     * Running timers are stored by elapsed game time so they resume on load
+     */
+    getSerializableState() {
+        const serializeTimer = (timer) => {
+            const { startTime, pausedAt, warnings, ...rest } = timer;
+            return {
+                ...rest,
+                warnings: warnings ? Array.from(warnings) : [],
+                elapsed: this.getTimerElapsed(timer)
+            };
+        };
+        
+        return {
+            playerTimeBanks: Array.from(this.playerTimeBanks.entries()),
+            timerCounter: this.timerCounter,
+            globalTimer: this.globalTimer?.isActive ? serializeTimer(this.globalTimer) : null,
+            playerTimers: Array.from(this.playerTimers.values())
+                .filter(timer => timer.isActive)
+                .map(serializeTimer)
+        };
+    }
+
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        if (savedState.playerTimeBanks) {
+            this.playerTimeBanks = new Map(savedState.playerTimeBanks);
+        }
+        this.timerCounter = savedState.timerCounter || 0;
+        
+        const now = this.clock.now();
+        const restoreTimer = ({ elapsed, warnings, ...timer }) => ({
+            ...timer,
+            warnings: new Set(warnings || []),
+            startTime: now - elapsed,
+            remainingTime: Math.max(0, timer.duration - elapsed),
+            isActive: true,
+            isPaused: false
+        });
+        
+        this.clearCurrentTimer();
+        this.playerTimers.clear();
+        
+        if (savedState.globalTimer) {
+            this.globalTimer = restoreTimer(savedState.globalTimer);
+        }
+        (savedState.playerTimers || []).forEach(timer => {
+            this.playerTimers.set(timer.playerId, restoreTimer(timer));
+        });
+        
+        if (this.hasActiveTimers()) {
+            this.startTimerUpdates();
+        }
+    }
+
     /**
      * Force expire a timer (for testing/admin)
      */
@@ -543,7 +616,7 @@ export default class TimeManager {
      * Generate unique timer ID
      */
     generateTimerId() {
-        return `timer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `timer_${++this.timerCounter}`;
     }
 
     /**
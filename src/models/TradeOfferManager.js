@@ -0,0 +1,364 @@
+import HexUtils from '../utils/HexUtils.js';
+import ErrorHandler from '../utils/ErrorHandler.js';
+import TransactionEngine from './TransactionEngine.js';
+import { BASE_PRICES, DIRECT_TRADE, GAME_SETTINGS } from '../config/gameConfig.js';
+
+const RESOURCES = ['mana', 'vitality', 'arcanum', 'aether'];
+
+/**
+ * TradeOfferManager
+ * Direct trades between players outside the auction. One player offers a
+ * bundle of gold and resources for another bundle; the other accepts or
+ * rejects. Resources shipped between realms lose a share in transit that
+ * grows with the hex distance between the players' nearest territories.
+ * Gifts of resources asking nothing back are emergency sharing and free.
+ */
+export default class TradeOfferManager {
+    constructor(gameFlowController) {
+        this.gameFlow = gameFlowController;
+        this.clock = gameFlowController.clock;
+        this.errorHandler = new ErrorHandler();
+        this.hexUtils = new HexUtils(GAME_SETTINGS.HEX_SIZE);
+
+        this.offers = new Map(); // offerId -> offer
+        this.offerCounter = 0;
+        this.aiResponseTimers = new Map(); // offerId -> clock timer handle
+
+        // Used only until the scene attaches the shared TransactionEngine
+        this.transactionEngine = null;
+    }
+
+    /**
+     * Engine that settles accepted offers
+     */
+    getTransactionEngine() {
+        if (this.gameFlow.transactionEngine) {
+            return this.gameFlow.transactionEngine;
+        }
+        if (!this.transactionEngine) {
+            this.transactionEngine = new TransactionEngine(this.gameFlow.stateManager, null);
+        }
+        return this.transactionEngine;
+    }
+
+    /**
+     * Clean up a bundle to whole, positive amounts
+     * @param {Object} bundle - { gold, resources: { mana, ... } }
+     * @returns {Object} Normalized bundle
+     */
+    normalizeBundle(bundle = {}) {
+        const resources = {};
+        RESOURCES.forEach(resource => {
+            const amount = Math.floor(bundle.resources?.[resource] || 0);
+            if (amount > 0) {
+                resources[resource] = amount;
+            }
+        });
+
+        return {
+            gold: Math.max(0, Math.floor(bundle.gold || 0)),
+            resources: resources
+        };
+    }
+
+    isEmptyBundle(bundle) {
+        return bundle.gold === 0 && Object.keys(bundle.resources).length === 0;
+    }
+
+    /**
+     * Whether a player holds everything in a bundle
+     */
+    canAfford(player, bundle) {
+        if ((player.gold || 0) < bundle.gold) return false;
+        return Object.entries(bundle.resources).every(([resource, amount]) =>
+            (player.resources?.[resource] || 0) >= amount);
+    }
+
+    /**
+     * Hex distance between two players' nearest territories
+     * @returns {number|null} Distance, or null if either player owns no land
+     */
+    getTradeDistance(playerId, otherPlayerId) {
+        const grid = this.gameFlow.territoryGrid;
+        const ours = grid.getPlayerTerritories(playerId);
+        const theirs = grid.getPlayerTerritories(otherPlayerId);
+        if (ours.length === 0 || theirs.length === 0) {
+            return null;
+        }
+
+        let nearest = Infinity;
+        ours.forEach(a => {
+            theirs.forEach(b => {
+                nearest = Math.min(nearest, this.hexUtils.distance(a.q, a.r, b.q, b.r));
+            });
+        });
+        return nearest;
+    }
+
+    /**
+     * Share of shipped resources lost between two players
+     * Players without land trade at the one-hex rate.
+     */
+    getPenaltyRate(distance) {
+        const hexes = distance === null ? 1 : Math.max(1, distance);
+        return Math.min(DIRECT_TRADE.MAX_PENALTY, hexes * DIRECT_TRADE.PENALTY_PER_HEX);
+    }
+
+    /**
+     * Propose a trade to another player
+     * @param {string} fromPlayerId - Player making the offer
+     * @param {string} toPlayerId - Player receiving the offer
+     * @param {Object} give - What the proposer hands over
+     * @param {Object} receive - What the proposer asks for
+     * @returns {Object} { success, offer } or { success: false, error }
+     */
+    proposeOffer(fromPlayerId, toPlayerId, give, receive) {
+        try {
+            const stateManager = this.gameFlow.stateManager;
+            const proposer = stateManager.getPlayer(fromPlayerId);
+            const recipient = stateManager.getPlayer(toPlayerId);
+
+            if (!proposer || !recipient) {
+                return { success: false, error: 'Player not found' };
+            }
+            if (fromPlayerId === toPlayerId) {
+                return { success: false, error: 'Cannot trade with yourself' };
+            }
+
+            const giveBundle = this.normalizeBundle(give);
+            const receiveBundle = this.normalizeBundle(receive);
+            if (this.isEmptyBundle(giveBundle) && this.isEmptyBundle(receiveBundle)) {
+                return { success: false, error: 'Offer is empty' };
+            }
+            if (!this.canAfford(proposer, giveBundle)) {
+                return { success: false, error: 'You do not have everything you are offering' };
+            }
+
+            // Resources given with nothing asked back are emergency sharing
+            const emergency = giveBundle.gold === 0 && !this.isEmptyBundle(giveBundle) &&
+                this.isEmptyBundle(receiveBundle);
+            const distance = this.getTradeDistance(fromPlayerId, toPlayerId);
+
+            const offer = {
+                id: `offer_${++this.offerCounter}`,
+                fromPlayerId: fromPlayerId,
+                toPlayerId: toPlayerId,
+                give: giveBundle,
+                receive: receiveBundle,
+                emergency: emergency,
+                distance: distance,
+                penaltyRate: emergency ? 0 : this.getPenaltyRate(distance),
+                status: 'pending',
+                createdAt: this.clock.now(),
+                resolvedAt: null
+            };
+            this.offers.set(offer.id, offer);
+
+            console.log(`Trade offer ${offer.id}: ${fromPlayerId} -> ${toPlayerId}`, offer);
+            this.gameFlow.broadcastEvent('trade_offer.proposed', { offer: offer });
+
+            if (recipient.isAI) {
+                this.scheduleAIResponse(offer);
+            }
+
+            return { success: true, offer: offer };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'TradeOfferManager.proposeOffer');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Accept an offer and settle it through the TransactionEngine
+     */
+    acceptOffer(offerId, playerId) {
+        const offer = this.getPendingOffer(offerId);
+        if (!offer) {
+            return { success: false, error: 'Offer is no longer open' };
+        }
+        if (offer.toPlayerId !== playerId) {
+            return { success: false, error: 'Only the receiving player can accept' };
+        }
+
+        const result = this.getTransactionEngine().settleDirectTrade(offer);
+        if (!result.success) {
+            offer.errors = result.errors;
+            this.resolveOffer(offer, 'failed');
+            this.gameFlow.broadcastEvent('trade_offer.failed', { offer: offer, errors: result.errors });
+            return { success: false, error: result.errors.join(', ') };
+        }
+
+        offer.delivered = result.transaction.delivered;
+        this.resolveOffer(offer, 'accepted');
+        this.gameFlow.broadcastEvent('trade_offer.accepted', { offer: offer, transaction: result.transaction });
+        this.gameFlow.broadcastEvent('player.gold_changed', { playerId: offer.fromPlayerId });
+        this.gameFlow.broadcastEvent('player.gold_changed', { playerId: offer.toPlayerId });
+
+        return { success: true, offer: offer, transaction: result.transaction };
+    }
+
+    /**
+     * Turn an offer down
+     */
+    rejectOffer(offerId, playerId) {
+        const offer = this.getPendingOffer(offerId);
+        if (!offer) {
+            return { success: false, error: 'Offer is no longer open' };
+        }
+        if (offer.toPlayerId !== playerId) {
+            return { success: false, error: 'Only the receiving player can reject' };
+        }
+
+        this.resolveOffer(offer, 'rejected');
+        this.gameFlow.broadcastEvent('trade_offer.rejected', { offer: offer });
+        return { success: true, offer: offer };
+    }
+
+    /**
+     * Withdraw an offer before it is answered
+     */
+    cancelOffer(offerId, playerId) {
+        const offer = this.getPendingOffer(offerId);
+        if (!offer) {
+            return { success: false, error: 'Offer is no longer open' };
+        }
+        if (offer.fromPlayerId !== playerId) {
+            return { success: false, error: 'Only the proposing player can cancel' };
+        }
+
+        this.resolveOffer(offer, 'cancelled');
+        this.gameFlow.broadcastEvent('trade_offer.cancelled', { offer: offer });
+        return { success: true, offer: offer };
+    }
+
+    resolveOffer(offer, status) {
+        offer.status = status;
+        offer.resolvedAt = this.clock.now();
+
+        const timer = this.aiResponseTimers.get(offer.id);
+        if (timer !== undefined) {
+            this.clock.clearTimeout(timer);
+            this.aiResponseTimers.delete(offer.id);
+        }
+    }
+
+    getOffer(offerId) {
+        return this.offers.get(offerId) || null;
+    }
+
+    getPendingOffer(offerId) {
+        const offer = this.offers.get(offerId);
+        return offer && offer.status === 'pending' ? offer : null;
+    }
+
+    /**
+     * Open offers to and from a player
+     * @returns {Object} { incoming, outgoing }
+     */
+    getPendingOffers(playerId) {
+        const pending = Array.from(this.offers.values()).filter(offer => offer.status === 'pending');
+        return {
+            incoming: pending.filter(offer => offer.toPlayerId === playerId),
+            outgoing: pending.filter(offer => offer.fromPlayerId === playerId)
+        };
+    }
+
+    /**
+     * Gold value of a bundle at current market prices
+     * @param {Object} bundle - Normalized bundle
+     * @param {number} [penaltyRate] - Share of resources lost on the way
+     */
+    valueBundle(bundle, penaltyRate = 0) {
+        const marketDataService = this.gameFlow.marketDataService;
+        return Object.entries(bundle.resources).reduce((total, [resource, amount]) => {
+            const price = marketDataService ? marketDataService.getCurrentPrice(resource) : BASE_PRICES[resource];
+            const arriving = amount - Math.round(amount * penaltyRate);
+            return total + arriving * price;
+        }, bundle.gold);
+    }
+
+    /**
+     * Decide whether an AI player takes an offer
+     * The AI accepts emergency shares, and trades it can pay for when what
+     * arrives after the distance penalty is worth its margin more than what
+     * it gives up.
+     */
+    evaluateOfferForAI(offer) {
+        const player = this.gameFlow.stateManager.getPlayer(offer.toPlayerId);
+        if (!player) {
+            return { accept: false, reason: 'Player not found' };
+        }
+        if (offer.emergency) {
+            return { accept: true, reason: 'Emergency share' };
+        }
+        if (!this.canAfford(player, offer.receive)) {
+            return { accept: false, reason: 'Cannot pay what is asked' };
+        }
+
+        const receivedValue = this.valueBundle(offer.give, offer.penaltyRate);
+        const givenValue = this.valueBundle(offer.receive);
+        const accept = receivedValue >= givenValue * DIRECT_TRADE.AI_ACCEPT_MARGIN;
+
+        return {
+            accept: accept,
+            reason: accept ? 'Good value' : 'Not worth it',
+            receivedValue: receivedValue,
+            givenValue: givenValue
+        };
+    }
+
+    /**
+     * Let an AI recipient answer after a short think
+     */
+    scheduleAIResponse(offer) {
+        const timer = this.clock.setTimeout(() => {
+            this.aiResponseTimers.delete(offer.id);
+            this.respondAsAI(offer.id);
+        }, DIRECT_TRADE.AI_RESPONSE_DELAY);
+        this.aiResponseTimers.set(offer.id, timer);
+    }
+
+    respondAsAI(offerId) {
+        const offer = this.getPendingOffer(offerId);
+        if (!offer) return null;
+
+        const decision = this.evaluateOfferForAI(offer);
+        console.log(`AI ${offer.toPlayerId} ${decision.accept ? 'accepts' : 'rejects'} ${offer.id}: ${decision.reason}`);
+
+        return decision.accept ?
+            this.acceptOffer(offerId, offer.toPlayerId) :
+            this.rejectOffer(offerId, offer.toPlayerId);
+    }
+
+    clearTimers() {
+        this.aiResponseTimers.forEach(timer => this.clock.clearTimeout(timer));
+        this.aiResponseTimers.clear();
+    }
+
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            offers: Array.from(this.offers.values()).map(offer => JSON.parse(JSON.stringify(offer))),
+            offerCounter: this.offerCounter
+        };
+    }
+
+    /**
+     * Restore from saved state
+     * AI players answer open offers again after loading.
+     */
+    restoreFromState(savedState) {
+        this.clearTimers();
+        this.offers = new Map((savedState.offers || []).map(offer => [offer.id, offer]));
+        this.offerCounter = savedState.offerCounter || 0;
+
+        this.offers.forEach(offer => {
+            const recipient = this.gameFlow.stateManager.getPlayer(offer.toPlayerId);
+            if (offer.status === 'pending' && recipient?.isAI) {
+                this.scheduleAIResponse(offer);
+            }
+        });
+    }
+}
@@ -27,12 +27,30 @@ export default class TransactionEngine {
         // Guild tax configuration (from GAME_RULES.md)
         this.guildTaxRate = 0.05; // 5% tax on all transactions
         this.totalTaxCollected = 0;
+        
+        // Guild Store counterparty for auction trades with the store
+        this.guildStore = null;
+    }
+    
+    /**
+     * Set the Guild Store so trades with it settle against its stock
+     */
+    setGuildStore(guildStore) {
+        this.guildStore = guildStore;
+    }
+    
+    /**
+     * Check whether a trade party is the Guild Store
+     */
+    isGuildStore(party) {
+        return !!party && party === this.guildStore;
     }
     
     /**
      * Create a new transaction
+     * @param {number} [premium=0] - Monopoly bonus paid to the seller on top of the price
      */
-    createTransaction(buyerId, sellerId, resource, price, quantity) {
+    createTransaction(buyerId, sellerId, resource, price, quantity, premium = 0) {
         // Generate unique ID
         const transactionId = `txn_${Date.now()}_${++this.transactionCounter}`;
         
@@ -43,6 +61,7 @@ export default class TransactionEngine {
             resource: resource,
             price: price,
             quantity: quantity,
+            premium: premium,
             status: 'pending',
             timestamp: Date.now(),
             attempts: 0,
@@ -61,6 +80,26 @@ export default class TransactionEngine {
         return transactionId;
     }
     
+    /**
+     * Find a player in game state (players may be an array or keyed by ID)
+     */
+    findPlayer(gameState, playerId) {
+        if (Array.isArray(gameState.players)) {
+            return gameState.players.find(p => p.id === playerId);
+        }
+        return gameState.players[playerId];
+    }
+    
+    /**
+     * Find a trade party: a player, or the Guild Store
+     */
+    findParty(gameState, partyId) {
+        if (this.guildStore && partyId === this.guildStore.id) {
+            return this.guildStore;
+        }
+        return this.findPlayer(gameState, partyId);
+    }
+    
     /**
      * Validate a transaction
      */
@@ -92,11 +131,11 @@ export default class TransactionEngine {
         if (this.gameStateManager) {
             const gameState = this.gameStateManager.getState();
             if (gameState && gameState.players) {
-                // Check buyer has enough gold
-                const buyer = gameState.players[transaction.buyerId];
+                // Check buyer has enough gold (the Guild Store always pays)
+                const buyer = this.findParty(gameState, transaction.buyerId);
                 if (buyer) {
                     const totalCost = transaction.price * transaction.quantity;
-                    if ((buyer.gold || 0) < totalCost) {
+                    if (!this.isGuildStore(buyer) && (buyer.gold || 0) < totalCost) {
                         errors.push(`Buyer lacks sufficient gold (needs ${totalCost}, has ${buyer.gold || 0})`);
                     }
                 } else {
@@ -104,9 +143,11 @@ export default class TransactionEngine {
                 }
                 
                 // Check seller has enough resources
-                const seller = gameState.players[transaction.sellerId];
+                const seller = this.findParty(gameState, transaction.sellerId);
                 if (seller) {
-                    const sellerAmount = (seller.resources && seller.resources[transaction.resource]) || 0;
+                    const sellerAmount = this.isGuildStore(seller) ?
+                        seller.getStock(transaction.resource) :
+                        (seller.resources && seller.resources[transaction.resource]) || 0;
                     if (sellerAmount < transaction.quantity) {
                         errors.push(`Seller lacks sufficient ${transaction.resource} (needs ${transaction.quantity}, has ${sellerAmount})`);
                     }
@@ -169,6 +210,24 @@ export default class TransactionEngine {
         return results;
     }
     
+    /**
+     * Gold that changes hands when a trade settles
+     * The buyer pays the full cost; the seller receives it less the guild tax
+     * (the guild does not tax its own sales), plus any monopoly premium.
+     * @param {Object} transaction - Trade with price, quantity and premium
+     * @param {boolean} [sellerIsGuildStore=false] - Whether the Guild Store sold
+     * @returns {Object} { totalCost, guildTax, sellerReceives }
+     */
+    getSettlement(transaction, sellerIsGuildStore = false) {
+        const totalCost = transaction.price * transaction.quantity;
+        const guildTax = sellerIsGuildStore ? 0 : Math.floor(totalCost * this.guildTaxRate);
+        return {
+            totalCost: totalCost,
+            guildTax: guildTax,
+            sellerReceives: totalCost - guildTax + (transaction.premium || 0)
+        };
+    }
+    
     /**
      * Execute a single transaction
      */
@@ -182,18 +241,15 @@ export default class TransactionEngine {
                     return false;
                 }
                 
-                const buyer = gameState.players[transaction.buyerId];
-                const seller = gameState.players[transaction.sellerId];
+                const buyer = this.findParty(gameState, transaction.buyerId);
+                const seller = this.findParty(gameState, transaction.sellerId);
                 
                 if (!buyer || !seller) {
                     this.failTransaction(transaction, 'Player not found');
                     return false;
                 }
                 
-                // Calculate total cost and tax
-                const totalCost = transaction.price * transaction.quantity;
-                const guildTax = Math.floor(totalCost * this.guildTaxRate);
-                const sellerReceives = totalCost - guildTax;
+                const { totalCost, guildTax, sellerReceives } = this.getSettlement(transaction, this.isGuildStore(seller));
                 
                 // Store tax amount in transaction
                 transaction.guildTax = guildTax;
@@ -202,24 +258,28 @@ export default class TransactionEngine {
                 // Note: In real implementation, this would use gameStateManager methods
                 // For now, we'll simulate the trade
                 
-                // Deduct gold from buyer (full cost)
-                buyer.gold = (buyer.gold || 0) - totalCost;
-                
-                // Add gold to seller (minus tax)
-                seller.gold = (seller.gold || 0) + sellerReceives;
-                
                 // Track total tax collected
                 this.totalTaxCollected += guildTax;
                 
-                // Transfer resources
-                seller.resources = seller.resources || {};
-                buyer.resources = buyer.resources || {};
+                // Buyer pays the full cost and receives the resources
+                if (this.isGuildStore(buyer)) {
+                    buyer.buyFromPlayer(transaction.resource, transaction.quantity);
+                } else {
+                    buyer.gold = (buyer.gold || 0) - totalCost;
+                    buyer.resources = buyer.resources || {};
+                    buyer.resources[transaction.resource] = 
+                        (buyer.resources[transaction.resource] || 0) + transaction.quantity;
+                }
                 
-                seller.resources[transaction.resource] = 
-                    (seller.resources[transaction.resource] || 0) - transaction.quantity;
-                    
-                buyer.resources[transaction.resource] = 
-                    (buyer.resources[transaction.resource] || 0) + transaction.quantity;
+                // Seller hands over the resources and receives gold (minus tax, plus any monopoly premium)
+                if (this.isGuildStore(seller)) {
+                    seller.removeStock(transaction.resource, transaction.quantity);
+                } else {
+                    seller.gold = (seller.gold || 0) + sellerReceives;
+                    seller.resources = seller.resources || {};
+                    seller.resources[transaction.resource] = 
+                        (seller.resources[transaction.resource] || 0) - transaction.quantity;
+                }
             }
             
             // Record in market data
@@ -250,6 +310,105 @@ export default class TransactionEngine {
         }
     }
     
+    /**
+     * Settle a direct trade between two players
+     * Each side hands over its bundle of gold and resources. Resources lose
+     * the offer's distance penalty on the way; gold arrives whole and the
+     * guild takes no tax on trades outside the auction.
+     * @param {Object} offer - Accepted offer from TradeOfferManager
+     * @returns {Object} { success, transaction, errors }
+     */
+    settleDirectTrade(offer) {
+        const transaction = {
+            id: `txn_${Date.now()}_${++this.transactionCounter}`,
+            type: 'direct',
+            offerId: offer.id,
+            fromPlayerId: offer.fromPlayerId,
+            toPlayerId: offer.toPlayerId,
+            give: offer.give,
+            receive: offer.receive,
+            penaltyRate: offer.penaltyRate || 0,
+            status: 'pending',
+            timestamp: Date.now(),
+            errors: []
+        };
+        
+        const gameState = this.gameStateManager?.getState();
+        const proposer = gameState && this.findPlayer(gameState, offer.fromPlayerId);
+        const recipient = gameState && this.findPlayer(gameState, offer.toPlayerId);
+        
+        const errors = [];
+        if (!proposer || !recipient) {
+            errors.push('Player not found');
+        } else {
+            errors.push(...this.checkBundle(proposer, offer.give, 'Proposer'));
+            errors.push(...this.checkBundle(recipient, offer.receive, 'Recipient'));
+        }
+        
+        if (errors.length > 0) {
+            transaction.errors = errors;
+            this.failTransaction(transaction, errors.join(', '));
+            return { success: false, transaction, errors };
+        }
+        
+        transaction.delivered = {
+            toRecipient: this.transferBundle(proposer, recipient, offer.give, transaction.penaltyRate),
+            toProposer: this.transferBundle(recipient, proposer, offer.receive, transaction.penaltyRate)
+        };
+        
+        transaction.status = 'completed';
+        transaction.completedAt = Date.now();
+        this.completedTransactions.push(transaction);
+        
+        // Trim history if too long
+        if (this.completedTransactions.length > this.maxCompletedHistory) {
+            this.completedTransactions.shift();
+        }
+        
+        return { success: true, transaction, errors: [] };
+    }
+    
+    /**
+     * List what a player is missing to hand over a bundle
+     */
+    checkBundle(player, bundle, role) {
+        const errors = [];
+        
+        if ((player.gold || 0) < bundle.gold) {
+            errors.push(`${role} lacks sufficient gold (needs ${bundle.gold}, has ${player.gold || 0})`);
+        }
+        Object.entries(bundle.resources).forEach(([resource, amount]) => {
+            const held = player.resources?.[resource] || 0;
+            if (held < amount) {
+                errors.push(`${role} lacks sufficient ${resource} (needs ${amount}, has ${held})`);
+            }
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Move a bundle between players, losing the penalty share of resources
+     * @returns {Object} What arrived: { gold, resources }
+     */
+    transferBundle(from, to, bundle, penaltyRate) {
+        const delivered = { gold: bundle.gold, resources: {} };
+        
+        from.gold -= bundle.gold;
+        to.gold = (to.gold || 0) + bundle.gold;
+        
+        from.resources = from.resources || {};
+        to.resources = to.resources || {};
+        Object.entries(bundle.resources).forEach(([resource, amount]) => {
+            const arriving = amount - Math.round(amount * penaltyRate);
+            from.resources[resource] -= amount;
+            to.resources[resource] = (to.resources[resource] || 0) + arriving;
+            delivered.resources[resource] = arriving;
+        });
+        
+        return delivered;
+    }
+    
     /**
      * Fail a transaction
      */
@@ -289,7 +448,8 @@ export default class TransactionEngine {
         // Apply filters
         if (filter.playerId) {
             transactions = transactions.filter(t => 
-                t.buyerId === filter.playerId || t.sellerId === filter.playerId
+                t.buyerId === filter.playerId || t.sellerId === filter.playerId ||
+                t.fromPlayerId === filter.playerId || t.toPlayerId === filter.playerId
             );
         }
         
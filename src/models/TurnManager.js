@@ -1,4 +1,7 @@
 import ErrorHandler from '../utils/ErrorHandler.js';
+import GameClock from '../utils/GameClock.js';
+import { REALM_SURVIVAL } from '../config/gameConfig.js';
+import Player from './Player.js';
 
 /**
  * TurnManager
@@ -12,12 +15,14 @@ export default class TurnManager {
         this.turnOrder = [];
         this.turnTimeLimit = null; // null for unlimited, or time in seconds
         this.turnTimer = null;
+        this.turnStartedAt = null;
         this.actionsRemaining = {};
         this.turnHistory = [];
         this.gameFlow = gameFlowController; // Reference to GameFlowController
+        this.clock = gameFlowController?.clock || new GameClock();
         
         // Phases where all players act simultaneously
-        this.simultaneousPhases = ['auction_phase'];
+        this.simultaneousPhases = ['land_auction', 'auction_phase'];
         this.currentPhase = null;
         
         // Event system
@@ -27,13 +32,19 @@ export default class TurnManager {
         // Action configurations per phase
         this.phaseActionConfigs = {
             territory_selection: {
-                maxActions: 1, // one free claim + unlimited auctions
-                allowedActions: ['claim_territory', 'bid_territory'],
+                maxActions: 1, // one free claim + unlimited auctions and surveys
+                allowedActions: ['claim_territory', 'bid_territory', 'survey_territory'],
                 timeLimit: 120
             },
+            land_auction: {
+                maxActions: Infinity, // any player may bid while a plot is open
+                allowedActions: ['bid_land'],
+                timeLimit: 120,
+                simultaneous: true
+            },
             construct_outfitting: {
                 maxActions: -1, // unlimited actions - player must click End Turn
-                allowedActions: ['place_construct', 'upgrade_construct', 'move_construct'],
+                allowedActions: ['place_construct', 'upgrade_construct', 'move_construct', 'uninstall_construct', 'salvage_construct', 'build_improvement', 'cancel_improvement'],
                 timeLimit: 180
             },
             auction_phase: {
@@ -128,6 +139,9 @@ export default class TurnManager {
             wealth += resourceValue;
         }
         
+        // Add bank deposits, subtract loans still owed
+        wealth += (player.bankDeposit || 0) - (player.loanBalance || 0);
+        
         return wealth;
     }
 
@@ -411,7 +425,7 @@ export default class TurnManager {
      */
     consumesAction(action) {
         // Some actions (like viewing info) don't consume actions
-        const nonConsumingActions = ['view_info', 'check_market', 'view_territory'];
+        const nonConsumingActions = ['view_info', 'check_market', 'view_territory', 'survey_territory'];
         return !nonConsumingActions.includes(action.type);
     }
 
@@ -420,7 +434,7 @@ export default class TurnManager {
      */
     logPlayerAction(player, action) {
         const actionRecord = {
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             player: player.id,
             phase: this.currentPhase,
             action: action,
@@ -504,24 +518,39 @@ export default class TurnManager {
         return this.simultaneousPhases.includes(this.currentPhase);
     }
 
+    /**
+     * Seconds a player gets for a turn in the current phase
+     * Turns scale with the player's current action time against a wizard
+     * at full strength.
+     */
+    getTurnTimeLimit(player) {
+        const phaseConfig = this.phaseActionConfigs[this.currentPhase];
+        const timeLimit = this.turnTimeLimit || phaseConfig?.timeLimit;
+        if (!timeLimit) return timeLimit;
+        
+        const current = this.gameFlow?.stateManager?.getPlayer(player.id) || player;
+        
+        return Math.round(timeLimit * Player.getCurrentActionTime(current) / REALM_SURVIVAL.BASE_ACTION_TIME);
+    }
+
     /**
      * Start turn timer for a player
      */
-    startTurnTimer(player) {
+    startTurnTimer(player, elapsedMs = 0) {
         this.clearTurnTimer();
         
         // The visual timer is now handled by GameScene
         // This method only sets up the timeout for forcing turn end
         
-        const phaseConfig = this.phaseActionConfigs[this.currentPhase];
-        const timeLimit = this.turnTimeLimit || phaseConfig.timeLimit;
+        const timeLimit = this.getTurnTimeLimit(player);
         
         if (timeLimit && timeLimit > 0) {
             console.log(`TurnManager: Setting turn timeout for ${player.id}: ${timeLimit} seconds`);
-            this.turnTimer = setTimeout(() => {
+            this.turnStartedAt = this.clock.now() - elapsedMs;
+            this.turnTimer = this.clock.setTimeout(() => {
                 console.log(`TurnManager: Time expired for ${player.id}, forcing turn end`);
                 this.forceEndPlayerTurn(player);
-            }, timeLimit * 1000);
+            }, Math.max(0, timeLimit * 1000 - elapsedMs));
         }
     }
 
@@ -530,7 +559,7 @@ export default class TurnManager {
      */
     clearTurnTimer() {
         if (this.turnTimer) {
-            clearTimeout(this.turnTimer);
+            this.clock.clearTimeout(this.turnTimer);
             this.turnTimer = null;
         }
     }
@@ -549,6 +578,90 @@ export default class TurnManager {
         };
     }
 
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        // Unlimited action counts are Infinity, which JSON cannot hold
+        const actionsRemaining = {};
+        Object.entries(this.actionsRemaining).forEach(([playerId, actions]) => {
+            actionsRemaining[playerId] = {
+                ...actions,
+                total: Number.isFinite(actions.total) ? actions.total : null,
+                remaining: Number.isFinite(actions.remaining) ? actions.remaining : null
+            };
+        });
+        
+        return {
+            currentPhase: this.currentPhase,
+            currentPlayerIndex: this.currentPlayerIndex,
+            currentPlayerId: this.currentPlayer ? this.currentPlayer.id : null,
+            turnOrder: this.turnOrder.map(p => p.id),
+            actionsRemaining: actionsRemaining,
+            turnElapsed: this.turnTimer ? this.clock.now() - this.turnStartedAt : null,
+            turnHistory: this.turnHistory
+        };
+    }
+
+    /**
+     * Restore from saved state
+     * Call resumeTurnSequence() afterwards to pick the turn back up
+     */
+    restoreFromState(savedState) {
+        this.clearTurnTimer();
+        this.currentPhase = savedState.currentPhase;
+        this.currentPlayerIndex = savedState.currentPlayerIndex || 0;
+        
+        if (savedState.turnOrder) {
+            this.turnOrder = savedState.turnOrder
+                .map(id => this.players.find(p => p.id === id))
+                .filter(Boolean);
+        }
+        
+        this.actionsRemaining = {};
+        Object.entries(savedState.actionsRemaining || {}).forEach(([playerId, actions]) => {
+            this.actionsRemaining[playerId] = {
+                ...actions,
+                total: actions.total ?? Infinity,
+                remaining: actions.remaining ?? Infinity
+            };
+        });
+        
+        this.currentPlayer = savedState.currentPlayerId ? this.getCurrentPlayer() : null;
+        this.resumeTurnElapsed = savedState.turnElapsed;
+        this.turnHistory = savedState.turnHistory || [];
+    }
+
+    /**
+     * Pick up a restored turn where it left off without resetting actions
+     */
+    resumeTurnSequence() {
+        if (this.isSimultaneousPhase()) {
+            this.broadcastEvent('simultaneous_phase.started', {
+                phase: this.currentPhase,
+                players: this.players.map(p => p.id),
+                resumed: true
+            });
+            return;
+        }
+        
+        const player = this.currentPlayer;
+        if (!player || !this.actionsRemaining[player.id]) {
+            return;
+        }
+        
+        this.startTurnTimer(player, this.resumeTurnElapsed || 0);
+        this.resumeTurnElapsed = null;
+        
+        this.broadcastEvent('turn.started', {
+            player: player,
+            actionsRemaining: this.actionsRemaining[player.id],
+            turnIndex: this.currentPlayerIndex,
+            totalPlayers: this.turnOrder.length,
+            resumed: true
+        });
+    }
+
     /**
      * Skip current player's turn
      */
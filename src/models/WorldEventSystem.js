@@ -0,0 +1,156 @@
+import ErrorHandler from '../utils/ErrorHandler.js';
+import { WORLD_EVENTS, RESOURCE_TYPES } from '../config/gameConfig.js';
+
+/**
+ * WorldEventSystem
+ * Rolls the realm-wide events of the Market Events table at the end of a
+ * cycle. While one is under way it multiplies production through
+ * ResourceProductionCalculator.applyEventModifiers and prices through
+ * MarketDataService, then passes after its duration in cycles.
+ */
+export default class WorldEventSystem {
+    constructor(gameFlowController) {
+        this.gameFlow = gameFlowController;
+        this.errorHandler = new ErrorHandler();
+
+        this.activeEvent = null; // { eventId, name, description, startedCycle, remainingCycles, production, prices }
+        this.history = []; // Oldest first: { eventId, name, startedCycle, endedCycle }
+    }
+
+    /**
+     * Advance the event under way and maybe begin a new one
+     * @param {number} cycle - Cycle that is ending
+     * @returns {Object|null} The event under way for the next cycle
+     */
+    processEndOfCycle(cycle) {
+        try {
+            if (this.activeEvent) {
+                this.activeEvent.remainingCycles--;
+                if (this.activeEvent.remainingCycles <= 0) {
+                    this.endEvent(cycle);
+                } else {
+                    this.activeEvent.production = this.rollProduction(WORLD_EVENTS.EVENTS[this.activeEvent.eventId]);
+                }
+            }
+
+            if (!this.activeEvent && this.gameFlow.random.chance(WORLD_EVENTS.CHANCE)) {
+                this.startEvent(this.gameFlow.random.pick(Object.keys(WORLD_EVENTS.EVENTS)), cycle);
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, 'WorldEventSystem.processEndOfCycle');
+        }
+
+        return this.activeEvent;
+    }
+
+    /**
+     * Begin an event; it covers the production of the cycles that follow
+     * @param {string} eventId - Key in WORLD_EVENTS.EVENTS
+     * @param {number} cycle - Cycle the event begins at the end of
+     */
+    startEvent(eventId, cycle) {
+        const definition = WORLD_EVENTS.EVENTS[eventId];
+        if (!definition) {
+            throw new Error(`Unknown world event: ${eventId}`);
+        }
+
+        this.activeEvent = {
+            eventId,
+            name: definition.name,
+            description: definition.description,
+            startedCycle: cycle,
+            remainingCycles: definition.duration,
+            production: this.rollProduction(definition),
+            prices: { ...definition.prices }
+        };
+        this.applyPriceEffects();
+
+        console.log(`WorldEventSystem: ${definition.name} begins for ${definition.duration} cycles`);
+        this.gameFlow.broadcastEvent('world_event.started', { ...this.activeEvent, cycle });
+
+        return this.activeEvent;
+    }
+
+    /**
+     * End the event under way and lift its price effects
+     */
+    endEvent(cycle) {
+        const event = this.activeEvent;
+        this.activeEvent = null;
+        this.applyPriceEffects();
+
+        this.history.push({ eventId: event.eventId, name: event.name, startedCycle: event.startedCycle, endedCycle: cycle });
+        if (this.history.length > WORLD_EVENTS.MAX_HISTORY) {
+            this.history.shift();
+        }
+
+        console.log(`WorldEventSystem: ${event.name} has passed`);
+        this.gameFlow.broadcastEvent('world_event.ended', { eventId: event.eventId, name: event.name, cycle });
+    }
+
+    /**
+     * Production multipliers for a cycle of an event
+     * An unstable event (Aether Storm) rolls its strength anew each cycle.
+     */
+    rollProduction(definition) {
+        const production = { ...definition.production };
+        if (definition.instability) {
+            Object.keys(production).forEach(resource => {
+                const multiplier = production[resource] + this.gameFlow.random.range(-1, 1) * definition.instability;
+                production[resource] = Math.round(Math.max(0, multiplier) * 100) / 100;
+            });
+        }
+        return production;
+    }
+
+    /**
+     * Production multiplier for a resource this cycle
+     */
+    getProductionMultiplier(resourceType) {
+        return this.activeEvent?.production[resourceType] ?? 1.0;
+    }
+
+    /**
+     * Price multipliers for every resource, 1.0 when no event touches it
+     */
+    getPriceModifiers() {
+        const modifiers = {};
+        Object.values(RESOURCE_TYPES).forEach(resource => {
+            modifiers[resource] = this.activeEvent?.prices[resource] ?? 1.0;
+        });
+        return modifiers;
+    }
+
+    /**
+     * Hand the price multipliers to the market
+     * The market is attached by the scene or headless runner, which call
+     * this again once it is.
+     */
+    applyPriceEffects() {
+        this.gameFlow.marketDataService?.setPriceModifiers(this.getPriceModifiers());
+    }
+
+    /**
+     * Get serializable state
+     */
+    getSerializableState() {
+        return {
+            activeEvent: this.activeEvent ? {
+                ...this.activeEvent,
+                production: { ...this.activeEvent.production },
+                prices: { ...this.activeEvent.prices }
+            } : null,
+            history: this.history.map(event => ({ ...event }))
+        };
+    }
+
+    /**
+     * Restore from saved state
+     */
+    restoreFromState(savedState) {
+        const event = savedState.activeEvent;
+        this.activeEvent = event ? { ...event, production: { ...event.production }, prices: { ...event.prices } } : null;
+        this.history = (savedState.history || []).map(entry => ({ ...entry }));
+        this.applyPriceEffects();
+    }
+}
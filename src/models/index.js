@@ -5,6 +5,8 @@
 import Territory from './Territory.js';
 import Construct from './Construct.js';
 import ConstructManager from './ConstructManager.js';
+import GuildWorkshop from './GuildWorkshop.js';
+import ConstructMaintenance from './ConstructMaintenance.js';
 import Resource from './Resource.js';
 import Player from './Player.js';
 import Market from './Market.js';
@@ -16,30 +18,50 @@ import TurnManager from './TurnManager.js';
 import TimeManager from './TimeManager.js';
 import GameStateManager from './GameStateManager.js';
 import GamePersistence from './GamePersistence.js';
+import SaveMigrationRegistry from './SaveMigrationRegistry.js';
 import GameFlowController from './GameFlowController.js';
 
 // Territory management systems
 import TerritoryGrid from './TerritoryGrid.js';
 import TerritoryAcquisition from './TerritoryAcquisition.js';
+import LandAuctionManager from './LandAuctionManager.js';
 import TerritoryImprovement from './TerritoryImprovement.js';
+import MapGenerator from './MapGenerator.js';
+import MapDefinition from './MapDefinition.js';
+import LeyLineNetwork from './LeyLineNetwork.js';
 
 // Resource management systems
 import ResourceProductionCalculator from './ResourceProductionCalculator.js';
 import ResourceStorage from './ResourceStorage.js';
 import ResourceDecay from './ResourceDecay.js';
+import ResourceConsumption from './ResourceConsumption.js';
 
 // Economy management
 import GoldManager from './GoldManager.js';
+import Bank from './Bank.js';
+import PersonalEventSystem from './PersonalEventSystem.js';
+import WorldEventSystem from './WorldEventSystem.js';
 
 // Auction system
 import AuctionManager from './AuctionManager.js';
+import OrderBook from './OrderBook.js';
+import GuildStore from './GuildStore.js';
 import MarketDataService from './MarketDataService.js';
 import TransactionEngine from './TransactionEngine.js';
 
+// Direct trading
+import TradeOfferManager from './TradeOfferManager.js';
+
+// Replays
+import ReplayRecorder from './ReplayRecorder.js';
+import ReplayPlayer from './ReplayPlayer.js';
+
 export {
     Territory,
     Construct,
     ConstructManager,
+    GuildWorkshop,
+    ConstructMaintenance,
     Resource,
     Player,
     Market,
@@ -49,23 +71,39 @@ export {
     TimeManager,
     GameStateManager,
     GamePersistence,
+    SaveMigrationRegistry,
     GameFlowController,
     TerritoryGrid,
     TerritoryAcquisition,
+    LandAuctionManager,
     TerritoryImprovement,
+    MapGenerator,
+    MapDefinition,
+    LeyLineNetwork,
     ResourceProductionCalculator,
     ResourceStorage,
     ResourceDecay,
+    ResourceConsumption,
     GoldManager,
+    Bank,
+    PersonalEventSystem,
+    WorldEventSystem,
     AuctionManager,
+    OrderBook,
+    GuildStore,
     MarketDataService,
-    TransactionEngine
+    TransactionEngine,
+    TradeOfferManager,
+    ReplayRecorder,
+    ReplayPlayer
 };
 
 export default {
     Territory,
     Construct,
     ConstructManager,
+    GuildWorkshop,
+    ConstructMaintenance,
     Resource,
     Player,
     Market,
@@ -75,15 +113,29 @@ export default {
     TimeManager,
     GameStateManager,
     GamePersistence,
+    SaveMigrationRegistry,
     GameFlowController,
     TerritoryGrid,
     TerritoryAcquisition,
+    LandAuctionManager,
     TerritoryImprovement,
+    MapGenerator,
+    MapDefinition,
+    LeyLineNetwork,
     ResourceProductionCalculator,
     ResourceStorage,
     ResourceDecay,
+    ResourceConsumption,
     GoldManager,
+    Bank,
+    PersonalEventSystem,
+    WorldEventSystem,
     AuctionManager,
+    OrderBook,
+    GuildStore,
     MarketDataService,
-    TransactionEngine
+    TransactionEngine,
+    TradeOfferManager,
+    ReplayRecorder,
+    ReplayPlayer
 };
\ No newline at end of file
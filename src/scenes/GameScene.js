@@ -1,6 +1,6 @@
 import Phaser from 'phaser';
-import { GameFlowController, Construct } from '../models/index.js';
-import { TERRITORY_COLORS, GAME_SETTINGS, PLAYER_COLORS, CONSTRUCT_DEFINITIONS } from '../config/gameConfig.js';
+import { GameFlowController, Construct, Territory } from '../models/index.js';
+import { TERRITORY_COLORS, GAME_SETTINGS, PLAYER_COLORS, CONSTRUCT_DEFINITIONS, SURVEY, MAP_PRESETS, MAP_GENERATION, MAP_EDITOR, LEY_LINES } from '../config/gameConfig.js';
 import HexUtils from '../utils/HexUtils.js';
 import ProductionSummaryPanel from '../ui/panels/ProductionSummaryPanel.js';
 import ConstructSystemIntegration from '../integration/ConstructSystemIntegration.js';
@@ -15,6 +15,15 @@ import ResourceQueueManager from '../models/ResourceQueueManager.js';
 import AIBiddingStrategy from '../models/AIBiddingStrategy.js';
 import PricePredictionSystem from '../models/PricePredictionSystem.js';
 import AuctionAnalytics from '../models/AuctionAnalytics.js';
+import ScaledClock from '../utils/ScaledClock.js';
+import ReplayPlayer from '../models/ReplayPlayer.js';
+import ReplayViewerPanel from '../ui/panels/ReplayViewerPanel.js';
+import TerritoryImprovement, { IMPROVEMENTS, CANCEL_REFUND_SHARE } from '../models/TerritoryImprovement.js';
+import TradePanel from '../ui/panels/TradePanel.js';
+import BankPanel from '../ui/panels/BankPanel.js';
+import LandAuctionPanel from '../ui/panels/LandAuctionPanel.js';
+import LandSalePanel from '../ui/panels/LandSalePanel.js';
+import MessageLogPanel from '../ui/panels/MessageLogPanel.js';
 
 export default class GameScene extends Phaser.Scene {
     constructor() {
@@ -42,17 +51,46 @@ export default class GameScene extends Phaser.Scene {
         this.auctionHallPanel = null;
         this.playerActionPanel = null;
         this.auctionSystemIntegration = null;
+        
+        // Replay viewer (only set when watching a replay)
+        this.replayPlayer = null;
+        this.replayViewerPanel = null;
     }
 
     create() {
         console.log("GameScene created");
         
         // Initialize Game Flow Controller
+        // Seed can be supplied via ?seed= in the URL to reproduce a game,
+        // and ?speed= runs every game timer faster (e.g. for spectating)
+        const urlParams = new URLSearchParams(window.location.search);
+        const urlSeed = urlParams.get('seed');
+        const urlSpeed = parseFloat(urlParams.get('speed'));
+        this.gameClock = new ScaledClock(urlSpeed > 0 ? urlSpeed : 1);
+        
+        // A replay loaded from the main menu opens the viewer instead of a new game
+        if (window.replayData) {
+            const replay = window.replayData;
+            window.replayData = null;
+            this.createReplayViewer(replay);
+            return;
+        }
+        
+        // The map preset chosen in the main menu sets the map size; a map from the editor replaces it
+        const mapPreset = MAP_PRESETS[window.gameMapPreset] ? window.gameMapPreset : MAP_GENERATION.DEFAULT_PRESET;
+        this.mapSize = { width: MAP_PRESETS[mapPreset].width, height: MAP_PRESETS[mapPreset].height };
         this.gameFlowController = new GameFlowController({
             mapWidth: this.mapSize.width,
             mapHeight: this.mapSize.height,
-            autoSave: true
+            mapPreset: mapPreset,
+            customMap: window.gameMapPreset === 'custom' ? window.gameCustomMap : null,
+            autoSave: true,
+            seed: urlSeed ?? window.gameSeed,
+            clock: this.gameClock
         });
+        this.mapSize = { width: this.gameFlowController.territoryGrid.width, height: this.gameFlowController.territoryGrid.height };
+        this.setGameSpeed(this.gameClock.getSpeed());
+        console.log(`Game seed: ${this.gameFlowController.random.seed}, speed: ${this.gameClock.getSpeed()}x`);
         
         // Set up event listeners for game flow events
         this.setupGameFlowListeners();
@@ -109,12 +147,447 @@ export default class GameScene extends Phaser.Scene {
             this.updatePlayerDisplay();
         });
         
+        // Let players download the replay of this game
+        this.setupReplayExport();
+        
+        // Direct trades with other players
+        this.setupTradePanel();
+        
+        // Deposits and loans
+        this.setupBankPanel();
+        
+        // Land auctions after territory selection, and selling land
+        this.setupLandAuctions();
+        
+        // Personal events of each cycle
+        this.setupMessageLog();
+        
+        // Realm-wide events that change production and prices
+        this.setupWorldEvents();
+        
+        // Ley lines and harmonics drawn over the map
+        this.setupLeyLineOverlay();
+        
         // Expose to test harness if available
         if (window.testHarness) {
             window.testHarness.setGameScene(this);
         }
     }
     
+    /**
+     * Set up the scene to watch a recorded replay
+     * The game flow is built from the replay's seed and map size but never
+     * started; the ReplayPlayer applies the recorded actions to it.
+     */
+    createReplayViewer(replay) {
+        console.log(`Starting replay viewer (seed ${replay.seed})`);
+        
+        this.mapSize = {
+            width: replay.settings?.mapWidth || this.mapSize.width,
+            height: replay.settings?.mapHeight || this.mapSize.height
+        };
+        this.gameFlowController = new GameFlowController({
+            mapWidth: this.mapSize.width,
+            mapHeight: this.mapSize.height,
+            mapPreset: replay.settings?.mapPreset,
+            customMap: replay.settings?.customMap,
+            autoSave: false,
+            storageType: 'memory',
+            seed: replay.seed,
+            clock: this.gameClock
+        });
+        
+        this.replayPlayer = new ReplayPlayer(replay, this.gameFlowController);
+        this.replayPlayer.load();
+        
+        this.setupUI();
+        this.createMap();
+        this.setupGameControls();
+        this.setupCamera();
+        this.setupLeyLineOverlay();
+        
+        // Nothing can be played while watching
+        const actionButtons = document.querySelector('.action-buttons');
+        if (actionButtons) {
+            actionButtons.style.display = 'none';
+        }
+        
+        this.replayViewerPanel = new ReplayViewerPanel(this, this.replayPlayer);
+        this.replayPlayer.seek(0);
+    }
+    
+    /**
+     * Redraw the board from the replayed world state
+     */
+    renderReplayState() {
+        const territories = this.gameFlowController.territoryGrid?.territories || [];
+        territories.forEach(territory => {
+            this.drawTerritoryHex(territory);
+            
+            if (!territory.construct) {
+                this.clearConstructVisuals(territory);
+            }
+        });
+        this.updateTerritoryDisplay();
+        this.drawLeyLineOverlay();
+        
+        const gameState = this.gameFlowController.stateManager.gameState;
+        if (this.cycleText) {
+            this.cycleText.textContent = `${gameState.currentCycle || 1}`;
+        }
+        if (this.phaseText && gameState.currentPhase) {
+            this.phaseText.textContent = this.formatPhase(gameState.currentPhase);
+        }
+    }
+    
+    /**
+     * Add a button that shows the ley lines and the harmonics players hold
+     * The overlay is redrawn whenever territories change hands.
+     */
+    setupLeyLineOverlay() {
+        this.leyLineOverlay = this.add.graphics();
+        this.leyLineOverlay.setDepth(5);
+        this.showLeyLines = false;
+        
+        const leyLineButton = document.createElement('button');
+        leyLineButton.id = 'ley-lines-btn';
+        leyLineButton.textContent = 'Ley Lines';
+        leyLineButton.style.marginTop = '10px';
+        leyLineButton.addEventListener('click', () => {
+            this.showLeyLines = !this.showLeyLines;
+            leyLineButton.textContent = this.showLeyLines ? 'Hide Ley Lines' : 'Ley Lines';
+            this.drawLeyLineOverlay();
+        });
+        
+        const menuContainer = document.getElementById('menu-container');
+        if (menuContainer) {
+            menuContainer.appendChild(leyLineButton);
+        }
+        
+        ['territory.claimed', 'territory.ownership_changed', 'bank.foreclosure'].forEach(eventName =>
+            this.gameFlowController.on(eventName, () => this.drawLeyLineOverlay()));
+    }
+    
+    drawLeyLineOverlay() {
+        const overlay = this.leyLineOverlay;
+        if (!overlay) return;
+        
+        overlay.clear();
+        if (!this.showLeyLines) return;
+        
+        const grid = this.gameFlowController.territoryGrid;
+        grid.leyLines.lines.forEach(line => {
+            const points = line.cells.map(({ q, r }) => this.hexUtils.axialToPixel(q, r));
+            overlay.lineStyle(8, LEY_LINES.COLOR, 0.55);
+            overlay.beginPath();
+            overlay.moveTo(points[0].x, points[0].y);
+            points.slice(1).forEach(point => overlay.lineTo(point.x, point.y));
+            overlay.strokePath();
+        });
+        
+        // Circles ring the surrounded territory; a nexus is marked on the crossing
+        grid.leyLines.getActiveHarmonics().forEach(harmonic => {
+            const color = this.gameFlowController.stateManager.getPlayer(harmonic.playerId)?.color ?? 0xFFFFFF;
+            const center = grid.getTerritoryById(harmonic.centerId || harmonic.territoryIds[0]);
+            const position = this.hexUtils.axialToPixel(center.q, center.r);
+            overlay.lineStyle(4, color, 0.9);
+            if (harmonic.type === 'circle') {
+                overlay.strokeCircle(position.x, position.y, this.hexSize * 1.9);
+            } else {
+                overlay.strokeCircle(position.x, position.y, this.hexSize * 0.45);
+            }
+        });
+    }
+    
+    /**
+     * Fill colour of a territory hex; blocked hexes from the map editor are dark
+     */
+    getTerritoryColor(territory) {
+        if (territory.blocked) return MAP_EDITOR.BLOCKED_COLOR;
+        return TERRITORY_COLORS[territory.type] || 0x888888;
+    }
+    
+    /**
+     * Repaint a territory hex with its type colour and owner border
+     */
+    drawTerritoryHex(territory) {
+        const hex = territory.hex;
+        if (!hex) return;
+        
+        const owner = territory.ownerId ?
+            this.gameFlowController.stateManager.getPlayer(territory.ownerId) : null;
+        const corners = this.hexUtils.getHexCorners(territory.q, territory.r);
+        
+        hex.clear();
+        hex.fillStyle(this.getTerritoryColor(territory), 1);
+        hex.lineStyle(owner ? 4 : 2, owner ? owner.color : 0xFFFFFF, 1);
+        hex.beginPath();
+        hex.moveTo(corners[0].x, corners[0].y);
+        for (let i = 1; i < 6; i++) {
+            hex.lineTo(corners[i].x, corners[i].y);
+        }
+        hex.closePath();
+        hex.fillPath();
+        hex.strokePath();
+    }
+    
+    /**
+     * Add a button that downloads the replay of the current game
+     */
+    setupReplayExport() {
+        const exportButton = document.createElement('button');
+        exportButton.id = 'export-replay-btn';
+        exportButton.textContent = 'Save Replay';
+        exportButton.style.marginTop = '10px';
+        
+        exportButton.addEventListener('click', () => {
+            const replayJson = this.gameFlowController.replayRecorder.exportReplay();
+            if (!replayJson) {
+                this.showStatusMessage('No replay recorded yet', 'error');
+                return;
+            }
+            
+            const blob = new Blob([replayJson], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `magical-frontiers-replay-${this.gameFlowController.random.seed}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+            
+            this.showStatusMessage('Replay saved');
+        });
+        
+        const menuContainer = document.getElementById('menu-container');
+        if (menuContainer) {
+            menuContainer.appendChild(exportButton);
+        }
+    }
+    
+    /**
+     * Add a button that opens the direct trade panel
+     * AI answers to the player's offers are announced in the status bar.
+     */
+    setupTradePanel() {
+        this.tradePanel = new TradePanel(this, this.gameFlowController.tradeOfferManager);
+        
+        const tradeButton = document.createElement('button');
+        tradeButton.id = 'trade-btn';
+        tradeButton.textContent = 'Trade';
+        tradeButton.style.marginTop = '10px';
+        tradeButton.addEventListener('click', () => this.tradePanel.toggle());
+        
+        const menuContainer = document.getElementById('menu-container');
+        if (menuContainer) {
+            menuContainer.appendChild(tradeButton);
+        }
+        
+        const isLocalOffer = (offer) => !this.gameFlowController.stateManager.getPlayer(offer.fromPlayerId)?.isAI;
+        this.gameFlowController.on('trade_offer.accepted', ({ offer }) => {
+            if (isLocalOffer(offer)) {
+                this.showStatusMessage(`Trade ${offer.id} accepted`, 'success');
+            }
+            this.updatePlayerDisplay();
+        });
+        this.gameFlowController.on('trade_offer.rejected', ({ offer }) => {
+            if (isLocalOffer(offer)) {
+                this.showStatusMessage(`Trade ${offer.id} rejected`, 'warning');
+            }
+        });
+        this.gameFlowController.on('trade_offer.failed', ({ offer, errors }) => {
+            if (isLocalOffer(offer)) {
+                this.showStatusMessage(`Trade ${offer.id} failed: ${errors.join(', ')}`, 'error');
+            }
+        });
+    }
+    
+    /**
+     * Add a button that opens the bank panel
+     * Foreclosed territories are redrawn without an owner.
+     */
+    setupBankPanel() {
+        this.bankPanel = new BankPanel(this, this.gameFlowController.bank);
+        
+        const bankButton = document.createElement('button');
+        bankButton.id = 'bank-btn';
+        bankButton.textContent = 'Bank';
+        bankButton.style.marginTop = '10px';
+        bankButton.addEventListener('click', () => this.bankPanel.toggle());
+        
+        const menuContainer = document.getElementById('menu-container');
+        if (menuContainer) {
+            menuContainer.appendChild(bankButton);
+        }
+        
+        this.gameFlowController.on('bank.payment_missed', ({ playerId, interest }) => {
+            const player = this.gameFlowController.stateManager.getPlayer(playerId);
+            this.showStatusMessage(`${player?.name || playerId} missed a loan payment of ${interest} gold`, 'warning');
+        });
+        this.gameFlowController.on('bank.foreclosure', ({ playerId, territories }) => {
+            territories.forEach(territoryId => {
+                const territory = this.gameFlowController.territoryGrid.getTerritoryById(territoryId);
+                if (territory) {
+                    this.drawTerritoryHex(territory);
+                    territory.ownershipMarker?.destroy();
+                    territory.ownershipMarker = null;
+                }
+            });
+            const player = this.gameFlowController.stateManager.getPlayer(playerId);
+            this.showStatusMessage(`The bank foreclosed on ${player?.name || playerId}: ${territories.length} territories seized`, 'error');
+            this.updatePlayerDisplay();
+        });
+    }
+    
+    /**
+     * Show live bidding as each plot of the land auction opens and add a
+     * button that opens the land sale panel. AI players bid every few
+     * seconds while a plot is open.
+     */
+    setupLandAuctions() {
+        const landAuctions = this.gameFlowController.landAuctions;
+        this.landAuctionPanel = new LandAuctionPanel(this, landAuctions);
+        this.landSalePanel = new LandSalePanel(this, landAuctions);
+        
+        const sellButton = document.createElement('button');
+        sellButton.id = 'sell-land-btn';
+        sellButton.textContent = 'Sell Land';
+        sellButton.style.marginTop = '10px';
+        sellButton.addEventListener('click', () => this.landSalePanel.toggle());
+        
+        const menuContainer = document.getElementById('menu-container');
+        if (menuContainer) {
+            menuContainer.appendChild(sellButton);
+        }
+        
+        this.gameFlowController.on('land_auction.lot_opened', () => {
+            if (!this.aiLandBiddingTimer) {
+                this.aiLandBiddingTimer = this.time.addEvent({
+                    delay: 5000,
+                    callback: this.makeAILandBids,
+                    callbackScope: this,
+                    loop: true
+                });
+            }
+        });
+        this.gameFlowController.on('land_auction.completed', () => this.stopAILandBidding());
+        this.gameFlowController.on('land_auction.lot_closed', (lot) => {
+            if (lot.sold) {
+                const winner = this.gameFlowController.stateManager.getPlayer(lot.winnerId);
+                this.showStatusMessage(`${winner?.name || lot.winnerId} bought ${lot.territoryId} for ${lot.price} gold`, 'success');
+                this.updatePlayerDisplay();
+            }
+        });
+    }
+    
+    makeAILandBids() {
+        const landAuctions = this.gameFlowController.landAuctions;
+        this.gameFlowController.stateManager.gameState.players
+            .filter(player => player.isAI)
+            .forEach(player => {
+                const bid = landAuctions.getAIBid(player, 200);
+                if (bid !== null) {
+                    landAuctions.placeBid(player.id, bid);
+                }
+            });
+    }
+    
+    stopAILandBidding() {
+        if (this.aiLandBiddingTimer) {
+            this.aiLandBiddingTimer.destroy();
+            this.aiLandBiddingTimer = null;
+        }
+    }
+    
+    /**
+     * Add a button that opens the message log, and announce personal events
+     * as they happen. An event can change gold, resources and ownership.
+     */
+    setupMessageLog() {
+        this.messageLogPanel = new MessageLogPanel(this, this.gameFlowController.personalEvents);
+        
+        const logButton = document.createElement('button');
+        logButton.id = 'message-log-btn';
+        logButton.textContent = 'Log';
+        logButton.style.marginTop = '10px';
+        logButton.addEventListener('click', () => this.messageLogPanel.toggle());
+        
+        const menuContainer = document.getElementById('menu-container');
+        if (menuContainer) {
+            menuContainer.appendChild(logButton);
+        }
+        
+        this.gameFlowController.on('personal_event.triggered', ({ kind, message }) => {
+            this.showStatusMessage(message, kind === 'boon' ? 'success' : 'warning');
+            this.updateAllTerritoryVisuals();
+            this.updatePlayerDisplay();
+        });
+    }
+    
+    /**
+     * Announce world events with a banner as they begin, and note when they pass
+     */
+    setupWorldEvents() {
+        this.gameFlowController.on('world_event.started', (event) => this.showWorldEventBanner(event));
+        this.gameFlowController.on('world_event.ended', ({ name }) => {
+            this.showStatusMessage(`${name} has passed`);
+        });
+    }
+    
+    showWorldEventBanner(event) {
+        const existingBanner = document.getElementById('world-event-banner');
+        if (existingBanner) {
+            existingBanner.remove();
+        }
+        
+        const formatEffects = (multipliers) => Object.entries(multipliers)
+            .map(([resource, multiplier]) => {
+                const change = Math.round((multiplier - 1) * 100);
+                return `${resource} ${change >= 0 ? '+' : ''}${change}%`;
+            })
+            .join(', ');
+        const production = formatEffects(event.production);
+        const prices = formatEffects(event.prices);
+        
+        const banner = document.createElement('div');
+        banner.id = 'world-event-banner';
+        banner.style.cssText = `
+            position: absolute;
+            top: 100px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: linear-gradient(135deg, rgba(40, 30, 90, 0.95), rgba(80, 50, 140, 0.95));
+            color: white;
+            padding: 16px 32px;
+            border-radius: 10px;
+            text-align: center;
+            z-index: 1000;
+            box-shadow: 0 4px 20px rgba(150, 100, 255, 0.5);
+            border: 2px solid #FFD700;
+            max-width: 600px;
+            pointer-events: none;
+        `;
+        
+        banner.innerHTML = `
+            <div style="font-size: 24px; font-weight: bold; color: #FFD700; margin-bottom: 8px;">
+                ✨ ${event.name} ✨
+            </div>
+            <div style="font-size: 16px; margin-bottom: 8px;">${event.description}</div>
+            ${production ? `<div style="font-size: 14px;">Production: ${production}</div>` : ''}
+            ${prices ? `<div style="font-size: 14px;">Prices: ${prices}</div>` : ''}
+            <div style="font-size: 13px; margin-top: 8px; font-style: italic;">
+                Lasts ${event.remainingCycles} cycle${event.remainingCycles === 1 ? '' : 's'}
+            </div>
+        `;
+        
+        document.getElementById('game-container').appendChild(banner);
+        
+        // Fade out after 6 seconds
+        setTimeout(() => {
+            banner.style.transition = 'opacity 1s ease-out';
+            banner.style.opacity = '0';
+            setTimeout(() => banner.remove(), 1000);
+        }, 6000);
+    }
+    
     setupGameFlowListeners() {
         // Listen to game flow events
         this.gameFlowController.on('cycle.started', this.onCycleStarted.bind(this));
@@ -132,12 +605,40 @@ export default class GameScene extends Phaser.Scene {
         this.gameFlowController.on('territory.produced', this.onTerritoryProduced.bind(this));
         this.gameFlowController.on('player.production_applied', this.onPlayerProductionApplied.bind(this));
         this.gameFlowController.on('resource_production.completed', this.onResourceProductionCompleted.bind(this));
+        ['construct.moved', 'construct.uninstalled', 'construct.salvaged', 'construct.repaired', 'maintenance.completed'].forEach(eventName =>
+            this.gameFlowController.on(eventName, () => this.refreshConstructVisuals()));
+        this.gameFlowController.on('construct.broke_down', ({ playerId, constructType, territoryId }) => {
+            const player = this.gameFlowController.stateManager.getPlayer(playerId);
+            const name = CONSTRUCT_DEFINITIONS[constructType]?.name || constructType;
+            this.showStatusMessage(`${player?.name || playerId}'s ${name} on ${territoryId} has broken down`, 'warning');
+        });
+        ['improvement.started', 'improvement.progressed', 'improvement.completed', 'improvement.cancelled'].forEach(eventName =>
+            this.gameFlowController.on(eventName, () => this.updateImprovementDisplay()));
+        this.gameFlowController.on('improvement.completed', ({ territoryId, improvementType }) => {
+            this.showStatusMessage(`${IMPROVEMENTS[improvementType].name} finished on ${territoryId}`, 'success');
+        });
+        this.gameFlowController.on('production.doubled', ({ territoryId }) => {
+            this.showStatusMessage(`A Focus Pillar doubled what ${territoryId} produced`, 'success');
+        });
+        this.gameFlowController.on('construct.life_bloom', (event) => {
+            this.showStatusMessage(`Life Bloom! Every wizard gains vitality (${event.blooms.length} well${event.blooms.length === 1 ? '' : 's'})`, 'success');
+        });
+        
+        // Resource consumption events
+        this.gameFlowController.on('resource_consumption.completed', this.onResourceConsumptionCompleted.bind(this));
         
         // Resource decay events
         this.gameFlowController.on('resource_decay.processing', this.onResourceDecayProcessing.bind(this));
         this.gameFlowController.on('player.resources_decayed', this.onPlayerResourcesDecayed.bind(this));
         this.gameFlowController.on('resource_decay.completed', this.onResourceDecayCompleted.bind(this));
         
+        // Realm survival events
+        this.gameFlowController.on('realm_survival.checked', () => this.updatePlayerDisplay());
+        this.gameFlowController.on('realm.collapsed', (event) => {
+            this.showStatusMessage(`The realm has collapsed! ${event.destroyed.length} improvements destroyed`, 'error');
+            this.updateImprovementDisplay();
+        });
+        
         // Gold transaction events
         this.gameFlowController.on('gold.deducted', this.onGoldDeducted.bind(this));
         this.gameFlowController.on('gold.added', this.onGoldAdded.bind(this));
@@ -213,6 +714,10 @@ export default class GameScene extends Phaser.Scene {
         this.arcanumDisplay = document.getElementById('arcanum-display');
         this.aetherDisplay = document.getElementById('aether-display');
         
+        // Survival warnings for the current player and the realm
+        this.realmWarnings = document.getElementById('realm-warnings');
+        this.realmWarningsList = document.getElementById('realm-warnings-list');
+        
         // Timer elements
         this.timerContainer = document.getElementById('timer-container');
         this.timerDisplay = document.getElementById('turn-timer');
@@ -727,7 +1232,7 @@ export default class GameScene extends Phaser.Scene {
             const hex = this.add.graphics();
             
             // Get territory color based on type
-            const color = TERRITORY_COLORS[territory.type] || 0x888888;
+            const color = this.getTerritoryColor(territory);
             hex.fillStyle(color, 1);
             
             // Draw hexagon
@@ -785,7 +1290,8 @@ export default class GameScene extends Phaser.Scene {
             });
             
             // Add territory type label
-            const label = this.add.text(pixelPos.x, pixelPos.y, territory.getTypeName().split(' ')[0], {
+            const labelText = territory.blocked ? 'Blocked' : territory.getTypeName().split(' ')[0];
+            const label = this.add.text(pixelPos.x, pixelPos.y, labelText, {
                 fontSize: '12px',
                 fill: '#FFFFFF',
                 align: 'center'
@@ -805,6 +1311,9 @@ export default class GameScene extends Phaser.Scene {
     onTerritoryClick(territory) {
         console.log(`Clicked territory ${territory.id} of type ${territory.type}`);
         
+        // The board is read-only while watching a replay
+        if (this.replayPlayer) return;
+        
         // Debug: Check game state
         const gameStatus = this.gameFlowController.getGameStatus();
         console.log('Game Status:', {
@@ -833,6 +1342,96 @@ export default class GameScene extends Phaser.Scene {
         console.log("Selection result:", selected);
     }
     
+    /**
+     * Show a territory in the side panel, with the richness the viewing player knows
+     */
+    updateTerritoryDetails(territory) {
+        if (!this.territoryDetails) return;
+        
+        const owner = territory.ownerId ? 
+            this.gameFlowController.stateManager.getPlayer(territory.ownerId) : null;
+        const constructInfo = territory.construct ? 
+            `${this.formatTerritoryType(territory.construct.type)} (Level ${territory.construct.level || 1})` : 
+            'None';
+        
+        // Richness is private: only what the player whose turn it is has surveyed or sensed
+        const viewer = this.gameFlowController.turnManager.getCurrentPlayer();
+        const known = territory.getKnownRichness(viewer);
+        const richnessInfo = Object.keys(known).length > 0 ?
+            Object.entries(known).map(([resource, richness]) => `${resource}: ${Territory.getRichnessLabel(richness)}`).join(', ') :
+            'Unknown';
+        const canSurvey = viewer && !viewer.isAI && !territory.isSurveyedBy(viewer.id) &&
+            this.gameFlowController.cycleManager?.currentPhase === 'territory_selection';
+        
+        // Improvements, with the progress of those being built
+        const improvementInfo = territory.improvements.length > 0 ?
+            territory.improvements.map(improvement => this.formatImprovement(improvement)).join(', ') : 'None';
+        const canImprove = viewer && !viewer.isAI && territory.ownerId === viewer.id &&
+            this.gameFlowController.cycleManager?.currentPhase === 'construct_outfitting';
+        
+        // Ley lines through the territory and what they add for its owner
+        const leyLines = this.gameFlowController.territoryGrid.leyLines;
+        const lineCount = leyLines.getLinesAt(territory).length;
+        const leyBonus = leyLines.getProductionBonus(territory);
+        const harmonicNames = leyBonus.harmonics.map(key => LEY_LINES.HARMONICS[key].name);
+        const leyLineInfo = (lineCount > 0 ? `${lineCount} ley line${lineCount > 1 ? 's' : ''}` : 'None') +
+            (leyBonus.total > 0 ? ` (+${Math.round(leyBonus.total * 100)}% production` +
+                (harmonicNames.length > 0 ? `: ${harmonicNames.join(', ')}` : '') + ')' : '');
+            
+        this.territoryDetails.innerHTML = `
+            <div>
+                <p><strong>Territory ID:</strong> ${territory.id}</p>
+                <p><strong>Type:</strong> ${territory.getTypeName()}</p>
+                <p><strong>Owner:</strong> ${owner ? owner.name : 'None'}</p>
+                <p><strong>Construct:</strong> ${constructInfo}</p>
+                ${territory.ownerId ? `<p><strong>Resource Production:</strong> ${this.calculateTerritoryProduction(territory)} per cycle</p>` : ''}
+                <p><strong>Base Modifiers:</strong></p>
+                <ul>
+                    ${Object.entries(territory.baseModifiers).map(([resource, modifier]) => 
+                        `<li>${resource}: ${modifier > 1 ? '+' : ''}${Math.round((modifier - 1) * 100)}%</li>`
+                    ).join('')}
+                </ul>
+                <p><strong>Richness:</strong> ${richnessInfo}</p>
+                <p><strong>Ley Lines:</strong> ${leyLineInfo}</p>
+                <p><strong>Improvements:</strong> ${improvementInfo}</p>
+                ${canSurvey ? `<button id="survey-btn">Survey (${SURVEY.COST} gold)</button>` : ''}
+                ${canImprove ? '<button id="improve-btn">Improvements</button>' : ''}
+            </div>
+        `;
+        
+        document.getElementById('survey-btn')?.addEventListener('click', () => this.surveyTerritory(territory));
+        document.getElementById('improve-btn')?.addEventListener('click', () => this.showImprovementOptions(territory));
+    }
+    
+    /**
+     * Name an improvement, with its progress while it is being built
+     */
+    formatImprovement(improvement) {
+        const info = improvement.getDisplayInfo?.();
+        if (!info) return improvement.type || improvement;
+        
+        return `${info.icon} ${info.name}` +
+            (info.isUnderConstruction ? ` (building, ${info.cyclesBuilt}/${info.constructionTime} cycles)` : '');
+    }
+    
+    /**
+     * Pay for a survey of a territory for the player whose turn it is
+     */
+    surveyTerritory(territory) {
+        const player = this.gameFlowController.turnManager.getCurrentPlayer();
+        if (!player) return;
+        
+        const result = this.gameFlowController.territoryAcquisition.surveyTerritory(player.id, territory.id);
+        if (result.success) {
+            this.showStatusMessage(`Survey of ${territory.getTypeName()} complete`, 'success');
+        } else {
+            this.showStatusMessage(result.reason, 'error');
+        }
+        
+        this.updateTerritoryDetails(territory);
+        this.updatePlayerDisplay();
+    }
+    
     onTerritorySelected(event) {
         const { territory, playerId } = event;
         console.log(`Territory ${territory.id} selected by player ${playerId}`);
@@ -895,29 +1494,7 @@ export default class GameScene extends Phaser.Scene {
         });
         
         // Update territory details in HTML UI
-        if (this.territoryDetails) {
-            const owner = territory.ownerId ? 
-                this.gameFlowController.stateManager.getPlayer(territory.ownerId) : null;
-            const constructInfo = territory.construct ? 
-                `${this.formatTerritoryType(territory.construct.type)} (Level ${territory.construct.level || 1})` : 
-                'None';
-                
-            this.territoryDetails.innerHTML = `
-                <div>
-                    <p><strong>Territory ID:</strong> ${territory.id}</p>
-                    <p><strong>Type:</strong> ${territory.getTypeName()}</p>
-                    <p><strong>Owner:</strong> ${owner ? owner.name : 'None'}</p>
-                    <p><strong>Construct:</strong> ${constructInfo}</p>
-                    ${territory.ownerId ? `<p><strong>Resource Production:</strong> ${this.calculateTerritoryProduction(territory)} per cycle</p>` : ''}
-                    <p><strong>Base Modifiers:</strong></p>
-                    <ul>
-                        ${Object.entries(territory.baseModifiers).map(([resource, modifier]) => 
-                            `<li>${resource}: ${modifier > 1 ? '+' : ''}${Math.round((modifier - 1) * 100)}%</li>`
-                        ).join('')}
-                    </ul>
-                </div>
-            `;
-        }
+        this.updateTerritoryDetails(territory);
         
         // Take action based on current selection mode
         if (this.selectMode === 'buy-land') {
@@ -1225,7 +1802,8 @@ export default class GameScene extends Phaser.Scene {
             this.showConstructSelectionDialog(territory, (selectedType) => {
                 console.log('Construct selection callback called with:', selectedType);
                 const constructType = selectedType;
-                const buildCost = 200; // Fixed cost for new constructs
+                const workshop = this.gameFlowController.workshop;
+                const buildCost = workshop.getOutfittedPrice(constructType); // Base construct and its attunement
                 
                 // Re-fetch current player in case state changed
                 const updatedPlayer = this.gameFlowController.turnManager.getCurrentPlayer();
@@ -1235,28 +1813,20 @@ export default class GameScene extends Phaser.Scene {
                 if (updatedPlayer.gold >= buildCost) {
                 console.log(`Player has enough gold to build`);
                 
-                // Deduct gold using GoldManager
-                const goldResult = this.gameFlowController.goldManager.deductGold(
-                    updatedPlayer.id, 
-                    buildCost, 
-                    `Build ${constructType}`
-                );
+                // Buy and outfit the construct at the workshop; it starts in inventory for proper installation flow
+                const purchase = workshop.purchaseOutfitted(updatedPlayer.id, constructType);
                 
-                if (!goldResult.success) {
-                    this.showStatusMessage(goldResult.error, 'error');
+                if (!purchase.success) {
+                    this.showStatusMessage(purchase.error, 'error');
                     return;
                 }
                 
-                // Create the construct using the Construct class
-                const newConstruct = new Construct({
-                    id: `construct_${territory.id}_${Date.now()}`,
-                    type: constructType,
-                    level: 1,
-                    owner: updatedPlayer,
-                    status: 'inventory' // Start in inventory for proper installation flow
-                });
+                const newConstruct = purchase.construct;
+                const takeFromInventory = () => {
+                    updatedPlayer.inventory.constructs = updatedPlayer.inventory.constructs.filter(c => c !== newConstruct);
+                };
                 
-                console.log(`Created new construct of type ${constructType} at level 1`);
+                console.log(`Outfitted new construct of type ${constructType} at level 1`);
                 
                 // Force use the installation animation if available
                 if (this.constructSystem && this.constructSystem.systems && this.constructSystem.systems.installationAnimator) {
@@ -1280,12 +1850,13 @@ export default class GameScene extends Phaser.Scene {
                         
                         // Apply the result to the territory
                         if (data.result.success) {
+                            takeFromInventory();
                             territory.construct = newConstruct;
                             newConstruct.status = 'active';
-                            newConstruct.efficiency = data.result.efficiency || 1;
+                            newConstruct.setInstalledEfficiency(data.result.efficiency || 1);
                         } else {
                             // Installation failed - refund gold
-                            updatedPlayer.gold += buildCost;
+                            workshop.returnConstruct(updatedPlayer.id, newConstruct, buildCost);
                             this.showStatusMessage('Installation failed! Gold refunded.', 'error');
                         }
                         
@@ -1297,20 +1868,14 @@ export default class GameScene extends Phaser.Scene {
                     this.events.once('installation-cancelled', (data) => {
                         console.log('Installation cancelled');
                         // Refund gold
-                        updatedPlayer.gold += buildCost;
+                        workshop.returnConstruct(updatedPlayer.id, newConstruct, buildCost);
                         this.updatePlayerDisplay();
                         this.showStatusMessage('Installation cancelled. Gold refunded.', 'warning');
                     });
                     
                 } else if (this.gameFlowController.constructManager) {
                     try {
-                        // Add to player's inventory temporarily
-                        if (!updatedPlayer.inventory) {
-                            updatedPlayer.inventory = { constructs: [] };
-                        }
-                        updatedPlayer.inventory.constructs.push(newConstruct);
-                        
-                        // Initiate installation
+                        // Initiate installation (takes the construct out of inventory)
                         const installation = this.gameFlowController.constructManager.initiateInstallation(
                             newConstruct.id,
                             territory.id,
@@ -1342,6 +1907,7 @@ export default class GameScene extends Phaser.Scene {
                         } else {
                             console.warn('Installation animator not available, falling back to direct placement');
                             // Fallback: direct placement without animation
+                            takeFromInventory();
                             territory.construct = newConstruct;
                             newConstruct.status = 'active';
                             newConstruct.efficiency = 1.0; // Default 100% efficiency for direct placement
@@ -1352,11 +1918,12 @@ export default class GameScene extends Phaser.Scene {
                         this.showStatusMessage(error.message, 'error');
                         
                         // Refund the gold on error
-                        updatedPlayer.gold += buildCost;
+                        workshop.returnConstruct(updatedPlayer.id, newConstruct, buildCost);
                         this.updatePlayerDisplay();
                     }
                 } else {
                     // Fallback: direct placement without animation
+                    takeFromInventory();
                     territory.construct = newConstruct;
                     newConstruct.status = 'active';
                     newConstruct.efficiency = 1.0; // Default 100% efficiency for direct placement
@@ -1425,8 +1992,11 @@ export default class GameScene extends Phaser.Scene {
                 territory.construct.level = currentLevel;
             }
             
-            // Calculate upgrade cost
-            const upgradeCost = 150 * currentLevel;
+            // Calculate upgrade cost, less any Arcane Insight discount
+            const insight = Construct.findOwnerAbility(currentPlayer.id, this.gameFlowController.territoryGrid.territories, 'arcane_insight');
+            const upgradeCost = insight ?
+                insight.specialAbility.applyEffect({ gold: 150 * currentLevel }).gold :
+                150 * currentLevel;
             
             console.log(`Upgrading existing construct: current level ${currentLevel}, cost ${upgradeCost}, player gold ${currentPlayer.gold}`);
             
@@ -1458,8 +2028,12 @@ export default class GameScene extends Phaser.Scene {
                 return;
             }
             
-            // Increment level by exactly one
-            territory.construct.level = currentLevel + 1;
+            // Increment level by exactly one, unlocking the special ability at level 3
+            if (territory.construct.setLevel) {
+                territory.construct.setLevel(currentLevel + 1);
+            } else {
+                territory.construct.level = currentLevel + 1;
+            }
             const newLevel = territory.construct.level;
             
             console.log(`Construct level after upgrade: ${newLevel}`);
@@ -1486,7 +2060,8 @@ export default class GameScene extends Phaser.Scene {
             // Update UI
             this.updatePlayerDisplay();
             
-            this.showStatusMessage(`Upgraded construct to level ${newLevel} for ${upgradeCost} gold`);
+            this.showStatusMessage(`Upgraded construct to level ${newLevel} for ${upgradeCost} gold` +
+                (territory.construct.specialAbility ? ` - ${territory.construct.specialAbility.name} unlocked` : ''));
             
             // Update available territories count
             this.time.delayedCall(100, () => {
@@ -1521,7 +2096,7 @@ export default class GameScene extends Phaser.Scene {
             case 'crystalline_cave': return 'mana_conduit';
             case 'ruined_temple': return 'arcanum_extractor';
             case 'volcanic_field': return 'aether_resonator';
-            default: return 'basic_extractor';
+            default: return 'mana_conduit';
         }
     }
     
@@ -1792,6 +2367,43 @@ export default class GameScene extends Phaser.Scene {
         if (this.aetherDisplay) {
             this.aetherDisplay.textContent = currentPlayer.resources?.aether || 0;
         }
+        
+        this.updateRealmWarnings(currentPlayer.id);
+    }
+    
+    /**
+     * Show the player's and the realm's shortage warnings in the side panel
+     */
+    updateRealmWarnings(playerId) {
+        if (!this.realmWarnings) return;
+        
+        const warnings = this.gameFlowController.cycleManager.realmSurvival.getWarnings(playerId);
+        this.realmWarnings.style.display = warnings.length > 0 ? 'block' : 'none';
+        this.realmWarningsList.innerHTML = warnings
+            .map(warning => `<div style="color: #ff8800; margin: 4px 0;">⚠ ${warning}</div>`)
+            .join('');
+    }
+    
+    /**
+     * Remove the construct marker from a territory that no longer has one
+     */
+    clearConstructVisuals(territory) {
+        territory.constructGraphic?.destroy();
+        territory.constructText?.destroy();
+        territory.efficiencyText?.destroy();
+        territory.constructGraphic = null;
+        territory.constructText = null;
+        territory.efficiencyText = null;
+    }
+    
+    /**
+     * Redraw construct markers after constructs were moved or taken away
+     */
+    refreshConstructVisuals() {
+        const territories = this.gameFlowController.territoryGrid?.territories || [];
+        territories.filter(territory => !territory.construct).forEach(territory => this.clearConstructVisuals(territory));
+        this.updateTerritoryDisplay();
+        this.updatePlayerDisplay();
     }
     
     /**
@@ -1817,6 +2429,10 @@ export default class GameScene extends Phaser.Scene {
                 if (territory.constructText) {
                     territory.constructText.destroy();
                 }
+                if (territory.efficiencyText) {
+                    territory.efficiencyText.destroy();
+                    territory.efficiencyText = null;
+                }
                 
                 // Create visual representation
                 const constructGraphic = this.add.graphics();
@@ -1852,6 +2468,34 @@ export default class GameScene extends Phaser.Scene {
                 }
             }
         });
+        
+        this.updateImprovementDisplay();
+    }
+    
+    /**
+     * Mark improvements on their hexes: finished ones by icon, ones being
+     * built by how many of their cycles are done
+     */
+    updateImprovementDisplay() {
+        const territories = this.gameFlowController?.territoryGrid?.territories || [];
+        const currentCycle = this.gameFlowController.cycleManager?.currentCycle || 0;
+        
+        territories.forEach(territory => {
+            territory.improvementText?.destroy();
+            territory.improvementText = null;
+            if (!territory.improvements?.length) return;
+            
+            const pixelPos = this.hexUtils.axialToPixel(territory.q, territory.r);
+            const label = territory.improvements.map(improvement => improvement.isUnderConstruction ?
+                `🔨${improvement.getCyclesBuilt(currentCycle)}/${improvement.constructionTime}` :
+                improvement.config?.icon || '').join(' ');
+            territory.improvementText = this.add.text(pixelPos.x, pixelPos.y - this.hexSize / 2, label, {
+                font: '12px Arial',
+                fill: '#ffffff',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5);
+        });
     }
     
     produceResources() {
@@ -1960,8 +2604,9 @@ export default class GameScene extends Phaser.Scene {
             const constructPoints = player.constructs.length * 75;
             const constructLevelPoints = player.constructs.reduce((sum, construct) => sum + construct.level * 25, 0);
             const resourcePoints = (player.resources.mana + player.resources.vitality + player.resources.arcanum + player.resources.aether) * 2;
+            const bankPoints = (player.bankDeposit || 0) - (player.loanBalance || 0);
             
-            const totalScore = goldPoints + territoryPoints + constructPoints + constructLevelPoints + resourcePoints;
+            const totalScore = goldPoints + territoryPoints + constructPoints + constructLevelPoints + resourcePoints + bankPoints;
             
             playerScores.push({
                 player: player,
@@ -1971,7 +2616,8 @@ export default class GameScene extends Phaser.Scene {
                     territories: territoryPoints,
                     constructs: constructPoints,
                     constructLevels: constructLevelPoints,
-                    resources: resourcePoints
+                    resources: resourcePoints,
+                    bank: bankPoints
                 }
             });
             
@@ -2058,7 +2704,7 @@ export default class GameScene extends Phaser.Scene {
             playerName.style.color = index === 0 ? '#FFD700' : '#FFFFFF';
             
             const playerBreakdown = document.createElement('span');
-            playerBreakdown.textContent = `Gold: ${playerScore.breakdown.gold} | Territories: ${playerScore.breakdown.territories} | Constructs: ${playerScore.breakdown.constructs} | Levels: ${playerScore.breakdown.constructLevels} | Resources: ${playerScore.breakdown.resources}`;
+            playerBreakdown.textContent = `Gold: ${playerScore.breakdown.gold} | Territories: ${playerScore.breakdown.territories} | Constructs: ${playerScore.breakdown.constructs} | Levels: ${playerScore.breakdown.constructLevels} | Resources: ${playerScore.breakdown.resources} | Bank: ${playerScore.breakdown.bank}`;
             playerBreakdown.style.fontSize = '12px';
             playerBreakdown.style.color = '#CCCCCC';
             playerBreakdown.style.marginTop = '5px';
@@ -2114,13 +2760,29 @@ export default class GameScene extends Phaser.Scene {
     update(time, delta) {
         // Update auction timer if auction is active
         if (this.auctionManager && this.gameFlowController?.cycleManager?.currentPhase === 'auction_phase') {
-            // Convert delta from milliseconds to seconds
-            this.auctionManager.updateTimer(delta / 1000);
+            // Convert delta from milliseconds to game seconds
+            this.auctionManager.updateTimer(delta * this.gameClock.getSpeed() / 1000);
         }
         
         // Other game update logic
     }
     
+    /**
+     * Set how fast game time runs relative to real time
+     * Applies to model timers (via the game clock) and Phaser timers/tweens.
+     * @param {number} speed - Speed multiplier (0 pauses game time)
+     */
+    setGameSpeed(speed) {
+        const newSpeed = Math.max(0, speed);
+        this.gameClock.setSpeed(newSpeed);
+        
+        // Keep scene timers and animations in step with the models
+        this.time.timeScale = newSpeed;
+        this.tweens.timeScale = newSpeed;
+        
+        console.log(`Game speed set to ${newSpeed}x`);
+    }
+    
     // Game Flow Event Handlers
     onCycleStarted(event) {
         const { cycle } = event;
@@ -2252,14 +2914,18 @@ export default class GameScene extends Phaser.Scene {
             } else if (currentPhase === 'construct_outfitting') {
                 // Check if player has territories and gold
                 const playerTerritories = this.gameFlowController.territoryGrid?.getPlayerTerritories(player.id) || [];
-                const hasGold = player.gold >= 200;
+                const workshop = this.gameFlowController.workshop;
+                const cheapest = workshop.getLowestPrice();
+                const hasGold = player.gold >= cheapest;
                 
                 if (playerTerritories.length === 0) {
                     this.showStatusMessage('You have no territories. Click End Turn to continue.');
+                } else if (workshop.stock === 0) {
+                    this.showStatusMessage('The workshop has no constructs left this cycle. Click End Turn.');
                 } else if (!hasGold) {
-                    this.showStatusMessage('Not enough gold for constructs (need 200). Click End Turn.');
+                    this.showStatusMessage(`Not enough gold for constructs (need ${cheapest}). Click End Turn.`);
                 } else {
-                    this.showStatusMessage('Click Upgrade Territory, then click your territories to build constructs (200 gold each)');
+                    this.showStatusMessage(`Click Upgrade Territory, then click your territories to build constructs (from ${cheapest} gold, ${workshop.stock} in the workshop)`);
                     // Enable the upgrade button
                     const upgradeBtn = document.getElementById('upgrade-btn');
                     if (upgradeBtn) {
@@ -2396,7 +3062,7 @@ export default class GameScene extends Phaser.Scene {
         
         // Get all unowned territories
         const territories = this.gameFlowController.territoryGrid?.territories || [];
-        const unownedTerritories = territories.filter(t => !t.ownerId);
+        const unownedTerritories = territories.filter(t => !t.ownerId && !t.blocked);
         
         if (unownedTerritories.length === 0) {
             console.log('No unowned territories available');
@@ -2414,7 +3080,7 @@ export default class GameScene extends Phaser.Scene {
         
         // Select one of the top 3 territories randomly
         const topTerritories = sortedTerritories.slice(0, Math.min(3, sortedTerritories.length));
-        const selectedTerritory = topTerritories[Math.floor(Math.random() * topTerritories.length)];
+        const selectedTerritory = this.gameFlowController.random.pick(topTerritories);
         
         console.log(`AI ${player.name} selected territory ${selectedTerritory.id} (worth: ${selectedTerritory.getWorth ? selectedTerritory.getWorth() : 'unknown'})`);
         
@@ -2468,6 +3134,23 @@ export default class GameScene extends Phaser.Scene {
         // Track AI actions for summary
         const aiActions = [];
         
+        // Repair or salvage damaged constructs and move misplaced ones before building
+        const constructManager = this.gameFlowController.constructManager;
+        constructManager.getAIConstructActions(player.id).forEach(action => {
+            const territory = this.gameFlowController.territoryGrid.getTerritoryById(action.territoryId);
+            const constructType = this.formatTerritoryType(territory.construct.type);
+            if (!constructManager.performConstructAction(player.id, action)) return;
+            
+            if (action.type === 'move_construct') {
+                const destination = this.gameFlowController.territoryGrid.getTerritoryById(action.toTerritoryId);
+                aiActions.push(`Moved ${constructType} to ${this.formatTerritoryType(destination.type)}`);
+            } else if (action.type === 'repair_construct') {
+                aiActions.push(`Repaired ${constructType}`);
+            } else {
+                aiActions.push(`Salvaged ${constructType}`);
+            }
+        });
+        
         // Get player's territories without constructs
         const playerTerritories = this.gameFlowController.territoryGrid?.getPlayerTerritories(player.id) || [];
         const emptyTerritories = playerTerritories.filter(t => !t.construct);
@@ -2496,7 +3179,7 @@ export default class GameScene extends Phaser.Scene {
         const maxConstructs = Math.min(3, Math.floor(player.gold / 200), emptyTerritories.length);
         
         // Shuffle territories for variety
-        const shuffledTerritories = [...emptyTerritories].sort(() => Math.random() - 0.5);
+        const shuffledTerritories = this.gameFlowController.random.shuffle(emptyTerritories);
         
         for (let i = 0; i < maxConstructs; i++) {
             if (player.gold < 200) break;
@@ -2555,29 +3238,19 @@ export default class GameScene extends Phaser.Scene {
         
         // Determine construct type based on territory
         const constructType = this.getDefaultConstructType(territory.type);
-        const buildCost = 200;
         
-        // Deduct gold using GoldManager
-        const goldResult = this.gameFlowController.goldManager.deductGold(
-            player.id, 
-            buildCost, 
-            `AI Build ${constructType}`
-        );
+        // Buy and outfit the construct at the workshop
+        const purchase = this.gameFlowController.workshop.purchaseOutfitted(player.id, constructType);
         
-        if (!goldResult.success) {
-            console.log(`AI failed to deduct gold: ${goldResult.error}`);
+        if (!purchase.success) {
+            console.log(`AI failed to buy a construct: ${purchase.error}`);
             return false;
         }
         
-        // Create the construct using the Construct class
-        const newConstruct = new Construct({
-            id: `construct_${territory.id}_${Date.now()}`,
-            type: constructType,
-            level: 1,
-            owner: player
-        });
-        
         // Store the construct on territory
+        const newConstruct = purchase.construct;
+        player.inventory.constructs = player.inventory.constructs.filter(c => c !== newConstruct);
+        newConstruct.territory = territory;
         territory.construct = newConstruct;
         
         console.log(`AI created ${constructType} on territory ${territory.id}`);
@@ -2623,87 +3296,92 @@ export default class GameScene extends Phaser.Scene {
         return production ? production.amount : 0;
     }
     
+    /**
+     * Dialog for building improvements on a territory, or cancelling one being built
+     */
     showImprovementOptions(territory) {
         console.log('Show improvement options for territory:', territory.id);
         
         const currentPlayer = this.gameFlowController.turnManager.getCurrentPlayer();
-        if (!currentPlayer) return;
+        if (!currentPlayer || currentPlayer.isAI) return;
         
-        // Check if territory already has a construct
-        if (territory.construct) {
-            this.showStatusMessage('This territory already has a construct!', 'warning');
-            return;
-        }
+        document.getElementById('improvement-dialog')?.remove();
         
-        // Check if player has enough gold (200 for basic construct)
-        if (currentPlayer.gold < 200) {
-            this.showStatusMessage('Not enough gold! You need 200 gold to build a construct.', 'error');
-            return;
-        }
-        
-        // Determine construct type based on territory type
-        const constructType = this.getDefaultConstructType(territory.type);
+        const dialog = document.createElement('div');
+        dialog.id = 'improvement-dialog';
+        dialog.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background-color: rgba(20, 20, 20, 0.95);
+            border: 2px solid #FFD700;
+            border-radius: 10px;
+            padding: 20px;
+            z-index: 10000;
+            min-width: 400px;
+            color: white;
+            font-family: Arial, sans-serif;
+        `;
         
-        // Ask for confirmation
-        const confirmMessage = `Build ${this.formatTerritoryType(constructType)} for 200 gold?`;
+        const formatCost = (cost) => Object.entries(cost).map(([resource, amount]) => `${amount} ${resource}`).join(', ');
+        const rows = Object.entries(IMPROVEMENTS).map(([type, definition]) => {
+            const existing = territory.improvements.find(improvement => improvement.type === type);
+            let action;
+            if (existing?.isUnderConstruction) {
+                const refund = {};
+                Object.entries(definition.cost).forEach(([resource, amount]) => {
+                    refund[resource] = Math.floor(amount * CANCEL_REFUND_SHARE);
+                });
+                const info = existing.getDisplayInfo();
+                action = `<small style="color: #ffcc66">Building: ${info.cyclesBuilt}/${info.constructionTime} cycles</small><br>
+                    <button data-cancel="${type}">Cancel (refund ${formatCost(refund)})</button>`;
+            } else if (existing) {
+                action = '<small style="color: #88ff88">Built</small>';
+            } else {
+                const error = new TerritoryImprovement(territory, type, this.gameFlowController).getBuildError(currentPlayer.id);
+                action = `<button data-build="${type}" ${error ? `disabled title="${error}"` : ''}>Build</button>` +
+                    (error ? `<br><small style="color: #ff8888">${error}</small>` : '');
+            }
+            
+            return `
+                <div style="display: flex; gap: 10px; margin: 10px 0; padding: 10px; border: 1px solid #666; border-radius: 5px;">
+                    <span style="font-size: 24px;">${definition.icon}</span>
+                    <div>
+                        <strong>${definition.name}</strong><br>
+                        <small style="color: #aaa">${definition.description}</small><br>
+                        <small style="color: #88ccff">Cost: ${formatCost(definition.cost)} · ${definition.constructionTime} cycles to build</small><br>
+                        ${action}
+                    </div>
+                </div>
+            `;
+        }).join('');
         
-        // For now, auto-build (in a full implementation, you'd show a UI)
-        console.log(confirmMessage);
+        dialog.innerHTML = `
+            <h3 style="color: #FFD700; margin: 0 0 10px 0; text-align: center;">Improvements: ${territory.getTypeName()}</h3>
+            ${rows}
+            <button id="improvement-close" style="display: block; margin: 10px auto 0;">Close</button>
+        `;
+        document.getElementById('game-container').appendChild(dialog);
         
-        // Build the construct
-        const construct = {
-            type: constructType,
-            level: 1,
-            ownerId: currentPlayer.id
+        const finish = (result, message) => {
+            dialog.remove();
+            this.showStatusMessage(result.success ? message : result.reason, result.success ? 'success' : 'error');
+            this.updateTerritoryDetails(territory);
+            this.updatePlayerDisplay();
         };
         
-        if (territory.placeConstruct) {
-            // Use the action system to place the construct
-            const action = {
-                type: 'place_construct',
-                target: territory.id,
-                constructType: constructType,
-                cost: 200
-            };
-            
-            // Execute the action through the turn manager
-            const success = this.gameFlowController.turnManager.executePlayerAction(currentPlayer, action);
-            
-            if (success) {
-                // Place the construct
-                territory.placeConstruct(construct);
-                
-                // Deduct gold
-                currentPlayer.gold -= 200;
-                
-                // Update displays
-                this.updatePlayerDisplay();
-                
-                // Add visual feedback
-                const pixelPos = this.hexUtils.axialToPixel(territory.q, territory.r);
-                const constructIcon = this.add.circle(pixelPos.x, pixelPos.y - 10, 8, 0xFFD700);
-                constructIcon.setStrokeStyle(2, 0x000000);
-                
-                // Add level text
-                const levelText = this.add.text(pixelPos.x, pixelPos.y - 10, '1', {
-                    fontSize: '12px',
-                    color: '#000000',
-                    fontWeight: 'bold'
-                });
-                levelText.setOrigin(0.5);
-                
-                territory.constructVisual = constructIcon;
-                territory.constructText = levelText;
-                
-                this.showStatusMessage(`Built ${this.formatTerritoryType(constructType)} on ${territory.id}!`);
-                
-                // Reset select mode
-                this.selectMode = null;
-                this.setSelectMode(null);
-            } else {
-                this.showStatusMessage('Cannot place construct - action failed', 'error');
-            }
-        }
+        dialog.querySelectorAll('[data-build]').forEach(button => button.addEventListener('click', () => {
+            const type = button.dataset.build;
+            const result = new TerritoryImprovement(territory, type, this.gameFlowController).startConstruction(currentPlayer.id);
+            finish(result, `${IMPROVEMENTS[type].name} will be finished in cycle ${result.completionCycle}`);
+        }));
+        dialog.querySelectorAll('[data-cancel]').forEach(button => button.addEventListener('click', () => {
+            const type = button.dataset.cancel;
+            const result = territory.improvements.find(improvement => improvement.type === type).cancelConstruction(currentPlayer.id);
+            finish(result, `${IMPROVEMENTS[type].name} cancelled, part of its cost refunded`);
+        }));
+        document.getElementById('improvement-close').addEventListener('click', () => dialog.remove());
     }
     
     startTurnTimer(player) {
@@ -2870,6 +3548,25 @@ export default class GameScene extends Phaser.Scene {
         if (this.productionSummaryPanel) {
             this.productionSummaryPanel.destroy();
         }
+        if (this.replayViewerPanel) {
+            this.replayViewerPanel.destroy();
+        }
+        if (this.tradePanel) {
+            this.tradePanel.destroy();
+        }
+        if (this.bankPanel) {
+            this.bankPanel.destroy();
+        }
+        if (this.messageLogPanel) {
+            this.messageLogPanel.destroy();
+        }
+        if (this.landAuctionPanel) {
+            this.landAuctionPanel.destroy();
+        }
+        if (this.landSalePanel) {
+            this.landSalePanel.destroy();
+        }
+        this.stopAILandBidding();
         
         super.destroy();
     }
@@ -3280,6 +3977,26 @@ export default class GameScene extends Phaser.Scene {
         table.appendChild(tbody);
         content.appendChild(table);
         
+        // Production lost to Diminishing Returns
+        const diminishedLines = (summary.playerSummaries || []).map(playerData => {
+            const lost = Object.entries(playerData.diminished || {})
+                .filter(([, amount]) => amount > 0)
+                .map(([resource, amount]) => `${amount} ${resource}`);
+            return lost.length > 0 ? `${playerData.playerName}: -${lost.join(', -')}` : null;
+        }).filter(Boolean);
+        
+        if (diminishedLines.length > 0) {
+            const diminishedNote = document.createElement('div');
+            diminishedNote.textContent = `Diminishing returns (more territories of one terrain) - ${diminishedLines.join('; ')}`;
+            diminishedNote.style.cssText = `
+                color: #bdc3c7;
+                font-size: 14px;
+                text-align: center;
+                margin-bottom: 20px;
+            `;
+            content.appendChild(diminishedNote);
+        }
+        
         // Continue button
         const continueButton = document.createElement('button');
         continueButton.textContent = 'Continue';
@@ -3338,6 +4055,26 @@ export default class GameScene extends Phaser.Scene {
         this.updatePlayerDisplay();
     }
     
+    onResourceConsumptionCompleted(event) {
+        const { results } = event;
+        const players = this.gameFlowController.stateManager.gameState.players;
+        
+        // Warn human players who could not cover their consumption
+        results.forEach(result => {
+            const player = players.find(p => p.id === result.playerId);
+            if (!player || player.isAI) return;
+            
+            const short = ['vitality', 'mana']
+                .filter(resource => result.shortfall[resource] > 0)
+                .map(resource => `${result.shortfall[resource]} ${resource}`);
+            if (short.length > 0) {
+                this.showStatusMessage(`${result.playerName} is short ${short.join(' and ')} - next turn and constructs weakened`, 'warning');
+            }
+        });
+        
+        this.updatePlayerDisplay();
+    }
+    
     onResourceDecayCompleted(event) {
         const { summary } = event;
         console.log('Decay completed:', summary);
@@ -3428,7 +4165,12 @@ export default class GameScene extends Phaser.Scene {
             console.log('TransactionEngine created');
             
             // Create market event system
-            this.marketEventSystem = new MarketEventSystem(this.marketDataService);
+            this.marketEventSystem = new MarketEventSystem(
+                this.marketDataService,
+                null,
+                this.gameFlowController.random,
+                this.gameClock
+            );
             console.log('MarketEventSystem created');
             
             // Create resource queue manager
@@ -3474,6 +4216,10 @@ export default class GameScene extends Phaser.Scene {
             this.gameFlowController.auctionManager = this.auctionManager;
             this.gameFlowController.marketDataService = this.marketDataService;
             this.gameFlowController.transactionEngine = this.transactionEngine;
+            this.gameFlowController.marketEventSystem = this.marketEventSystem;
+            
+            // Prices follow any world event already under way
+            this.gameFlowController.worldEvents.applyPriceEffects();
             
             console.log('Auction system initialization complete');
         } catch (error) {
@@ -3632,10 +4378,11 @@ export default class GameScene extends Phaser.Scene {
         this.aiBiddingStrategy = new AIBiddingStrategy(this.auctionManager, this.marketDataService);
         
         // Create price prediction system
-        this.pricePredictionSystem = new PricePredictionSystem(this.marketDataService);
+        this.pricePredictionSystem = new PricePredictionSystem(this.marketDataService, this.gameFlowController.random);
         
         // Create auction analytics
         this.auctionAnalytics = new AuctionAnalytics(this.auctionManager, this.marketDataService);
+        this.gameFlowController.auctionAnalytics = this.auctionAnalytics;
         
         // Assign strategies to AI players
         const players = this.gameFlowController.stateManager.gameState.players;
@@ -3691,7 +4438,7 @@ export default class GameScene extends Phaser.Scene {
                 
                 if (decision) {
                     // Execute decision with some randomness
-                    const delay = Math.random() * 2000; // 0-2 second random delay
+                    const delay = this.gameFlowController.random.range(0, 2000); // 0-2 second random delay
                     this.time.delayedCall(delay, () => {
                         this.aiBiddingStrategy.executeDecision(player, decision);
                         
@@ -1,13 +1,21 @@
 import Phaser from 'phaser';
+import ReplayPlayer from '../models/ReplayPlayer.js';
+import { MAP_PRESETS, MAP_GENERATION } from '../config/gameConfig.js';
 
 export default class MainMenuScene extends Phaser.Scene {
     constructor() {
         super('MainMenuScene');
     }
 
-    create() {
+    create(data) {
         const { width, height } = this.cameras.main;
         
+        // Coming back from the map editor to play its map
+        if (data?.playerSetup) {
+            this.showPlayerSetup();
+            return;
+        }
+        
         // Title
         const title = this.add.text(width / 2, height / 4, 'Magical Frontiers', {
             fontFamily: 'Georgia, "Goudy Bookletter 1911", Times, serif',
@@ -76,6 +84,54 @@ export default class MainMenuScene extends Phaser.Scene {
             optionsButton.setStyle({ color: '#FFFFFF' });
         });
         
+        // Watch replay button
+        const replayButton = this.add.text(width / 2, height / 2 + 210, 'Watch Replay', {
+            fontFamily: 'Georgia, serif',
+            fontSize: '32px',
+            color: '#FFFFFF',
+            stroke: '#000',
+            strokeThickness: 1
+        });
+        replayButton.setOrigin(0.5);
+        replayButton.setPadding(20);
+        replayButton.setInteractive({ useHandCursor: true });
+        
+        replayButton.on('pointerover', () => {
+            replayButton.setStyle({ color: '#FFD700' });
+        });
+        
+        replayButton.on('pointerout', () => {
+            replayButton.setStyle({ color: '#FFFFFF' });
+        });
+        
+        replayButton.on('pointerdown', () => {
+            this.openReplayFile();
+        });
+        
+        // Map editor button
+        const editorButton = this.add.text(width / 2, height / 2 + 290, 'Map Editor', {
+            fontFamily: 'Georgia, serif',
+            fontSize: '32px',
+            color: '#FFFFFF',
+            stroke: '#000',
+            strokeThickness: 1
+        });
+        editorButton.setOrigin(0.5);
+        editorButton.setPadding(20);
+        editorButton.setInteractive({ useHandCursor: true });
+        
+        editorButton.on('pointerover', () => {
+            editorButton.setStyle({ color: '#FFD700' });
+        });
+        
+        editorButton.on('pointerout', () => {
+            editorButton.setStyle({ color: '#FFFFFF' });
+        });
+        
+        editorButton.on('pointerdown', () => {
+            this.scene.start('MapEditorScene');
+        });
+        
         // Credits
         const creditText = this.add.text(width / 2, height - 50, 'Based on M.U.L.E. by Ozark Softscape', {
             fontFamily: 'Georgia, serif',
@@ -88,6 +144,56 @@ export default class MainMenuScene extends Phaser.Scene {
         this.addMagicalParticles();
     }
     
+    /**
+     * Let the player pick a saved replay file and open it in the viewer
+     */
+    openReplayFile() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                let replay;
+                try {
+                    replay = JSON.parse(reader.result);
+                } catch (error) {
+                    console.error('Could not read replay file:', error);
+                    this.showMenuMessage('That file is not a valid replay');
+                    return;
+                }
+                
+                try {
+                    ReplayPlayer.validateReplay(replay);
+                } catch (error) {
+                    this.showMenuMessage(error.message);
+                    return;
+                }
+                
+                window.replayData = replay;
+                this.scene.start('GameScene');
+            };
+            reader.readAsText(file);
+        });
+        
+        fileInput.click();
+    }
+    
+    showMenuMessage(message) {
+        const { width, height } = this.cameras.main;
+        const text = this.add.text(width / 2, height - 100, message, {
+            fontFamily: 'Georgia, serif',
+            fontSize: '20px',
+            color: '#FF8888'
+        });
+        text.setOrigin(0.5);
+        this.time.delayedCall(3000, () => text.destroy());
+    }
+    
     showPlayerSetup() {
         const { width, height } = this.cameras.main;
         
@@ -180,6 +286,57 @@ export default class MainMenuScene extends Phaser.Scene {
             }
         });
         
+        // Map preset selector, with the map editor's map once one has been played
+        const presetIds = Object.keys(MAP_PRESETS);
+        if (window.gameCustomMap) {
+            presetIds.push('custom');
+        }
+        let presetIndex = Math.max(0, presetIds.indexOf(window.gameMapPreset || MAP_GENERATION.DEFAULT_PRESET));
+        const mapY = startY + players.length * spacing + 20;
+        
+        const mapLabel = this.add.text(width / 2 - 200, mapY, 'Map', {
+            fontFamily: 'Georgia, serif',
+            fontSize: '28px',
+            color: '#FFFFFF'
+        });
+        mapLabel.setOrigin(0, 0.5);
+        
+        const getPreset = (presetId) => presetId === 'custom' ?
+            { ...window.gameCustomMap, description: 'Made in the map editor' } : MAP_PRESETS[presetId];
+        const describePreset = (preset) => `${preset.name} (${preset.width}x${preset.height})`;
+        const mapButton = this.add.text(width / 2 - 50, mapY, describePreset(getPreset(presetIds[presetIndex])), {
+            fontFamily: 'Georgia, serif',
+            fontSize: '24px',
+            color: '#ADD8E6',
+            backgroundColor: '#333333',
+            padding: { x: 20, y: 10 }
+        });
+        mapButton.setOrigin(0, 0.5);
+        mapButton.setInteractive({ useHandCursor: true });
+        
+        const mapDescription = this.add.text(width / 2, mapY + 50, getPreset(presetIds[presetIndex]).description, {
+            fontFamily: 'Georgia, serif',
+            fontSize: '18px',
+            color: '#CCCCCC'
+        });
+        mapDescription.setOrigin(0.5);
+        
+        mapButton.on('pointerdown', () => {
+            // Cycle through the presets
+            presetIndex = (presetIndex + 1) % presetIds.length;
+            const preset = getPreset(presetIds[presetIndex]);
+            mapButton.setText(describePreset(preset));
+            mapDescription.setText(preset.description);
+        });
+        
+        mapButton.on('pointerover', () => {
+            mapButton.setStyle({ backgroundColor: '#555555' });
+        });
+        
+        mapButton.on('pointerout', () => {
+            mapButton.setStyle({ backgroundColor: '#333333' });
+        });
+        
         // Start game button
         const startButton = this.add.text(width / 2, height - 100, 'Start Game', {
             fontFamily: 'Georgia, serif',
@@ -200,8 +357,9 @@ export default class MainMenuScene extends Phaser.Scene {
         });
         
         startButton.on('pointerdown', () => {
-            // Store player configuration
+            // Store player and map configuration
             window.gamePlayerConfig = players;
+            window.gameMapPreset = presetIds[presetIndex];
             
             // Start the game
             this.scene.start('GameScene');
@@ -225,7 +383,7 @@ export default class MainMenuScene extends Phaser.Scene {
         
         backButton.on('pointerdown', () => {
             // Go back to main menu
-            this.scene.restart();
+            this.scene.restart({});
         });
     }
     
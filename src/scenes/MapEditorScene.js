@@ -0,0 +1,169 @@
+import Phaser from 'phaser';
+import MapDefinition from '../models/MapDefinition.js';
+import { TERRITORY_COLORS, MAP_EDITOR, MAP_GENERATION, MAP_PRESETS, CONSTRUCT_DEFINITIONS } from '../config/gameConfig.js';
+import HexUtils from '../utils/HexUtils.js';
+import CameraControls from '../utils/CameraControls.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import MapEditorPanel from '../ui/panels/MapEditorPanel.js';
+
+/**
+ * MapEditorScene
+ * Paint terrain, richness, blocked hexes, neutral constructs and improvements
+ * onto a hex map, then save it as a file or play it.
+ * Left click or drag paints with the brush chosen in the panel; right drag,
+ * the mouse wheel and the arrow keys move the camera.
+ */
+export default class MapEditorScene extends Phaser.Scene {
+    constructor() {
+        super('MapEditorScene');
+        this.hexSize = 60;
+        this.hexUtils = new HexUtils(this.hexSize);
+        this.map = null;
+        this.hexVisuals = new Map(); // "q,r" -> { graphics, label }
+        this.cameraControls = null;
+        this.panel = null;
+        this.lastPaintedHex = null; // Stops a drag toggling the same hex over and over
+    }
+
+    create() {
+        // Pick up the map being edited before leaving the editor
+        this.map = window.editorMap ?
+            new MapDefinition(window.editorMap) :
+            MapDefinition.generate(MAP_PRESETS[MAP_GENERATION.DEFAULT_PRESET].width,
+                MAP_PRESETS[MAP_GENERATION.DEFAULT_PRESET].height, MAP_GENERATION.DEFAULT_PRESET, new SeededRandom());
+
+        this.input.mouse?.disableContextMenu();
+        this.cameraControls = new CameraControls(this);
+        this.panel = new MapEditorPanel(this);
+
+        this.input.on('pointerdown', (pointer) => {
+            if (pointer.leftButtonDown()) {
+                this.lastPaintedHex = null;
+                this.paintAt(pointer);
+            }
+        });
+        this.input.on('pointermove', (pointer) => {
+            if (pointer.leftButtonDown()) {
+                this.paintAt(pointer);
+            } else {
+                this.panel.showHex(this.getHexAt(pointer));
+            }
+        });
+
+        this.events.once('shutdown', () => {
+            window.editorMap = this.map.toJSON();
+            this.hexVisuals.clear();
+            this.panel.destroy();
+            this.panel = null;
+        });
+
+        this.drawMap();
+        this.setupCamera();
+    }
+
+    update(time, delta) {
+        this.cameraControls?.update(time, delta);
+    }
+
+    /**
+     * The map hex under the pointer, if any
+     */
+    getHexAt(pointer) {
+        const { q, r } = this.hexUtils.pixelToAxial(pointer.worldX, pointer.worldY);
+        return this.map.getTerritory(q, r);
+    }
+
+    /**
+     * Paint the hex under the pointer with the panel's brush
+     */
+    paintAt(pointer) {
+        const hex = this.getHexAt(pointer);
+        if (!hex) return;
+
+        const key = `${hex.q},${hex.r}`;
+        if (key === this.lastPaintedHex) return;
+        this.lastPaintedHex = key;
+
+        if (this.map.paint(hex.q, hex.r, this.panel.getBrush())) {
+            this.drawHex(hex);
+        }
+        this.panel.showHex(hex);
+    }
+
+    /**
+     * Replace the map being edited
+     * @param {MapDefinition} map
+     */
+    setMap(map) {
+        this.map = map;
+        this.drawMap();
+        this.setupCamera();
+    }
+
+    drawMap() {
+        this.hexVisuals.forEach(({ graphics, label }) => {
+            graphics.destroy();
+            label.destroy();
+        });
+        this.hexVisuals.clear();
+
+        this.map.territories.forEach(hex => {
+            this.hexVisuals.set(`${hex.q},${hex.r}`, {
+                graphics: this.add.graphics(),
+                label: this.add.text(0, 0, '', {
+                    fontSize: '12px',
+                    fill: '#FFFFFF',
+                    align: 'center'
+                }).setOrigin(0.5)
+            });
+            this.drawHex(hex);
+        });
+    }
+
+    /**
+     * Repaint one hex: terrain colour, then markers for what the designer placed on it
+     */
+    drawHex(hex) {
+        const corners = this.hexUtils.getHexCorners(hex.q, hex.r);
+        const center = this.hexUtils.axialToPixel(hex.q, hex.r);
+        const { graphics, label } = this.hexVisuals.get(`${hex.q},${hex.r}`);
+
+        graphics.clear();
+        graphics.fillStyle(hex.blocked ? MAP_EDITOR.BLOCKED_COLOR : TERRITORY_COLORS[hex.type] || 0x888888, 1);
+        graphics.lineStyle(2, hex.richness ? 0xFFD700 : 0xFFFFFF, 1);
+        graphics.beginPath();
+        graphics.moveTo(corners[0].x, corners[0].y);
+        for (let i = 1; i < 6; i++) {
+            graphics.lineTo(corners[i].x, corners[i].y);
+        }
+        graphics.closePath();
+        graphics.fillPath();
+        graphics.strokePath();
+
+        const lines = [hex.blocked ? 'Blocked' : String(hex.type).split('_').pop()];
+        if (hex.construct) {
+            lines.push(`${CONSTRUCT_DEFINITIONS[hex.construct.type]?.icon || '?'} L${hex.construct.level}`);
+        }
+        if (hex.improvements.length > 0) {
+            lines.push(`+${hex.improvements.length} impr.`);
+        }
+        label.setPosition(center.x, center.y).setText(lines.join('\n'));
+    }
+
+    /**
+     * Fit the whole map on screen
+     */
+    setupCamera() {
+        const points = this.map.territories.map(hex => this.hexUtils.axialToPixel(hex.q, hex.r));
+        const minX = Math.min(...points.map(p => p.x)) - this.hexSize;
+        const maxX = Math.max(...points.map(p => p.x)) + this.hexSize;
+        const minY = Math.min(...points.map(p => p.y)) - this.hexSize;
+        const maxY = Math.max(...points.map(p => p.y)) + this.hexSize;
+
+        // Leave room for the editor panel on the right
+        const camera = this.cameras.main;
+        const zoom = Math.min((camera.width - 380) / (maxX - minX), camera.height / (maxY - minY)) * 0.9;
+        this.cameraControls.setZoom(zoom);
+        this.cameraControls.centerOn((minX + maxX) / 2 + 190 / zoom, (minY + maxY) / 2);
+    }
+}
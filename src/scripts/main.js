@@ -2,6 +2,7 @@ import Phaser from 'phaser';
 import BootScene from '../scenes/BootScene';
 import MainMenuScene from '../scenes/MainMenuScene';
 import GameScene from '../scenes/GameScene';
+import MapEditorScene from '../scenes/MapEditorScene';
 
 // Game configuration
 const config = {
@@ -10,7 +11,7 @@ const config = {
     width: 1200,  // Adjusted for two-column layout
     height: 900,  // Increased height for better visibility
     backgroundColor: '#1a1a2d',
-    scene: [BootScene, MainMenuScene, GameScene],
+    scene: [BootScene, MainMenuScene, GameScene, MapEditorScene],
     scale: {
         mode: Phaser.Scale.FIT,
         autoCenter: Phaser.Scale.CENTER_LEFT  // Align to the left for two-column layout
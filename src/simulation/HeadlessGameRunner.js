@@ -0,0 +1,393 @@
+import GameFlowController from '../models/GameFlowController.js';
+import AuctionManager from '../models/AuctionManager.js';
+import MarketDataService from '../models/MarketDataService.js';
+import TransactionEngine from '../models/TransactionEngine.js';
+import AIBiddingStrategy from '../models/AIBiddingStrategy.js';
+import VirtualClock from '../utils/VirtualClock.js';
+import { GAME_SETTINGS, PLAYER_COLORS } from '../config/gameConfig.js';
+
+/**
+ * HeadlessGameRunner
+ * Plays a complete all-AI game without Phaser on a virtual clock.
+ * Phases, timers and turn order run through the normal GameFlowController
+ * flow; this class only stands in for GameScene's AI and auction driving.
+ */
+export default class HeadlessGameRunner {
+    /**
+     * @param {Object} options - Simulation options
+     * @param {number|string} [options.seed] - Random seed (generated when omitted)
+     * @param {number} [options.playerCount=4] - Number of AI players
+     * @param {number} [options.maxCycles] - Cycles to play
+     * @param {string} [options.mapPreset] - Key of MAP_PRESETS
+     * @param {boolean} [options.quiet=true] - Silence model console output while running
+     */
+    constructor(options = {}) {
+        this.options = {
+            seed: options.seed,
+            playerCount: options.playerCount || 4,
+            maxCycles: options.maxCycles || GAME_SETTINGS.TOTAL_CYCLES,
+            mapPreset: options.mapPreset,
+            startingGold: options.startingGold || GAME_SETTINGS.STARTING_GOLD,
+            quiet: options.quiet !== false,
+            aiThinkTime: options.aiThinkTime ?? 1000, // ms before an AI acts on its turn
+            productionReviewTime: options.productionReviewTime ?? 5000, // ms to "view" the production summary
+            biddingInterval: options.biddingInterval ?? 5000, // ms between AI bidding rounds
+            maxVirtualTime: options.maxVirtualTime || 24 * 60 * 60 * 1000 // safety stop
+        };
+
+        // Same construct choice GameScene makes for AI players
+        this.defaultConstructTypes = {
+            ancient_grove: 'vitality_well',
+            crystalline_cave: 'mana_conduit',
+            ruined_temple: 'arcanum_extractor',
+            volcanic_field: 'aether_resonator'
+        };
+        this.buildCost = 200;
+        this.maxConstructsPerTurn = 3;
+        this.biddingStrategies = ['conservative', 'balanced', 'aggressive'];
+
+        this.clock = null;
+        this.gameFlow = null;
+        this.gameEnded = false;
+        this.finalResults = null;
+        this.endReason = null;
+        this.errorCount = 0;
+    }
+
+    /**
+     * Run a full game
+     * @returns {Promise<Object>} Seed, completion status, timing, final results and replay
+     */
+    async run() {
+        const restoreConsole = this.options.quiet ? this.silenceConsole() : null;
+
+        try {
+            this.setupGame();
+
+            const initResult = await this.gameFlow.initializeGame(this.createPlayers(), {
+                startingGold: this.options.startingGold
+            });
+            if (!initResult.success) {
+                throw new Error(`Failed to initialize game: ${initResult.error}`);
+            }
+
+            // Drive virtual time until the game ends or nothing is left to run
+            while (!this.gameEnded && this.clock.now() < this.options.maxVirtualTime) {
+                if (!this.clock.runNext()) break;
+            }
+
+            return {
+                seed: this.gameFlow.random.seed,
+                completed: this.gameEnded,
+                endReason: this.endReason,
+                cyclesPlayed: this.gameFlow.cycleManager.currentCycle,
+                virtualTimeMs: this.clock.now(),
+                errors: this.errorCount,
+                finalResults: this.finalResults || this.gameFlow.calculateFinalResults(),
+                replay: this.gameFlow.replayRecorder.getReplay()
+            };
+        } finally {
+            this.teardown();
+            if (restoreConsole) restoreConsole();
+        }
+    }
+
+    /**
+     * Create the game flow and the auction services GameScene normally owns
+     */
+    setupGame() {
+        this.clock = new VirtualClock();
+        this.gameFlow = new GameFlowController({
+            seed: this.options.seed,
+            clock: this.clock,
+            maxCycles: this.options.maxCycles,
+            mapPreset: this.options.mapPreset,
+            autoSave: false,
+            storageType: 'memory'
+        });
+
+        const stateManager = this.gameFlow.stateManager;
+        this.auctionManager = new AuctionManager(this.gameFlow);
+        this.marketDataService = new MarketDataService(stateManager);
+        this.transactionEngine = new TransactionEngine(stateManager, this.marketDataService);
+        this.auctionManager.setMarketDataService(this.marketDataService);
+        this.transactionEngine.setGuildStore(this.auctionManager.guildStore);
+        this.aiBiddingStrategy = new AIBiddingStrategy(this.auctionManager, this.marketDataService);
+
+        // Attach like GameScene.initializeAuctionSystem so other systems can find them
+        this.gameFlow.auctionManager = this.auctionManager;
+        this.gameFlow.marketDataService = this.marketDataService;
+        this.gameFlow.transactionEngine = this.transactionEngine;
+        this.gameFlow.worldEvents.applyPriceEffects();
+
+        this.gameFlow.on('turn.started', (data) => this.onTurnStarted(data));
+        this.gameFlow.on('resource_production.completed', () => this.onProductionCompleted());
+        this.gameFlow.on('auction_phase.initialized', () => this.onAuctionPhaseInitialized());
+        this.gameFlow.on('land_auction.lot_opened', ({ lot }) => this.scheduleLandBidding(lot.id));
+        this.gameFlow.on('game.ended', (data) => {
+            this.gameEnded = true;
+            this.endReason = data.reason;
+            this.finalResults = data.finalResults;
+        });
+    }
+
+    /**
+     * Build the all-AI player list
+     */
+    createPlayers() {
+        const players = [];
+        for (let i = 0; i < this.options.playerCount; i++) {
+            players.push({
+                id: `player${i + 1}`,
+                name: `AI ${i + 1}`,
+                color: PLAYER_COLORS[i % PLAYER_COLORS.length],
+                isAI: true
+            });
+        }
+
+        players.forEach((player, index) => {
+            this.aiBiddingStrategy.assignStrategy(
+                player.id,
+                this.biddingStrategies[index % this.biddingStrategies.length]
+            );
+        });
+
+        return players;
+    }
+
+    /**
+     * Schedule the AI's move when its turn starts
+     */
+    onTurnStarted(data) {
+        const player = data.player;
+        const phase = this.gameFlow.cycleManager.currentPhase;
+
+        this.clock.setTimeout(() => {
+            if (!this.isStillTurn(player, phase)) return;
+
+            if (phase === 'territory_selection') {
+                this.playTerritorySelection(player);
+            } else if (phase === 'construct_outfitting') {
+                this.playConstructOutfitting(player);
+            }
+
+            // End the turn if acting didn't already do it
+            if (this.isStillTurn(player, phase)) {
+                this.gameFlow.turnManager.endPlayerTurn(this.gameFlow.stateManager.getPlayer(player.id));
+            }
+        }, this.options.aiThinkTime);
+    }
+
+    /**
+     * Check the player still holds the turn in the given phase
+     */
+    isStillTurn(player, phase) {
+        return !this.gameEnded &&
+               this.gameFlow.cycleManager.currentPhase === phase &&
+               this.gameFlow.turnManager.currentPlayer?.id === player.id;
+    }
+
+    /**
+     * Claim one of the three most valuable unowned territories
+     */
+    playTerritorySelection(player) {
+        const unowned = this.gameFlow.territoryGrid.getUnownedTerritories();
+        if (unowned.length === 0) return;
+
+        const sorted = [...unowned].sort((a, b) => b.getWorth() - a.getWorth());
+        const topTerritories = sorted.slice(0, Math.min(3, sorted.length));
+        const selected = this.gameFlow.random.pick(topTerritories);
+
+        this.gameFlow.territoryAcquisition.attemptClaim(player.id, selected.id);
+    }
+
+    /**
+     * Repair, salvage or move existing constructs, then build on empty owned
+     * territories while gold allows
+     */
+    playConstructOutfitting(player) {
+        const constructManager = this.gameFlow.constructManager;
+        constructManager.getAIConstructActions(player.id)
+            .forEach(action => constructManager.performConstructAction(player.id, action));
+
+        const currentPlayer = this.gameFlow.stateManager.getPlayer(player.id);
+        const emptyTerritories = this.gameFlow.territoryGrid
+            .getPlayerTerritories(player.id)
+            .filter(t => !t.construct);
+
+        const maxConstructs = Math.min(
+            this.maxConstructsPerTurn,
+            Math.floor(currentPlayer.gold / this.buildCost),
+            emptyTerritories.length
+        );
+        const candidates = this.gameFlow.random.shuffle(emptyTerritories);
+
+        for (let i = 0; i < maxConstructs; i++) {
+            const territory = candidates[i];
+            const constructType = this.defaultConstructTypes[territory.type] || 'mana_conduit';
+
+            const purchase = this.gameFlow.workshop.purchaseOutfitted(player.id, constructType);
+            if (!purchase.success) break;
+
+            // Straight from the workshop onto the territory
+            currentPlayer.inventory.constructs = currentPlayer.inventory.constructs.filter(c => c !== purchase.construct);
+            purchase.construct.territory = territory;
+            territory.construct = purchase.construct;
+
+            this.gameFlow.turnManager.executePlayerAction(currentPlayer, {
+                type: 'place_construct',
+                target: territory.id,
+                constructType: constructType
+            });
+        }
+    }
+
+    /**
+     * Production auto-advance is disabled for the browser, so move on
+     * once the summary would have been read
+     */
+    onProductionCompleted() {
+        this.clock.setTimeout(() => {
+            if (this.gameFlow.cycleManager.currentPhase === 'resource_production') {
+                this.gameFlow.cycleManager.advancePhase();
+            }
+        }, this.options.productionReviewTime);
+    }
+
+    /**
+     * Run each resource auction in turn within the auction phase time limit
+     */
+    onAuctionPhaseInitialized() {
+        const resources = ['mana', 'vitality', 'arcanum', 'aether'];
+        const phaseTime = this.gameFlow.cycleManager.phaseConfigs.auction_phase.timeLimit * 1000;
+        const windowTime = Math.floor(phaseTime / resources.length);
+        const rounds = Math.max(1, Math.floor(windowTime / this.options.biddingInterval) - 1);
+        const cycle = this.gameFlow.cycleManager.currentCycle;
+
+        resources.forEach((resource, index) => {
+            const start = index * windowTime;
+
+            this.clock.setTimeout(() => {
+                if (!this.isAuctionPhase(cycle)) return;
+                this.auctionManager.startResourceAuction(resource);
+            }, start);
+
+            for (let round = 1; round <= rounds; round++) {
+                this.clock.setTimeout(() => {
+                    if (!this.isAuctionPhase(cycle)) return;
+                    this.runBiddingRound(resource);
+                }, start + round * this.options.biddingInterval);
+            }
+
+            this.clock.setTimeout(() => {
+                if (!this.isAuctionPhase(cycle)) return;
+                this.auctionManager.endResourceAuction();
+            }, start + windowTime - 1);
+        });
+    }
+
+    /**
+     * Let the AIs bid on an open plot every bidding interval until it closes
+     */
+    scheduleLandBidding(lotId) {
+        this.clock.setTimeout(() => {
+            if (this.gameEnded || this.gameFlow.landAuctions.currentLot?.id !== lotId) return;
+            this.runLandBiddingRound();
+            this.scheduleLandBidding(lotId);
+        }, this.options.biddingInterval);
+    }
+
+    /**
+     * Each AI tops the bid while the plot is worth more to it and it can
+     * still afford to build on it
+     */
+    runLandBiddingRound() {
+        const landAuctions = this.gameFlow.landAuctions;
+        this.gameFlow.stateManager.gameState.players.forEach(player => {
+            const bid = landAuctions.getAIBid(player, this.buildCost);
+            if (bid !== null) {
+                landAuctions.placeBid(player.id, bid);
+            }
+        });
+    }
+
+    /**
+     * Check the auction phase of the given cycle is still running
+     */
+    isAuctionPhase(cycle) {
+        return !this.gameEnded &&
+               this.gameFlow.cycleManager.currentCycle === cycle &&
+               this.gameFlow.cycleManager.currentPhase === 'auction_phase';
+    }
+
+    /**
+     * Let every AI act on the current resource and settle matched trades
+     */
+    runBiddingRound(resource) {
+        if (this.auctionManager.auctionPhase !== 'active' ||
+            this.auctionManager.currentResource !== resource) {
+            return;
+        }
+
+        this.gameFlow.stateManager.gameState.players.forEach(player => {
+            const decision = this.aiBiddingStrategy.makeBiddingDecision(player, resource);
+            if (decision) {
+                this.auctionManager.updatePlayerPosition(
+                    player.id,
+                    decision.price,
+                    decision.action,
+                    decision.quantity
+                );
+            }
+        });
+
+        // Settle through the transaction engine, as AuctionSystemIntegration does
+        const trades = this.auctionManager.pendingTrades.splice(0);
+        trades.forEach(trade => {
+            this.transactionEngine.createTransaction(
+                trade.buyerId,
+                trade.sellerId,
+                trade.resource,
+                trade.price,
+                trade.quantity,
+                trade.premium
+            );
+        });
+        if (trades.length > 0) {
+            this.transactionEngine.processPendingTransactions();
+            this.auctionManager.transactions.push(...trades);
+        }
+    }
+
+    /**
+     * Replace console output with no-ops, counting errors
+     * @returns {Function} Restores the original console methods
+     */
+    silenceConsole() {
+        const methods = ['log', 'info', 'warn', 'debug', 'trace', 'error'];
+        const original = {};
+
+        methods.forEach(method => {
+            original[method] = console[method];
+            console[method] = method === 'error' ? () => { this.errorCount++; } : () => {};
+        });
+
+        return () => {
+            methods.forEach(method => {
+                console[method] = original[method];
+            });
+        };
+    }
+
+    /**
+     * Stop timers and release the game
+     */
+    teardown() {
+        if (this.gameFlow) {
+            this.gameFlow.destroy();
+        }
+        if (this.clock) {
+            this.clock.reset();
+        }
+    }
+}
@@ -481,34 +481,17 @@ export default class InstallationAnimator {
      * Complete the installation and show results
      */
     completeInstallation(installation) {
-        // Get current cycle
-        let currentCycle = 1;
-        if (this.scene.gameCycleManager) {
-            currentCycle = this.scene.gameCycleManager.currentCycle;
-        } else if (this.scene.gameFlowController?.gameCycleManager) {
-            currentCycle = this.scene.gameFlowController.gameCycleManager.currentCycle;
-        } else if (this.scene.stateManager?.gameState?.currentCycle) {
-            currentCycle = this.scene.stateManager.gameState.currentCycle;
-        }
-        
         // Show dice rolling animation
         this.showDiceRoll(() => {
-            // Roll dice - in cycle 1, limit to 3-6 range
-            let roll;
-            if (currentCycle === 1) {
-                // In cycle 1, roll 3-6 (no critical failures)
-                roll = Math.floor(Math.random() * 4) + 3;
-            } else {
-                // Normal 1-6 roll for later cycles
-                roll = Math.floor(Math.random() * 6) + 1;
-            }
+            // The outcome comes from the game's seeded roll so replays match
+            const roll = this.scene.gameFlowController.constructManager.rollInstallation();
             
             const result = this.determineInstallationResult(roll, installation);
             
             // Apply the result
             if (result.success) {
                 installation.construct.status = 'active';
-                installation.construct.efficiency = result.efficiency;
+                installation.construct.setInstalledEfficiency(result.efficiency);
                 if (installation.territory) {
                     installation.territory.construct = installation.construct;
                 }
@@ -1,3 +1,6 @@
+import { MONOPOLY } from '../../config/gameConfig.js';
+import PriceScale from './PriceScale.js';
+
 /**
  * AuctionHallPanel
  * Main auction interface showing price scales and player positions
@@ -147,41 +150,38 @@ export default class AuctionHallPanel {
         const scaleX = this.width / 2 - this.scaleWidth / 2;
         const scaleY = 120;
         
-        // Scale background
-        const scaleBg = this.scene.add.graphics();
-        scaleBg.fillStyle(0x1a252f);
-        scaleBg.fillRect(scaleX, scaleY, this.scaleWidth, this.scaleHeight);
-        this.container.add(scaleBg);
-        
-        // Price markers
-        const priceRange = this.auctionManager?.priceRange || { min: 10, max: 100 };
-        const priceStep = 10;
-        
-        for (let price = priceRange.min; price <= priceRange.max; price += priceStep) {
-            const yPos = this.getPriceYPosition(price, scaleY);
-            
-            // Price line
-            const line = this.scene.add.graphics();
-            line.lineStyle(1, 0x7f8c8d);
-            line.moveTo(scaleX - 10, yPos);
-            line.lineTo(scaleX + this.scaleWidth + 10, yPos);
-            line.strokePath();
-            this.container.add(line);
-            
-            // Price label
-            const label = this.scene.add.text(scaleX - 15, yPos, `${price}`, {
-                fontSize: '12px',
-                fontFamily: 'Arial',
-                color: '#95a5a6'
-            });
-            label.setOrigin(1, 0.5);
-            this.container.add(label);
-        }
+        const priceScale = new PriceScale(this.scene, {
+            x: scaleX,
+            y: scaleY,
+            width: this.scaleWidth,
+            height: this.scaleHeight,
+            range: this.auctionManager?.priceRange || { min: 10, max: 100 },
+            step: 10
+        });
+        priceScale.draw(this.container);
         
         // Current market price indicator
         this.marketPriceIndicator = this.scene.add.graphics();
         this.container.add(this.marketPriceIndicator);
         
+        // Guild Store quote markers (buys on the buyers' side, sells on the sellers' side)
+        this.guildStoreIndicator = this.scene.add.graphics();
+        this.container.add(this.guildStoreIndicator);
+        
+        const storeLabelStyle = {
+            fontSize: '11px',
+            fontFamily: 'Arial',
+            color: '#f1c40f',
+            fontStyle: 'bold'
+        };
+        this.guildStoreBuyLabel = this.scene.add.text(0, 0, '', storeLabelStyle);
+        this.guildStoreBuyLabel.setOrigin(0, 1);
+        this.container.add(this.guildStoreBuyLabel);
+        
+        this.guildStoreSellLabel = this.scene.add.text(0, 0, '', storeLabelStyle);
+        this.guildStoreSellLabel.setOrigin(1, 1);
+        this.container.add(this.guildStoreSellLabel);
+        
         // Buy/Sell zones
         this.createBuySellZones(scaleX, scaleY);
         
@@ -254,6 +254,14 @@ export default class AuctionHallPanel {
         });
         this.container.add(this.tradeCountText);
         
+        // Resource Monopoly holder of the current resource
+        this.monopolyText = this.scene.add.text(infoX, infoY + 80, '', {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: '#f1c40f'
+        });
+        this.container.add(this.monopolyText);
+        
         // Market events display
         this.createMarketEventsDisplay();
         
@@ -263,6 +271,9 @@ export default class AuctionHallPanel {
         // Create player status indicators
         this.createPlayerStatusIndicators();
         
+        // Create order book depth list
+        this.createOrderBookDisplay();
+        
         // Create debug display
         this.createDebugDisplay();
     }
@@ -516,6 +527,47 @@ export default class AuctionHallPanel {
         };
     }
     
+    createOrderBookDisplay() {
+        // Order book panel listing resting orders by price level
+        const bookX = this.width - 300;
+        const bookY = 400;
+        const bookWidth = 250;
+        const bookHeight = 210;
+        
+        // Panel background
+        const bookBg = this.scene.add.graphics();
+        bookBg.fillStyle(0x1a252f, 0.9);
+        bookBg.fillRoundedRect(bookX, bookY, bookWidth, bookHeight, 10);
+        bookBg.lineStyle(2, 0xf39c12);
+        bookBg.strokeRoundedRect(bookX, bookY, bookWidth, bookHeight, 10);
+        this.container.add(bookBg);
+        
+        // Title
+        const bookTitle = this.scene.add.text(bookX + bookWidth/2, bookY + 15, 'Order Book', {
+            fontSize: '16px',
+            fontFamily: 'Arial',
+            color: '#f39c12',
+            fontStyle: 'bold'
+        });
+        bookTitle.setOrigin(0.5);
+        this.container.add(bookTitle);
+        
+        // Depth text (asks above the spread, bids below)
+        this.orderBookText = this.scene.add.text(bookX + 10, bookY + 35, 'No orders', {
+            fontSize: '13px',
+            fontFamily: 'monospace',
+            color: '#ffffff',
+            lineSpacing: 2
+        });
+        this.container.add(this.orderBookText);
+        
+        this.orderBookPanel = {
+            background: bookBg,
+            title: bookTitle,
+            text: this.orderBookText
+        };
+    }
+    
     createDebugDisplay() {
         // Debug info display at top of panel
         this.debugText = this.scene.add.text(this.width / 2, 5, 'Debug: Ready', {
@@ -780,9 +832,7 @@ export default class AuctionHallPanel {
     
     getPriceYPosition(price, baseY) {
         const priceRange = this.auctionManager?.priceRange || { min: 10, max: 100 };
-        const normalized = (price - priceRange.min) / (priceRange.max - priceRange.min);
-        // Invert Y so higher prices are at top
-        return baseY + this.scaleHeight * (1 - normalized);
+        return PriceScale.getYPosition(price, priceRange, baseY, this.scaleHeight);
     }
     
     update() {
@@ -814,13 +864,22 @@ export default class AuctionHallPanel {
         // Update market price indicator
         this.updateMarketPrice();
         
+        // Update Guild Store quote markers
+        this.updateGuildStoreMarker();
+        
         // Update player positions
         this.updatePlayerPositions();
         
+        // Update order book depth
+        this.updateOrderBook();
+        
         // Update trade count
         const pendingTrades = this.auctionManager.pendingTrades?.length || 0;
         this.tradeCountText.setText(`Pending Trades: ${pendingTrades}`);
         
+        // Update monopoly holder
+        this.updateMonopoly();
+        
         // Update market events
         this.updateMarketEvents();
         
@@ -867,6 +926,59 @@ export default class AuctionHallPanel {
         this.marketPriceIndicator.strokePath();
     }
     
+    updateGuildStoreMarker() {
+        if (!this.guildStoreIndicator) return;
+        
+        const quote = this.auctionManager.guildStore?.getQuote(this.auctionManager.currentResource);
+        this.guildStoreIndicator.clear();
+        
+        if (!quote) {
+            this.guildStoreBuyLabel.setText('');
+            this.guildStoreSellLabel.setText('');
+            return;
+        }
+        
+        const buyY = this.getPriceYPosition(quote.buyPrice, this.scaleInfo.y);
+        const sellY = this.getPriceYPosition(quote.sellPrice, this.scaleInfo.y);
+        const buyX = this.scaleInfo.x - 150;
+        const sellX = this.scaleInfo.x + this.scaleInfo.width + 150;
+        
+        // Store buys at its buy price, on the buyers' side of the scale
+        this.guildStoreIndicator.fillStyle(0xf1c40f, 1);
+        this.guildStoreIndicator.fillTriangle(buyX, buyY - 8, buyX, buyY + 8, buyX + 12, buyY);
+        this.guildStoreIndicator.lineStyle(2, 0xf1c40f, 0.6);
+        this.guildStoreIndicator.lineBetween(buyX, buyY, this.scaleInfo.x, buyY);
+        this.guildStoreBuyLabel.setPosition(buyX, buyY - 8);
+        this.guildStoreBuyLabel.setText(`STORE BUYS ${quote.buyPrice}`);
+        
+        // Store sells at its sell price while it has stock
+        const inStock = quote.stock > 0;
+        this.guildStoreIndicator.fillStyle(0xf1c40f, inStock ? 1 : 0.3);
+        this.guildStoreIndicator.fillTriangle(sellX, sellY - 8, sellX, sellY + 8, sellX - 12, sellY);
+        this.guildStoreIndicator.lineStyle(2, 0xf1c40f, inStock ? 0.6 : 0.2);
+        this.guildStoreIndicator.lineBetween(this.scaleInfo.x + this.scaleInfo.width, sellY, sellX, sellY);
+        this.guildStoreSellLabel.setPosition(sellX, sellY - 8);
+        this.guildStoreSellLabel.setText(inStock ? `STORE SELLS ${quote.sellPrice} (${quote.stock})` : 'STORE SOLD OUT');
+    }
+    
+    updateMonopoly() {
+        if (!this.monopolyText) return;
+        
+        const monopoly = this.auctionManager.monopoly;
+        if (!monopoly) {
+            this.monopolyText.setText('');
+            return;
+        }
+        
+        const player = this.gameStateManager?.getPlayer?.(monopoly.playerId) ||
+                      this.scene.gameFlowController?.stateManager?.getPlayer?.(monopoly.playerId);
+        const playerName = player?.name || `Player ${monopoly.playerId}`;
+        this.monopolyText.setText(
+            `👑 Monopoly: ${playerName} holds ${Math.round(monopoly.share * 100)}% ` +
+            `(+${Math.round(MONOPOLY.PREMIUM * 100)}% on sales)`
+        );
+    }
+    
     updateMarketEvents() {
         if (!this.auctionManager || !this.marketEventsText) return;
         
@@ -929,6 +1041,32 @@ export default class AuctionHallPanel {
         });
     }
     
+    updateOrderBook() {
+        if (!this.orderBookText || !this.auctionManager?.getOrderBookDepth) return;
+        
+        const depth = this.auctionManager.getOrderBookDepth(this.auctionManager.currentResource, 4);
+        
+        if (depth.bids.length === 0 && depth.asks.length === 0) {
+            this.orderBookText.setText('No orders');
+            return;
+        }
+        
+        const formatLevel = (label, level) =>
+            `${label} ${String(level.price).padStart(3)}GP  x${String(level.quantity).padEnd(3)}` +
+            (level.orders > 1 ? ` (${level.orders})` : '');
+        
+        // Highest asks first so the best ask sits just above the spread
+        const lines = depth.asks.slice().reverse().map(level => formatLevel('SELL', level));
+        if (depth.bids.length > 0 && depth.asks.length > 0) {
+            lines.push(`---- spread ${depth.asks[0].price - depth.bids[0].price}GP ----`);
+        } else {
+            lines.push('----------------------');
+        }
+        depth.bids.forEach(level => lines.push(formatLevel('BUY ', level)));
+        
+        this.orderBookText.setText(lines.join('\n'));
+    }
+    
     updatePlayerInventory() {
         if (!this.inventoryPanel || !this.resourceDisplays) return;
         
@@ -0,0 +1,198 @@
+import { BANKING } from '../../config/gameConfig.js';
+
+/**
+ * BankPanel
+ * DOM panel for the bank: deposit and withdraw gold, borrow against
+ * territories and repay open loans
+ */
+export default class BankPanel {
+    constructor(scene, bank) {
+        this.scene = scene;
+        this.bank = bank;
+        this.gameFlow = bank.gameFlow;
+        this.container = null;
+        this.eventNames = ['bank.deposit', 'bank.withdrawal', 'bank.loan_taken', 'bank.loan_repaid',
+            'bank.cycle_processed', 'bank.foreclosure'];
+        this.onBankChanged = () => this.refresh();
+
+        this.createPanel();
+        this.eventNames.forEach(eventName => this.gameFlow.on(eventName, this.onBankChanged));
+        this.hide();
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.id = 'bank-panel';
+        this.container.style.cssText = `
+            position: fixed;
+            top: 80px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 420px;
+            background: rgba(26, 26, 58, 0.95);
+            border: 3px solid #FFD700;
+            border-radius: 8px;
+            z-index: 1000;
+            font-family: Arial, sans-serif;
+            color: white;
+            padding: 12px 15px;
+            box-sizing: border-box;
+            font-size: 13px;
+        `;
+
+        const inputStyle = 'width: 80px; background: #333366; color: white; border: none; padding: 3px;';
+        const buttonStyle = `
+            background: #4a5aa8;
+            border: none;
+            color: white;
+            padding: 4px 10px;
+            border-radius: 4px;
+            cursor: pointer;
+        `;
+
+        this.container.innerHTML = `
+            <div style="display: flex; align-items: center; margin-bottom: 8px;">
+                <h3 style="margin: 0; font-size: 16px; color: #FFD700;">🏦 Bank</h3>
+                <button id="bp-close" style="${buttonStyle} margin-left: auto; padding: 2px 8px;">✕</button>
+            </div>
+            <div id="bp-summary" style="margin-bottom: 8px;"></div>
+            <div style="display: flex; gap: 6px; align-items: center;">
+                <input id="bp-amount" type="number" min="0" value="100" style="${inputStyle}">
+                <button id="bp-deposit" style="${buttonStyle}">Deposit</button>
+                <button id="bp-withdraw" style="${buttonStyle}">Withdraw</button>
+            </div>
+            <div style="font-size: 11px; color: #aaa; margin-top: 3px;">
+                Deposits earn ${Math.round(BANKING.DEPOSIT_INTEREST_RATE * 100)}% each cycle.
+                Loans cost ${Math.round(BANKING.LOAN_INTEREST_RATE * 100)}% each cycle and fall due after ${BANKING.LOAN_TERM} cycles.
+            </div>
+            <h4 style="margin: 10px 0 4px; color: #FFD700;">New loan</h4>
+            <div id="bp-collateral" style="max-height: 100px; overflow-y: auto;"></div>
+            <div style="display: flex; gap: 6px; align-items: center; margin-top: 4px;">
+                <input id="bp-loan-amount" type="number" min="0" value="0" style="${inputStyle}">
+                <button id="bp-borrow" style="${buttonStyle}">Take Loan</button>
+                <span id="bp-limit" style="font-size: 12px; color: #f39c12;"></span>
+            </div>
+            <h4 style="margin: 10px 0 4px; color: #FFD700;">Open loans</h4>
+            <div id="bp-loans"></div>
+            <div id="bp-status" style="font-size: 12px; margin-top: 6px;"></div>
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.summaryText = document.getElementById('bp-summary');
+        this.amountInput = document.getElementById('bp-amount');
+        this.collateralList = document.getElementById('bp-collateral');
+        this.loanAmountInput = document.getElementById('bp-loan-amount');
+        this.limitText = document.getElementById('bp-limit');
+        this.loansList = document.getElementById('bp-loans');
+        this.statusText = document.getElementById('bp-status');
+
+        document.getElementById('bp-close').addEventListener('click', () => this.hide());
+        document.getElementById('bp-deposit').addEventListener('click', () =>
+            this.respond(this.bank.deposit(this.getLocalPlayer().id, parseInt(this.amountInput.value, 10) || 0)));
+        document.getElementById('bp-withdraw').addEventListener('click', () =>
+            this.respond(this.bank.withdraw(this.getLocalPlayer().id, parseInt(this.amountInput.value, 10) || 0)));
+        document.getElementById('bp-borrow').addEventListener('click', () =>
+            this.respond(this.bank.takeLoan(this.getLocalPlayer().id, parseInt(this.loanAmountInput.value, 10) || 0,
+                this.getSelectedCollateral())));
+        this.collateralList.addEventListener('change', () => this.updateLimit());
+    }
+
+    /**
+     * The human player banking from this screen
+     */
+    getLocalPlayer() {
+        const players = this.gameFlow.stateManager.gameState?.players || [];
+        return players.find(p => !p.isAI) || players[0];
+    }
+
+    getSelectedCollateral() {
+        return Array.from(this.collateralList.querySelectorAll('input:checked')).map(input => input.value);
+    }
+
+    updateLimit() {
+        const selected = this.getSelectedCollateral();
+        this.limitText.textContent = selected.length > 0 ? `Up to ${this.bank.getBorrowingLimit(selected)} gold` : '';
+    }
+
+    refresh() {
+        if (!this.container || this.container.style.display === 'none') return;
+
+        const player = this.getLocalPlayer();
+        if (!player) return;
+
+        this.summaryText.textContent = `Gold: ${player.gold} | On deposit: ${this.bank.getDeposit(player.id)} | ` +
+            `Owed: ${this.bank.getLoanBalance(player.id)}`;
+
+        // Owned territories not yet pledged to a loan
+        const pledged = this.bank.getPledgedTerritoryIds();
+        const available = this.gameFlow.territoryGrid.getPlayerTerritories(player.id)
+            .filter(territory => !pledged.has(territory.id));
+        this.collateralList.innerHTML = available.length > 0 ?
+            available.map(territory => `
+                <label style="display: block;">
+                    <input type="checkbox" value="${territory.id}">
+                    ${territory.type.replace(/_/g, ' ')} (${territory.id}) — worth ${this.bank.getTerritoryValue(territory)}
+                </label>
+            `).join('') :
+            'No unpledged territories';
+        this.updateLimit();
+
+        const loans = this.bank.getPlayerLoans(player.id);
+        this.loansList.innerHTML = '';
+        loans.forEach(loan => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 3px 0;';
+
+            const label = document.createElement('span');
+            label.style.flex = '1';
+            label.textContent = `${loan.id}: owes ${loan.balance}, due cycle ${loan.dueCycle}` +
+                (loan.missedPayments > 0 ? ` (${loan.missedPayments} missed)` : '');
+            row.appendChild(label);
+
+            const repayButton = document.createElement('button');
+            repayButton.textContent = 'Repay';
+            repayButton.style.cssText = 'background: #4a5aa8; border: none; color: white; padding: 2px 8px; border-radius: 4px; cursor: pointer;';
+            repayButton.addEventListener('click', () => this.respond(this.bank.repayLoan(player.id, loan.id)));
+            row.appendChild(repayButton);
+
+            this.loansList.appendChild(row);
+        });
+        if (loans.length === 0) {
+            this.loansList.textContent = 'No open loans';
+        }
+    }
+
+    respond(result) {
+        this.statusText.style.color = result.success ? '#27ae60' : '#e74c3c';
+        this.statusText.textContent = result.success ? 'Done' : result.error;
+        this.scene.updatePlayerDisplay?.();
+        this.refresh();
+    }
+
+    show() {
+        this.container.style.display = 'block';
+        this.statusText.textContent = '';
+        this.refresh();
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.container.style.display === 'none') {
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    destroy() {
+        this.eventNames.forEach(eventName => this.gameFlow.off(eventName, this.onBankChanged));
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
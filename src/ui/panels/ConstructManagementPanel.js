@@ -2,7 +2,8 @@
  * ConstructManagementPanel
  * UI panel for managing all player constructs
  */
-import { CONSTRUCT_DEFINITIONS } from '../../config/gameConfig.js';
+import { CONSTRUCT_DEFINITIONS, CONSTRUCT_ABILITIES, MAINTENANCE } from '../../config/gameConfig.js';
+import ResourceProductionCalculator from '../../models/ResourceProductionCalculator.js';
 
 export default class ConstructManagementPanel extends Phaser.GameObjects.Container {
     constructor(scene, x, y) {
@@ -82,6 +83,12 @@ export default class ConstructManagementPanel extends Phaser.GameObjects.Contain
         // Refresh button
         const refreshBtn = this.createRefreshButton(-panelWidth/2 + 60, -panelHeight/2 + 30);
         this.add(refreshBtn);
+        
+        // Auto-repair button: cycles through the repair policies
+        this.autoRepairButton = this.createSmallButton('Auto: Off', panelWidth/2 - 85, -panelHeight/2 + 30, () => {
+            this.onAutoRepairClick();
+        }, 0x666688);
+        this.add(this.autoRepairButton);
     }
 
     createSummarySection() {
@@ -226,8 +233,8 @@ export default class ConstructManagementPanel extends Phaser.GameObjects.Contain
             container.add(upgradeBtn);
         }
         
-        // Repair button (if damaged)
-        if (construct.efficiency < 1.0) {
+        // Repair button (if damaged or worn)
+        if (construct.getCondition() < 1) {
             const repairBtn = this.createSmallButton('Repair', buttonsX, 35, () => {
                 this.onRepairClick(construct);
             }, 0xaa8844);
@@ -240,6 +247,24 @@ export default class ConstructManagementPanel extends Phaser.GameObjects.Contain
         }, 0x4488aa);
         container.add(infoBtn);
         
+        // Re-outfit button: opens a choice of the other resources
+        const reoutfitBtn = this.createSmallButton('Re-outfit', buttonsX - 80, 35, () => {
+            this.onReoutfitClick(construct, container);
+        }, 0x886644);
+        container.add(reoutfitBtn);
+        
+        // Move button: opens a choice of empty territories
+        const moveBtn = this.createSmallButton('Move', buttonsX - 160, 10, () => {
+            this.onMoveClick(construct, container);
+        }, 0x448866);
+        container.add(moveBtn);
+        
+        // Remove button: uninstall to inventory or salvage for arcanum
+        const removeBtn = this.createSmallButton('Remove', buttonsX - 160, 35, () => {
+            this.onRemoveClick(construct, container);
+        }, 0x884444);
+        container.add(removeBtn);
+        
         return container;
     }
 
@@ -284,12 +309,21 @@ export default class ConstructManagementPanel extends Phaser.GameObjects.Contain
     }
 
     getStatusInfo(construct) {
+        const maintenance = this.scene.gameFlowController?.maintenance;
+        
         if (construct.status === 'damaged' || construct.efficiency === 0) {
             return {
                 icon: '❌',
                 text: 'Damaged - Needs Repair',
                 color: '#ff4444'
             };
+        } else if (maintenance?.isAtRisk(construct, construct.territory)) {
+            const chance = maintenance.getBreakdownChance(construct, construct.territory);
+            return {
+                icon: '⚠️',
+                text: `At Risk - ${Math.round(chance * 100)}% Breakdown Chance`,
+                color: '#ff8844'
+            };
         } else if (construct.efficiency < 0.75) {
             return {
                 icon: '⚠️',
@@ -339,6 +373,7 @@ export default class ConstructManagementPanel extends Phaser.GameObjects.Contain
         // Get player constructs
         const player = this.getCurrentPlayer();
         const constructManager = this.scene.gameFlowController?.constructManager;
+        this.updateAutoRepairButton(player);
         
         if (!player || !constructManager) {
             this.emptyMessage.setVisible(true);
@@ -346,9 +381,9 @@ export default class ConstructManagementPanel extends Phaser.GameObjects.Contain
             return;
         }
         
-        // Get all active constructs for the player
+        // Get all installed constructs for the player, damaged ones to salvage
         const constructs = constructManager.getPlayerConstructs(player.id)
-            .filter(c => c.status === 'active');
+            .filter(c => c.status === 'active' || (c.status === 'damaged' && c.territory));
         
         if (constructs.length === 0) {
             this.emptyMessage.setVisible(true);
@@ -421,7 +456,7 @@ export default class ConstructManagementPanel extends Phaser.GameObjects.Contain
         this.scene.events.emit('construct-upgrade-requested', { construct });
         
         // For now, show costs
-        const costs = construct.getUpgradeCosts();
+        const costs = construct.getUpgradeCosts(this.scene.gameFlowController?.territoryGrid?.territories);
         if (costs) {
             const costStr = Object.entries(costs)
                 .map(([res, amt]) => `${amt} ${res}`)
@@ -431,29 +466,226 @@ export default class ConstructManagementPanel extends Phaser.GameObjects.Contain
         }
     }
 
-    onRepairClick(construct) {
-        console.log('Repair clicked for:', construct.type);
+    /**
+     * Show a row of choice buttons over an entry's status line; clicking the
+     * same button again hides them
+     * @param {Phaser.GameObjects.Container} entry - The construct's entry
+     * @param {string} kind - Which button opened the choices
+     * @param {Array} choices - { label, onClick, color } for each button
+     */
+    toggleChoices(entry, kind, choices) {
+        const openKind = entry.choices?.kind;
+        if (entry.choices) {
+            entry.choices.destroy();
+            entry.choices = null;
+        }
+        if (openKind === kind || choices.length === 0) return;
         
-        // Calculate repair cost (50% of base cost)
-        const def = CONSTRUCT_DEFINITIONS[construct.type];
-        const repairCost = {};
-        Object.entries(def.baseCost).forEach(([resource, amount]) => {
-            repairCost[resource] = Math.floor(amount * 0.5);
+        const container = this.scene.add.container(0, 0);
+        choices.forEach(({ label, onClick, color }, index) => {
+            container.add(this.createSmallButton(label, -190 + index * 72, 35, onClick, color));
         });
+        container.kind = kind;
+        entry.add(container);
+        entry.choices = container;
+    }
+    
+    /**
+     * The territory a construct is installed on
+     */
+    getConstructTerritory(construct, player) {
+        return construct.territory || this.scene.gameFlowController.territoryGrid
+            .getPlayerTerritories(player.id).find(t => t.construct === construct);
+    }
+    
+    /**
+     * Show the outcome of a construct action and redraw the list if it went through
+     * @param {Function} action - Performs the action, throwing if it is refused
+     * @param {Function} describe - Message for the action's result
+     */
+    runConstructAction(action, describe) {
+        try {
+            this.showMessage(describe(action()));
+            this.updateConstructList();
+        } catch (error) {
+            this.showMessage(error.message);
+        }
+    }
+    
+    /**
+     * Show the workshop's re-outfitting choices for a construct, with their cost
+     */
+    onReoutfitClick(construct, entry) {
+        const workshop = this.scene.gameFlowController?.workshop;
+        const player = this.getCurrentPlayer();
+        if (!workshop || !player) return;
+        
+        const territory = this.getConstructTerritory(construct, player);
+        this.toggleChoices(entry, 'reoutfit', Object.keys(CONSTRUCT_DEFINITIONS)
+            .filter(type => type !== construct.type)
+            .map(type => ({
+                label: `${CONSTRUCT_DEFINITIONS[type].icon} ${workshop.getReoutfitCost(type)}g`,
+                color: 0x886644,
+                onClick: () => {
+                    const result = workshop.reoutfitConstruct(player.id, territory?.id, type);
+                    this.showMessage(result.success ?
+                        `Re-outfitted as ${CONSTRUCT_DEFINITIONS[type].name} for ${result.cost} gold` :
+                        result.error);
+                    if (result.success) {
+                        this.updateConstructList();
+                    }
+                }
+            })));
+    }
+    
+    /**
+     * Show the empty territories a construct can move to, those it is best
+     * suited to first
+     */
+    onMoveClick(construct, entry) {
+        const gameFlow = this.scene.gameFlowController;
+        const player = this.getCurrentPlayer();
+        if (!gameFlow || !player) return;
+        
+        const from = this.getConstructTerritory(construct, player);
+        const bestTerrain = CONSTRUCT_DEFINITIONS[construct.type].bestTerrain;
+        const destinations = gameFlow.territoryGrid.getPlayerTerritories(player.id)
+            .filter(t => !t.construct && !t.blocked)
+            .sort((a, b) => bestTerrain.includes(b.type) - bestTerrain.includes(a.type))
+            .slice(0, 3);
+        if (destinations.length === 0) {
+            this.showMessage('You have no empty territory to move it to');
+            return;
+        }
         
-        const costStr = Object.entries(repairCost)
-            .map(([res, amt]) => `${amt} ${res}`)
-            .join(', ');
+        this.toggleChoices(entry, 'move', destinations.map(territory => {
+            const terrain = territory.type.split('_')[0];
+            return {
+                label: `${terrain.charAt(0).toUpperCase()}${terrain.slice(1)}${bestTerrain.includes(territory.type) ? ' ★' : ''}`,
+                color: 0x448866,
+                onClick: () => this.runConstructAction(
+                    () => gameFlow.constructManager.moveConstruct(player.id, from?.id, territory.id),
+                    ({ result }) => `${result.message} (rolled ${result.rollValue})`
+                )
+            };
+        }));
+    }
+    
+    /**
+     * Offer to uninstall a working construct or salvage it for arcanum
+     */
+    onRemoveClick(construct, entry) {
+        const constructManager = this.scene.gameFlowController?.constructManager;
+        const player = this.getCurrentPlayer();
+        if (!constructManager || !player) return;
+        
+        const territory = this.getConstructTerritory(construct, player);
+        const choices = [{
+            label: `Salvage ${constructManager.getSalvageValue(construct)}⚗`,
+            color: 0x884444,
+            onClick: () => this.runConstructAction(
+                () => constructManager.salvageConstruct(player.id, construct.id),
+                ({ arcanum }) => `Salvaged for ${arcanum} arcanum`
+            )
+        }];
+        if (construct.status === 'active') {
+            choices.unshift({
+                label: 'Uninstall',
+                color: 0x884444,
+                onClick: () => this.runConstructAction(
+                    () => constructManager.uninstallConstruct(player.id, territory?.id),
+                    () => 'Construct returned to your inventory'
+                )
+            });
+        }
         
-        this.showMessage(`Repair costs: ${costStr}`);
+        this.toggleChoices(entry, 'remove', choices);
+    }
+
+    onRepairClick(construct) {
+        console.log('Repair clicked for:', construct.type);
+        
+        const maintenance = this.scene.gameFlowController?.maintenance;
+        if (!maintenance) return;
         
         // Emit event for repair
         this.scene.events.emit('construct-repair-requested', { 
             construct,
-            cost: repairCost
+            cost: maintenance.getRepairCosts(construct)
         });
     }
 
+    /**
+     * Show the current player's auto-repair policy on its button
+     */
+    updateAutoRepairButton(player) {
+        const maintenance = this.scene.gameFlowController?.maintenance;
+        const policy = player && maintenance ? maintenance.getAutoRepairPolicy(player) : 'off';
+        const label = this.autoRepairButton.list[1];
+        label.setText(`Auto: ${policy.charAt(0).toUpperCase()}${policy.slice(1)}`);
+    }
+
+    onAutoRepairClick() {
+        const player = this.getCurrentPlayer();
+        const maintenance = this.scene.gameFlowController?.maintenance;
+        if (!player || !maintenance) return;
+        
+        // Step to the next policy: off, then broken, then worn
+        const policies = MAINTENANCE.AUTO_REPAIR_POLICIES;
+        const current = policies.indexOf(maintenance.getAutoRepairPolicy(player));
+        const policy = policies[(current + 1) % policies.length];
+        maintenance.setAutoRepairPolicy(player.id, policy);
+        this.updateAutoRepairButton(player);
+        
+        const descriptions = {
+            off: 'Constructs are only repaired when you ask',
+            broken: 'Broken constructs are repaired at the end of each cycle',
+            worn: `Constructs below ${Math.round(MAINTENANCE.AUTO_REPAIR_THRESHOLD * 100)}% are repaired at the end of each cycle`
+        };
+        this.showMessage(descriptions[policy]);
+    }
+
+    /**
+     * What a construct's special ability is doing right now
+     * @returns {Array} Lines for the info message
+     */
+    getAbilityInfo(construct) {
+        const ability = construct.specialAbility;
+        const gameFlow = this.scene.gameFlowController;
+        const territoryGrid = gameFlow?.territoryGrid;
+        const lines = [ability.description];
+        
+        if (!construct.hasActiveAbility() || !territoryGrid || !construct.territory) {
+            lines.push('Inactive until the construct is running');
+            return lines;
+        }
+        
+        switch (ability.id) {
+            case 'mana_resonance': {
+                const resonating = ability.applyEffect(construct.territory, territoryGrid);
+                lines.push(`Resonating with ${resonating.length} adjacent conduit${resonating.length === 1 ? '' : 's'}`);
+                break;
+            }
+            case 'life_bloom':
+                lines.push(`Blooms give every wizard ${CONSTRUCT_ABILITIES.LIFE_BLOOM_VITALITY} vitality`);
+                break;
+            case 'arcane_insight':
+                lines.push(`Your upgrades cost ${Math.round(CONSTRUCT_ABILITIES.ARCANE_INSIGHT_DISCOUNT * 100)}% less`);
+                break;
+            case 'aether_sense': {
+                const calculator = gameFlow.constructManager?.productionCalculator ||
+                    gameFlow.cycleManager?.resourceCalculator ||
+                    new ResourceProductionCalculator(gameFlow);
+                ability.applyEffect(construct.territory, territoryGrid, calculator).forEach(projection => {
+                    lines.push(`  ${projection.terrainType} (${projection.territoryId}): ${projection.aether} aether`);
+                });
+                break;
+            }
+        }
+        
+        return lines;
+    }
+
     onInfoClick(construct) {
         console.log('Info clicked for:', construct.type);
         
@@ -473,12 +705,20 @@ export default class ConstructManagementPanel extends Phaser.GameObjects.Contain
         
         if (construct.level === 3 && construct.specialAbility) {
             info.push(`Special: ${construct.specialAbility.name}`);
+            info.push(...this.getAbilityInfo(construct));
+        }
+        
+        if (construct.conditionHistory.length > 0) {
+            info.push('Condition:');
+            construct.conditionHistory.slice(-5).forEach(entry => {
+                info.push(`  Cycle ${entry.cycle}: ${entry.cause} (${Math.floor(entry.efficiency * 100)}%)`);
+            });
         }
         
-        this.showMessage(info.join('\n'));
+        this.showMessage(info.join('\n'), 6000);
     }
 
-    showMessage(text) {
+    showMessage(text, duration = 3000) {
         const message = this.scene.add.text(0, 0, text, {
             fontSize: '16px',
             color: '#ffffff',
@@ -497,7 +737,7 @@ export default class ConstructManagementPanel extends Phaser.GameObjects.Contain
             targets: message,
             alpha: 0,
             y: -50,
-            duration: 3000,
+            duration,
             ease: 'Power2',
             onComplete: () => {
                 message.destroy();
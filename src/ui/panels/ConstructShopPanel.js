@@ -1,8 +1,9 @@
 /**
  * ConstructShopPanel
- * UI panel for purchasing constructs from the Artificers' Guild
+ * UI panel for the Artificers' Guild workshop: buy a base construct and
+ * pay to outfit it for a resource, while the workshop has stock
  */
-import { CONSTRUCT_DEFINITIONS } from '../../config/gameConfig.js';
+import { CONSTRUCT_DEFINITIONS, WORKSHOP } from '../../config/gameConfig.js';
 
 export default class ConstructShopPanel extends Phaser.GameObjects.Container {
     constructor(scene, x, y) {
@@ -39,7 +40,7 @@ export default class ConstructShopPanel extends Phaser.GameObjects.Container {
         this.add(title);
         
         // Subtitle
-        const subtitle = this.scene.add.text(0, -panelHeight/2 + 60, 'Purchase magical constructs for your territories', {
+        const subtitle = this.scene.add.text(0, -panelHeight/2 + 60, 'Buy a base construct, then outfit it for a resource', {
             fontSize: '14px',
             color: '#aaaaaa',
             fontFamily: 'Arial'
@@ -47,16 +48,30 @@ export default class ConstructShopPanel extends Phaser.GameObjects.Container {
         subtitle.setOrigin(0.5);
         this.add(subtitle);
         
+        // Workshop stock and base price
+        this.stockText = this.scene.add.text(-180, -panelHeight/2 + 88, '', {
+            fontSize: '14px',
+            color: '#ffcc00',
+            fontFamily: 'Arial'
+        });
+        this.stockText.setOrigin(0, 0.5);
+        this.add(this.stockText);
+        
+        const buyBaseBtn = this.createButton('Buy Base', 150, -panelHeight/2 + 88, () => {
+            this.onBuyBaseClick();
+        });
+        this.add(buyBaseBtn);
+        
         // Create construct listings
-        let yOffset = -panelHeight/2 + 100;
+        let yOffset = -panelHeight/2 + 170;
         Object.entries(CONSTRUCT_DEFINITIONS).forEach(([type, data], index) => {
             const listing = this.createConstructListing(type, data, yOffset);
             this.add(listing);
-            yOffset += 130;
+            yOffset += 125;
         });
         
         // Resource display
-        this.resourceDisplay = this.createResourceDisplay(-panelHeight/2 + 580);
+        this.resourceDisplay = this.createResourceDisplay(panelHeight/2 - 20);
         this.add(this.resourceDisplay);
         
         // Close button
@@ -100,8 +115,9 @@ export default class ConstructShopPanel extends Phaser.GameObjects.Container {
         desc.setOrigin(0, 0.5);
         container.add(desc);
         
-        // Cost display
-        const costText = this.formatCost(data.baseCost);
+        // Cost display: base construct plus attunement
+        const attunement = WORKSHOP.ATTUNEMENT_COSTS[data.resourceType];
+        const costText = `${WORKSHOP.BASE_PRICE} + ${attunement} to outfit = ${WORKSHOP.BASE_PRICE + attunement} gold`;
         const cost = this.scene.add.text(-listingWidth/2 + 70, 15, `Cost: ${costText}`, { 
             fontSize: '14px',
             color: '#ffcc00',
@@ -130,12 +146,17 @@ export default class ConstructShopPanel extends Phaser.GameObjects.Container {
         terrain.setOrigin(0, 0.5);
         container.add(terrain);
         
-        // Purchase button
-        const purchaseBtn = this.createButton('Purchase', listingWidth/2 - 70, 0, () => {
+        // Purchase button (buy and outfit), and outfit a base construct already bought
+        const purchaseBtn = this.createButton('Purchase', listingWidth/2 - 70, -20, () => {
             this.onPurchaseClick(type);
         });
         container.add(purchaseBtn);
         
+        const outfitBtn = this.createButton('Outfit', listingWidth/2 - 70, 25, () => {
+            this.onOutfitClick(type);
+        });
+        container.add(outfitBtn);
+        
         // Store button reference
         this.constructButtons.push({
             type: type,
@@ -247,68 +268,64 @@ export default class ConstructShopPanel extends Phaser.GameObjects.Container {
         return container;
     }
 
-    formatCost(costObj) {
-        const parts = [];
-        for (const [resource, amount] of Object.entries(costObj)) {
-            parts.push(`${amount} ${resource}`);
-        }
-        return parts.join(', ');
-    }
-
     onPurchaseClick(constructType) {
         const player = this.getCurrentPlayer();
-        if (!player) {
-            console.error('No current player found');
+        const workshop = this.scene.gameFlowController?.workshop;
+        if (!player || !workshop) {
+            console.error('No current player or workshop found');
             return;
         }
         
-        const constructManager = this.scene.gameFlowController?.constructManager;
-        if (!constructManager) {
-            console.error('ConstructManager not found');
+        if (player.gold < workshop.getOutfittedPrice(constructType)) {
+            this.showInsufficientResourcesWarning();
             return;
         }
         
-        const cost = CONSTRUCT_DEFINITIONS[constructType].baseCost;
+        const result = workshop.purchaseOutfitted(player.id, constructType);
+        this.onWorkshopResult(result, player, `${CONSTRUCT_DEFINITIONS[constructType].icon} ${CONSTRUCT_DEFINITIONS[constructType].name} purchased!`);
+    }
+
+    onBuyBaseClick() {
+        const player = this.getCurrentPlayer();
+        const workshop = this.scene.gameFlowController?.workshop;
+        if (!player || !workshop) return;
         
-        // Check if player can afford (handle both Player instances and plain objects)
-        let canAfford = true;
-        if (player.canAfford) {
-            canAfford = player.canAfford(cost);
-        } else {
-            // Manual check for plain objects
-            for (const [resource, amount] of Object.entries(cost)) {
-                if (!player.resources || (player.resources[resource] || 0) < amount) {
-                    canAfford = false;
-                    break;
-                }
-            }
-        }
+        const result = workshop.buyConstruct(player.id);
+        this.onWorkshopResult(result, player, 'Base construct purchased - outfit it below');
+    }
+
+    /**
+     * Outfit the first base construct in the player's inventory
+     */
+    onOutfitClick(constructType) {
+        const player = this.getCurrentPlayer();
+        const workshop = this.scene.gameFlowController?.workshop;
+        if (!player || !workshop) return;
         
-        if (!canAfford) {
-            this.showInsufficientResourcesWarning();
+        const baseConstruct = (player.inventory?.constructs || []).find(construct => !construct.isOutfitted());
+        if (!baseConstruct) {
+            this.showPurchaseError('Buy a base construct first');
             return;
         }
         
-        try {
-            // Purchase the construct
-            const construct = constructManager.purchaseConstruct(player.id, constructType);
-            
-            // Update display
-            this.updateResourceDisplay();
-            
-            // Show success message
-            this.showPurchaseSuccess(constructType);
-            
-            // Emit event for other systems
-            this.scene.events.emit('construct-purchased', {
-                construct: construct,
-                player: player
-            });
-            
-        } catch (error) {
-            console.error('Failed to purchase construct:', error);
-            this.showPurchaseError(error.message);
+        const result = workshop.outfitConstruct(player.id, baseConstruct.id, constructType);
+        this.onWorkshopResult(result, player, `Outfitted as ${CONSTRUCT_DEFINITIONS[constructType].name}!`);
+    }
+
+    onWorkshopResult(result, player, successMessage) {
+        if (!result.success) {
+            this.showPurchaseError(result.error);
+            return;
         }
+        
+        this.updateResourceDisplay();
+        this.showPurchaseSuccess(successMessage);
+        
+        // Emit event for other systems
+        this.scene.events.emit('construct-purchased', {
+            construct: result.construct,
+            player: player
+        });
     }
 
     getCurrentPlayer() {
@@ -317,22 +334,21 @@ export default class ConstructShopPanel extends Phaser.GameObjects.Container {
     }
 
     updateResourceDisplay() {
+        const workshop = this.scene.gameFlowController?.workshop;
+        if (workshop && this.stockText) {
+            this.stockText.setText(`In stock: ${workshop.stock} | Base construct: ${WORKSHOP.BASE_PRICE} gold`);
+        }
+        
         const player = this.getCurrentPlayer();
         if (!player || !this.resourceText) return;
         
-        const resourceParts = [];
-        for (const [type, amount] of Object.entries(player.resources)) {
-            if (amount > 0) {
-                resourceParts.push(`${type}: ${amount}`);
-            }
-        }
-        
-        this.resourceText.setText(`Your Resources: ${resourceParts.join(', ')}`);
+        const baseConstructs = (player.inventory?.constructs || []).filter(construct => !construct.isOutfitted()).length;
+        this.resourceText.setText(`Your Gold: ${player.gold} | Base constructs to outfit: ${baseConstructs}`);
     }
 
     showInsufficientResourcesWarning() {
         // Create temporary warning message
-        const warning = this.scene.add.text(0, 0, 'Insufficient Resources!', {
+        const warning = this.scene.add.text(0, 0, 'Insufficient Gold!', {
             fontSize: '20px',
             color: '#ff4444',
             fontFamily: 'Arial',
@@ -356,9 +372,8 @@ export default class ConstructShopPanel extends Phaser.GameObjects.Container {
         });
     }
 
-    showPurchaseSuccess(constructType) {
-        const data = CONSTRUCT_DEFINITIONS[constructType];
-        const message = this.scene.add.text(0, 0, `${data.icon} ${data.name} purchased!`, {
+    showPurchaseSuccess(text) {
+        const message = this.scene.add.text(0, 0, text, {
             fontSize: '18px',
             color: '#44ff44',
             fontFamily: 'Arial',
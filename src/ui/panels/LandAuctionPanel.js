@@ -0,0 +1,257 @@
+import { LAND_AUCTIONS } from '../../config/gameConfig.js';
+import PriceScale from './PriceScale.js';
+
+/**
+ * LandAuctionPanel
+ * Live bidding on the plot open in the land auction: the Auction Hall price
+ * scale with the opening bid and the highest bid marked, the time left and
+ * bid buttons for the local player. Shows itself as each plot opens and
+ * hides when the land auction is over.
+ */
+export default class LandAuctionPanel {
+    constructor(scene, landAuctions, config = {}) {
+        this.scene = scene;
+        this.landAuctions = landAuctions;
+        this.gameFlow = landAuctions.gameFlow;
+
+        this.width = config.width || 480;
+        this.height = config.height || 540;
+        this.x = config.x ?? ((scene.cameras.main.width || 1024) - this.width) / 2;
+        this.y = config.y ?? ((scene.cameras.main.height || 768) - this.height) / 2;
+
+        // Bid buttons: the minimum bid, and a jump above it
+        this.bidOffsets = [0, 50];
+
+        this.container = null;
+        this.timerEvent = null;
+        this.listeners = {
+            'land_auction.lot_opened': () => this.show(),
+            'land_auction.bid_placed': () => this.refresh(),
+            'land_auction.lot_closed': (lot) => this.showResult(lot),
+            'land_auction.completed': () => this.hide()
+        };
+
+        this.create();
+        Object.entries(this.listeners).forEach(([eventName, listener]) => this.gameFlow.on(eventName, listener));
+    }
+
+    create() {
+        this.container = this.scene.add.container(this.x, this.y);
+        this.container.setDepth(1000);
+        this.container.setVisible(false);
+
+        const background = this.scene.add.graphics();
+        background.fillStyle(0x2c3e50, 0.97);
+        background.fillRoundedRect(0, 0, this.width, this.height, 10);
+        background.lineStyle(3, 0xFFD700, 1);
+        background.strokeRoundedRect(0, 0, this.width, this.height, 10);
+        this.container.add(background);
+
+        const title = this.scene.add.text(this.width / 2, 15, 'LAND AUCTION', {
+            fontSize: '24px',
+            fontFamily: 'Arial',
+            color: '#FFD700',
+            fontStyle: 'bold'
+        });
+        title.setOrigin(0.5, 0);
+        this.container.add(title);
+
+        this.priceScale = new PriceScale(this.scene, {
+            x: 70,
+            y: 70,
+            width: 80,
+            height: 400,
+            range: LAND_AUCTIONS.PRICE_RANGE,
+            step: LAND_AUCTIONS.PRICE_STEP
+        });
+        this.priceScale.draw(this.container);
+
+        this.markers = this.scene.add.graphics();
+        this.container.add(this.markers);
+
+        const labelStyle = { fontSize: '11px', fontFamily: 'Arial', fontStyle: 'bold' };
+        this.openingLabel = this.scene.add.text(160, 0, '', { ...labelStyle, color: '#f1c40f' });
+        this.openingLabel.setOrigin(0, 0.5);
+        this.container.add(this.openingLabel);
+        this.highBidLabel = this.scene.add.text(160, 0, '', { ...labelStyle, color: '#27ae60' });
+        this.highBidLabel.setOrigin(0, 0.5);
+        this.container.add(this.highBidLabel);
+
+        const textStyle = { fontSize: '14px', fontFamily: 'Arial', color: '#ffffff', wordWrap: { width: 230 } };
+        this.lotText = this.scene.add.text(230, 70, '', textStyle);
+        this.container.add(this.lotText);
+
+        this.timerText = this.scene.add.text(230, 190, '', { ...textStyle, fontSize: '22px', fontStyle: 'bold' });
+        this.container.add(this.timerText);
+
+        this.bidsText = this.scene.add.text(230, 230, '', { ...textStyle, fontSize: '12px', color: '#bdc3c7' });
+        this.container.add(this.bidsText);
+
+        this.bidButtons = this.bidOffsets.map((offset, index) =>
+            this.createBidButton(230 + index * 120, 400, offset));
+
+        this.statusText = this.scene.add.text(230, 450, '', { ...textStyle, fontSize: '12px' });
+        this.container.add(this.statusText);
+    }
+
+    createBidButton(x, y, offset) {
+        const buttonWidth = 110;
+        const buttonHeight = 36;
+        const button = this.scene.add.container(x, y);
+
+        const bg = this.scene.add.graphics();
+        const drawButton = (alpha, border) => {
+            bg.clear();
+            bg.fillStyle(0x27ae60, alpha);
+            bg.fillRoundedRect(0, 0, buttonWidth, buttonHeight, 5);
+            bg.lineStyle(2, border);
+            bg.strokeRoundedRect(0, 0, buttonWidth, buttonHeight, 5);
+        };
+        drawButton(0.8, 0x1e8449);
+        button.add(bg);
+
+        const text = this.scene.add.text(buttonWidth / 2, buttonHeight / 2, '', {
+            fontSize: '15px',
+            fontFamily: 'Arial',
+            color: '#ffffff',
+            fontStyle: 'bold'
+        });
+        text.setOrigin(0.5);
+        button.add(text);
+
+        bg.setInteractive(new Phaser.Geom.Rectangle(0, 0, buttonWidth, buttonHeight), Phaser.Geom.Rectangle.Contains);
+        bg.on('pointerover', () => drawButton(1, 0xffffff));
+        bg.on('pointerout', () => drawButton(0.8, 0x1e8449));
+        bg.on('pointerdown', () => this.bid(offset));
+
+        this.container.add(button);
+        return { button, text, offset };
+    }
+
+    /**
+     * The human player bidding from this screen
+     */
+    getLocalPlayer() {
+        const players = this.gameFlow.stateManager.gameState?.players || [];
+        return players.find(p => !p.isAI) || players[0];
+    }
+
+    getPlayerName(playerId) {
+        return this.gameFlow.stateManager.getPlayer(playerId)?.name || playerId;
+    }
+
+    bid(offset) {
+        const player = this.getLocalPlayer();
+        const minimum = this.landAuctions.getMinimumBid();
+        if (!player || minimum === null) return;
+
+        const result = this.landAuctions.placeBid(player.id, minimum + offset);
+        this.statusText.setColor(result.success ? '#27ae60' : '#e74c3c');
+        this.statusText.setText(result.success ? `You bid ${minimum + offset} gold` : result.error);
+        this.scene.updatePlayerDisplay?.();
+    }
+
+    refresh() {
+        const lot = this.landAuctions.currentLot;
+        if (!lot || !this.container.visible) return;
+
+        const territory = this.gameFlow.territoryGrid.getTerritoryById(lot.territoryId);
+        const sources = { claim: 'Disputed claim', unclaimed: 'Unclaimed land', resale: `Sold by ${this.getPlayerName(lot.sellerId)}` };
+        this.lotText.setText([
+            `${territory?.getTypeName?.() || territory?.type || ''} (${lot.territoryId})`,
+            sources[lot.source],
+            territory?.construct ? `Construct: ${territory.construct.type.replace(/_/g, ' ')}` : 'No construct',
+            `${lot.source === 'resale' ? 'Reserve' : 'Opening bid'}: ${lot.startingBid} gold`,
+            `Plots still to come: ${this.landAuctions.lots.length}`
+        ].join('\n'));
+
+        this.bidsText.setText(lot.bids.length > 0 ?
+            lot.bids.slice(-8).reverse().map(bid => `${this.getPlayerName(bid.playerId)}: ${bid.amount}`).join('\n') :
+            'No bids yet');
+
+        this.drawMarkers(lot);
+
+        const player = this.getLocalPlayer();
+        const minimum = this.landAuctions.getMinimumBid();
+        const canBid = player && lot.sellerId !== player.id && lot.highBidderId !== player.id;
+        this.bidButtons.forEach(({ button, text, offset }) => {
+            text.setText(`Bid ${minimum + offset}`);
+            button.setAlpha(canBid && player.gold >= minimum + offset ? 1 : 0.4);
+        });
+
+        this.updateTimer();
+    }
+
+    /**
+     * Mark the opening bid and the highest bid on the price scale
+     */
+    drawMarkers(lot) {
+        const range = LAND_AUCTIONS.PRICE_RANGE;
+        const scaleY = (price) => this.priceScale.getYPosition(Math.max(range.min, Math.min(range.max, price)));
+        const left = this.priceScale.x;
+        const right = this.priceScale.x + this.priceScale.width;
+
+        this.markers.clear();
+
+        const openingY = scaleY(lot.startingBid);
+        this.markers.lineStyle(2, 0xf1c40f);
+        this.markers.moveTo(left, openingY);
+        this.markers.lineTo(right, openingY);
+        this.markers.strokePath();
+        this.openingLabel.setPosition(right + 10, openingY);
+        this.openingLabel.setText(`${lot.source === 'resale' ? 'Reserve' : 'Opening'} ${lot.startingBid}`);
+
+        if (lot.highBidderId) {
+            const highY = scaleY(lot.highBid);
+            this.markers.fillStyle(0x27ae60, 0.9);
+            this.markers.fillRect(left, highY - 4, this.priceScale.width, 8);
+            this.highBidLabel.setPosition(right + 10, highY - (Math.abs(highY - openingY) < 14 ? 14 : 0));
+            this.highBidLabel.setText(`${this.getPlayerName(lot.highBidderId)} ${lot.highBid}`);
+        } else {
+            this.highBidLabel.setText('');
+        }
+    }
+
+    updateTimer() {
+        const seconds = Math.ceil(this.landAuctions.getTimeRemaining() / 1000);
+        this.timerText.setText(`${seconds}s left`);
+        this.timerText.setColor(seconds <= LAND_AUCTIONS.BID_EXTENSION ? '#e74c3c' : '#ffffff');
+    }
+
+    showResult(lot) {
+        if (!this.container.visible) return;
+        this.statusText.setColor(lot.sold ? '#27ae60' : '#bdc3c7');
+        this.statusText.setText(lot.sold ?
+            `${lot.territoryId} sold to ${this.getPlayerName(lot.winnerId)} for ${lot.price} gold` :
+            `${lot.territoryId} went unsold`);
+    }
+
+    show() {
+        this.container.setVisible(true);
+        if (!this.timerEvent) {
+            this.timerEvent = this.scene.time.addEvent({
+                delay: 250,
+                loop: true,
+                callback: () => this.updateTimer()
+            });
+        }
+        this.refresh();
+    }
+
+    hide() {
+        this.container.setVisible(false);
+        if (this.timerEvent) {
+            this.timerEvent.remove();
+            this.timerEvent = null;
+        }
+    }
+
+    destroy() {
+        Object.entries(this.listeners).forEach(([eventName, listener]) => this.gameFlow.off(eventName, listener));
+        this.hide();
+        if (this.container) {
+            this.container.destroy();
+            this.container = null;
+        }
+    }
+}
@@ -0,0 +1,184 @@
+import { LAND_AUCTIONS } from '../../config/gameConfig.js';
+
+/**
+ * LandSalePanel
+ * DOM panel for selling land: put an owned territory up for the next land
+ * auction with a reserve price, or take it off the market again
+ */
+export default class LandSalePanel {
+    constructor(scene, landAuctions) {
+        this.scene = scene;
+        this.landAuctions = landAuctions;
+        this.gameFlow = landAuctions.gameFlow;
+        this.container = null;
+        this.eventNames = ['land_auction.listed', 'land_auction.withdrawn', 'land_auction.lot_closed',
+            'territory.ownership_changed', 'bank.loan_taken', 'bank.loan_repaid'];
+        this.onListingsChanged = () => this.refresh();
+
+        this.createPanel();
+        this.eventNames.forEach(eventName => this.gameFlow.on(eventName, this.onListingsChanged));
+        this.hide();
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.id = 'land-sale-panel';
+        this.container.style.cssText = `
+            position: fixed;
+            top: 80px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 420px;
+            background: rgba(26, 26, 58, 0.95);
+            border: 3px solid #FFD700;
+            border-radius: 8px;
+            z-index: 1000;
+            font-family: Arial, sans-serif;
+            color: white;
+            padding: 12px 15px;
+            box-sizing: border-box;
+            font-size: 13px;
+        `;
+
+        const buttonStyle = `
+            background: #4a5aa8;
+            border: none;
+            color: white;
+            padding: 4px 10px;
+            border-radius: 4px;
+            cursor: pointer;
+        `;
+
+        this.container.innerHTML = `
+            <div style="display: flex; align-items: center; margin-bottom: 8px;">
+                <h3 style="margin: 0; font-size: 16px; color: #FFD700;">🏷️ Sell Land</h3>
+                <button id="lsp-close" style="${buttonStyle} margin-left: auto; padding: 2px 8px;">✕</button>
+            </div>
+            <div style="font-size: 11px; color: #aaa; margin-bottom: 6px;">
+                Plots for sale come up at the next land auction, after territory selection.
+                Bidding opens at your reserve price; if nobody meets it you keep the plot.
+            </div>
+            <h4 style="margin: 10px 0 4px; color: #FFD700;">Your territories</h4>
+            <div id="lsp-owned" style="max-height: 160px; overflow-y: auto;"></div>
+            <h4 style="margin: 10px 0 4px; color: #FFD700;">For sale</h4>
+            <div id="lsp-listings"></div>
+            <div id="lsp-status" style="font-size: 12px; margin-top: 6px;"></div>
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.ownedList = document.getElementById('lsp-owned');
+        this.listingsList = document.getElementById('lsp-listings');
+        this.statusText = document.getElementById('lsp-status');
+
+        document.getElementById('lsp-close').addEventListener('click', () => this.hide());
+    }
+
+    /**
+     * The human player selling from this screen
+     */
+    getLocalPlayer() {
+        const players = this.gameFlow.stateManager.gameState?.players || [];
+        return players.find(p => !p.isAI) || players[0];
+    }
+
+    createRow(labelText, control, buttonText, onClick) {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 3px 0;';
+
+        const label = document.createElement('span');
+        label.style.flex = '1';
+        label.textContent = labelText;
+        row.appendChild(label);
+
+        if (control) {
+            row.appendChild(control);
+        }
+
+        const button = document.createElement('button');
+        button.textContent = buttonText;
+        button.style.cssText = 'background: #4a5aa8; border: none; color: white; padding: 2px 8px; border-radius: 4px; cursor: pointer;';
+        button.addEventListener('click', onClick);
+        row.appendChild(button);
+
+        return row;
+    }
+
+    refresh() {
+        if (!this.container || this.container.style.display === 'none') return;
+
+        const player = this.getLocalPlayer();
+        if (!player) return;
+
+        // Owned territories that can still go up for sale
+        const pledged = this.gameFlow.bank?.getPledgedTerritoryIds() || new Set();
+        const available = this.gameFlow.territoryGrid.getPlayerTerritories(player.id)
+            .filter(territory => !pledged.has(territory.id) && !this.landAuctions.listings.has(territory.id));
+        this.ownedList.innerHTML = '';
+        available.forEach(territory => {
+            const reserveInput = document.createElement('input');
+            reserveInput.type = 'number';
+            reserveInput.min = `${LAND_AUCTIONS.MIN_INCREMENT}`;
+            reserveInput.value = `${territory.getWorth()}`;
+            reserveInput.style.cssText = 'width: 70px; background: #333366; color: white; border: none; padding: 3px;';
+
+            this.ownedList.appendChild(this.createRow(
+                `${territory.type.replace(/_/g, ' ')} (${territory.id})`,
+                reserveInput,
+                'Sell',
+                () => this.respond(this.landAuctions.listTerritory(player.id, territory.id,
+                    parseInt(reserveInput.value, 10) || 0))
+            ));
+        });
+        if (available.length === 0) {
+            this.ownedList.textContent = 'No territories free to sell';
+        }
+
+        const listings = Array.from(this.landAuctions.listings.values())
+            .filter(listing => listing.sellerId === player.id);
+        this.listingsList.innerHTML = '';
+        listings.forEach(listing => {
+            this.listingsList.appendChild(this.createRow(
+                `${listing.territoryId}: reserve ${listing.reservePrice} gold`,
+                null,
+                'Withdraw',
+                () => this.respond(this.landAuctions.withdrawListing(player.id, listing.territoryId))
+            ));
+        });
+        if (listings.length === 0) {
+            this.listingsList.textContent = 'Nothing for sale';
+        }
+    }
+
+    respond(result) {
+        this.statusText.style.color = result.success ? '#27ae60' : '#e74c3c';
+        this.statusText.textContent = result.success ? 'Done' : result.error;
+        this.refresh();
+    }
+
+    show() {
+        this.container.style.display = 'block';
+        this.statusText.textContent = '';
+        this.refresh();
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.container.style.display === 'none') {
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    destroy() {
+        this.eventNames.forEach(eventName => this.gameFlow.off(eventName, this.onListingsChanged));
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
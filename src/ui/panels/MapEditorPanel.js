@@ -0,0 +1,268 @@
+import { TERRITORY_TYPES, RESOURCE_TYPES, CONSTRUCT_DEFINITIONS, MAP_EDITOR, MAP_PRESETS, MAP_GENERATION, SURVEY } from '../../config/gameConfig.js';
+import { IMPROVEMENTS } from '../../models/TerritoryImprovement.js';
+import MapDefinition from '../../models/MapDefinition.js';
+import SeededRandom from '../../utils/SeededRandom.js';
+
+/**
+ * MapEditorPanel
+ * DOM controls for the map editor: the brush, new/load/save, validation
+ * and leaving the editor to play the map
+ */
+export default class MapEditorPanel {
+    constructor(scene) {
+        this.scene = scene;
+        this.container = null;
+
+        this.createPanel();
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.id = 'map-editor-panel';
+        this.container.style.cssText = `
+            position: fixed;
+            top: 10px;
+            right: 10px;
+            width: 340px;
+            max-height: calc(100% - 20px);
+            overflow-y: auto;
+            background: rgba(26, 26, 58, 0.95);
+            border: 3px solid #FFD700;
+            border-radius: 8px;
+            z-index: 1000;
+            font-family: Arial, sans-serif;
+            color: white;
+            padding: 12px 15px;
+            box-sizing: border-box;
+            font-size: 13px;
+        `;
+
+        const inputStyle = 'background: #333366; color: white; border: none; padding: 3px;';
+        const buttonStyle = `
+            background: #4a5aa8;
+            border: none;
+            color: white;
+            padding: 4px 10px;
+            border-radius: 4px;
+            cursor: pointer;
+        `;
+        const label = (text) => text.replace(/_/g, ' ');
+        const options = (values, names = values.map(label)) =>
+            values.map((value, i) => `<option value="${value}">${names[i]}</option>`).join('');
+        const tool = (value, text, checked = false) => `
+            <label style="display: block; margin: 3px 0;">
+                <input type="radio" name="me-tool" value="${value}" ${checked ? 'checked' : ''}> ${text}
+            </label>
+        `;
+        const constructTypes = Object.keys(CONSTRUCT_DEFINITIONS);
+        const improvementTypes = Object.keys(IMPROVEMENTS);
+        const presetIds = Object.keys(MAP_PRESETS);
+
+        this.container.innerHTML = `
+            <h3 style="margin: 0 0 8px; font-size: 16px; color: #FFD700;">🗺️ Map Editor</h3>
+            <div style="display: flex; gap: 6px; align-items: center;">
+                Name <input id="me-name" type="text" style="${inputStyle} flex: 1;">
+            </div>
+            <h4 style="margin: 10px 0 4px; color: #FFD700;">Brush</h4>
+            ${tool('terrain', `Terrain <select id="me-terrain" style="${inputStyle}">${options(Object.values(TERRITORY_TYPES))}</select>`, true)}
+            ${tool('richness', `Richness <select id="me-resource" style="${inputStyle}">${options(Object.values(RESOURCE_TYPES))}</select>
+                <select id="me-richness" style="${inputStyle}">
+                    ${options(SURVEY.RICHNESS_LEVELS.map(String), SURVEY.RICHNESS_LEVELS.map(level => `x${level}`))}
+                </select>`)}
+            ${tool('construct', `Construct <select id="me-construct" style="${inputStyle}">
+                    ${options(['', ...constructTypes], ['none', ...constructTypes.map(type => CONSTRUCT_DEFINITIONS[type].name)])}
+                </select>
+                <select id="me-level" style="${inputStyle}">${options(['1', '2', '3'], ['L1', 'L2', 'L3'])}</select>`)}
+            ${tool('improvement', `Improvement <select id="me-improvement" style="${inputStyle}">
+                    ${options(improvementTypes, improvementTypes.map(type => IMPROVEMENTS[type].name))}
+                </select>`)}
+            ${tool('blocked', 'Block hex')}
+            ${tool('erase', 'Erase (unblock, clear richness and placements)')}
+            <div style="font-size: 11px; color: #aaa; margin-top: 3px;">
+                Left click or drag to paint. Right drag, the wheel or the arrow keys move the view.
+                Improvements toggle on and off. Hexes left without richness roll it when the game starts.
+            </div>
+            <div id="me-hex" style="margin-top: 6px; min-height: 32px; color: #ADD8E6;"></div>
+            <h4 style="margin: 10px 0 4px; color: #FFD700;">New map</h4>
+            <div style="display: flex; gap: 6px; align-items: center;">
+                <input id="me-width" type="number" min="${MAP_EDITOR.MIN_SIZE}" max="${MAP_EDITOR.MAX_SIZE}" style="${inputStyle} width: 45px;">
+                x
+                <input id="me-height" type="number" min="${MAP_EDITOR.MIN_SIZE}" max="${MAP_EDITOR.MAX_SIZE}" style="${inputStyle} width: 45px;">
+                <select id="me-preset" style="${inputStyle}">${options(presetIds, presetIds.map(id => MAP_PRESETS[id].name))}</select>
+                <button id="me-new" style="${buttonStyle}">New</button>
+            </div>
+            <div style="display: flex; flex-wrap: wrap; gap: 6px; margin-top: 10px;">
+                <button id="me-validate" style="${buttonStyle}">Validate</button>
+                <button id="me-save" style="${buttonStyle}">Save</button>
+                <button id="me-load" style="${buttonStyle}">Load</button>
+                <button id="me-play" style="${buttonStyle} background: #2e7d32;">Play</button>
+                <button id="me-back" style="${buttonStyle} margin-left: auto;">Back</button>
+            </div>
+            <div id="me-status" style="font-size: 12px; margin-top: 6px; white-space: pre-line;"></div>
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.nameInput = document.getElementById('me-name');
+        this.hexText = document.getElementById('me-hex');
+        this.statusText = document.getElementById('me-status');
+        this.widthInput = document.getElementById('me-width');
+        this.heightInput = document.getElementById('me-height');
+        this.presetSelect = document.getElementById('me-preset');
+        this.presetSelect.value = MAP_GENERATION.DEFAULT_PRESET;
+        document.getElementById('me-richness').value = String(SURVEY.RICHNESS_LEVELS[SURVEY.RICHNESS_LEVELS.length - 1]);
+        this.showMapSettings();
+
+        this.nameInput.addEventListener('input', () => { this.scene.map.name = this.nameInput.value; });
+        document.getElementById('me-new').addEventListener('click', () => this.newMap());
+        document.getElementById('me-validate').addEventListener('click', () => this.validate());
+        document.getElementById('me-save').addEventListener('click', () => this.save());
+        document.getElementById('me-load').addEventListener('click', () => this.load());
+        document.getElementById('me-play').addEventListener('click', () => this.play());
+        document.getElementById('me-back').addEventListener('click', () => this.scene.scene.start('MainMenuScene'));
+    }
+
+    /**
+     * The brush the designer has set up
+     */
+    getBrush() {
+        const value = (id) => document.getElementById(id).value;
+        return {
+            tool: this.container.querySelector('input[name="me-tool"]:checked').value,
+            terrain: value('me-terrain'),
+            resource: value('me-resource'),
+            richness: parseFloat(value('me-richness')),
+            construct: value('me-construct') || null,
+            level: parseInt(value('me-level'), 10),
+            improvement: value('me-improvement')
+        };
+    }
+
+    showMapSettings() {
+        const map = this.scene.map;
+        this.nameInput.value = map.name;
+        this.widthInput.value = map.width;
+        this.heightInput.value = map.height;
+    }
+
+    /**
+     * Describe a hex under the pointer
+     * @param {Object|null} hex - Hex of the map definition
+     */
+    showHex(hex) {
+        if (!hex) {
+            this.hexText.textContent = '';
+            return;
+        }
+
+        const parts = [`(${hex.q}, ${hex.r}) ${hex.blocked ? 'blocked' : hex.type.replace(/_/g, ' ')}`];
+        if (hex.richness) {
+            parts.push('richness ' + Object.entries(hex.richness).map(([resource, value]) => `${resource} x${value}`).join(', '));
+        }
+        if (hex.construct) {
+            parts.push(`${CONSTRUCT_DEFINITIONS[hex.construct.type]?.name || hex.construct.type} L${hex.construct.level}`);
+        }
+        if (hex.improvements.length > 0) {
+            parts.push(hex.improvements.map(type => IMPROVEMENTS[type]?.name || type).join(', '));
+        }
+        this.hexText.textContent = parts.join(' | ');
+    }
+
+    newMap() {
+        const width = parseInt(this.widthInput.value, 10);
+        const height = parseInt(this.heightInput.value, 10);
+        const sizeOk = (size) => size >= MAP_EDITOR.MIN_SIZE && size <= MAP_EDITOR.MAX_SIZE;
+        if (!sizeOk(width) || !sizeOk(height)) {
+            this.showStatus(false, `Maps are ${MAP_EDITOR.MIN_SIZE} to ${MAP_EDITOR.MAX_SIZE} hexes wide and high`);
+            return;
+        }
+
+        const map = MapDefinition.generate(width, height, this.presetSelect.value, new SeededRandom());
+        map.name = this.nameInput.value || map.name;
+        this.scene.setMap(map);
+        this.showStatus(true, `New ${width}x${height} map`);
+    }
+
+    /**
+     * Check the map and list what stops it being played
+     * @returns {boolean} Whether the map is valid
+     */
+    validate() {
+        const result = this.scene.map.validate();
+        this.showStatus(result.valid, result.valid ? 'Map is ready to play' : result.errors.join('\n'));
+        return result.valid;
+    }
+
+    /**
+     * Download the map as a JSON file
+     */
+    save() {
+        if (!this.validate()) return;
+
+        const map = this.scene.map;
+        const blob = new Blob([JSON.stringify(map.toJSON(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${map.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'map'}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        this.showStatus(true, 'Map saved');
+    }
+
+    /**
+     * Open a map file saved by the editor
+     */
+    load() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                let map;
+                try {
+                    map = MapDefinition.fromJSON(reader.result);
+                } catch (error) {
+                    console.error('Could not read map file:', error);
+                    this.showStatus(false, error instanceof SyntaxError ? 'That file is not a valid map' : error.message);
+                    return;
+                }
+
+                this.scene.setMap(map);
+                this.showMapSettings();
+                this.validate();
+            };
+            reader.readAsText(file);
+        });
+
+        fileInput.click();
+    }
+
+    /**
+     * Set up a game on this map
+     */
+    play() {
+        if (!this.validate()) return;
+
+        window.gameCustomMap = this.scene.map.toJSON();
+        window.gameMapPreset = 'custom';
+        this.scene.scene.start('MainMenuScene', { playerSetup: true });
+    }
+
+    showStatus(success, message) {
+        this.statusText.style.color = success ? '#27ae60' : '#e74c3c';
+        this.statusText.textContent = message;
+    }
+
+    destroy() {
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * MessageLogPanel
+ * DOM panel listing the personal events that befell each player,
+ * newest first
+ */
+export default class MessageLogPanel {
+    constructor(scene, personalEvents) {
+        this.scene = scene;
+        this.personalEvents = personalEvents;
+        this.gameFlow = personalEvents.gameFlow;
+        this.container = null;
+        this.onEvent = () => this.refresh();
+
+        this.createPanel();
+        this.gameFlow.on('personal_event.triggered', this.onEvent);
+        this.hide();
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.id = 'message-log-panel';
+        this.container.style.cssText = `
+            position: fixed;
+            top: 80px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 420px;
+            max-height: 60vh;
+            overflow-y: auto;
+            background: rgba(26, 26, 58, 0.95);
+            border: 3px solid #FFD700;
+            border-radius: 8px;
+            z-index: 1000;
+            font-family: Arial, sans-serif;
+            color: white;
+            padding: 12px 15px;
+            box-sizing: border-box;
+            font-size: 13px;
+        `;
+
+        const buttonStyle = `
+            background: #4a5aa8;
+            border: none;
+            color: white;
+            padding: 2px 8px;
+            border-radius: 4px;
+            cursor: pointer;
+        `;
+
+        this.container.innerHTML = `
+            <div style="display: flex; align-items: center; margin-bottom: 8px;">
+                <h3 style="margin: 0; font-size: 16px; color: #FFD700;">📜 Message Log</h3>
+                <button id="ml-close" style="${buttonStyle} margin-left: auto;">✕</button>
+            </div>
+            <div style="font-size: 11px; color: #aaa; margin-bottom: 6px;">
+                Boons favour players who trail; banes seek out the leaders.
+            </div>
+            <div id="ml-entries"></div>
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.entriesList = document.getElementById('ml-entries');
+        document.getElementById('ml-close').addEventListener('click', () => this.hide());
+    }
+
+    refresh() {
+        if (!this.container) return;
+
+        this.entriesList.innerHTML = '';
+        const history = this.personalEvents.getHistory();
+
+        if (history.length === 0) {
+            this.entriesList.textContent = 'Nothing has happened yet.';
+            return;
+        }
+
+        history.forEach(event => {
+            const entry = document.createElement('div');
+            entry.style.cssText = `
+                padding: 4px 0;
+                border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+                color: ${event.kind === 'boon' ? '#27ae60' : '#e74c3c'};
+            `;
+            entry.textContent = `Cycle ${event.cycle} - ${event.name}: ${event.message}`;
+            this.entriesList.appendChild(entry);
+        });
+    }
+
+    show() {
+        this.container.style.display = 'block';
+        this.refresh();
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.container.style.display === 'none') {
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    destroy() {
+        this.gameFlow.off('personal_event.triggered', this.onEvent);
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * PriceScale
+ * Vertical price scale of the Auction Hall: a dark column with a labelled
+ * line at every price step, higher prices at the top. Shared by the
+ * resource auction and the land auction panels.
+ */
+export default class PriceScale {
+    constructor(scene, config = {}) {
+        this.scene = scene;
+        this.x = config.x || 0;
+        this.y = config.y || 0;
+        this.width = config.width || 120;
+        this.height = config.height || 400;
+        this.range = config.range || { min: 10, max: 100 };
+        this.step = config.step || 10;
+    }
+
+    /**
+     * Draw the scale into a container
+     */
+    draw(container) {
+        // Scale background
+        const scaleBg = this.scene.add.graphics();
+        scaleBg.fillStyle(0x1a252f);
+        scaleBg.fillRect(this.x, this.y, this.width, this.height);
+        container.add(scaleBg);
+
+        for (let price = this.range.min; price <= this.range.max; price += this.step) {
+            const yPos = this.getYPosition(price);
+
+            // Price line
+            const line = this.scene.add.graphics();
+            line.lineStyle(1, 0x7f8c8d);
+            line.moveTo(this.x - 10, yPos);
+            line.lineTo(this.x + this.width + 10, yPos);
+            line.strokePath();
+            container.add(line);
+
+            // Price label
+            const label = this.scene.add.text(this.x - 15, yPos, `${price}`, {
+                fontSize: '12px',
+                fontFamily: 'Arial',
+                color: '#95a5a6'
+            });
+            label.setOrigin(1, 0.5);
+            container.add(label);
+        }
+    }
+
+    getYPosition(price) {
+        return PriceScale.getYPosition(price, this.range, this.y, this.height);
+    }
+
+    /**
+     * Y position of a price on a scale of the given range and height
+     */
+    static getYPosition(price, range, baseY, height) {
+        const normalized = (price - range.min) / (range.max - range.min);
+        // Invert Y so higher prices are at top
+        return baseY + height * (1 - normalized);
+    }
+}
@@ -9,6 +9,7 @@ export default class ProductionMonitorDOM {
         this.isExpanded = false;
         this.container = null;
         this.productionData = {};
+        this.alerts = [];
         
         this.createMonitor();
     }
@@ -42,6 +43,7 @@ export default class ProductionMonitorDOM {
                     <div style="display: flex; align-items: center; gap: 20px;">
                         <h3 style="margin: 0; font-size: 15px; color: #ffffff;">📊 Production Monitor</h3>
                         <div id="pm-cycle" style="font-size: 13px; color: #aaaaaa;">Cycle 0 of 0</div>
+                        <div id="pm-alert-count" style="font-size: 13px; color: #ffaa44;"></div>
                     </div>
                     <button id="pm-expand" style="
                         background: #4466aa;
@@ -63,6 +65,15 @@ export default class ProductionMonitorDOM {
                         ${this.createResourceHTML('aether', '✨', '#ff88ff')}
                     </div>
                 </div>
+                <ul id="pm-alerts" style="
+                    display: none;
+                    flex: 1;
+                    margin: 10px 0 0 0;
+                    padding-left: 18px;
+                    overflow-y: auto;
+                    font-size: 12px;
+                    color: #ffcc88;
+                "></ul>
             </div>
         `;
         
@@ -122,10 +133,11 @@ export default class ProductionMonitorDOM {
         if (this.isExpanded) {
             this.container.style.height = '250px';
             document.getElementById('pm-expand').textContent = '⬆';
-            // TODO: Add expanded content
+            document.getElementById('pm-alerts').style.display = 'block';
         } else {
             this.container.style.height = '100px';
             document.getElementById('pm-expand').textContent = '⬇';
+            document.getElementById('pm-alerts').style.display = 'none';
         }
     }
     
@@ -152,6 +164,30 @@ export default class ProductionMonitorDOM {
             const amountText = document.getElementById(`pm-amount-${resource}`);
             if (amountText) amountText.textContent = `${amount}/c`;
         });
+        
+        this.updateAlerts(productionData.alerts || []);
+    }
+    
+    /**
+     * Count alerts in the header and list them in the expanded view
+     */
+    updateAlerts(alerts) {
+        this.alerts = alerts;
+        
+        const countElement = document.getElementById('pm-alert-count');
+        if (countElement) {
+            countElement.textContent = alerts.length > 0 ?
+                `⚠️ ${alerts.length} alert${alerts.length === 1 ? '' : 's'}` : '';
+        }
+        
+        const list = document.getElementById('pm-alerts');
+        if (!list) return;
+        list.innerHTML = '';
+        alerts.forEach(alert => {
+            const item = document.createElement('li');
+            item.textContent = alert;
+            list.appendChild(item);
+        });
     }
     
     destroy() {
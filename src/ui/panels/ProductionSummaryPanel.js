@@ -196,6 +196,11 @@ export default class ProductionSummaryPanel {
             
             const territoryHeader = document.createElement('div');
             territoryHeader.textContent = `${playerData.territories.length} territories producing`;
+            
+            const diminished = Object.values(playerData.diminished || {}).reduce((sum, amount) => sum + amount, 0);
+            if (diminished > 0) {
+                territoryHeader.textContent += ` (${diminished} lost to diminishing returns)`;
+            }
             territoryList.appendChild(territoryHeader);
             
             section.appendChild(territoryList);
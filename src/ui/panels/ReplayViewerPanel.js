@@ -0,0 +1,221 @@
+import { IMPROVEMENTS } from '../../models/TerritoryImprovement.js';
+
+/**
+ * ReplayViewerPanel
+ * DOM playback controls for the replay viewer: play/pause, step, scrub,
+ * speed, the current standings and a log of recent replay entries
+ */
+export default class ReplayViewerPanel {
+    constructor(scene, replayPlayer) {
+        this.scene = scene;
+        this.replayPlayer = replayPlayer;
+        this.container = null;
+        this.isScrubbing = false;
+        this.speeds = [0.5, 1, 2, 4, 8, 16, 32];
+
+        // Player names and colours for the log
+        this.players = new Map(replayPlayer.replay.players.map(p => [p.id, p]));
+
+        this.createPanel();
+        this.setupListeners();
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.id = 'replay-viewer';
+        this.container.style.cssText = `
+            position: fixed;
+            bottom: 10px;
+            left: 10px;
+            width: calc(100% - 380px);
+            max-width: 900px;
+            background: rgba(26, 26, 58, 0.95);
+            border: 3px solid #f5c542;
+            border-radius: 8px;
+            z-index: 1000;
+            font-family: Arial, sans-serif;
+            color: white;
+            padding: 10px 15px;
+            box-sizing: border-box;
+        `;
+
+        const buttonStyle = `
+            background: #4a5aa8;
+            border: none;
+            color: white;
+            padding: 6px 10px;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+        `;
+
+        this.container.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px;">
+                <h3 style="margin: 0; font-size: 15px; color: #f5c542;">⏯ Replay</h3>
+                <span id="rv-seed" style="font-size: 12px; color: #aaaaaa;"></span>
+                <span id="rv-phase" style="font-size: 13px; margin-left: auto;"></span>
+            </div>
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <button id="rv-back" style="${buttonStyle}" title="Step back">⏮</button>
+                <button id="rv-play" style="${buttonStyle}" title="Play/Pause">▶</button>
+                <button id="rv-forward" style="${buttonStyle}" title="Step forward">⏭</button>
+                <input id="rv-scrub" type="range" min="0" max="1000" value="0" style="flex: 1;">
+                <span id="rv-time" style="font-size: 12px; min-width: 90px; text-align: right;">0:00 / 0:00</span>
+                <select id="rv-speed" style="background: #333366; color: white; border: none; padding: 4px;">
+                    ${this.speeds.map(s => `<option value="${s}" ${s === 1 ? 'selected' : ''}>${s}×</option>`).join('')}
+                </select>
+            </div>
+            <div style="display: flex; gap: 15px; margin-top: 8px; font-size: 12px;">
+                <div id="rv-standings" style="min-width: 200px;"></div>
+                <div id="rv-log" style="flex: 1; max-height: 90px; overflow-y: auto; color: #cccccc;"></div>
+            </div>
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.playButton = document.getElementById('rv-play');
+        this.scrubInput = document.getElementById('rv-scrub');
+        this.timeText = document.getElementById('rv-time');
+        this.phaseText = document.getElementById('rv-phase');
+        this.standings = document.getElementById('rv-standings');
+        this.log = document.getElementById('rv-log');
+        document.getElementById('rv-seed').textContent = `seed ${this.replayPlayer.replay.seed}`;
+
+        this.playButton.addEventListener('click', () => this.replayPlayer.togglePlay());
+        document.getElementById('rv-back').addEventListener('click', () => this.replayPlayer.stepBackward());
+        document.getElementById('rv-forward').addEventListener('click', () => this.replayPlayer.stepForward());
+        document.getElementById('rv-speed').addEventListener('change', (event) => {
+            this.replayPlayer.setSpeed(parseFloat(event.target.value));
+        });
+
+        // Scrub while dragging, seek on release
+        this.scrubInput.addEventListener('input', () => {
+            this.isScrubbing = true;
+            const time = this.scrubInput.value / 1000 * this.replayPlayer.getDuration();
+            this.timeText.textContent = `${this.formatTime(time)} / ${this.formatTime(this.replayPlayer.getDuration())}`;
+        });
+        this.scrubInput.addEventListener('change', () => {
+            this.isScrubbing = false;
+            this.replayPlayer.seek(this.scrubInput.value / 1000 * this.replayPlayer.getDuration());
+        });
+    }
+
+    setupListeners() {
+        this.replayPlayer.on('replay.updated', (data) => this.onUpdated(data));
+        this.replayPlayer.on('replay.seeked', () => this.refreshLog());
+        this.replayPlayer.on('replay.entry', ({ entry }) => this.addLogEntry(entry));
+        this.replayPlayer.on('replay.played', () => { this.playButton.textContent = '⏸'; });
+        this.replayPlayer.on('replay.paused', () => { this.playButton.textContent = '▶'; });
+        this.replayPlayer.on('replay.ended', () => this.addLogLine('— End of replay —'));
+    }
+
+    onUpdated(data) {
+        if (!this.isScrubbing) {
+            this.scrubInput.value = data.duration > 0 ? Math.round(data.position / data.duration * 1000) : 0;
+            this.timeText.textContent = `${this.formatTime(data.position)} / ${this.formatTime(data.duration)}`;
+        }
+        this.phaseText.textContent = `Cycle ${data.cycle} · ${this.scene.formatPhase(data.phase || 'setup')}`;
+
+        this.updateStandings();
+        this.scene.renderReplayState();
+    }
+
+    updateStandings() {
+        const gameFlow = this.replayPlayer.gameFlow;
+        const players = [...gameFlow.stateManager.gameState.players].sort((a, b) => b.gold - a.gold);
+
+        this.standings.innerHTML = players.map(player => {
+            const territories = gameFlow.territoryGrid.getPlayerTerritories(player.id).length;
+            return `<div><span style="color: ${this.cssColor(player.color)};">■</span> ` +
+                `${player.name}: ${player.gold}g, ${territories} land</div>`;
+        }).join('');
+    }
+
+    refreshLog() {
+        this.log.innerHTML = '';
+        this.replayPlayer.getRecentEntries(8).forEach(entry => this.addLogEntry(entry));
+    }
+
+    addLogEntry(entry) {
+        const text = this.formatEntry(entry);
+        if (text) {
+            this.addLogLine(`[${this.formatTime(entry.t)}] ${text}`);
+        }
+    }
+
+    addLogLine(text) {
+        const line = document.createElement('div');
+        line.textContent = text;
+        this.log.appendChild(line);
+
+        // Keep the log short
+        while (this.log.children.length > 50) {
+            this.log.removeChild(this.log.firstChild);
+        }
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+
+    /**
+     * Describe a replay entry for the log
+     */
+    formatEntry(entry) {
+        const name = this.players.get(entry.playerId)?.name || entry.playerId;
+        const data = entry.data || {};
+
+        switch (entry.kind) {
+            case 'phase':
+                return `— Cycle ${entry.cycle}: ${this.scene.formatPhase(entry.type)} —`;
+            case 'action':
+                switch (entry.type) {
+                    case 'claim_territory':
+                        return data.territoryId ? `${name} claimed ${data.territoryId}` : `${name} selected ${data.target}`;
+                    case 'place_construct': return `${name} built ${data.constructType} on ${data.target}`;
+                    case 'upgrade_construct': return `${name} upgraded ${data.target} to level ${data.newLevel}`;
+                    case 'move_construct': return `${name} moved a ${data.constructType} from ${data.target} to ${data.destination}`;
+                    case 'uninstall_construct': return `${name} uninstalled the ${data.constructType} on ${data.target}`;
+                    case 'salvage_construct': return `${name} salvaged a ${data.constructType} for ${data.arcanum} arcanum`;
+                    case 'build_improvement': return `${name} began a ${IMPROVEMENTS[data.improvement]?.name || data.improvement} on ${data.target}`;
+                    case 'cancel_improvement': return `${name} cancelled the ${IMPROVEMENTS[data.improvement]?.name || data.improvement} on ${data.target}`;
+                    default: return `${name}: ${entry.type}`;
+                }
+            case 'auction':
+                switch (entry.type) {
+                    case 'resource_started': return `${data.resource} auction opened at ${data.marketPrice}`;
+                    case 'position': return `${name} ${data.mode}s ${data.resource} at ${Math.round(data.price)}`;
+                    case 'trade': {
+                        const seller = this.players.get(data.sellerId)?.name || data.sellerId;
+                        return `${name} bought ${data.quantity} ${data.resource} from ${seller} at ${data.price}`;
+                    }
+                    case 'resource_ended': return `${data.resource} auction closed`;
+                    default: return null;
+                }
+            case 'trade': {
+                const partner = this.players.get(data.toPlayerId)?.name || data.toPlayerId;
+                return data.emergency ? `${name} shared resources with ${partner}` : `${name} traded with ${partner}`;
+            }
+            case 'game':
+                return 'Game over';
+            default:
+                return null;
+        }
+    }
+
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    cssColor(color) {
+        return typeof color === 'number' ? '#' + color.toString(16).padStart(6, '0') : color;
+    }
+
+    destroy() {
+        this.replayPlayer.destroy();
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
@@ -0,0 +1,253 @@
+/**
+ * TradePanel
+ * DOM panel for direct trades: build an offer to another player with a
+ * preview of the distance penalty, and answer or withdraw open offers
+ */
+export default class TradePanel {
+    constructor(scene, tradeOfferManager) {
+        this.scene = scene;
+        this.tradeOfferManager = tradeOfferManager;
+        this.gameFlow = tradeOfferManager.gameFlow;
+        this.container = null;
+        this.resources = ['mana', 'vitality', 'arcanum', 'aether'];
+        this.eventNames = ['trade_offer.proposed', 'trade_offer.accepted', 'trade_offer.rejected',
+            'trade_offer.cancelled', 'trade_offer.failed'];
+        this.onOffersChanged = () => this.refresh();
+
+        this.createPanel();
+        this.eventNames.forEach(eventName => this.gameFlow.on(eventName, this.onOffersChanged));
+        this.hide();
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.id = 'trade-panel';
+        this.container.style.cssText = `
+            position: fixed;
+            top: 80px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 460px;
+            background: rgba(26, 26, 58, 0.95);
+            border: 3px solid #27ae60;
+            border-radius: 8px;
+            z-index: 1000;
+            font-family: Arial, sans-serif;
+            color: white;
+            padding: 12px 15px;
+            box-sizing: border-box;
+        `;
+
+        const inputStyle = 'width: 60px; background: #333366; color: white; border: none; padding: 3px;';
+        const bundleInputs = (side) => ['gold', ...this.resources].map(item => `
+            <label style="display: flex; justify-content: space-between; margin: 3px 0;">
+                <span>${item.charAt(0).toUpperCase() + item.slice(1)}</span>
+                <input id="tp-${side}-${item}" type="number" min="0" value="0" style="${inputStyle}">
+            </label>
+        `).join('');
+
+        const buttonStyle = `
+            background: #4a5aa8;
+            border: none;
+            color: white;
+            padding: 6px 12px;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+        `;
+
+        this.container.innerHTML = `
+            <div style="display: flex; align-items: center; margin-bottom: 8px;">
+                <h3 style="margin: 0; font-size: 16px; color: #27ae60;">🤝 Direct Trade</h3>
+                <button id="tp-close" style="${buttonStyle} margin-left: auto; padding: 2px 8px;">✕</button>
+            </div>
+            <label style="font-size: 13px;">Trade with
+                <select id="tp-partner" style="background: #333366; color: white; border: none; padding: 4px;"></select>
+            </label>
+            <div style="display: flex; gap: 20px; margin-top: 8px; font-size: 13px;">
+                <div style="flex: 1;"><b>You give</b>${bundleInputs('give')}</div>
+                <div style="flex: 1;"><b>You get</b>${bundleInputs('receive')}</div>
+            </div>
+            <div id="tp-penalty" style="font-size: 12px; color: #f39c12; margin: 6px 0;"></div>
+            <button id="tp-propose" style="${buttonStyle}">Propose Trade</button>
+            <span id="tp-status" style="font-size: 12px; margin-left: 8px;"></span>
+            <div id="tp-offers" style="margin-top: 10px; font-size: 12px; max-height: 160px; overflow-y: auto;"></div>
+        `;
+
+        document.body.appendChild(this.container);
+
+        this.partnerSelect = document.getElementById('tp-partner');
+        this.penaltyText = document.getElementById('tp-penalty');
+        this.statusText = document.getElementById('tp-status');
+        this.offersList = document.getElementById('tp-offers');
+
+        document.getElementById('tp-close').addEventListener('click', () => this.hide());
+        document.getElementById('tp-propose').addEventListener('click', () => this.onProposeClick());
+        this.partnerSelect.addEventListener('change', () => this.updatePenaltyPreview());
+        this.container.addEventListener('input', () => this.updatePenaltyPreview());
+    }
+
+    /**
+     * The human player trading from this screen
+     */
+    getLocalPlayer() {
+        const players = this.gameFlow.stateManager.gameState?.players || [];
+        return players.find(p => !p.isAI) || players[0];
+    }
+
+    getPlayerName(playerId) {
+        return this.gameFlow.stateManager.getPlayer(playerId)?.name || playerId;
+    }
+
+    readBundle(side) {
+        const bundle = { gold: 0, resources: {} };
+        ['gold', ...this.resources].forEach(item => {
+            const value = parseInt(document.getElementById(`tp-${side}-${item}`).value, 10) || 0;
+            if (item === 'gold') {
+                bundle.gold = value;
+            } else {
+                bundle.resources[item] = value;
+            }
+        });
+        return bundle;
+    }
+
+    formatBundle(bundle) {
+        const parts = Object.entries(bundle.resources).map(([resource, amount]) => `${amount} ${resource}`);
+        if (bundle.gold > 0) {
+            parts.unshift(`${bundle.gold}GP`);
+        }
+        return parts.length > 0 ? parts.join(', ') : 'nothing';
+    }
+
+    onProposeClick() {
+        const player = this.getLocalPlayer();
+        const result = this.tradeOfferManager.proposeOffer(
+            player.id,
+            this.partnerSelect.value,
+            this.readBundle('give'),
+            this.readBundle('receive')
+        );
+
+        this.statusText.style.color = result.success ? '#27ae60' : '#e74c3c';
+        this.statusText.textContent = result.success ? 'Offer sent' : result.error;
+    }
+
+    updatePenaltyPreview() {
+        const player = this.getLocalPlayer();
+        const partnerId = this.partnerSelect.value;
+        if (!player || !partnerId) {
+            this.penaltyText.textContent = '';
+            return;
+        }
+
+        const give = this.tradeOfferManager.normalizeBundle(this.readBundle('give'));
+        const receive = this.tradeOfferManager.normalizeBundle(this.readBundle('receive'));
+        if (give.gold === 0 && Object.keys(give.resources).length > 0 && this.tradeOfferManager.isEmptyBundle(receive)) {
+            this.penaltyText.textContent = 'Emergency sharing: no distance penalty';
+            return;
+        }
+
+        const distance = this.tradeOfferManager.getTradeDistance(player.id, partnerId);
+        const rate = Math.round(this.tradeOfferManager.getPenaltyRate(distance) * 100);
+        const where = distance === null ? 'no shared border' : `${distance} hex${distance === 1 ? '' : 'es'} apart`;
+        this.penaltyText.textContent = `Distance penalty: ${rate}% of resources lost in transit (${where})`;
+    }
+
+    refresh() {
+        if (!this.container || this.container.style.display === 'none') return;
+
+        const player = this.getLocalPlayer();
+        if (!player) return;
+
+        // Partner list keeps the current choice
+        const selected = this.partnerSelect.value;
+        this.partnerSelect.innerHTML = (this.gameFlow.stateManager.gameState.players || [])
+            .filter(p => p.id !== player.id)
+            .map(p => `<option value="${p.id}">${p.name}${p.isAI ? ' (AI)' : ''}</option>`)
+            .join('');
+        if (selected) {
+            this.partnerSelect.value = selected;
+        }
+        this.updatePenaltyPreview();
+
+        const { incoming, outgoing } = this.tradeOfferManager.getPendingOffers(player.id);
+        this.offersList.innerHTML = '';
+
+        incoming.forEach(offer => {
+            const row = this.createOfferRow(
+                `${this.getPlayerName(offer.fromPlayerId)} offers ${this.formatBundle(offer.give)} ` +
+                `for ${this.formatBundle(offer.receive)} (${Math.round(offer.penaltyRate * 100)}% penalty)`
+            );
+            row.appendChild(this.createRowButton('Accept', () => this.respond(this.tradeOfferManager.acceptOffer(offer.id, player.id))));
+            row.appendChild(this.createRowButton('Reject', () => this.respond(this.tradeOfferManager.rejectOffer(offer.id, player.id))));
+            this.offersList.appendChild(row);
+        });
+
+        outgoing.forEach(offer => {
+            const row = this.createOfferRow(
+                `To ${this.getPlayerName(offer.toPlayerId)}: ${this.formatBundle(offer.give)} ` +
+                `for ${this.formatBundle(offer.receive)} — waiting`
+            );
+            row.appendChild(this.createRowButton('Cancel', () => this.respond(this.tradeOfferManager.cancelOffer(offer.id, player.id))));
+            this.offersList.appendChild(row);
+        });
+
+        if (incoming.length === 0 && outgoing.length === 0) {
+            this.offersList.textContent = 'No open offers';
+        }
+    }
+
+    createOfferRow(text) {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 4px 0;';
+        const label = document.createElement('span');
+        label.style.flex = '1';
+        label.textContent = text;
+        row.appendChild(label);
+        return row;
+    }
+
+    createRowButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = 'background: #4a5aa8; border: none; color: white; padding: 2px 8px; border-radius: 4px; cursor: pointer;';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    respond(result) {
+        if (!result.success) {
+            this.statusText.style.color = '#e74c3c';
+            this.statusText.textContent = result.error;
+        }
+        this.scene.updatePlayerDisplay?.();
+        this.refresh();
+    }
+
+    show() {
+        this.container.style.display = 'block';
+        this.statusText.textContent = '';
+        this.refresh();
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.container.style.display === 'none') {
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    destroy() {
+        this.eventNames.forEach(eventName => this.gameFlow.off(eventName, this.onOffersChanged));
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
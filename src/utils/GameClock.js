@@ -0,0 +1,50 @@
+/**
+ * Real-time clock used by game timers
+ * Systems schedule through a clock instead of calling setTimeout/Date.now
+ * directly so simulations and tests can substitute virtual time
+ */
+export default class GameClock {
+    /**
+     * Get the current time
+     * @returns {number} Time in milliseconds
+     */
+    now() {
+        return Date.now();
+    }
+
+    /**
+     * Schedule a one-off callback
+     * @param {Function} callback - Function to call
+     * @param {number} delay - Delay in milliseconds
+     * @returns {*} Timer handle for clearTimeout
+     */
+    setTimeout(callback, delay) {
+        return setTimeout(callback, delay);
+    }
+
+    /**
+     * Cancel a one-off callback
+     * @param {*} handle - Handle returned by setTimeout
+     */
+    clearTimeout(handle) {
+        clearTimeout(handle);
+    }
+
+    /**
+     * Schedule a repeating callback
+     * @param {Function} callback - Function to call
+     * @param {number} interval - Interval in milliseconds
+     * @returns {*} Timer handle for clearInterval
+     */
+    setInterval(callback, interval) {
+        return setInterval(callback, interval);
+    }
+
+    /**
+     * Cancel a repeating callback
+     * @param {*} handle - Handle returned by setInterval
+     */
+    clearInterval(handle) {
+        clearInterval(handle);
+    }
+}
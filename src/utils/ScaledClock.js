@@ -0,0 +1,137 @@
+import GameClock from './GameClock.js';
+
+/**
+ * Clock that runs game time at a multiple of real time
+ * Speed 2 runs every game timer twice as fast; speed 0 freezes game time.
+ * Changing speed reschedules pending timers so they still fire at the
+ * same game time.
+ */
+export default class ScaledClock extends GameClock {
+    /**
+     * @param {number} [speed=1] - Game milliseconds per real millisecond
+     */
+    constructor(speed = 1) {
+        super();
+        this.speed = Math.max(0, speed);
+        this.baseGameTime = Date.now();
+        this.baseRealTime = Date.now();
+        this.timers = new Map(); // handle -> {callback, time, interval, nativeHandle}
+        this.nextHandle = 1;
+    }
+
+    now() {
+        return this.baseGameTime + (Date.now() - this.baseRealTime) * this.speed;
+    }
+
+    /**
+     * Change the speed multiplier
+     * @param {number} speed - New speed (0 pauses game time)
+     */
+    setSpeed(speed) {
+        this.baseGameTime = this.now();
+        this.baseRealTime = Date.now();
+        this.speed = Math.max(0, speed);
+
+        this.timers.forEach(timer => this.scheduleNative(timer));
+    }
+
+    /**
+     * Get the speed multiplier
+     * @returns {number} Current speed
+     */
+    getSpeed() {
+        return this.speed;
+    }
+
+    setTimeout(callback, delay = 0) {
+        return this.addTimer(callback, delay, null);
+    }
+
+    clearTimeout(handle) {
+        this.removeTimer(handle);
+    }
+
+    setInterval(callback, interval = 0) {
+        return this.addTimer(callback, interval, Math.max(1, interval));
+    }
+
+    clearInterval(handle) {
+        this.removeTimer(handle);
+    }
+
+    /**
+     * Register a timer due at a game time
+     */
+    addTimer(callback, delay, interval) {
+        const handle = this.nextHandle++;
+        const timer = {
+            handle: handle,
+            callback: callback,
+            time: this.now() + Math.max(0, delay || 0),
+            interval: interval,
+            nativeHandle: null
+        };
+
+        this.timers.set(handle, timer);
+        this.scheduleNative(timer);
+        return handle;
+    }
+
+    /**
+     * Remove a timer and its native timeout
+     */
+    removeTimer(handle) {
+        const timer = this.timers.get(handle);
+        if (timer) {
+            clearTimeout(timer.nativeHandle);
+            this.timers.delete(handle);
+        }
+    }
+
+    /**
+     * (Re)schedule the real timeout backing a game timer
+     */
+    scheduleNative(timer) {
+        clearTimeout(timer.nativeHandle);
+        timer.nativeHandle = null;
+
+        // Frozen time - timers wait until speed is raised again
+        if (this.speed === 0) return;
+
+        const realDelay = Math.max(0, (timer.time - this.now()) / this.speed);
+        timer.nativeHandle = setTimeout(() => this.fireTimer(timer.handle), realDelay);
+    }
+
+    /**
+     * Fire a due timer, rescheduling intervals
+     */
+    fireTimer(handle) {
+        const timer = this.timers.get(handle);
+        if (!timer) return;
+
+        if (timer.interval) {
+            timer.time += timer.interval;
+            this.scheduleNative(timer);
+        } else {
+            this.timers.delete(handle);
+        }
+
+        timer.callback();
+    }
+
+    /**
+     * Get the number of pending timers
+     * @returns {number} Pending timer count
+     */
+    getPendingTimerCount() {
+        return this.timers.size;
+    }
+
+    /**
+     * Drop all pending timers
+     */
+    reset() {
+        this.timers.forEach(timer => clearTimeout(timer.nativeHandle));
+        this.timers.clear();
+    }
+}
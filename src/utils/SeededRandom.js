@@ -0,0 +1,144 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * A game started with the same seed and the same player inputs
+ * produces the same sequence of rolls
+ */
+export default class SeededRandom {
+    /**
+     * @param {number|string} [seed] - Seed value, generated when omitted
+     */
+    constructor(seed) {
+        this.setSeed(seed === undefined || seed === null ? SeededRandom.generateSeed() : seed);
+    }
+
+    /**
+     * Generate a fresh seed for a new game
+     * @returns {number} 32-bit unsigned seed
+     */
+    static generateSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0xFFFFFFFF)) >>> 0;
+    }
+
+    /**
+     * Normalize a number or string into a 32-bit unsigned seed
+     * @param {number|string} seed - Seed value
+     * @returns {number} 32-bit unsigned seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+
+        // Numeric strings (e.g. from a URL) match their number; other text is hashed (FNV-1a)
+        const text = String(seed);
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Reset the generator to the start of a seed's sequence
+     * @param {number|string} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+        this.callCount = 0;
+    }
+
+    /**
+     * Get the next float in [0, 1)
+     * @returns {number} Random float
+     */
+    next() {
+        this.callCount++;
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a float in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get an integer in [min, max] (inclusive)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Roll true with the given probability
+     * @param {number} probability - Chance between 0 and 1
+     * @returns {boolean} Whether the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} items - Items to choose from
+     * @returns {*} Selected item, or undefined for an empty array
+     */
+    pick(items) {
+        if (!items || items.length === 0) return undefined;
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Return a shuffled copy of an array (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} New shuffled array
+     */
+    shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Get serializable generator state
+     * @returns {Object} Seed and current position in the sequence
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            state: this.state,
+            callCount: this.callCount
+        };
+    }
+
+    /**
+     * Restore generator state saved with getState
+     * @param {Object} savedState - State from getState
+     */
+    restoreState(savedState) {
+        if (!savedState) return;
+        this.seed = savedState.seed >>> 0;
+        this.state = (savedState.state ?? savedState.seed) >>> 0;
+        this.callCount = savedState.callCount || 0;
+    }
+}
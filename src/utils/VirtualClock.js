@@ -0,0 +1,122 @@
+import GameClock from './GameClock.js';
+
+/**
+ * Virtual clock for headless simulation and tests
+ * Time only moves when advance() or runNext() is called, and timers
+ * fire in order of their scheduled time
+ */
+export default class VirtualClock extends GameClock {
+    /**
+     * @param {number} [startTime=0] - Initial virtual time in milliseconds
+     */
+    constructor(startTime = 0) {
+        super();
+        this.currentTime = startTime;
+        this.timers = new Map(); // handle -> {callback, time, interval}
+        this.nextHandle = 1;
+    }
+
+    now() {
+        return this.currentTime;
+    }
+
+    setTimeout(callback, delay = 0) {
+        return this.addTimer(callback, delay, null);
+    }
+
+    clearTimeout(handle) {
+        this.timers.delete(handle);
+    }
+
+    setInterval(callback, interval = 0) {
+        return this.addTimer(callback, interval, Math.max(1, interval));
+    }
+
+    clearInterval(handle) {
+        this.timers.delete(handle);
+    }
+
+    /**
+     * Register a timer
+     * @param {Function} callback - Function to call
+     * @param {number} delay - Delay in milliseconds
+     * @param {number|null} interval - Repeat interval, null for one-off
+     * @returns {number} Timer handle
+     */
+    addTimer(callback, delay, interval) {
+        const handle = this.nextHandle++;
+        this.timers.set(handle, {
+            callback: callback,
+            time: this.currentTime + Math.max(0, delay || 0),
+            interval: interval
+        });
+        return handle;
+    }
+
+    /**
+     * Get the earliest pending timer
+     * @returns {Array|null} [handle, timer] or null when idle
+     */
+    getNextTimer() {
+        let next = null;
+        this.timers.forEach((timer, handle) => {
+            // Map iteration follows insertion order, so ties fire in scheduling order
+            if (!next || timer.time < next[1].time) {
+                next = [handle, timer];
+            }
+        });
+        return next;
+    }
+
+    /**
+     * Jump to the next pending timer and fire it
+     * @returns {boolean} False if no timers are pending
+     */
+    runNext() {
+        const next = this.getNextTimer();
+        if (!next) return false;
+
+        const [handle, timer] = next;
+        this.currentTime = Math.max(this.currentTime, timer.time);
+
+        if (timer.interval) {
+            timer.time = this.currentTime + timer.interval;
+        } else {
+            this.timers.delete(handle);
+        }
+
+        timer.callback();
+        return true;
+    }
+
+    /**
+     * Advance virtual time, firing every timer that falls due
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+        const targetTime = this.currentTime + ms;
+
+        let next = this.getNextTimer();
+        while (next && next[1].time <= targetTime) {
+            this.runNext();
+            next = this.getNextTimer();
+        }
+
+        this.currentTime = targetTime;
+    }
+
+    /**
+     * Get the number of pending timers
+     * @returns {number} Pending timer count
+     */
+    getPendingTimerCount() {
+        return this.timers.size;
+    }
+
+    /**
+     * Drop all pending timers
+     */
+    reset() {
+        this.timers.clear();
+    }
+}
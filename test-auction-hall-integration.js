@@ -93,7 +93,7 @@ function runIntegrationTests() {
         
         // Check market data was updated
         const marketSummary = marketData.getMarketSummary('mana');
-        assert(marketSummary.currentPrice === 55, 'Should record trade price');
+        assert(marketSummary.currentPrice === 60, 'Should record trade price');
     });
     
     // Test 2: Multi-resource auction cycle
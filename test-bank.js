@@ -0,0 +1,106 @@
+/**
+ * Test Banking and Loans
+ * Deposits earn interest, loans are secured on territories and foreclosed
+ * on default, and both count in wealth and scoring
+ */
+
+import Player from './src/models/Player.js';
+import Construct from './src/models/Construct.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Bank ===\n');
+
+const { gameFlow } = await createGame({ seed: 5 });
+const bank = gameFlow.bank;
+const player1 = gameFlow.stateManager.getPlayer('player1');
+const player2 = gameFlow.stateManager.getPlayer('player2');
+const [farm, mine, tower] = gameFlow.territoryGrid.territories;
+farm.setOwner('player1');
+mine.setOwner('player1');
+tower.setOwner('player2');
+
+// Test 1: Deposits
+console.log('Test 1: Deposits');
+await quietly(() => bank.deposit('player1', 400));
+check('Deposit moves gold into the bank', player1.gold === 600 && bank.getDeposit('player1') === 400);
+check('Cannot deposit more than you hold', !(await quietly(() => bank.deposit('player1', 5000))).success);
+check('Cannot withdraw more than deposited', !bank.withdraw('player1', 500).success);
+await quietly(() => bank.withdraw('player1', 100));
+check('Withdrawal returns gold', player1.gold === 700 && bank.getDeposit('player1') === 300);
+console.log('');
+
+// Test 2: Loans
+console.log('Test 2: Loans');
+check('Borrowing limit is half the collateral value', bank.getBorrowingLimit([farm.id]) === 250);
+check('Cannot borrow against land you do not own',
+    !(await quietly(() => bank.takeLoan('player1', 100, [tower.id]))).success);
+check('Cannot borrow beyond the collateral', !(await quietly(() => bank.takeLoan('player1', 300, [farm.id]))).success);
+const loan = (await quietly(() => bank.takeLoan('player2', 200, [tower.id]))).loan;
+check('Loan pays out gold', loan && player2.gold === 1200 && bank.getLoanBalance('player2') === 200);
+check('Pledged land cannot back a second loan',
+    !(await quietly(() => bank.takeLoan('player2', 10, [tower.id]))).success);
+console.log('');
+
+// Test 3: End of cycle interest
+console.log('Test 3: End of cycle interest');
+await quietly(() => gameFlow.cycleManager.processEndCycleEvents());
+check('Deposit interest is paid into the purse', player1.gold === 709);
+check('Loan interest is charged', player2.gold === 1184 && loan.missedPayments === 0);
+await quietly(() => bank.repayLoan('player2', loan.id, 50));
+check('Partial repayment lowers the balance', loan.balance === 150 && loan.status === 'active');
+console.log('');
+
+// Test 4: Wealth and scoring
+console.log('Test 4: Wealth and scoring');
+check('Player mirrors deposit and debt', player1.bankDeposit === 300 && player2.loanBalance === 150);
+const wealthBefore = gameFlow.turnManager.calculatePlayerWealth({ ...player2, loanBalance: 0 });
+check('Loans count against turn order wealth', gameFlow.turnManager.calculatePlayerWealth(player2) === wealthBefore - 150);
+const results = gameFlow.calculateFinalResults();
+const result1 = results.find(r => r.playerId === 'player1');
+const result2 = results.find(r => r.playerId === 'player2');
+check('Final results list deposit and loans', result1.bankDeposit === 300 && result2.loanBalance === 150);
+const modelPlayer = new Player({ id: 'p', gold: 100 });
+const worth = modelPlayer.calculateNetWorth();
+const score = modelPlayer.calculateScore();
+modelPlayer.loanBalance = 80;
+check('Loans count against net worth and score',
+    modelPlayer.calculateNetWorth() === worth - 80 && modelPlayer.calculateScore() === score - 80);
+console.log('');
+
+// Test 5: Save and restore
+console.log('Test 5: Save and restore');
+await quietly(() => gameFlow.saveGame('banking'));
+const { gameFlow: restored } = await createGame({ seed: 5 });
+restored.persistence.memoryStorage = gameFlow.persistence.memoryStorage;
+await quietly(() => restored.loadGame('banking'));
+check('Deposits restored', restored.bank.getDeposit('player1') === 300);
+check('Loans restored with their collateral', restored.bank.getPlayerLoans('player2')[0]?.collateral[0] === tower.id &&
+    restored.bank.getLoanBalance('player2') === 150);
+console.log('');
+
+// Test 6: Default and foreclosure
+console.log('Test 6: Default and foreclosure');
+player2.gold = 0;
+tower.construct = new Construct({ id: 'tower_probe', type: 'mana_conduit', status: 'active', owner: player2 });
+let foreclosure = null;
+gameFlow.on('bank.foreclosure', (data) => { foreclosure = data; });
+await quietly(() => bank.processEndOfCycle(2));
+check('Unpaid interest is added to the balance', loan.balance === 162 && loan.missedPayments === 1);
+check('Land is kept after one missed payment', tower.ownerId === 'player2');
+await quietly(() => bank.processEndOfCycle(3));
+check('Second missed payment forecloses', loan.status === 'foreclosed' && foreclosure?.territories[0] === tower.id);
+check('Pledged land is seized with what stands on it', tower.ownerId === null && tower.construct.owner === null);
+check('Debt is written off', bank.getLoanBalance('player2') === 0 && player2.loanBalance === 0);
+
+const termLoan = (await quietly(() => bank.takeLoan('player1', 100, [mine.id]))).loan;
+await quietly(() => bank.processEndOfCycle(termLoan.dueCycle));
+check('Loan is repaid from the purse when it falls due', termLoan.status === 'repaid' && mine.ownerId === 'player1');
+const lateLoan = (await quietly(() => bank.takeLoan('player1', 200, [farm.id]))).loan;
+player1.gold = 20;
+await quietly(() => bank.processEndOfCycle(lateLoan.dueCycle));
+check('Loan that cannot be repaid when due is foreclosed', lateLoan.status === 'foreclosed' && farm.ownerId === null);
+console.log('');
+
+await quietly(() => [gameFlow, restored].forEach(flow => flow.destroy()));
+
+report('Bank');
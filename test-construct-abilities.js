@@ -0,0 +1,108 @@
+/**
+ * Test Construct Special Abilities
+ * Level 3 constructs unlock Mana Resonance, Life Bloom, Arcane Insight
+ * and Aether Sense
+ */
+
+import Construct from './src/models/Construct.js';
+import ResourceProductionCalculator from './src/models/ResourceProductionCalculator.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Construct Abilities ===\n');
+
+const { gameFlow } = await createGame({ seed: 13 });
+const grid = gameFlow.territoryGrid;
+const calculator = new ResourceProductionCalculator(gameFlow);
+const player1 = gameFlow.stateManager.getPlayer('player1');
+
+// Put a construct on a territory for player1
+const build = (territory, type, level, status = 'active') => {
+    territory.setOwner('player1');
+    territory.construct = new Construct({ id: `${type}_${territory.id}`, type, level, owner: player1, status });
+    territory.construct.territory = territory;
+    return territory.construct;
+};
+const clear = (...territories) => territories.forEach(territory => {
+    territory.construct = null;
+    territory.setOwner(null);
+});
+
+// A territory with a full ring of neighbours and one far away from it
+const center = grid.territories.find(t => t.getAdjacentTerritories(grid).length === 6);
+const [east, west] = center.getAdjacentTerritories(grid);
+const far = grid.territories.find(t => t !== center && !center.getAdjacentTerritories(grid).includes(t) &&
+    t.getAdjacentTerritories(grid).every(n => n !== center && !center.getAdjacentTerritories(grid).includes(n)));
+
+// Test 1: Unlocking
+console.log('Test 1: Unlocking');
+const conduit = new Construct({ type: 'mana_conduit', level: 2 });
+check('No ability below level 3', conduit.specialAbility === null);
+conduit.setLevel(3);
+check('Reaching level 3 unlocks the ability', conduit.specialAbility?.name === 'Mana Resonance');
+check('Ability survives save and load', Construct.deserialize({ ...conduit.serialize(), status: 'active' }).hasActiveAbility('mana_resonance'));
+console.log('');
+
+// Test 2: Mana Resonance
+console.log('Test 2: Mana Resonance');
+build(east, 'mana_conduit', 1);
+const alone = calculator.calculateTerritoryProduction(east);
+build(center, 'mana_conduit', 3);
+const resonating = calculator.calculateTerritoryProduction(east);
+check('Adjacent conduit gains the resonance bonus', resonating.modifiers.resonance && resonating.amount > alone.amount);
+check('Bonus is 20%', Math.abs(resonating.amount - alone.amount * 1.2) <= 1);
+check('Ability lists the resonating neighbours', center.construct.specialAbility.applyEffect(center, grid).includes(east));
+build(far, 'mana_conduit', 1);
+check('Distant conduits gain nothing', !calculator.calculateTerritoryProduction(far).modifiers.resonance);
+center.construct.status = 'installing';
+check('An inactive conduit does not resonate', !calculator.calculateTerritoryProduction(east).modifiers.resonance);
+clear(center, east, far);
+console.log('');
+
+// Test 3: Life Bloom
+console.log('Test 3: Life Bloom');
+build(center, 'vitality_well', 3);
+let blooms = 0;
+let everyoneGained = true;
+for (let cycle = 0; cycle < 60; cycle++) {
+    const results = await quietly(() => calculator.calculateCycleProduction());
+    const bloomed = results.lifeBlooms.length;
+    blooms += bloomed;
+    const player2Total = results.playerTotals.find(total => total.playerId === 'player2');
+    if (player2Total.resources.vitality !== bloomed) everyoneGained = false;
+}
+check('Wells bloom now and then', blooms > 0 && blooms < 30);
+check('A bloom gives vitality to every player', everyoneGained);
+clear(center);
+console.log('');
+
+// Test 4: Arcane Insight
+console.log('Test 4: Arcane Insight');
+const upgrading = build(west, 'mana_conduit', 1);
+const fullCosts = upgrading.getUpgradeCosts(grid.territories);
+const extractor = build(far, 'arcanum_extractor', 3, 'installing');
+check('An inactive extractor gives no discount', upgrading.getUpgradeCosts(grid.territories).arcanum === fullCosts.arcanum);
+extractor.status = 'active';
+const discounted = upgrading.getUpgradeCosts(grid.territories);
+check('Owner upgrades cost 15% less', discounted.arcanum === Math.floor(fullCosts.arcanum * 0.85) &&
+    discounted.mana === Math.floor(fullCosts.mana * 0.85));
+const rival = new Construct({ type: 'mana_conduit', owner: { id: 'player2' } });
+check('Other players pay full price', rival.getUpgradeCosts(grid.territories).arcanum === fullCosts.arcanum);
+clear(west, far);
+console.log('');
+
+// Test 5: Aether Sense
+console.log('Test 5: Aether Sense');
+const resonator = build(center, 'aether_resonator', 3);
+const projections = resonator.specialAbility.applyEffect(center, grid, calculator);
+check('Projects every adjacent territory', projections.length === 6);
+const projected = projections.find(p => p.territoryId === east.id);
+build(east, 'aether_resonator', 1);
+check('Projection matches the yield once built', projected.aether === calculator.calculateTerritoryProduction(east).amount);
+check('Projection does not build anything', projections.every(p => !grid.getTerritoryById(p.territoryId).construct ||
+    p.territoryId === east.id));
+clear(center, east);
+console.log('');
+
+await quietly(() => gameFlow.destroy());
+
+report('Construct Abilities');
@@ -0,0 +1,129 @@
+/**
+ * Test Construct Actions
+ * Moving a construct to another territory with a new installation roll,
+ * uninstalling it to inventory and salvaging it for arcanum
+ */
+
+import Construct from './src/models/Construct.js';
+import { CONSTRUCT_DEFINITIONS, CONSTRUCT_SALVAGE } from './src/config/gameConfig.js';
+import { check, quietly, refused, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Construct Actions ===\n');
+
+const { gameFlow } = await createGame({ seed: 23 });
+await quietly(() => gameFlow.cycleManager.forceAdvanceToPhase('construct_outfitting'));
+
+const constructManager = gameFlow.constructManager;
+const grid = gameFlow.territoryGrid;
+const acting = gameFlow.turnManager.getCurrentPlayer();
+const waiting = gameFlow.stateManager.gameState.players.find(p => p.id !== acting.id);
+
+// Territories for the acting player: two poorly suited to a mana conduit, two caves
+const unowned = grid.getUnownedTerritories().filter(t => !t.blocked);
+const plains = unowned.filter(t => t.type !== 'crystalline_cave').slice(0, 2);
+const caves = unowned.filter(t => t.type === 'crystalline_cave').slice(0, 2);
+[...plains, ...caves].forEach(t => t.setOwner(acting.id));
+const [rival] = unowned.filter(t => !plains.includes(t) && !caves.includes(t));
+rival.setOwner(waiting.id);
+
+const install = (territory, id, type = 'mana_conduit') => {
+    const construct = new Construct({ id, type, level: 2, status: 'active', owner: acting });
+    construct.territory = territory;
+    territory.construct = construct;
+    constructManager.constructs.set(id, construct);
+    return construct;
+};
+
+// Test 1: Moving
+console.log('Test 1: Moving');
+const conduit = install(plains[0], 'move_probe');
+check("A construct can't move onto a territory the player doesn't own",
+    refused(() => constructManager.moveConstruct(acting.id, plains[0].id, rival.id)));
+check("The other player can't move it", refused(() => constructManager.moveConstruct(waiting.id, plains[0].id, caves[0].id)));
+
+const moved = await quietly(() => constructManager.moveConstruct(acting.id, plains[0].id, caves[0].id));
+check('A move binds the construct to its new territory', !plains[0].construct && caves[0].construct === conduit &&
+    conduit.territory === caves[0] && conduit.level === 2);
+check('The new installation roll sets its efficiency', moved.result.success && conduit.efficiency === moved.result.efficiency);
+check("A territory with a construct can't take another", refused(() => {
+    install(plains[1], 'blocking_probe');
+    constructManager.moveConstruct(acting.id, plains[1].id, caves[0].id);
+}));
+
+constructManager.rollInstallation = () => 2;
+await quietly(() => constructManager.moveConstruct(acting.id, caves[0].id, caves[1].id));
+check('A failed roll leaves it damaged on the new territory', caves[1].construct === conduit &&
+    conduit.status === 'damaged' && conduit.efficiency === 0);
+check('A damaged construct cannot be moved on', refused(() => constructManager.moveConstruct(acting.id, caves[1].id, caves[0].id)));
+
+constructManager.rollInstallation = () => 1;
+const lost = install(caves[0], 'lost_probe');
+await quietly(() => constructManager.moveConstruct(acting.id, caves[0].id, plains[0].id));
+check('A critical failure loses it', !caves[0].construct && !plains[0].construct && !constructManager.constructs.has(lost.id));
+delete constructManager.rollInstallation;
+console.log('');
+
+// Test 2: Uninstalling
+console.log('Test 2: Uninstalling');
+const blocker = plains[1].construct;
+await quietly(() => constructManager.uninstallConstruct(acting.id, plains[1].id));
+check('An uninstalled construct goes back into inventory', !plains[1].construct && !blocker.territory &&
+    blocker.status === 'inventory' && acting.inventory.constructs.includes(blocker));
+const reinstall = await quietly(() => constructManager.initiateInstallation(blocker.id, caves[0].id, acting.id));
+check('It can be installed again', reinstall.construct === blocker && !acting.inventory.constructs.includes(blocker));
+console.log('');
+
+// Test 3: Salvaging
+console.log('Test 3: Salvaging');
+const arcanumBefore = acting.resources.arcanum;
+const salvage = await quietly(() => constructManager.salvageConstruct(acting.id, conduit.id));
+const expected = Math.floor(CONSTRUCT_DEFINITIONS.mana_conduit.baseCost.arcanum * CONSTRUCT_SALVAGE.ARCANUM_SHARE);
+check('Salvage returns part of the arcanum cost', salvage.arcanum === expected && acting.resources.arcanum === arcanumBefore + expected);
+check('The salvaged construct is gone', !caves[1].construct && !constructManager.constructs.has(conduit.id));
+
+const base = await quietly(() => gameFlow.workshop.buyConstruct(acting.id));
+check('A base construct cannot be salvaged', refused(() => constructManager.salvageConstruct(acting.id, base.construct.id)));
+await quietly(() => gameFlow.workshop.outfitConstruct(acting.id, base.construct.id, 'aether_resonator'));
+await quietly(() => constructManager.salvageConstruct(acting.id, base.construct.id));
+check('A construct in inventory can be salvaged', !acting.inventory.constructs.includes(base.construct) &&
+    acting.resources.arcanum === arcanumBefore + expected + CONSTRUCT_DEFINITIONS.aether_resonator.baseCost.arcanum * CONSTRUCT_SALVAGE.ARCANUM_SHARE);
+console.log('');
+
+// Test 4: Turns and the replay
+console.log('Test 4: Turns and the replay');
+const rivalConstruct = new Construct({ id: 'rival_probe', type: 'mana_conduit', status: 'active', owner: waiting });
+rival.construct = rivalConstruct;
+check('Construct actions wait for the player\'s turn', refused(() => constructManager.uninstallConstruct(waiting.id, rival.id)) &&
+    rival.construct === rivalConstruct);
+const recorded = gameFlow.replayRecorder.replay.entries.filter(entry => entry.kind === 'action').map(entry => entry.type);
+check('Moves, uninstalls and salvage are recorded', recorded.filter(type => type === 'move_construct').length === 3 &&
+    recorded.includes('uninstall_construct') && recorded.filter(type => type === 'salvage_construct').length === 2);
+console.log('');
+
+// Test 5: AI
+console.log('Test 5: AI');
+[plains[0], plains[1], caves[0], caves[1]].forEach(t => { t.construct = null; });
+const misplaced = install(plains[0], 'misplaced_probe');
+const damaged = install(plains[1], 'damaged_probe', 'vitality_well');
+damaged.status = 'damaged';
+damaged.efficiency = 0;
+acting.resources = { mana: 500, vitality: 500, arcanum: 500, aether: 500 };
+const repair = constructManager.getAIConstructActions(acting.id).find(action => action.constructId === damaged.id);
+check('An AI repairs a damaged construct it can afford to', repair?.type === 'repair_construct' &&
+    await quietly(() => constructManager.performConstructAction(acting.id, repair)) && damaged.status === 'active');
+damaged.status = 'damaged';
+damaged.efficiency = 0;
+acting.resources = { mana: 0, vitality: 0, arcanum: 0, aether: 0 };
+const actions = constructManager.getAIConstructActions(acting.id);
+check('It salvages one it cannot repair and moves misplaced ones to suitable terrain', actions.length === 2 &&
+    actions.some(action => action.type === 'salvage_construct' && action.constructId === damaged.id) &&
+    actions.some(action => action.type === 'move_construct' && action.constructId === misplaced.id && caves.some(t => t.id === action.toTerritoryId)));
+await quietly(() => actions.forEach(action => constructManager.performConstructAction(acting.id, action)));
+check('It carries them out', !plains[1].construct && caves.some(t => t.construct === misplaced));
+check('Constructs on suitable terrain are left alone', constructManager.getAIConstructActions(acting.id)
+    .every(action => action.constructId !== misplaced.id));
+console.log('');
+
+await quietly(() => gameFlow.destroy());
+
+report('Construct Actions');
@@ -0,0 +1,173 @@
+/**
+ * Test Construct Maintenance
+ * Wear at the end of each cycle, breakdowns by level and terrain, repairs,
+ * auto-repair policies, risk alerts and condition history
+ */
+
+import Construct from './src/models/Construct.js';
+import { CONSTRUCT_DEFINITIONS, MAINTENANCE } from './src/config/gameConfig.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Construct Maintenance ===\n');
+
+const players = [{ id: 'player1', name: 'Player 1' }, { id: 'player2', name: 'Player 2', isAI: true }];
+
+const { gameFlow } = await createGame({ seed: 24, players });
+const maintenance = gameFlow.maintenance;
+const grid = gameFlow.territoryGrid;
+const human = gameFlow.stateManager.getPlayer('player1');
+const ai = gameFlow.stateManager.getPlayer('player2');
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+const unowned = grid.getUnownedTerritories().filter(t => !t.blocked);
+const volcano = unowned.find(t => t.type === 'volcanic_field');
+const [plain, second, aiHome, tunedHome] = unowned.filter(t => !MAINTENANCE.TERRAIN_RISK[t.type]);
+
+const install = (territory, owner, id, level = 1) => {
+    territory.setOwner(owner.id);
+    const construct = new Construct({ id, type: 'mana_conduit', level, status: 'active', owner });
+    construct.territory = territory;
+    territory.construct = construct;
+    gameFlow.constructManager.constructs.set(id, construct);
+    return construct;
+};
+
+// Breakdown rolls hit only constructs at least this likely to break down
+let breakdownsFrom = 1;
+gameFlow.random.chance = (probability) => probability >= breakdownsFrom;
+
+// Test 1: Wear
+console.log('Test 1: Wear');
+const worn = install(plain, human, 'wear_probe');
+human.consumption = { fed: { mana: 1 } };
+const wear = await quietly(() => maintenance.processEndOfCycle(1));
+check('Active constructs lose efficiency each cycle', close(worn.efficiency, 1 - MAINTENANCE.WEAR_PER_CYCLE) &&
+    wear.some(entry => entry.constructId === worn.id && !entry.brokeDown));
+human.consumption = { fed: { mana: 0.5 } };
+check('Unpaid mana upkeep wears them faster',
+    close(maintenance.getWear(human), MAINTENANCE.WEAR_PER_CYCLE + 0.5 * MAINTENANCE.UNPAID_UPKEEP_WEAR));
+human.consumption = { fed: { mana: 1 } };
+console.log('');
+
+// Test 2: Breakdowns
+console.log('Test 2: Breakdowns');
+const risky = install(volcano, human, 'risk_probe', 3);
+check('Breakdowns are likelier at higher levels and on harsh terrain',
+    close(maintenance.getBreakdownChance(worn, plain), MAINTENANCE.BREAKDOWN_CHANCE) &&
+    close(maintenance.getBreakdownChance(risky, volcano), MAINTENANCE.BREAKDOWN_CHANCE *
+        MAINTENANCE.LEVEL_RISK[3] * MAINTENANCE.TERRAIN_RISK.volcanic_field));
+check('Risky constructs raise alerts', maintenance.getRiskAlerts(human.id).length === 1 &&
+    maintenance.getRiskAlerts(human.id)[0].includes('breakdown risk'));
+
+const brokenEvents = [];
+gameFlow.on('construct.broke_down', (event) => brokenEvents.push(event));
+breakdownsFrom = MAINTENANCE.AT_RISK_BREAKDOWN_CHANCE;
+await quietly(() => maintenance.processEndOfCycle(2));
+breakdownsFrom = 1;
+check('A breakdown stops the construct', risky.status === 'damaged' && risky.efficiency === 0 &&
+    brokenEvents.some(event => event.constructId === risky.id && event.territoryId === volcano.id));
+check('Broken constructs produce nothing', gameFlow.constructManager.productionCalculator
+    .calculateTerritoryProduction(volcano).amount === 0);
+check('Broken constructs are listed with the alerts', maintenance.getRiskAlerts(human.id)
+    .some(alert => alert.includes('broken down')));
+console.log('');
+
+// Test 3: Repairs
+console.log('Test 3: Repairs');
+const brokenCosts = maintenance.getRepairCosts(risky);
+check('Repairing a broken construct costs a share of its price', Object.entries(CONSTRUCT_DEFINITIONS.mana_conduit.baseCost)
+    .every(([resource, amount]) => brokenCosts[resource] === Math.ceil(amount * MAINTENANCE.REPAIR_COST_SHARE)));
+const wornCosts = maintenance.getRepairCosts(worn);
+check('Worn constructs cost less to repair', wornCosts.arcanum < brokenCosts.arcanum &&
+    Object.keys(wornCosts).every(resource => wornCosts[resource] <= brokenCosts[resource]));
+
+human.resources = { mana: 0, vitality: 0, arcanum: 0, aether: 0 };
+const unaffordable = await quietly(() => maintenance.repairConstruct(human.id, risky.id));
+check('Repairs must be paid for', !unaffordable.success && risky.status === 'damaged');
+
+human.resources = { mana: 200, vitality: 200, arcanum: 200, aether: 200 };
+const repaired = await quietly(() => maintenance.repairConstruct(human.id, risky.id));
+check('A repair puts the construct back to work', repaired.success && risky.status === 'active' &&
+    risky.efficiency === 1 && human.resources.arcanum === 200 - (brokenCosts.arcanum || 0));
+check('A construct in good repair needs none', !maintenance.repairConstruct(human.id, risky.id).success);
+
+const tuned = install(tunedHome, human, 'tuned_probe');
+tuned.setInstalledEfficiency(1.5);
+tuned.efficiency = 1.2;
+const tunedCosts = maintenance.getRepairCosts(tuned);
+check('Repairs are priced against the installed efficiency', Object.entries(CONSTRUCT_DEFINITIONS.mana_conduit.baseCost)
+    .every(([resource, amount]) => tunedCosts[resource] === Math.ceil(amount * MAINTENANCE.REPAIR_COST_SHARE * 0.2)));
+await quietly(() => maintenance.repairConstruct(human.id, tuned.id));
+check('A repair restores the installed efficiency', tuned.efficiency === 1.5);
+tuned.setShortagePenalty(0.2);
+tuned.applyDamage(30);
+await quietly(() => maintenance.repairConstruct(human.id, tuned.id));
+check('A repair leaves the shortage penalty to lift with the shortage', close(tuned.efficiency, 1.2) &&
+    tuned.shortagePenalty === 0.2 && close(tuned.setShortagePenalty(0), 1.5));
+
+const weak = new Construct({ id: 'weak_probe', type: 'mana_conduit' });
+weak.setInstalledEfficiency(0.7);
+check('A weak installation needs no repair', Object.keys(maintenance.getRepairCosts(weak)).length === 0 &&
+    weak.getCondition() === 1);
+console.log('');
+
+// Test 4: Auto-repair
+console.log('Test 4: Auto-repair');
+check('Humans repair by hand and AI players repair worn constructs',
+    maintenance.getAutoRepairPolicy(human) === 'off' && maintenance.getAutoRepairPolicy(ai) === 'worn');
+check('Unknown policies are refused', !maintenance.setAutoRepairPolicy(human.id, 'always').success);
+
+const aiConstruct = install(aiHome, ai, 'ai_probe');
+ai.resources = { mana: 200, vitality: 200, arcanum: 200, aether: 200 };
+aiConstruct.efficiency = MAINTENANCE.AUTO_REPAIR_THRESHOLD;
+worn.efficiency = MAINTENANCE.AUTO_REPAIR_THRESHOLD;
+await quietly(() => maintenance.processEndOfCycle(3));
+check('Worn constructs are repaired automatically', aiConstruct.efficiency === 1 &&
+    aiConstruct.conditionHistory.at(-1).cause === 'auto-repair');
+check('Policy off leaves them worn', worn.efficiency < MAINTENANCE.AUTO_REPAIR_THRESHOLD);
+
+maintenance.setAutoRepairPolicy(human.id, 'broken');
+const spare = install(second, human, 'spare_probe');
+human.resources = { mana: 500, vitality: 500, arcanum: 500, aether: 500 };
+breakdownsFrom = 0;
+await quietly(() => maintenance.processEndOfCycle(4));
+breakdownsFrom = 1;
+check('Policy broken repairs breakdowns at the end of the cycle', spare.status === 'active' && spare.efficiency === 1 &&
+    spare.conditionHistory.map(entry => entry.cause).join(',') === 'breakdown,auto-repair');
+console.log('');
+
+// Test 5: Condition history
+console.log('Test 5: Condition history');
+check('Wear, breakdowns and repairs are recorded by cycle', risky.conditionHistory.slice(0, 3).map(entry => entry.cause).join(',') ===
+    'breakdown,repair,wear' && risky.conditionHistory[0].cycle === 2 && risky.conditionHistory[0].efficiency === 0 &&
+    risky.conditionHistory[2].cycle === 3);
+await quietly(() => {
+    for (let cycle = 5; cycle < 30; cycle++) {
+        maintenance.processEndOfCycle(cycle);
+    }
+});
+check('The history is bounded', worn.conditionHistory.length === MAINTENANCE.HISTORY_LENGTH);
+console.log('');
+
+// Test 6: End of cycle and saves
+console.log('Test 6: End of cycle and saves');
+const completed = [];
+gameFlow.on('maintenance.completed', (event) => completed.push(event));
+await quietly(() => gameFlow.cycleManager.processEndCycleEvents());
+check('The end of a cycle wears constructs down', completed.length === 1 &&
+    completed[0].cycle === gameFlow.cycleManager.currentCycle && completed[0].report.some(entry => entry.constructId === spare.id));
+
+await quietly(() => gameFlow.saveGame('maintenance'));
+const { gameFlow: restored } = await createGame({ seed: 99, players });
+restored.persistence.memoryStorage = gameFlow.persistence.memoryStorage;
+const result = await quietly(() => restored.loadGame('maintenance'));
+const restoredSpare = restored.territoryGrid.getTerritoryById(second.id).construct;
+check('A loaded game keeps auto-repair policies and condition history', result.success &&
+    restored.maintenance.getAutoRepairPolicy(restored.stateManager.getPlayer(human.id)) === 'broken' &&
+    JSON.stringify(restoredSpare.conditionHistory) === JSON.stringify(spare.conditionHistory));
+check('Installed efficiency is saved', restored.territoryGrid.getTerritoryById(tunedHome.id).construct.installedEfficiency === 1.5);
+console.log('');
+
+await quietly(() => [gameFlow, restored].forEach(game => game.destroy()));
+
+report('Construct Maintenance');
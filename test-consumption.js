@@ -0,0 +1,70 @@
+/**
+ * Test Resource Consumption
+ * Wizards eat vitality and constructs draw mana every cycle before decay,
+ * and a shortfall shortens the next turn and weakens constructs
+ */
+
+import Construct from './src/models/Construct.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Resource Consumption ===\n');
+
+const { gameFlow } = await createGame({ seed: 12 });
+const cycleManager = gameFlow.cycleManager;
+const consumption = cycleManager.resourceConsumption;
+const player1 = gameFlow.stateManager.getPlayer('player1');
+const player2 = gameFlow.stateManager.getPlayer('player2');
+
+const [home, field] = gameFlow.territoryGrid.territories;
+[home, field].forEach((territory, index) => {
+    territory.setOwner('player1');
+    territory.construct = new Construct({ id: `c${index}`, type: 'mana_conduit', owner: player1, status: 'active' });
+    territory.construct.territory = territory;
+});
+field.construct.status = 'installing';
+
+// Test 1: Consumption
+console.log('Test 1: Consumption');
+Object.assign(player1.resources, { vitality: 40, mana: 40 });
+Object.assign(player2.resources, { vitality: 40, mana: 40 });
+await quietly(() => cycleManager.processResourceConsumption());
+check('Only active constructs draw mana', consumption.countActiveConstructs('player1', gameFlow.territoryGrid.territories) === 1);
+check('Vitality and mana are deducted', player1.resources.vitality === 25 && player1.resources.mana === 35);
+check('A wizard without constructs only eats vitality', player2.resources.vitality === 25 && player2.resources.mana === 40);
+check('Consumption is recorded on the player', player1.consumption?.shortfall.vitality === 0 && player1.consumption.fed.mana === 1);
+console.log('');
+
+// Test 2: Shortfall
+console.log('Test 2: Shortfall');
+const fullTurn = gameFlow.turnManager.getTurnTimeLimit(player2);
+Object.assign(player2.resources, { vitality: 6 });
+await quietly(() => cycleManager.processResourceConsumption());
+check('Holdings cannot go negative', player2.resources.vitality === 0 && player2.consumption.shortfall.vitality === 9);
+check('Next turn shrinks with the share not eaten', gameFlow.turnManager.getTurnTimeLimit(player2) === Math.round(fullTurn * 0.4));
+player2.resources.vitality = 0;
+await quietly(() => cycleManager.processResourceConsumption());
+check('A starving wizard keeps a minimum of action time', gameFlow.turnManager.getTurnTimeLimit(player2) === Math.round(fullTurn * 0.3));
+player2.specializationBonuses = { actionTime: 0.1 };
+check('Specialization bonus applies to the shortened turn', gameFlow.turnManager.getTurnTimeLimit(player2) === Math.round(fullTurn * 0.3 * 1.1));
+delete player2.specializationBonuses;
+
+Object.assign(player1.resources, { mana: 2 });
+await quietly(() => {
+    cycleManager.processResourceConsumption();
+    cycleManager.processRealmSurvival();
+});
+check('Mana shortfall weakens constructs at once', Math.abs(home.construct.efficiency - 0.4) < 1e-9);
+console.log('');
+
+// Test 3: End of cycle order
+console.log('Test 3: End of cycle order');
+const order = [];
+gameFlow.on('resource_consumption.completed', () => order.push('consumption'));
+gameFlow.on('resource_decay.processing', () => order.push('decay'));
+await quietly(() => cycleManager.processEndCycleEvents());
+check('Consumption is taken before decay', order.join(',') === 'consumption,decay');
+console.log('');
+
+await quietly(() => gameFlow.destroy());
+
+report('Resource Consumption');
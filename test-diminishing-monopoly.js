@@ -0,0 +1,124 @@
+/**
+ * Test Diminishing Returns and Resource Monopoly
+ * Further territories of one terrain produce less, and a player holding
+ * most of a resource sells it at a premium at auction
+ */
+
+import Construct from './src/models/Construct.js';
+import AuctionManager from './src/models/AuctionManager.js';
+import MarketDataService from './src/models/MarketDataService.js';
+import TransactionEngine from './src/models/TransactionEngine.js';
+import { GUILD_STORE_ID } from './src/models/GuildStore.js';
+import { DIMINISHING_RETURNS, MONOPOLY } from './src/config/gameConfig.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Diminishing Returns and Resource Monopoly ===\n');
+
+// Test 1: Diminishing Returns
+console.log('Test 1: Diminishing returns');
+const { gameFlow } = await createGame({ seed: 18 });
+const grid = gameFlow.territoryGrid;
+const calculator = gameFlow.resourceProductionCalculator;
+
+// Three territories of the most common terrain for player 1, one for player 2
+const byType = new Map();
+grid.territories.forEach(t => byType.set(t.type, [...(byType.get(t.type) || []), t]));
+const [common] = [...byType.values()].sort((a, b) => b.length - a.length);
+const other = grid.territories.find(t => t.type !== common[0].type);
+const build = (territory, ownerId) => {
+    territory.ownerId = ownerId;
+    territory.construct = new Construct({ id: `c_${territory.id}`, type: 'mana_conduit', status: 'active' });
+};
+common.slice(0, 3).forEach(t => build(t, 'player1'));
+build(common[3], 'player2');
+build(other, 'player1');
+
+const full = new Map(grid.territories.filter(t => t.construct)
+    .map(t => [t.id, calculator.calculateTerritoryProduction(t).amount]));
+const results = await quietly(() => calculator.calculateCycleProduction());
+const produced = new Map(results.individualProduction.map(p => [p.territoryId, p]));
+const ranked = common.slice(0, 3).map(t => produced.get(t.id)).sort((a, b) => a.modifiers.terrainRank - b.modifiers.terrainRank);
+
+check('The best territory of a terrain keeps its full yield', ranked[0].amount === full.get(ranked[0].territoryId) &&
+    ranked[0].modifiers.diminishing === 1);
+check('Each further territory of the terrain yields a step less', ranked.every((p, rank) =>
+    p.amount === Math.floor(full.get(p.territoryId) * (1 - rank * DIMINISHING_RETURNS.STEP)) &&
+    p.diminished === full.get(p.territoryId) - p.amount));
+check('The best territory is the one producing most', full.get(ranked[0].territoryId) >= full.get(ranked[1].territoryId) &&
+    full.get(ranked[1].territoryId) >= full.get(ranked[2].territoryId));
+check('Another terrain and another player are not affected', produced.get(other.id).amount === full.get(other.id) &&
+    produced.get(common[3].id).amount === full.get(common[3].id));
+check(`The yield never falls below ${DIMINISHING_RETURNS.MIN_MULTIPLIER * 100}%`,
+    calculator.getDiminishingMultiplier(20) === DIMINISHING_RETURNS.MIN_MULTIPLIER);
+
+const total = results.playerTotals.find(p => p.playerId === 'player1');
+const lost = ranked.reduce((sum, p) => sum + p.diminished, 0);
+check('Player totals count the reduced yields and what was lost', total.diminished.mana === lost && total.resources.mana ===
+    [...ranked, produced.get(other.id)].reduce((sum, p) => sum + p.amount, 0));
+const summary = gameFlow.cycleManager.generateProductionSummary(results);
+check('The production summary reports the loss for each player',
+    summary.playerSummaries.find(p => p.playerId === 'player1').diminished.mana === lost &&
+    summary.playerSummaries.find(p => p.playerId === 'player2').diminished.mana === 0);
+console.log('');
+
+// Test 2: Monopoly detection
+console.log('Test 2: Monopoly detection');
+const players = [
+    { id: 'player1', name: 'Player 1', gold: 1000, resources: { mana: 70, vitality: 50, arcanum: 60, aether: 0 } },
+    { id: 'player2', name: 'Player 2', gold: 1000, resources: { mana: 30, vitality: 50, arcanum: 40, aether: 0 } }
+];
+const stateManager = { getState: () => ({ players }) };
+const marketData = new MarketDataService(stateManager);
+marketData.calculateSupplyDemand();
+const monopoly = marketData.getMonopoly('mana');
+check(`Holding ${MONOPOLY.THRESHOLD * 100}% or more of a resource is a monopoly`, monopoly?.playerId === 'player1' &&
+    Math.abs(monopoly.share - 0.7) < 1e-9 && marketData.getMonopoly('arcanum')?.playerId === 'player1');
+check('Even holdings and resources no one holds are not', marketData.getMonopoly('vitality') === null &&
+    marketData.getMonopoly('aether') === null);
+check('The market summary names the monopolist', marketData.getMarketSummary('mana').monopoly.playerId === 'player1');
+console.log('');
+
+// Test 3: Sale premium
+console.log('Test 3: Sale premium');
+const auctionManager = new AuctionManager({ events: null });
+auctionManager.setMarketDataService(marketData);
+await quietly(() => auctionManager.startResourceAuction('mana'));
+check('The auction names the monopolist of its resource', auctionManager.getState().monopoly?.playerId === 'player1');
+
+await quietly(() => {
+    auctionManager.updatePlayerPosition('player1', 50, 'sell', 10);
+    auctionManager.updatePlayerPosition('player2', 60, 'buy', 10);
+});
+const sale = auctionManager.pendingTrades.find(t => t.sellerId === 'player1');
+check('Sales by the monopolist earn the premium', sale?.price === 50 &&
+    sale.premium === Math.round(50 * MONOPOLY.PREMIUM) * sale.quantity);
+// Inside the Guild Store's spread so only the two players trade
+const quote = auctionManager.guildStore.getQuote('mana');
+const bid = quote.sellPrice - 1;
+await quietly(() => {
+    auctionManager.updatePlayerPosition('player2', bid, 'buy', 5);
+    auctionManager.updatePlayerPosition('player1', quote.buyPrice + 1, 'sell', 5);
+});
+const restingBuy = auctionManager.pendingTrades.at(-1);
+check('A resting buy order still pays the premium', restingBuy.sellerId === 'player1' && restingBuy.price === bid &&
+    restingBuy.premium === Math.round(bid * MONOPOLY.PREMIUM) * 5);
+await quietly(() => auctionManager.updatePlayerPosition('player1', quote.buyPrice, 'sell', 4));
+const storeBuy = auctionManager.pendingTrades.at(-1);
+check('So do Guild Store purchases from the monopolist', storeBuy.buyerId === GUILD_STORE_ID &&
+    storeBuy.premium === Math.round(quote.buyPrice * MONOPOLY.PREMIUM) * 4);
+check('Other sellers get no premium', auctionManager.getMonopolyPremium('player2', 50, 10) === 0);
+
+const engine = new TransactionEngine(stateManager, marketData);
+engine.createTransaction(sale.buyerId, sale.sellerId, sale.resource, sale.price, sale.quantity, sale.premium);
+const settled = engine.processPendingTransactions();
+const cost = sale.price * sale.quantity;
+check('The seller receives the premium on top of the price', settled.succeeded === 1 && players[1].gold === 1000 - cost &&
+    players[0].gold === 1000 + cost - Math.floor(cost * engine.guildTaxRate) + sale.premium);
+
+await quietly(() => auctionManager.startResourceAuction('vitality'));
+check('Resources without a monopolist have none', auctionManager.getState().monopoly === null);
+console.log('');
+
+await quietly(() => gameFlow.destroy());
+
+report('Diminishing Returns and Resource Monopoly');
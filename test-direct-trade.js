@@ -0,0 +1,122 @@
+/**
+ * Test Direct Player Trading
+ * Offers between players settle through the TransactionEngine, with
+ * resources lost in transit by hex distance
+ */
+
+import HexUtils from './src/utils/HexUtils.js';
+import { GAME_SETTINGS } from './src/config/gameConfig.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Direct Trading ===\n');
+
+const players = [
+    { id: 'player1', name: 'Player 1', color: 0xff0000 },
+    { id: 'player2', name: 'Player 2', color: 0x00ff00 },
+    { id: 'ai1', name: 'AI 1', color: 0x0000ff, isAI: true }
+];
+
+const { gameFlow, clock } = await createGame({ seed: 9, players });
+const trades = gameFlow.tradeOfferManager;
+const player1 = gameFlow.stateManager.getPlayer('player1');
+const player2 = gameFlow.stateManager.getPlayer('player2');
+const ai = gameFlow.stateManager.getPlayer('ai1');
+
+// Give player1 and player2 land three hexes apart, and the AI a neighbour of player1
+const hexUtils = new HexUtils(GAME_SETTINGS.HEX_SIZE);
+const territories = gameFlow.territoryGrid.territories;
+const home = territories[0];
+const far = territories.find(t => hexUtils.distance(home.q, home.r, t.q, t.r) === 3);
+const near = territories.find(t => hexUtils.distance(home.q, home.r, t.q, t.r) === 1);
+home.setOwner('player1');
+far.setOwner('player2');
+near.setOwner('ai1');
+
+// Test 1: Distance penalty
+console.log('Test 1: Distance penalty');
+check('Distance is measured between nearest territories', trades.getTradeDistance('player1', 'player2') === 3);
+check('Penalty grows 10% per hex', Math.abs(trades.getPenaltyRate(3) - 0.3) < 1e-9);
+check('Penalty is capped at 50%', trades.getPenaltyRate(12) === 0.5);
+check('Players without land trade at the one-hex rate', trades.getPenaltyRate(null) === 0.1);
+console.log('');
+
+// Test 2: Proposing and accepting
+console.log('Test 2: Proposing and accepting');
+const proposed = await quietly(() => trades.proposeOffer('player1', 'player2',
+    { resources: { mana: 50 } }, { gold: 100 }));
+check('Offer is created', proposed.success && proposed.offer.status === 'pending');
+check('Offer carries the distance penalty', Math.abs(proposed.offer.penaltyRate - 0.3) < 1e-9);
+check('Recipient sees the offer as incoming',
+    trades.getPendingOffers('player2').incoming[0]?.id === proposed.offer.id);
+check('Only the recipient can accept', !trades.acceptOffer(proposed.offer.id, 'player1').success);
+
+const accepted = await quietly(() => trades.acceptOffer(proposed.offer.id, 'player2'));
+check('Offer is accepted', accepted.success && proposed.offer.status === 'accepted');
+check('Proposer gives all 50 mana and receives the gold', player1.resources.mana === 50 && player1.gold === 1100);
+check('Recipient receives 35 mana after the penalty and pays the gold',
+    player2.resources.mana === 135 && player2.gold === 900);
+check('Settlement is recorded by the TransactionEngine',
+    trades.getTransactionEngine().getTransactionHistory({ playerId: 'player2' })
+        .some(txn => txn.type === 'direct' && txn.offerId === proposed.offer.id));
+check('Accepted offer cannot be accepted twice', !trades.acceptOffer(proposed.offer.id, 'player2').success);
+console.log('');
+
+// Test 3: Rejecting, cancelling and invalid offers
+console.log('Test 3: Rejecting, cancelling and invalid offers');
+const rejected = await quietly(() => trades.proposeOffer('player2', 'player1', { gold: 10 }, { resources: { arcanum: 20 } }));
+await quietly(() => trades.rejectOffer(rejected.offer.id, 'player1'));
+check('Rejected offer moves nothing', rejected.offer.status === 'rejected' && player2.gold === 900);
+const cancelled = await quietly(() => trades.proposeOffer('player2', 'player1', { gold: 10 }, { resources: { arcanum: 20 } }));
+await quietly(() => trades.cancelOffer(cancelled.offer.id, 'player2'));
+check('Proposer can withdraw an offer', cancelled.offer.status === 'cancelled' &&
+    trades.getPendingOffers('player2').outgoing.length === 0);
+check('Cannot offer more than you hold',
+    !(await quietly(() => trades.proposeOffer('player1', 'player2', { gold: 5000 }, { resources: { mana: 1 } }))).success);
+const unaffordable = await quietly(() => trades.proposeOffer('player1', 'player2', { gold: 10 }, { resources: { aether: 10 } }));
+player2.resources.aether = 0;
+await quietly(() => trades.acceptOffer(unaffordable.offer.id, 'player2'));
+check('Offer fails if the recipient cannot pay', unaffordable.offer.status === 'failed' && player1.gold === 1100);
+console.log('');
+
+// Test 4: Emergency sharing
+console.log('Test 4: Emergency sharing');
+const gift = await quietly(() => trades.proposeOffer('player2', 'player1', { resources: { vitality: 40 } }, {}));
+check('Gift of resources is emergency sharing', gift.offer.emergency && gift.offer.penaltyRate === 0);
+await quietly(() => trades.acceptOffer(gift.offer.id, 'player1'));
+check('Shared resources arrive in full', player1.resources.vitality === 140 && player2.resources.vitality === 60);
+console.log('');
+
+// Test 5: AI responses
+console.log('Test 5: AI responses');
+const generous = await quietly(() => trades.proposeOffer('player1', 'ai1', { gold: 200 }, { resources: { mana: 2 } }));
+check('AI does not answer immediately', generous.offer.status === 'pending');
+await quietly(() => clock.advance(2000));
+check('AI accepts a trade worth more to it', generous.offer.status === 'accepted' && ai.resources.mana === 98);
+const stingy = await quietly(() => trades.proposeOffer('player1', 'ai1', { gold: 1 }, { resources: { arcanum: 100 } }));
+await quietly(() => clock.advance(2000));
+check('AI rejects a trade worth less to it', stingy.offer.status === 'rejected');
+const share = await quietly(() => trades.proposeOffer('player1', 'ai1', { resources: { mana: 5 } }, {}));
+await quietly(() => clock.advance(2000));
+check('AI accepts emergency shares', share.offer.status === 'accepted');
+console.log('');
+
+// Test 6: Save and restore
+console.log('Test 6: Save and restore');
+const open = await quietly(() => trades.proposeOffer('player1', 'ai1', { gold: 300 }, { resources: { mana: 1 } }));
+await quietly(() => gameFlow.saveGame('trading'));
+
+const { gameFlow: restored, clock: restoredClock } = await createGame({ seed: 9, players });
+restored.persistence.memoryStorage = gameFlow.persistence.memoryStorage;
+await quietly(() => restored.loadGame('trading'));
+const restoredOffer = restored.tradeOfferManager.getOffer(open.offer.id);
+check('Open offers are restored', restoredOffer?.status === 'pending');
+check('Offer history is restored', restored.tradeOfferManager.getOffer(proposed.offer.id)?.status === 'accepted');
+await quietly(() => restoredClock.advance(2000));
+check('AI answers restored offers', restoredOffer.status === 'accepted');
+const next = await quietly(() => restored.tradeOfferManager.proposeOffer('player1', 'player2', { gold: 1 }, {}));
+check('Offer ids continue after loading', next.offer.id === `offer_${trades.offerCounter + 1}`);
+console.log('');
+
+await quietly(() => [gameFlow, restored].forEach(flow => flow.destroy()));
+
+report('Direct Trading');
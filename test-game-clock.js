@@ -0,0 +1,115 @@
+/**
+ * Test Game Clock (real, manually stepped and scaled timers)
+ */
+
+import VirtualClock from './src/utils/VirtualClock.js';
+import ScaledClock from './src/utils/ScaledClock.js';
+import TimeManager from './src/models/TimeManager.js';
+import GameFlowController from './src/models/GameFlowController.js';
+import ResourceQueueManager from './src/models/ResourceQueueManager.js';
+import { check, quietly, report } from './test-helpers.js';
+
+console.log('=== Testing Game Clock ===\n');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Test 1: Phase timer warnings and expiry on a stepped clock
+console.log('Test 1: Phase timer on virtual clock');
+const clock = new VirtualClock();
+const timeManager = new TimeManager(clock);
+const warnings = [];
+let expiredPhase = null;
+timeManager.on('timer.warning', (data) => warnings.push(data.level));
+timeManager.on('phase.timeout', (data) => { expiredPhase = data.phase; });
+quietly(() => timeManager.startPhaseTimer('auction_phase', 60));
+quietly(() => clock.advance(29000));
+check('No warning before the 30s threshold', warnings.length === 0);
+quietly(() => clock.advance(1000));
+check('Warning at 30s remaining', warnings.join(',') === 'warning');
+quietly(() => clock.advance(20000));
+check('Critical warning at 10s remaining', warnings.join(',') === 'warning,critical');
+check('Phase not yet timed out', expiredPhase === null);
+quietly(() => clock.advance(10000));
+check('Phase timed out after 60s of game time', expiredPhase === 'auction_phase');
+console.log('');
+
+// Test 2: Turn limits and time banks run on game time
+console.log('Test 2: Time banks');
+quietly(() => timeManager.startPlayerTimer('player1', 'territory_selection'));
+quietly(() => clock.advance(45000));
+quietly(() => timeManager.clearPlayerTimer('player1'));
+check('Ending a turn early leaves the time bank alone', timeManager.getPlayerTimeBank('player1') === 600000);
+
+for (let cycle = 0; cycle < 8; cycle++) {
+    quietly(() => timeManager.startPlayerTimer('player1', 'territory_selection'));
+    quietly(() => clock.advance(100000));
+    quietly(() => timeManager.clearPlayerTimer('player1'));
+}
+quietly(() => timeManager.startPlayerTimer('player1', 'territory_selection'));
+check('Turns keep their full limit over many cycles',
+    timeManager.playerTimers.get('player1').duration === 120000);
+
+let player1TimedOut = false;
+timeManager.on('player.timeout', (data) => { player1TimedOut ||= data.playerId === 'player1'; });
+quietly(() => timeManager.pauseAllTimers());
+quietly(() => clock.advance(60000));
+quietly(() => timeManager.resumeAllTimers());
+quietly(() => clock.advance(119000));
+check('Paused time does not count towards the turn limit', !player1TimedOut);
+quietly(() => clock.advance(1000));
+check('The turn expires after its limit of unpaused time', player1TimedOut);
+
+let timedOut = false;
+timeManager.on('player.timeout', () => { timedOut = true; });
+quietly(() => timeManager.startPlayerTimer('player2', 'territory_selection'));
+quietly(() => clock.advance(120000));
+check('Player timer expires after its 120s limit', timedOut);
+check('Expired turn charges the full limit', timeManager.getPlayerTimeBank('player2') === 480000);
+quietly(() => timeManager.clearAllTimers());
+console.log('');
+
+// Test 3: Game systems share the injected clock
+console.log('Test 3: Shared clock');
+const gameClock = new VirtualClock();
+const game = quietly(() => new GameFlowController({ clock: gameClock, autoSave: false, storageType: 'memory' }));
+check('TimeManager uses the game clock', game.timeManager.clock === gameClock);
+check('TurnManager uses the game clock', game.turnManager.clock === gameClock);
+check('GameCycleManager uses the game clock', game.cycleManager.clock === gameClock);
+
+const queue = new ResourceQueueManager({ gameFlow: game, clock: gameClock, on: () => {}, startResourceAuction: () => {} });
+check('ResourceQueueManager uses the auction clock', queue.clock === gameClock);
+
+let advanced = false;
+game.cycleManager.advancePhase = () => { advanced = true; };
+quietly(() => game.cycleManager.schedulePhaseAdvance(15));
+quietly(() => gameClock.advance(14999));
+check('Scheduled phase advance waits for game time', !advanced);
+quietly(() => gameClock.advance(1));
+check('Scheduled phase advance fires at 15s', advanced);
+quietly(() => game.destroy());
+gameClock.reset();
+console.log('');
+
+// Test 4: Scaled clock runs timers faster than real time
+console.log('Test 4: Scaled clock');
+const fast = new ScaledClock(50);
+let fastFired = false;
+fast.setTimeout(() => { fastFired = true; }, 2000);
+await wait(100);
+check('2s timer fires within 100ms at 50x speed', fastFired);
+
+const paused = new ScaledClock(1);
+let pausedFired = false;
+paused.setTimeout(() => { pausedFired = true; }, 50);
+paused.setSpeed(0);
+const frozenAt = paused.now();
+await wait(100);
+check('Speed 0 freezes game time', paused.now() === frozenAt);
+check('Timers do not fire while paused', !pausedFired);
+paused.setSpeed(10);
+await wait(50);
+check('Timers fire once speed is restored', pausedFired);
+check('No timers left pending', fast.getPendingTimerCount() === 0 && paused.getPendingTimerCount() === 0);
+console.log('');
+
+report('Game Clock');
@@ -0,0 +1,128 @@
+/**
+ * Test Guild Store Market Maker
+ */
+
+import AuctionManager from './src/models/AuctionManager.js';
+import GuildStore, { GUILD_STORE_ID } from './src/models/GuildStore.js';
+import MarketDataService from './src/models/MarketDataService.js';
+import TransactionEngine from './src/models/TransactionEngine.js';
+import VirtualClock from './src/utils/VirtualClock.js';
+import { check, quietly, report } from './test-helpers.js';
+
+console.log('=== Testing Guild Store ===\n');
+
+const players = [
+    { id: 'player1', name: 'Player 1', gold: 1000, resources: { mana: 0, vitality: 0, arcanum: 0, aether: 0 } },
+    { id: 'player2', name: 'Player 2', gold: 1000, resources: { mana: 30, vitality: 0, arcanum: 0, aether: 0 } }
+];
+const stateManager = {
+    getState: () => ({ players: players }),
+    getPlayer: (id) => players.find(p => p.id === id)
+};
+
+function createAuction(resource = 'mana') {
+    const manager = new AuctionManager({ clock: new VirtualClock() });
+    const marketDataService = new MarketDataService(stateManager);
+    const transactionEngine = new TransactionEngine(stateManager, marketDataService);
+    manager.setMarketDataService(marketDataService);
+    transactionEngine.setGuildStore(manager.guildStore);
+    quietly(() => {
+        manager.startAuctionPhase();
+        manager.startResourceAuction(resource);
+    });
+    return { manager, marketDataService, transactionEngine };
+}
+
+function settle(manager, transactionEngine) {
+    manager.pendingTrades.splice(0).forEach(trade => {
+        transactionEngine.createTransaction(trade.buyerId, trade.sellerId, trade.resource, trade.price, trade.quantity);
+    });
+    return transactionEngine.processPendingTransactions();
+}
+
+// Test 1: Quotes
+console.log('Test 1: Quotes');
+{
+    const { manager, marketDataService } = createAuction();
+    const quote = manager.getState().guildStore;
+    const dynamicPrice = marketDataService.calculateDynamicPrice('mana');
+    check('Store quotes the auctioned resource', quote && quote.resource === 'mana');
+    check('Buys below and sells above the dynamic price',
+        quote.buyPrice < dynamicPrice && quote.sellPrice > dynamicPrice);
+    check('Starts with stock', quote.stock > 0);
+
+    const store = new GuildStore();
+    const edge = store.updateQuote('aether', 400, { min: 10, max: 100 });
+    check('Quotes stay on the auction price scale', edge.sellPrice === 100 && edge.buyPrice < edge.sellPrice);
+}
+console.log('');
+
+// Test 2: Trading with the store
+console.log('Test 2: Trading');
+{
+    const { manager, transactionEngine } = createAuction();
+    const quote = manager.guildStore.getQuote('mana');
+    const stockBefore = quote.stock;
+
+    manager.updatePlayerPosition('player1', quote.sellPrice, 'buy', 4);
+    const bought = manager.pendingTrades[0];
+    check('Bid at the store sell price buys from the store',
+        bought && bought.sellerId === GUILD_STORE_ID && bought.price === quote.sellPrice && bought.quantity === 4);
+
+    const goldBefore = players[0].gold;
+    const result = settle(manager, transactionEngine);
+    check('Trade with the store settles', result.succeeded === 1);
+    check('Buyer pays and receives the resource',
+        players[0].gold === goldBefore - quote.sellPrice * 4 && players[0].resources.mana === 4);
+    check('Store stock goes down', manager.guildStore.getStock('mana') === stockBefore - 4);
+
+    manager.updatePlayerPosition('player2', quote.buyPrice, 'sell', 10);
+    const sold = manager.pendingTrades[0];
+    check('Offer at the store buy price sells to the store',
+        sold && sold.buyerId === GUILD_STORE_ID && sold.price === quote.buyPrice && sold.quantity === 10);
+    settle(manager, transactionEngine);
+    check('Store stock goes up', manager.guildStore.getStock('mana') === stockBefore + 6);
+    check('Seller is paid after guild tax',
+        players[1].gold === 1000 + quote.buyPrice * 10 - Math.floor(quote.buyPrice * 10 * transactionEngine.guildTaxRate));
+
+    const midBid = quote.buyPrice + 1;
+    manager.updatePlayerPosition('player1', midBid, 'buy', 2);
+    check('Orders inside the spread keep resting', manager.pendingTrades.length === 0 &&
+        manager.playerPositions.has('player1'));
+}
+console.log('');
+
+// Test 3: Limited stock
+console.log('Test 3: Stock limits');
+{
+    const { manager } = createAuction('aether');
+    const quote = manager.guildStore.getQuote('aether');
+    manager.updatePlayerPosition('player1', quote.sellPrice, 'buy', 3);
+    check('Store cannot sell what it does not have', quote.stock === 0 && manager.pendingTrades.length === 0);
+
+    manager.guildStore.addStock('aether', 2);
+    manager.checkForTrades();
+    check('Partial fill up to the stock on hand', manager.pendingTrades[0]?.quantity === 2 &&
+        manager.playerPositions.get('player1').quantity === 1);
+    manager.checkForTrades();
+    check('Stock promised to unsettled trades is not sold twice', manager.pendingTrades.length === 1);
+}
+console.log('');
+
+// Test 4: Production and saving
+console.log('Test 4: Production and saving');
+{
+    const store = new GuildStore({ startingStock: { mana: 0 } });
+    const added = store.restockFromProduction({ mana: 55, vitality: 4 });
+    check('Store takes a share of production', added.mana === 5 && store.getStock('mana') === 5);
+    check('Small amounts add nothing', added.vitality === undefined);
+
+    store.updateQuote('mana', 30);
+    const restored = new GuildStore();
+    restored.restoreFromState(JSON.parse(JSON.stringify(store.getSerializableState())));
+    check('Stock and quotes survive a save', restored.getStock('mana') === 5 &&
+        restored.getQuote('mana').sellPrice === store.getQuote('mana').sellPrice);
+}
+console.log('');
+
+report('Guild Store');
@@ -0,0 +1,116 @@
+/**
+ * Test Guild Workshop
+ * Buying base constructs, outfitting them for a resource, re-outfitting
+ * installed constructs, and workshop stock built from the Guild's arcanum
+ */
+
+import AuctionManager from './src/models/AuctionManager.js';
+import Construct from './src/models/Construct.js';
+import { WORKSHOP } from './src/config/gameConfig.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Guild Workshop ===\n');
+
+// Test 1: Buying and outfitting
+console.log('Test 1: Buying and outfitting');
+const { gameFlow } = await createGame({ seed: 22 });
+const workshop = gameFlow.workshop;
+const player = (id) => gameFlow.stateManager.getPlayer(id);
+const p1 = player('player1');
+
+check('Outfitting costs differ by resource', workshop.getOutfittedPrice('mana_conduit') ===
+    WORKSHOP.BASE_PRICE + WORKSHOP.ATTUNEMENT_COSTS.mana &&
+    workshop.getOutfittedPrice('aether_resonator') === WORKSHOP.BASE_PRICE + WORKSHOP.ATTUNEMENT_COSTS.aether);
+
+const bought = await quietly(() => workshop.buyConstruct('player1'));
+const base = bought.construct;
+check('A base construct costs the base price and comes from stock', bought.success && p1.gold === 1000 - WORKSHOP.BASE_PRICE &&
+    workshop.stock === WORKSHOP.STARTING_STOCK - 1 && p1.inventory.constructs.includes(base) && !base.isOutfitted());
+
+const [site] = gameFlow.territoryGrid.getUnownedTerritories();
+site.setOwner('player1');
+let installError = null;
+try {
+    await quietly(() => gameFlow.constructManager.initiateInstallation(base.id, site.id, 'player1'));
+} catch (error) {
+    installError = error;
+}
+check('A base construct cannot be installed until it is outfitted', installError !== null && base.status === 'inventory');
+
+const outfitted = await quietly(() => workshop.outfitConstruct('player1', base.id, 'vitality_well'));
+check('Outfitting attunes it for a fee', outfitted.success && base.type === 'vitality_well' &&
+    p1.gold === 1000 - WORKSHOP.BASE_PRICE - WORKSHOP.ATTUNEMENT_COSTS.vitality);
+check('A construct is only outfitted once at the workshop', !workshop.outfitConstruct('player1', base.id, 'mana_conduit').success);
+
+const installation = await quietly(() => gameFlow.constructManager.initiateInstallation(base.id, site.id, 'player1'));
+check('An outfitted construct installs', installation.construct === base && !p1.inventory.constructs.includes(base));
+
+const p2 = player('player2');
+p2.gold = workshop.getOutfittedPrice('aether_resonator') - 1;
+const stockBefore = workshop.stock;
+check('Nothing is charged or taken from stock when the gold falls short',
+    !workshop.purchaseOutfitted('player2', 'aether_resonator').success && p2.gold === workshop.getOutfittedPrice('aether_resonator') - 1 &&
+    workshop.stock === stockBefore);
+p2.gold = 1000;
+const purchase = await quietly(() => workshop.purchaseOutfitted('player2', 'aether_resonator'));
+check('A construct can be bought already outfitted', purchase.success && purchase.construct.type === 'aether_resonator' &&
+    p2.gold === 1000 - purchase.price);
+console.log('');
+
+// Test 2: Stock
+console.log('Test 2: Stock');
+workshop.stock = 0;
+check('The workshop sells no more once its stock runs out', !workshop.buyConstruct('player1').success);
+check('Without a Guild Store no new constructs are built', await quietly(() => workshop.restock(1)) === 0);
+
+gameFlow.auctionManager = await quietly(() => new AuctionManager(gameFlow));
+const guildStore = gameFlow.auctionManager.guildStore;
+const startingArcanum = guildStore.getStock('arcanum');
+guildStore.restockFromProduction({ arcanum: 100 });
+check("The Guild's own arcanum builds nothing", await quietly(() => workshop.restock(1)) === 0);
+const ownArcanum = guildStore.getStock('arcanum');
+
+guildStore.buyFromPlayer('arcanum', 7);
+const built = await quietly(() => workshop.restock(1));
+check('Constructs are built from the arcanum players sold the Guild', built === Math.floor(7 / WORKSHOP.ARCANUM_PER_CONSTRUCT) &&
+    workshop.stock === built && guildStore.getStock('arcanum') === ownArcanum + 7 % WORKSHOP.ARCANUM_PER_CONSTRUCT &&
+    ownArcanum > startingArcanum);
+
+guildStore.buyFromPlayer('arcanum', 100);
+await quietly(() => gameFlow.cycleManager.forceAdvanceToPhase('construct_outfitting'));
+check('The outfitting phase restocks up to the workshop limit', workshop.stock === WORKSHOP.MAX_STOCK &&
+    guildStore.getStock('arcanum') === ownArcanum + 101 - (WORKSHOP.MAX_STOCK - built) * WORKSHOP.ARCANUM_PER_CONSTRUCT);
+console.log('');
+
+// Test 3: Re-outfitting
+console.log('Test 3: Re-outfitting');
+const [home] = gameFlow.territoryGrid.getUnownedTerritories();
+home.setOwner('player1');
+home.construct = new Construct({ id: 'reoutfit_probe', type: 'mana_conduit', level: 3, status: 'active', owner: p1 });
+home.construct.efficiency = 0.8;
+const goldBefore = p1.gold;
+const reoutfit = await quietly(() => workshop.reoutfitConstruct('player1', home.id, 'vitality_well'));
+check('An installed construct is re-outfitted in place for a fee', reoutfit.success && home.construct.type === 'vitality_well' &&
+    p1.gold === goldBefore - WORKSHOP.ATTUNEMENT_COSTS.vitality - WORKSHOP.REOUTFIT_FEE);
+check('It keeps its level and efficiency, and takes up its new ability', home.construct.level === 3 &&
+    home.construct.efficiency === 0.8 && home.construct.specialAbility.id === 'life_bloom');
+check('It cannot be re-outfitted for what it already makes', !workshop.reoutfitConstruct('player1', home.id, 'vitality_well').success);
+check("Nobody re-outfits another player's construct", !workshop.reoutfitConstruct('player2', home.id, 'mana_conduit').success);
+console.log('');
+
+// Test 4: Saves
+console.log('Test 4: Saves');
+const spare = await quietly(() => workshop.buyConstruct('player1'));
+await quietly(() => gameFlow.saveGame('workshop'));
+const { gameFlow: restored } = await createGame({ seed: 99 });
+restored.persistence.memoryStorage = gameFlow.persistence.memoryStorage;
+const result = await quietly(() => restored.loadGame('workshop'));
+const restoredSpare = restored.stateManager.getPlayer('player1').inventory.constructs.find(c => c.id === spare.construct.id);
+check('A loaded game keeps the workshop stock', result.success &&
+    JSON.stringify(restored.workshop.getSerializableState()) === JSON.stringify(workshop.getSerializableState()));
+check('Base constructs in inventory still wait to be outfitted', restoredSpare && !restoredSpare.isOutfitted());
+console.log('');
+
+await quietly(() => [gameFlow, restored].forEach(game => game.destroy()));
+
+report('Guild Workshop');
@@ -0,0 +1,51 @@
+/**
+ * Test Headless Game Simulation (full all-AI game on virtual time)
+ */
+
+import HeadlessGameRunner from './src/simulation/HeadlessGameRunner.js';
+import VirtualClock from './src/utils/VirtualClock.js';
+import { check, report } from './test-helpers.js';
+
+console.log('=== Testing Headless Game Simulation ===\n');
+
+// Test 1: Virtual clock fires timers in order without real waiting
+console.log('Test 1: Virtual clock');
+const clock = new VirtualClock();
+const fired = [];
+clock.setTimeout(() => fired.push('b'), 2000);
+clock.setTimeout(() => fired.push('a'), 1000);
+const interval = clock.setInterval(() => fired.push('tick'), 1500);
+clock.advance(3000);
+check('Timers fire in time order', fired.join(',') === 'a,tick,b,tick');
+check('Clock time advanced to 3000ms', clock.now() === 3000);
+clock.clearInterval(interval);
+check('Cleared interval leaves no pending timers', clock.getPendingTimerCount() === 0);
+console.log('');
+
+// Test 2: A full game runs to completion
+console.log('Test 2: Full game');
+const startTime = Date.now();
+const result = await new HeadlessGameRunner({ seed: 1234 }).run();
+console.log(`Ran in ${Date.now() - startTime}ms real time, ${Math.round(result.virtualTimeMs / 1000)}s virtual time`);
+check('Game completed', result.completed);
+check('All 12 cycles were played', result.cyclesPlayed === 12);
+check('Final results cover all 4 players', result.finalResults.length === 4);
+check('Players are ranked 1-4', result.finalResults.map(r => r.rank).join(',') === '1,2,3,4');
+check('AI players claimed territories', result.finalResults.every(r => r.territories > 0));
+console.log('');
+
+// Test 3: Same seed gives the same game
+console.log('Test 3: Reproducibility');
+const again = await new HeadlessGameRunner({ seed: 1234 }).run();
+check('Same seed gives identical final results',
+    JSON.stringify(again.finalResults) === JSON.stringify(result.finalResults));
+console.log('');
+
+// Test 4: Shorter games via maxCycles
+console.log('Test 4: Short game');
+const short = await new HeadlessGameRunner({ seed: 99, maxCycles: 3, playerCount: 2 }).run();
+check('3-cycle, 2-player game completes', short.completed && short.cyclesPlayed === 3);
+check('Final results cover both players', short.finalResults.length === 2);
+console.log('');
+
+report('Headless Game Simulation');
@@ -0,0 +1,107 @@
+/**
+ * Shared helpers for the node test scripts
+ * Each script counts its checks with check(), keeps model logging out of
+ * its output with quietly() and ends with report(). run-tests.js runs
+ * every test script that uses them.
+ */
+
+import GameFlowController from './src/models/GameFlowController.js';
+import VirtualClock from './src/utils/VirtualClock.js';
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Record one check and print it
+ */
+export function check(description, condition) {
+    if (condition) {
+        console.log(`✓ ${description}`);
+        passed++;
+    } else {
+        console.log(`✗ ${description}`);
+        failed++;
+    }
+}
+
+const originalLog = console.log;
+const originalTrace = console.trace;
+const originalError = console.error;
+
+const silence = () => {
+    console.log = () => {};
+    console.trace = () => {};
+    console.error = () => {};
+};
+
+const restore = () => {
+    console.log = originalLog;
+    console.trace = originalTrace;
+    console.error = originalError;
+};
+
+/**
+ * Run fn without model logging
+ * Returns what fn returns; a promise keeps logging off until it settles.
+ */
+export function quietly(fn) {
+    silence();
+    let result;
+    try {
+        result = fn();
+    } catch (error) {
+        restore();
+        throw error;
+    }
+    if (result && typeof result.then === 'function') {
+        return result.finally(restore);
+    }
+    restore();
+    return result;
+}
+
+/**
+ * Whether an action was refused with an error
+ */
+export function refused(fn) {
+    try {
+        quietly(fn);
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+
+export const PLAYERS = [
+    { id: 'player1', name: 'Player 1' },
+    { id: 'player2', name: 'Player 2' }
+];
+
+/**
+ * A seeded game on a virtual clock that saves to memory
+ * Pass players: null for a game that has not been set up yet.
+ * @param {Object} options - seed, players and startingGold, plus any GameFlowController config
+ * @returns {Promise<Object>} { gameFlow, clock }
+ */
+export async function createGame({ seed, players = PLAYERS, startingGold = 1000, ...config } = {}) {
+    const clock = new VirtualClock();
+    const gameFlow = await quietly(() => new GameFlowController({
+        seed, clock, autoSave: false, storageType: 'memory', ...config
+    }));
+    if (players) {
+        await quietly(() => gameFlow.initializeGame(players, { startingGold }));
+    }
+    return { gameFlow, clock };
+}
+
+/**
+ * Print the results and fail the script if any check failed
+ * @param {string} feature - Name for the closing line
+ */
+export function report(feature) {
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+    if (failed > 0) {
+        process.exit(1);
+    }
+    console.log(`\n=== ${feature} Working Correctly! ===`);
+}
@@ -0,0 +1,137 @@
+/**
+ * Test Land Auctions
+ * The land auction sub-phase after territory selection: disputed claims,
+ * unclaimed plots and plots their owners sell with a reserve price
+ */
+
+import Construct from './src/models/Construct.js';
+import { LAND_AUCTIONS } from './src/config/gameConfig.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Land Auctions ===\n');
+
+const LOT_MS = LAND_AUCTIONS.LOT_DURATION * 1000;
+
+// Test 1: Listings and the phase
+console.log('Test 1: Listings and the phase');
+const { gameFlow, clock } = await createGame({ seed: 21 });
+const landAuctions = gameFlow.landAuctions;
+const grid = gameFlow.territoryGrid;
+const player = (id) => gameFlow.stateManager.getPlayer(id);
+check('The land auction follows territory selection', gameFlow.cycleManager.cyclePhases.slice(0, 3).join(',') ===
+    'territory_selection,land_auction,construct_outfitting');
+
+const [forSale, pledged, disputed] = grid.getUnownedTerritories();
+forSale.setOwner('player1');
+forSale.construct = new Construct({ id: 'sale_probe', type: 'mana_conduit', status: 'active', owner: player('player1') });
+pledged.setOwner('player1');
+await quietly(() => gameFlow.bank.takeLoan('player1', 50, [pledged.id]));
+
+check("Nobody can sell a plot they don't own", !landAuctions.listTerritory('player2', forSale.id, 150).success);
+check('A reserve price needs to clear the minimum increment',
+    !landAuctions.listTerritory('player1', forSale.id, LAND_AUCTIONS.MIN_INCREMENT - 1).success);
+check('A plot pledged to the bank cannot be sold', !landAuctions.listTerritory('player1', pledged.id, 150).success);
+const listed = await quietly(() => landAuctions.listTerritory('player1', forSale.id, 150));
+check('An owner puts a plot up for sale with a reserve', listed.success && landAuctions.listings.get(forSale.id).reservePrice === 150 &&
+    !landAuctions.listTerritory('player1', forSale.id, 200).success);
+check('A plot up for sale cannot be pledged to the bank',
+    !(await quietly(() => gameFlow.bank.takeLoan('player1', 50, [forSale.id]))).success);
+
+gameFlow.territoryAcquisition.addToAuction('player2', disputed);
+const opened = [];
+const closed = [];
+let started = null;
+gameFlow.on('land_auction.started', (event) => { started = event; });
+gameFlow.on('land_auction.lot_opened', ({ lot }) => opened.push(lot));
+gameFlow.on('land_auction.lot_closed', (lot) => closed.push(lot));
+await quietly(() => gameFlow.cycleManager.advancePhase());
+
+check('Claims, an unclaimed plot and plots for sale come up in turn', gameFlow.cycleManager.currentPhase === 'land_auction' &&
+    started.lots.map(lot => lot.source).join(',') === 'claim,unclaimed,resale' &&
+    gameFlow.territoryAcquisition.auctionQueue.length === 0);
+const claim = landAuctions.currentLot;
+check("A claim opens with the claimant's bid", opened.length === 1 && claim.territoryId === disputed.id &&
+    claim.highBidderId === 'player2' && claim.highBid === claim.startingBid);
+console.log('');
+
+// Test 2: Bidding
+console.log('Test 2: Bidding');
+check('The high bidder cannot bid against themselves', !landAuctions.placeBid('player2', claim.highBid + 50).success);
+check('A bid must beat the high bid by the minimum increment',
+    !landAuctions.placeBid('player1', claim.highBid + LAND_AUCTIONS.MIN_INCREMENT - 1).success);
+player('player1').gold = 5;
+check('A bid needs the gold behind it', !landAuctions.placeBid('player1', landAuctions.getMinimumBid()).success);
+player('player1').gold = 1000;
+
+await quietly(() => clock.advance(LOT_MS - 2000));
+const winningBid = landAuctions.getMinimumBid();
+const bid = await quietly(() => landAuctions.placeBid('player1', winningBid));
+check('A late bid gives the others time to answer', bid.success &&
+    landAuctions.getTimeRemaining() === LAND_AUCTIONS.BID_EXTENSION * 1000);
+
+await quietly(() => clock.advance(LAND_AUCTIONS.BID_EXTENSION * 1000));
+check('When time runs out the highest bidder pays and takes the plot', closed.length === 1 && closed[0].sold &&
+    closed[0].winnerId === 'player1' && disputed.ownerId === 'player1' && player('player1').gold === 1000 - winningBid);
+
+const unclaimed = landAuctions.currentLot;
+await quietly(() => clock.advance(LOT_MS));
+check('A plot nobody bids on goes unsold', unclaimed.source === 'unclaimed' && closed.length === 2 &&
+    !closed[1].sold && !grid.getTerritoryById(unclaimed.territoryId).ownerId);
+console.log('');
+
+// Test 3: Resale
+console.log('Test 3: Resale');
+const resale = landAuctions.currentLot;
+check('A plot for sale opens at its reserve', resale.source === 'resale' && landAuctions.getMinimumBid() === 150);
+check('Owners cannot bid on their own plot', !landAuctions.placeBid('player1', 200).success);
+const sellerGold = player('player1').gold;
+const buyerGold = player('player2').gold;
+await quietly(() => landAuctions.placeBid('player2', 150));
+await quietly(() => clock.advance(LOT_MS));
+check('The buyer pays the seller', player('player1').gold === sellerGold + 150 && player('player2').gold === buyerGold - 150);
+check('The plot and its construct change hands', forSale.ownerId === 'player2' &&
+    forSale.construct.owner.id === 'player2' && !landAuctions.listings.has(forSale.id));
+check('The phase moves on once the last plot closes', gameFlow.cycleManager.currentPhase === 'construct_outfitting' &&
+    !landAuctions.currentLot && landAuctions.history.length === 3);
+const sales = gameFlow.replayRecorder.replay.entries.filter(entry => entry.kind === 'land' && entry.type === 'sale');
+check('Sales are recorded in the replay', sales.length === 2 && sales[1].playerId === 'player2' && sales[1].players.length === 2);
+console.log('');
+
+// Test 4: AI bidding
+console.log('Test 4: AI bidding');
+landAuctions.currentLot = landAuctions.createLot(pledged, 'unclaimed', null, 10);
+const worth = Math.round(pledged.getWorth() * 1.2);
+check('An AI bids while the plot is worth it', landAuctions.getAIBid(player('player2'), 200) === 10);
+landAuctions.currentLot.startingBid = worth + 1;
+check('An AI passes on a plot dearer than it is worth', landAuctions.getAIBid(player('player2'), 200) === null);
+landAuctions.stop();
+
+const collateralSale = { ...landAuctions.createLot(pledged, 'resale', 'player1', 10), highBid: 10, highBidderId: 'player2' };
+const refused = await quietly(() => landAuctions.settleLot(collateralSale));
+check('A plot pledged to the bank is never handed to a buyer', !refused.sold && refused.pledged &&
+    pledged.ownerId === 'player1');
+console.log('');
+
+// Test 5: Saves
+console.log('Test 5: Saves');
+const second = await createGame({ seed: 22 });
+await quietly(() => second.gameFlow.cycleManager.advancePhase());
+await quietly(() => second.clock.advance(5000));
+await quietly(() => second.gameFlow.landAuctions.placeBid('player1', second.gameFlow.landAuctions.getMinimumBid()));
+await quietly(() => second.gameFlow.saveGame('land'));
+
+const restored = await createGame({ seed: 99 });
+restored.gameFlow.persistence.memoryStorage = second.gameFlow.persistence.memoryStorage;
+const result = await quietly(() => restored.gameFlow.loadGame('land'));
+const restoredLot = restored.gameFlow.landAuctions.currentLot;
+check('A loaded game keeps the open plot and its bids', result.success && restored.gameFlow.cycleManager.currentPhase === 'land_auction' &&
+    restoredLot?.id === second.gameFlow.landAuctions.currentLot.id && restoredLot.highBidderId === 'player1');
+check('The open plot keeps its time left', restored.gameFlow.landAuctions.getTimeRemaining() === LOT_MS - 5000);
+await quietly(() => restored.clock.advance(LOT_MS - 5000));
+check('Bidding carries on to a close', restored.gameFlow.landAuctions.history.length === 1 &&
+    restored.gameFlow.landAuctions.history[0].winnerId === 'player1');
+console.log('');
+
+await quietly(() => [gameFlow, second.gameFlow, restored.gameFlow].forEach(game => game.destroy()));
+
+report('Land Auctions');
@@ -0,0 +1,104 @@
+/**
+ * Test Ley Lines
+ * Lines generated across the map, bonuses for connected territory held
+ * along them, and harmonics for patterns of control
+ */
+
+import Construct from './src/models/Construct.js';
+import HexUtils from './src/utils/HexUtils.js';
+import { LEY_LINES } from './src/config/gameConfig.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Ley Lines ===\n');
+
+const hexUtils = new HexUtils(1);
+
+// Test 1: Generation
+console.log('Test 1: Generation');
+const { gameFlow } = await createGame({ seed: 17 });
+const grid = gameFlow.territoryGrid;
+const network = grid.leyLines;
+const generated = network.getSerializableState();
+check('Lines are laid across the map', network.lines.length ===
+    Math.max(LEY_LINES.MIN_LINES, Math.round(grid.territories.length / LEY_LINES.TERRITORIES_PER_LINE)));
+check(`Every line is at least ${LEY_LINES.MIN_LENGTH} territories long`,
+    network.lines.every(line => line.cells.length >= LEY_LINES.MIN_LENGTH));
+check('Lines run through neighbouring territories on the map', network.lines.every(line =>
+    line.cells.every(cell => grid.getTerritoryAt(cell.q, cell.r)) &&
+    line.cells.slice(1).every((cell, i) => hexUtils.distance(cell.q, cell.r, line.cells[i].q, line.cells[i].r) === 1)));
+const { gameFlow: sameSeed } = await createGame({ seed: 17 });
+check('The same seed gives the same lines', JSON.stringify(sameSeed.territoryGrid.leyLines.getSerializableState()) ===
+    JSON.stringify(generated));
+const { gameFlow: frontier } = await createGame({ seed: 17, mapPreset: 'frontier' });
+check('Bigger maps have more lines', frontier.territoryGrid.leyLines.lines.length > network.lines.length);
+console.log('');
+
+// Lay out lines by hand for the bonus tests: one along row 2 and one down column 3
+const row = Array.from({ length: 8 }, (_, q) => ({ q, r: 2 }));
+const column = Array.from({ length: 6 }, (_, r) => ({ q: 3, r }));
+network.restoreFromState({ lines: [{ id: 'row', cells: row }, { id: 'column', cells: column }] });
+const at = (q, r) => grid.getTerritoryAt(q, r);
+const give = (playerId, ...cells) => cells.forEach(([q, r]) => { at(q, r).ownerId = playerId; });
+const reset = () => grid.territories.forEach(t => { t.ownerId = null; });
+
+// Test 2: Ley Line Mastery
+console.log('Test 2: Connected territory');
+give('player1', [0, 2], [1, 2], [2, 2]);
+check('Each territory in a connected group gains the connection bonus', [0, 1, 2].every(q =>
+    Math.abs(network.getProductionBonus(at(q, 2)).connection - 2 * LEY_LINES.CONNECTION_BONUS) < 1e-9));
+give('player1', [0, 3]);
+check('Territory off the lines gains nothing', network.getProductionBonus(at(0, 3)).total === 0);
+give('player2', [1, 2]);
+check('An opponent in the middle splits the group', network.getProductionBonus(at(0, 2)).connection === 0 &&
+    network.getProductionBonus(at(2, 2)).connection === 0);
+reset();
+give('player1', ...row.map(({ q, r }) => [q, r]));
+check('The connection bonus is capped', network.getProductionBonus(at(0, 2)).connection === LEY_LINES.MAX_CONNECTION_BONUS);
+console.log('');
+
+// Test 3: Magical Harmonics
+console.log('Test 3: Harmonics');
+check('Holding the crossing of two lines is a nexus', network.getHarmonics(at(3, 2)).includes('nexus') &&
+    !network.getHarmonics(at(4, 2)).includes('nexus'));
+reset();
+const ring = hexUtils.neighbors(5, 3);
+give('player2', ...ring.slice(0, 5).map(({ q, r }) => [q, r]));
+check('Five of six neighbours is not a circle', network.getHarmonics(at(ring[0].q, ring[0].r)).length === 0);
+give('player2', [ring[5].q, ring[5].r]);
+check('Owning all six neighbours of a territory forms a circle', ring.every(({ q, r }) =>
+    network.getHarmonics(at(q, r)).includes('circle')));
+const active = network.getActiveHarmonics();
+check('The map overlay lists the circle around its centre', active.some(h =>
+    h.type === 'circle' && h.playerId === 'player2' && h.centerId === at(5, 3).id && h.territoryIds.length === 6));
+console.log('');
+
+// Test 4: Production
+console.log('Test 4: Production');
+reset();
+const calculator = gameFlow.resourceProductionCalculator;
+const producer = at(1, 2);
+producer.ownerId = 'player1';
+producer.construct = new Construct({ id: 'ley_probe', type: 'mana_conduit', status: 'active' });
+const alone = calculator.calculateTerritoryProduction(producer);
+give('player1', [0, 2], [2, 2], [3, 2]);
+const connected = calculator.calculateTerritoryProduction(producer);
+check('Connected territory on the lines produces more', connected.amount > alone.amount &&
+    connected.modifiers.leyLine === 3 * LEY_LINES.CONNECTION_BONUS);
+check('Projected yields count the lines for the would-be owner', calculator.projectYield(at(4, 2), 'mana_conduit', 'player1') >
+    calculator.projectYield(at(4, 2), 'mana_conduit', 'player2'));
+console.log('');
+
+// Test 5: Saves
+console.log('Test 5: Saves');
+await quietly(() => gameFlow.saveGame('ley'));
+const { gameFlow: restored } = await createGame({ seed: 99 });
+restored.persistence.memoryStorage = gameFlow.persistence.memoryStorage;
+const result = await quietly(() => restored.loadGame('ley'));
+check('A loaded game keeps its ley lines', result.success &&
+    JSON.stringify(restored.territoryGrid.leyLines.getSerializableState()) === JSON.stringify(network.getSerializableState()) &&
+    restored.territoryGrid.leyLines.getHarmonics(restored.territoryGrid.getTerritoryAt(3, 2)).includes('nexus'));
+console.log('');
+
+await quietly(() => [gameFlow, sameSeed, frontier, restored].forEach(game => game.destroy()));
+
+report('Ley Lines');
@@ -0,0 +1,112 @@
+/**
+ * Test Map Editor Maps
+ * Hand-made maps are validated, saved as JSON and built by TerritoryGrid
+ * in place of a generated map
+ */
+
+import MapDefinition, { MAP_FORMAT } from './src/models/MapDefinition.js';
+import Construct from './src/models/Construct.js';
+import SeededRandom from './src/utils/SeededRandom.js';
+import { MAP_EDITOR, TERRITORY_TYPES } from './src/config/gameConfig.js';
+import { check, quietly, createGame, PLAYERS, report } from './test-helpers.js';
+
+console.log('=== Testing Map Editor Maps ===\n');
+
+const createMap = () => {
+    const map = MapDefinition.generate(6, 5, 'classic', new SeededRandom(16));
+    map.name = 'Test Valley';
+    return map;
+};
+
+// Test 1: Editing and validation
+console.log('Test 1: Editing and validation');
+const map = createMap();
+check('A generated map is valid', map.validate().valid);
+
+map.paint(0, 0, { tool: 'terrain', terrain: TERRITORY_TYPES.MARSHLAND });
+map.paint(1, 0, { tool: 'richness', resource: 'mana', richness: 1.5 });
+map.paint(2, 0, { tool: 'construct', construct: 'vitality_well', level: 2 });
+map.paint(2, 0, { tool: 'improvement', improvement: 'wardstone' });
+map.paint(3, 0, { tool: 'blocked' });
+check('Brushes paint terrain, richness, constructs and improvements', map.getTerritory(0, 0).type === TERRITORY_TYPES.MARSHLAND &&
+    map.getTerritory(1, 0).richness.mana === 1.5 && map.getTerritory(1, 0).richness.vitality === 1.0 &&
+    map.getTerritory(2, 0).construct.level === 2 && map.getTerritory(2, 0).improvements[0] === 'wardstone');
+check('Nothing can be placed on a blocked hex', !map.paint(3, 0, { tool: 'construct', construct: 'mana_conduit', level: 1 }) &&
+    map.getTerritory(3, 0).construct === null);
+check('Painting an improvement again removes it', map.paint(4, 0, { tool: 'improvement', improvement: 'focus_pillar' }) &&
+    map.paint(4, 0, { tool: 'improvement', improvement: 'focus_pillar' }) && map.getTerritory(4, 0).improvements.length === 0);
+check('The edited map is still valid', map.validate().valid);
+
+const walled = createMap();
+[0, 1, 2, 3, 4].forEach(r => walled.paint(2, r, { tool: 'blocked' }));
+const walledResult = walled.validate();
+check('A wall of blocked hexes that cuts the map in two is rejected', !walledResult.valid &&
+    walledResult.errors.some(error => error.includes('cut off')));
+
+const crowded = createMap();
+crowded.territories.slice(0, 20).forEach(t => crowded.paint(t.q, t.r, { tool: 'blocked' }));
+check('Too few open territories for the players is rejected', crowded.validate().errors.some(error => error.includes('open territories')) &&
+    crowded.validate({ playerCount: 2 }).errors.every(error => !error.includes('players need')));
+
+const broken = createMap();
+broken.getTerritory(0, 0).type = 'lava_lake';
+broken.getTerritory(1, 0).richness = { mana: MAP_EDITOR.MAX_RICHNESS + 1 };
+broken.territories.pop();
+const brokenErrors = broken.validate().errors;
+check('Unknown terrain, bad richness and missing hexes are reported', brokenErrors.length === 3);
+console.log('');
+
+// Test 2: Map files
+console.log('Test 2: Map files');
+const json = JSON.stringify(map.toJSON());
+const loaded = MapDefinition.fromJSON(json);
+check('A saved map loads back the same', JSON.stringify(loaded.toJSON()) === json && loaded.name === 'Test Valley');
+check('Plain hexes are saved without empty fields', !('construct' in map.toJSON().territories[0]) &&
+    !('blocked' in map.toJSON().territories[0]));
+let rejected = 0;
+for (const file of [JSON.stringify({ seed: 1 }), JSON.stringify({ ...map.toJSON(), version: 99 })]) {
+    try {
+        MapDefinition.fromJSON(file);
+    } catch (error) {
+        rejected++;
+    }
+}
+check('Other files and maps from newer editors are refused', rejected === 2 && map.toJSON().format === MAP_FORMAT);
+console.log('');
+
+// Test 3: Playing a custom map
+console.log('Test 3: Playing a custom map');
+const { gameFlow: game } = await createGame({ seed: 16, players: null, customMap: map.toJSON() });
+const grid = game.territoryGrid;
+check('The grid is built from the map', grid.mapPreset === 'custom' && grid.width === 6 && grid.height === 5 &&
+    grid.territories.every(t => t.type === map.getTerritory(t.q, t.r).type));
+check('Designer richness is kept and the rest is rolled', grid.getTerritoryAt(1, 0).richness.mana === 1.5 &&
+    grid.territories.every(t => t.richness.mana > 0));
+const neutral = grid.getTerritoryAt(2, 0);
+check('Neutral constructs and improvements are placed', neutral.construct instanceof Construct &&
+    neutral.construct.level === 2 && !neutral.ownerId && neutral.improvements[0]?.type === 'wardstone');
+
+await quietly(() => game.initializeGame(PLAYERS, { startingGold: 1000 }));
+const blocked = grid.getTerritoryAt(3, 0);
+check('Blocked hexes are not up for grabs', blocked.blocked && !grid.getUnownedTerritories().includes(blocked) &&
+    !blocked.canBeClaimedBy('player1'));
+const claim = await quietly(() => game.territoryAcquisition.attemptClaim(game.turnManager.getCurrentPlayer()?.id || 'player1', blocked.id));
+check('Claiming a blocked hex fails', !claim.success && !blocked.ownerId);
+check('Replays record the map', JSON.stringify(game.replayRecorder.getReplay().settings.customMap) === JSON.stringify(map.toJSON()));
+
+await quietly(() => game.saveGame('custom'));
+const { gameFlow: restored } = await createGame({ seed: 16, players: null });
+restored.persistence.memoryStorage = game.persistence.memoryStorage;
+const result = await quietly(() => restored.loadGame('custom'));
+check('A saved game on a custom map restores its blocked hexes', result.success &&
+    restored.territoryGrid.getTerritoryAt(3, 0).blocked && restored.territoryGrid.territories.length === 30 &&
+    restored.territoryGrid.customMap?.name === 'Test Valley');
+
+const { gameFlow: fallback } = await createGame({ seed: 16, players: null, customMap: walled.toJSON() });
+check('An invalid map falls back to a generated one', fallback.territoryGrid.mapPreset === 'classic' &&
+    fallback.territoryGrid.customMap === null && fallback.territoryGrid.territories.length === 48);
+console.log('');
+
+await quietly(() => [game, restored, fallback].forEach(g => g.destroy()));
+
+report('Map Editor Maps');
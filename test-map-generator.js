@@ -0,0 +1,122 @@
+/**
+ * Test Map Generation
+ * Seeded maps with clustered biomes, fairness guarantees and named presets
+ */
+
+import MapGenerator from './src/models/MapGenerator.js';
+import HexUtils from './src/utils/HexUtils.js';
+import SeededRandom from './src/utils/SeededRandom.js';
+import { MAP_PRESETS, MAP_GENERATION, TERRITORY_TYPES } from './src/config/gameConfig.js';
+import { check, quietly, createGame, PLAYERS, report } from './test-helpers.js';
+
+console.log('=== Testing Map Generation ===\n');
+
+const hexUtils = new HexUtils(1);
+const generate = (seed, presetId) => {
+    const preset = MAP_PRESETS[presetId];
+    const generator = new MapGenerator(new SeededRandom(seed), presetId);
+    return { generator, types: generator.generate(preset.width, preset.height) };
+};
+const count = (types, type) => types.flat().filter(t => t === type).length;
+
+// Share of neighbouring pairs with the same terrain
+const sameNeighbourShare = (types) => {
+    let same = 0;
+    let total = 0;
+    types.forEach((row, r) => row.forEach((type, q) => {
+        hexUtils.neighbors(q, r).forEach(n => {
+            if (types[n.r]?.[n.q] === undefined) return;
+            total++;
+            if (types[n.r][n.q] === type) same++;
+        });
+    }));
+    return same / total;
+};
+
+// Test 1: Seeds
+console.log('Test 1: Seeds');
+const first = generate(42, 'classic').types;
+check('The same seed gives the same map', JSON.stringify(first) === JSON.stringify(generate(42, 'classic').types));
+check('Another seed gives another map', JSON.stringify(first) !== JSON.stringify(generate(43, 'classic').types));
+check('Presets with the same seed differ', JSON.stringify(first) !== JSON.stringify(generate(42, 'wetlands').types));
+console.log('');
+
+// Test 2: Fairness over many maps
+console.log('Test 2: Fairness');
+const terrains = Object.values(TERRITORY_TYPES);
+let everyTerrain = true;
+let shareCapped = true;
+let regionsBalanced = true;
+let sized = true;
+let clustering = 0;
+let maps = 0;
+for (const presetId of Object.keys(MAP_PRESETS)) {
+    const preset = MAP_PRESETS[presetId];
+    for (let seed = 1; seed <= 20; seed++) {
+        const { generator, types } = generate(seed, presetId);
+        const cells = preset.width * preset.height;
+        if (types.length !== preset.height || types.some(row => row.length !== preset.width)) sized = false;
+        if (terrains.some(type => count(types, type) === 0)) everyTerrain = false;
+        if (terrains.some(type => count(types, type) > Math.floor(cells * MAP_GENERATION.MAX_TERRAIN_SHARE))) shareCapped = false;
+        generator.getStartingRegions().forEach(region => {
+            MAP_GENERATION.STARTING_TERRAINS.forEach(type => {
+                if (!region.some(({ q, r }) => types[r][q] === type)) regionsBalanced = false;
+            });
+        });
+        clustering += sameNeighbourShare(types);
+        maps++;
+    }
+}
+check('Maps have the preset size', sized);
+check('Every terrain appears on every map', everyTerrain);
+check(`No terrain covers more than ${MAP_GENERATION.MAX_TERRAIN_SHARE * 100}% of a map`, shareCapped);
+check('Every starting region offers every starting terrain', regionsBalanced);
+check('Terrain forms clusters', clustering / maps > 0.4);
+console.log(`  Same-terrain neighbours: ${Math.round(clustering / maps * 100)}% (uniform random is about 17%)`);
+console.log('');
+
+// Test 3: Geography
+console.log('Test 3: Geography');
+let chained = 0;
+let mountains = 0;
+let marsh = 0;
+for (let seed = 1; seed <= 20; seed++) {
+    const highlands = generate(seed, 'highlands').types;
+    highlands.forEach((row, r) => row.forEach((type, q) => {
+        if (type !== TERRITORY_TYPES.MOUNTAIN_PEAK) return;
+        mountains++;
+        if (hexUtils.neighbors(q, r).some(n => highlands[n.r]?.[n.q] === type)) chained++;
+    }));
+    marsh += count(generate(seed, 'wetlands').types, TERRITORY_TYPES.MARSHLAND) -
+        count(generate(seed, 'classic').types, TERRITORY_TYPES.MARSHLAND);
+}
+check('Mountains form ranges', chained / mountains > 0.7);
+check('Wetlands have more marsh than the classic map', marsh > 0);
+console.log('');
+
+// Test 4: Game setup
+console.log('Test 4: Game setup');
+const { gameFlow: frontier } = await createGame({ seed: 15, players: null, mapPreset: 'frontier' });
+check('A preset sets the map size', frontier.territoryGrid.width === 12 && frontier.territoryGrid.height === 9 &&
+    frontier.territoryGrid.territories.length === 108);
+const { gameFlow: custom } = await createGame({ seed: 15, players: null, mapPreset: 'highlands', mapWidth: 14, mapHeight: 10 });
+check('Sizes beyond the preset can be given', custom.territoryGrid.territories.length === 140 &&
+    custom.territoryGrid.mapPreset === 'highlands');
+const { gameFlow: unknown } = await createGame({ seed: 15, players: null, mapPreset: 'atlantis' });
+check('An unknown preset falls back to the default', unknown.territoryGrid.mapPreset === MAP_GENERATION.DEFAULT_PRESET);
+
+await quietly(() => frontier.initializeGame(PLAYERS, { startingGold: 1000 }));
+check('The preset is kept in the game settings', frontier.stateManager.gameState.settings.mapPreset === 'frontier');
+check('Replays record the preset', frontier.replayRecorder.getReplay().settings.mapPreset === 'frontier');
+
+// Loading a frontier save into a game set up for the classic map
+const saved = frontier.territoryGrid.getSerializableState();
+unknown.territoryGrid.restoreFromState(saved);
+check('Loading a save restores its map', unknown.territoryGrid.territories.length === 108 &&
+    unknown.territoryGrid.mapPreset === 'frontier' &&
+    unknown.territoryGrid.territories.every((t, i) => t.type === saved.territories[i].type));
+console.log('');
+
+await quietly(() => [frontier, custom, unknown].forEach(game => game.destroy()));
+
+report('Map Generation');
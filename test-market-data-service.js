@@ -15,13 +15,10 @@ const mockGameStateManager = {
                     arcanum: 20,
                     aether: 10
                 },
-                plannedConstructs: [
-                    {
-                        resourceCost: {
-                            mana: 40,
-                            vitality: 20
-                        }
-                    }
+                constructs: [
+                    { status: 'active' },
+                    { status: 'active' },
+                    { status: 'installing' }
                 ]
             },
             'player2': {
@@ -32,14 +29,12 @@ const mockGameStateManager = {
                     arcanum: 60,
                     aether: 40
                 },
-                plannedConstructs: [
-                    {
-                        resourceCost: {
-                            arcanum: 100,
-                            aether: 50
-                        }
+                consumption: {
+                    required: {
+                        vitality: 15,
+                        mana: 25
                     }
-                ]
+                }
             }
         }
     })
@@ -122,10 +117,15 @@ function runTests() {
         assert(manaSupply.byPlayer.get('player1') === 50, 'Should track player1 mana');
         assert(manaSupply.byPlayer.get('player2') === 100, 'Should track player2 mana');
         
-        // Check arcanum demand (player2 needs 100 but has 60, so needs 40)
-        const arcanumDemand = service.demandData.get('arcanum');
-        assert(arcanumDemand.total === 40, 'Should calculate arcanum demand');
-        assert(arcanumDemand.byPlayer.get('player2') === 40, 'Should track player2 demand');
+        // Check mana demand (player1 runs 2 active constructs, player2 consumed 25 last cycle)
+        const manaDemand = service.demandData.get('mana');
+        assert(manaDemand.total === 35, 'Should calculate mana demand from consumption');
+        assert(manaDemand.byPlayer.get('player1') === 10, 'Should count only active constructs');
+        assert(manaDemand.byPlayer.get('player2') === 25, 'Should track player2 demand');
+        
+        // Every wizard consumes vitality
+        assert(service.demandData.get('vitality').total === 30, 'Should calculate vitality demand');
+        assert(service.demandData.get('arcanum').total === 0, 'Should have no arcanum demand');
     });
     
     // Test 5: Price trend analysis
@@ -0,0 +1,124 @@
+/**
+ * Test Auction Order Book
+ * Price-time priority, partial fills and resting orders
+ */
+
+import AuctionManager from './src/models/AuctionManager.js';
+import OrderBook from './src/models/OrderBook.js';
+import VirtualClock from './src/utils/VirtualClock.js';
+import { check, quietly, report } from './test-helpers.js';
+
+console.log('=== Testing Auction Order Book ===\n');
+
+function createAuction() {
+    const clock = new VirtualClock();
+    const manager = new AuctionManager({ clock: clock });
+    quietly(() => {
+        manager.startAuctionPhase();
+        manager.startResourceAuction('mana');
+    });
+    return { manager, clock };
+}
+
+// Test 1: Price-time priority
+console.log('Test 1: Price-time priority');
+{
+    const { manager, clock } = createAuction();
+    manager.updatePlayerPosition('early', 50, 'sell', 5);
+    clock.advance(1000);
+    manager.updatePlayerPosition('late', 50, 'sell', 5);
+    manager.updatePlayerPosition('cheap', 48, 'sell', 5);
+    manager.updatePlayerPosition('buyer', 50, 'buy', 10);
+
+    const sellers = manager.pendingTrades.map(trade => trade.sellerId);
+    check('Best price fills first', sellers[0] === 'cheap');
+    check('Earlier order fills before a later one at the same price', sellers[1] === 'early');
+    check('Later order keeps resting', manager.playerPositions.has('late') && !manager.playerPositions.has('early'));
+    check("Each fill trades at the resting order's price",
+        manager.pendingTrades[0].price === 48 && manager.pendingTrades[1].price === 50);
+}
+console.log('');
+
+// Test 2: Partial fills
+console.log('Test 2: Partial fills');
+{
+    const { manager } = createAuction();
+    manager.updatePlayerPosition('buyer', 56, 'buy', 12);
+    manager.updatePlayerPosition('seller1', 55, 'sell', 4);
+    check('Fill trades the smaller quantity', manager.pendingTrades[0].quantity === 4);
+    check('Buyer keeps resting with the remainder',
+        manager.playerPositions.get('buyer').quantity === 8 && manager.getOrderBook().getOrder('buyer').remaining === 8);
+    check('Filled seller leaves the book', !manager.playerPositions.has('seller1'));
+
+    manager.updatePlayerPosition('seller2', 56, 'sell', 20);
+    check('Next seller fills the rest of the buyer', manager.pendingTrades[1].quantity === 8 &&
+        !manager.playerPositions.has('buyer'));
+    check('Larger seller rests with what is left', manager.playerPositions.get('seller2').quantity === 12);
+    check('Orders without a quantity trade the default lot',
+        manager.updatePlayerPosition('buyer2', 56, 'buy') && manager.pendingTrades[2].quantity === 5);
+}
+console.log('');
+
+// Test 3: Resting orders
+console.log('Test 3: Resting orders');
+{
+    const { manager, clock } = createAuction();
+    manager.updatePlayerPosition('holder', 45, 'buy', 10);
+    clock.advance(500);
+    manager.updatePlayerPosition('rival', 45, 'buy', 10);
+    clock.advance(500);
+    manager.updatePlayerPosition('holder', 45, 'buy', 10);
+    manager.updatePlayerPosition('seller', 45, 'sell', 5);
+    check('Holding a position keeps its place in the queue', manager.pendingTrades[0].buyerId === 'holder');
+    manager.updatePlayerPosition('holder', 45, 'buy', 10);
+    check('Partly filled order is not reset by holding it', manager.playerPositions.get('holder').quantity === 5);
+
+    manager.updatePlayerPosition('holder', 46, 'buy', 10);
+    check('Moving a partly filled order keeps what was filled', manager.playerPositions.get('holder').quantity === 5 &&
+        manager.getOrderBook().getOrder('holder').remaining === 5);
+    manager.updatePlayerPosition('holder', 45, 'buy', 10);
+    manager.updatePlayerPosition('seller2', 45, 'sell', 5);
+    check('Moving an order sends it behind orders already waiting', manager.pendingTrades[1].buyerId === 'rival');
+
+    check('Withdrawn order leaves the book', manager.removePlayerPosition('holder') &&
+        !manager.playerPositions.has('holder') && manager.getOrderBook().getOrder('holder') === null);
+}
+console.log('');
+
+// Test 4: Depth
+console.log('Test 4: Depth');
+{
+    const { manager } = createAuction();
+    manager.updatePlayerPosition('b1', 40, 'buy', 5);
+    manager.updatePlayerPosition('b2', 40, 'buy', 3);
+    manager.updatePlayerPosition('b3', 38, 'buy', 7);
+    manager.updatePlayerPosition('s1', 44, 'sell', 6);
+    manager.updatePlayerPosition('s2', 47, 'sell', 2);
+    const depth = manager.getState().orderBook;
+    check('Bids listed best first, aggregated by price',
+        depth.bids.length === 2 && depth.bids[0].price === 40 && depth.bids[0].quantity === 8 && depth.bids[0].orders === 2);
+    check('Asks listed best first', depth.asks.map(level => level.price).join(',') === '44,47');
+
+    const book = new OrderBook('mana');
+    for (let price = 20; price < 30; price++) {
+        book.placeOrder(`p${price}`, 'sell', price, 1, 0);
+    }
+    check('Depth is limited to the requested levels', book.getDepth(3).asks.map(level => level.price).join(',') === '20,21,22');
+}
+console.log('');
+
+// Test 5: Each auction starts with an empty book
+console.log('Test 5: Per-resource books');
+{
+    const { manager } = createAuction();
+    manager.updatePlayerPosition('b1', 40, 'buy', 5);
+    quietly(() => {
+        manager.endResourceAuction();
+        manager.startResourceAuction('vitality');
+    });
+    check('New resource auction has no resting orders', manager.getOrderBookDepth().bids.length === 0);
+    check('Previous resource keeps its own book', manager.getOrderBook('mana').getOrder('b1') !== null);
+}
+console.log('');
+
+report('Order Book');
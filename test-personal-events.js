@@ -0,0 +1,128 @@
+/**
+ * Test Personal Events
+ * End-of-cycle events for each player: boons for those who trail, banes
+ * for the leaders, with effects on gold, resources, constructs and territories
+ */
+
+import Construct from './src/models/Construct.js';
+import { PERSONAL_EVENTS, SURVEY } from './src/config/gameConfig.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Personal Events ===\n');
+
+const players = [{ id: 'player1', name: 'Player 1' }, { id: 'player2', name: 'Player 2' }, { id: 'player3', name: 'Player 3' }];
+const EVENTS = PERSONAL_EVENTS.EVENTS;
+
+// Test 1: Standings
+console.log('Test 1: Standings');
+const { gameFlow } = await createGame({ seed: 19, players });
+const system = gameFlow.personalEvents;
+const grid = gameFlow.territoryGrid;
+const player = (id) => gameFlow.stateManager.getPlayer(id);
+player('player1').gold = 5000;
+player('player3').gold = 100;
+const [home] = grid.getUnownedTerritories();
+home.ownerId = 'player2';
+
+const standings = system.getStandings();
+check('Players are ranked by score', standings.map(s => s.rank).join(',') === '0,1,2' &&
+    standings[0].standing === 0 && standings[2].standing === 1);
+check('Scores follow Player.calculateScore with territories from the grid',
+    standings[1].score === 1000 + 50 + 2 * Object.values(player('player2').resources).reduce((a, b) => a + b, 0));
+check('Boons weigh more for trailing players', system.getEventWeight(EVENTS.hidden_cache, 1) ===
+    EVENTS.hidden_cache.weight * PERSONAL_EVENTS.RANK_BIAS && system.getEventWeight(EVENTS.hidden_cache, 0) === EVENTS.hidden_cache.weight);
+check('Banes weigh more for the leader', system.getEventWeight(EVENTS.tax_audit, 0) ===
+    EVENTS.tax_audit.weight * PERSONAL_EVENTS.RANK_BIAS && system.getEventWeight(EVENTS.tax_audit, 1) === EVENTS.tax_audit.weight);
+
+const { gameFlow: draws } = await createGame({ seed: 20, players });
+const boonShare = async (standing) => {
+    const target = { ...standing, player: draws.stateManager.getPlayer(standing.player.id) };
+    const events = await quietly(() => Array.from({ length: 200 }, () => draws.personalEvents.triggerEvent(target, 1)));
+    return events.filter(event => event.kind === 'boon').length / events.length;
+};
+check('Over many draws the last player mostly meets boons and the leader banes',
+    await boonShare(standings[2]) > 0.6 && await boonShare(standings[0]) < 0.4);
+console.log('');
+
+// Test 2: Effects
+console.log('Test 2: Effects');
+const p3 = player('player3');
+const goldBefore = p3.gold;
+await quietly(() => system.applyEffect(p3, EVENTS.hidden_cache, 'gold'));
+check('A hidden cache adds gold', p3.gold === goldBefore + EVENTS.hidden_cache.effect.amount);
+const aetherBefore = p3.resources.aether;
+const found = system.applyEffect(p3, EVENTS.familiar_aether, 'aether');
+check("The familiar's aether arrives in the player's stores", p3.resources.aether === aetherBefore + 10 &&
+    system.formatMessage(EVENTS.familiar_aether.message, { player: p3.name, ...found }) === "Player 3's familiar finds 10 aether");
+
+const p1 = player('player1');
+await quietly(() => system.applyEffect(p1, EVENTS.tax_audit, 'gold'));
+check('A tax audit takes a share of gold', p1.gold === 4500);
+const manaBefore = p1.resources.mana;
+const stolen = system.applyEffect(p1, EVENTS.pilfering_imps, 'mana');
+check('Imps take a share of one resource', stolen.amount === Math.ceil(manaBefore * 0.25) && p1.resources.mana === manaBefore - stolen.amount);
+
+check('Construct events need a working construct', system.getTargets(p1, EVENTS.rival_sabotage.effect).length === 0);
+const [site] = grid.getUnownedTerritories();
+site.ownerId = 'player1';
+site.construct = new Construct({ id: 'event_probe', type: 'mana_conduit', status: 'active' });
+system.applyEffect(p1, EVENTS.rival_sabotage, site);
+system.applyEffect(p1, EVENTS.rival_sabotage, site);
+system.applyEffect(p1, EVENTS.rival_sabotage, site);
+check('Sabotage lowers efficiency down to a floor', site.construct.efficiency === EVENTS.rival_sabotage.effect.limit &&
+    system.getTargets(p1, EVENTS.rival_sabotage.effect).length === 0);
+system.applyEffect(p1, EVENTS.wandering_artificer, site);
+check('An artificer raises efficiency', Math.abs(site.construct.efficiency - 0.45) < 1e-9);
+
+site.setRichness({ mana: 1.25 });
+const blight = system.getTargets(p1, EVENTS.creeping_blight.effect);
+check('Blight only strikes the resource a built territory produces', blight.length === 1 && blight[0].resource === 'mana');
+system.applyEffect(p1, EVENTS.creeping_blight, blight[0]);
+check('Blight lowers richness by one level', site.richness.mana === SURVEY.RICHNESS_LEVELS[SURVEY.RICHNESS_LEVELS.indexOf(1.25) - 1]);
+
+const border = system.getTargets(p1, EVENTS.settlers_deed.effect);
+const ownershipChanges = [];
+gameFlow.on('territory.ownership_changed', (event) => ownershipChanges.push(event));
+await quietly(() => system.applyEffect(p1, EVENTS.settlers_deed, border[0]));
+check("Settlers' deed grants an open neighbouring territory", border.length > 0 && border[0].ownerId === 'player1' &&
+    grid.getPlayerTerritories('player1').length === 2);
+check('The new owner is announced', ownershipChanges.length === 1 && ownershipChanges[0].territoryId === border[0].id &&
+    ownershipChanges[0].newOwner === 'player1' && ownershipChanges[0].previousOwner === null);
+p3.gold = 5;
+check('Nobody is audited for nothing', system.getTargets(p3, EVENTS.tax_audit.effect).length === 0);
+console.log('');
+
+// Test 3: End of cycle
+console.log('Test 3: End of cycle');
+const announced = [];
+gameFlow.on('personal_event.triggered', (event) => announced.push(event));
+await quietly(() => {
+    for (let i = 0; i < 20; i++) {
+        gameFlow.cycleManager.processPersonalEvents();
+    }
+});
+check('Players meet events at the end of cycles', system.history.length > 0 && announced.length === system.history.length);
+check('Each event has a message naming the player', system.history.every(event =>
+    event.message.includes(event.playerName) && !event.message.includes('{') && EVENTS[event.eventId].kind === event.kind));
+check('The message log lists newest first', system.getHistory()[0] === system.history[system.history.length - 1]);
+await quietly(() => {
+    for (let i = 0; i < 100; i++) {
+        system.processEndOfCycle(i);
+    }
+});
+check('The log keeps a bounded history', system.history.length === PERSONAL_EVENTS.MAX_HISTORY);
+console.log('');
+
+// Test 4: Saves
+console.log('Test 4: Saves');
+await quietly(() => gameFlow.saveGame('events'));
+const { gameFlow: restored } = await createGame({ seed: 99, players });
+restored.persistence.memoryStorage = gameFlow.persistence.memoryStorage;
+const result = await quietly(() => restored.loadGame('events'));
+check('A loaded game keeps its message log', result.success &&
+    JSON.stringify(restored.personalEvents.getSerializableState()) === JSON.stringify(system.getSerializableState()));
+console.log('');
+
+await quietly(() => [gameFlow, draws, restored].forEach(game => game.destroy()));
+
+report('Personal Events');
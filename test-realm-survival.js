@@ -0,0 +1,108 @@
+/**
+ * Test Realm Survival
+ * Lasting vitality and mana shortages weaken wizards and their constructs,
+ * and a realm short of both for five cycles collapses
+ */
+
+import Construct from './src/models/Construct.js';
+import TerritoryImprovement from './src/models/TerritoryImprovement.js';
+import { CONSUMPTION } from './src/config/gameConfig.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Realm Survival ===\n');
+
+const { gameFlow } = await createGame({ seed: 11 });
+const cycleManager = gameFlow.cycleManager;
+const survival = cycleManager.realmSurvival;
+const player1 = gameFlow.stateManager.getPlayer('player1');
+const player2 = gameFlow.stateManager.getPlayer('player2');
+
+const territories = gameFlow.territoryGrid.territories;
+const home = territories[0];
+home.setOwner('player1');
+home.construct = new Construct({ id: 'c1', type: 'mana_conduit', owner: player1, status: 'active' });
+home.construct.territory = home;
+home.construct.efficiency = 1.2;
+territories.slice(1, 5).forEach((territory, index) => {
+    territory.addImprovement(new TerritoryImprovement(territory, index % 2 ? 'wardstone' : 'harmonic_anchor', gameFlow));
+});
+
+// Run consumption and the survival check of one end of cycle with fixed holdings
+const endCycle = (holdings) => quietly(() => {
+    Object.entries(holdings).forEach(([playerId, resources]) => {
+        Object.assign(gameFlow.stateManager.getPlayer(playerId).resources, resources);
+    });
+    cycleManager.processResourceConsumption();
+    cycleManager.processRealmSurvival();
+    cycleManager.checkVictoryConditions();
+});
+
+// Test 1: Requirements
+console.log('Test 1: Requirements');
+check('Wizards need their cycle\'s consumption', survival.getRequirements(0).vitality === CONSUMPTION.VITALITY_PER_WIZARD &&
+    survival.getRequirements(0).mana === 0);
+check('Each active construct needs mana', survival.getRequirements(2).mana === 2 * CONSUMPTION.MANA_PER_CONSTRUCT);
+await endCycle({ player1: { vitality: 50, mana: 50 }, player2: { vitality: 50, mana: 50 } });
+check('No shortage when requirements are met', survival.getWarnings('player1').length === 0 && player1.actionTime === 60);
+console.log('');
+
+// Test 2: Vitality shortage
+console.log('Test 2: Vitality shortage');
+const healthy = { vitality: 50, mana: 50 };
+await endCycle({ player1: { vitality: 5, mana: 50 }, player2: healthy });
+check('First cycle short gives a warning only', survival.getWarnings('player1')[0]?.includes('vitality') && player1.actionTime === 60);
+check('Shortfall shortens the next turn', gameFlow.turnManager.getTurnTimeLimit(player1) < gameFlow.turnManager.getTurnTimeLimit(player2));
+await endCycle({ player1: { vitality: 5 }, player2: healthy });
+await endCycle({ player1: { vitality: 5 }, player2: healthy });
+check('Third cycle short weakens the wizard', player1.actionTime === 51);
+check('Weakening and the shortfall do not stack', gameFlow.turnManager.getTurnTimeLimit(player1) ===
+    Math.round(gameFlow.turnManager.getTurnTimeLimit(player2) * 5 / CONSUMPTION.VITALITY_PER_WIZARD));
+await endCycle({ player1: { vitality: 5 }, player2: healthy });
+check('Weakening escalates while the shortage lasts', player1.actionTime === 42);
+await endCycle({ player1: { vitality: 50 }, player2: healthy });
+check('Action time returns once vitality is sufficient', player1.actionTime === 60);
+console.log('');
+
+// Test 3: Mana shortage
+console.log('Test 3: Mana shortage');
+const lowMana = { vitality: 50, mana: 4 };
+await endCycle({ player1: lowMana, player2: healthy });
+check('Constructs lose the share of mana they went without', Math.abs(home.construct.efficiency - 0.96) < 1e-9);
+await endCycle({ player1: lowMana, player2: healthy });
+await endCycle({ player1: lowMana, player2: healthy });
+check('Constructs fail after three cycles without enough mana', Math.abs(home.construct.efficiency - 0.768) < 1e-9);
+await endCycle({ player1: lowMana, player2: healthy });
+check('Failure escalates', Math.abs(home.construct.efficiency - 0.576) < 1e-9);
+check('HUD warns of failing constructs', survival.getWarnings('player1').some(w => w.startsWith('Constructs failing')));
+await endCycle({ player1: { mana: 50 }, player2: healthy });
+check('Efficiency is restored once mana is sufficient', home.construct.efficiency === 1.2);
+console.log('');
+
+// Test 4: Realm collapse
+console.log('Test 4: Realm collapse');
+const starving = { vitality: 0, mana: 0 };
+let collapse = null;
+let ended = null;
+gameFlow.on('realm.collapsed', (data) => { collapse = data; });
+gameFlow.on('game.ended', (data) => { ended = data; });
+for (let cycle = 0; cycle < 4; cycle++) {
+    await endCycle({ player1: starving, player2: starving });
+}
+check('Realm holds for four cycles of shortage', !survival.collapsed && survival.realmShortage.both === 4);
+check('HUD warns of the coming collapse', survival.getWarnings('player2')[0]?.startsWith('Realm short'));
+
+const { gameFlow: restored } = await createGame({ seed: 11 });
+await quietly(() => restored.cycleManager.restoreFromState(cycleManager.getSerializableState()));
+check('Shortage streaks are saved', restored.cycleManager.realmSurvival.realmShortage.both === 4 &&
+    restored.cycleManager.realmSurvival.getPlayerShortage('player1').vitality === 4);
+
+await endCycle({ player1: starving, player2: starving });
+const remaining = territories.reduce((sum, t) => sum + t.improvements.length, 0);
+check('Fifth cycle collapses the realm', survival.collapsed && collapse?.destroyed.length === 2);
+check('Half the improvements are destroyed', remaining === 2);
+check('Collapse ends the game', ended?.reason === 'realm_collapse' && cycleManager.gameState === 'ended');
+console.log('');
+
+await quietly(() => [gameFlow, restored].forEach(flow => flow.destroy()));
+
+report('Realm Survival');
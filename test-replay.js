@@ -0,0 +1,98 @@
+/**
+ * Test Replay Recording and Playback
+ */
+
+import HeadlessGameRunner from './src/simulation/HeadlessGameRunner.js';
+import ReplayPlayer from './src/models/ReplayPlayer.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Replay Recording and Playback ===\n');
+
+const ownership = (gameFlow) => gameFlow.territoryGrid.territories
+    .map(t => `${t.id}:${t.ownerId || '-'}:${t.construct ? t.construct.type : '-'}`)
+    .join(',');
+const purses = (gameFlow) => gameFlow.stateManager.gameState.players
+    .map(p => `${p.id}:${p.gold}:${JSON.stringify(p.resources)}`)
+    .join(',');
+
+// Test 1: A played game produces a replay
+console.log('Test 1: Recording');
+const runner = new HeadlessGameRunner({ seed: 4242, maxCycles: 3 });
+let finalOwnership = null;
+let finalPurses = null;
+const teardown = runner.teardown.bind(runner);
+runner.teardown = () => {
+    finalOwnership = ownership(runner.gameFlow);
+    finalPurses = purses(runner.gameFlow);
+    teardown();
+};
+const result = await runner.run();
+const replay = JSON.parse(JSON.stringify(result.replay)); // as if loaded from a file
+check('Replay records the seed', replay.seed === 4242);
+check('Replay records the players', replay.players.length === 4);
+check('Replay records territory claims', replay.entries.some(e => e.type === 'claim_territory'));
+check('Replay records auction bids', replay.entries.some(e => e.kind === 'auction' && e.type === 'position'));
+check('Entries are in time order', replay.entries.every((e, i) => i === 0 || e.t >= replay.entries[i - 1].t));
+check('Keyframe at the start of every phase', replay.keyframes.length === 3 * 6 + 2);
+console.log('');
+
+// Test 2: Playback rebuilds the same game
+console.log('Test 2: Playback');
+const { gameFlow, clock } = await createGame({
+    seed: replay.seed,
+    players: null,
+    mapWidth: replay.settings.mapWidth,
+    mapHeight: replay.settings.mapHeight
+});
+const player = new ReplayPlayer(replay, gameFlow);
+quietly(() => player.load());
+check('Replay starts with no land owned', gameFlow.territoryGrid.territories.every(t => !t.ownerId));
+
+let ended = false;
+player.on('replay.ended', () => { ended = true; });
+player.setSpeed(100);
+player.play();
+quietly(() => clock.advance(Math.ceil(player.getDuration() / 100) + 1000));
+check('Playback reaches the end', ended && player.getPosition() === player.getDuration());
+check('Final ownership matches the game', ownership(gameFlow) === finalOwnership);
+check('Final gold and resources match the game', purses(gameFlow) === finalPurses);
+console.log('');
+
+// Test 3: Scrubbing and stepping
+console.log('Test 3: Scrubbing');
+quietly(() => player.seek(0));
+check('Seeking to the start clears the board', gameFlow.territoryGrid.territories.every(t => !t.ownerId));
+const firstClaim = replay.entries.findIndex(e => e.type === 'claim_territory' && e.data.territoryId);
+quietly(() => player.seek(replay.entries[firstClaim].t));
+const claimed = gameFlow.territoryGrid.getTerritoryById(replay.entries[firstClaim].data.territoryId);
+check('Seeking forward applies the claim', claimed.ownerId === replay.entries[firstClaim].playerId);
+quietly(() => player.seek(player.getDuration()));
+check('Seeking to the end matches the final state', ownership(gameFlow) === finalOwnership);
+
+quietly(() => player.seek(replay.entries[firstClaim].t));
+const index = player.nextIndex;
+quietly(() => player.stepBackward());
+check('Step back moves back one entry', player.nextIndex === index - 1);
+quietly(() => player.stepForward());
+check('Step forward re-applies it', player.nextIndex === index && claimed.ownerId === replay.entries[firstClaim].playerId);
+
+const [buyer, seller] = gameFlow.stateManager.gameState.players;
+const [buyerGold, sellerGold] = [buyer.gold, seller.gold];
+player.applyTrade({ buyerId: buyer.id, sellerId: seller.id, resource: 'mana', price: 30, quantity: 2, premium: 6 });
+check('Auction trades settle with the guild tax and monopoly premium', buyer.gold === buyerGold - 60 &&
+    seller.gold === sellerGold + 60 - Math.floor(60 * player.transactionEngine.guildTaxRate) + 6);
+console.log('');
+
+// Test 4: Replays from newer builds are rejected clearly
+console.log('Test 4: Validation');
+let error = null;
+try {
+    new ReplayPlayer({ ...replay, version: 999 }, gameFlow);
+} catch (e) {
+    error = e;
+}
+check('Newer replay version is rejected', error && error.message.includes('newer'));
+quietly(() => gameFlow.destroy());
+console.log('');
+
+report('Replay System');
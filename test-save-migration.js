@@ -0,0 +1,126 @@
+/**
+ * Test Save Format Versioning and Migrations
+ */
+
+import GamePersistence from './src/models/GamePersistence.js';
+import SaveMigrationRegistry, { SAVE_FORMAT_VERSION } from './src/models/SaveMigrationRegistry.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Save Format Versioning ===\n');
+
+const players = [
+    { id: 'player1', name: 'Player 1', color: 0xff0000 },
+    { id: 'player2', name: 'Player 2', color: 0x00ff00 }
+];
+
+// A save as written before save formats were versioned
+function makeLegacySave(persistence) {
+    const gameState = {
+        version: '1.0',
+        gameId: 'legacy_game',
+        startTime: 0,
+        currentCycle: 3,
+        currentPhase: 'construct_outfitting',
+        gameStatus: 'active',
+        players: players.map(p => ({ ...p, gold: 900, resources: { mana: 10, vitality: 10, arcanum: 0, aether: 0 } })),
+        territories: [
+            { id: 'territory_0_0', type: 'ancient_grove', ownerId: null, owner: 'player2' },
+            { id: 'territory_1_0', type: 'volcanic_field', ownerId: null }
+        ],
+        constructs: [],
+        settings: { startingGold: 1000 }
+    };
+    return {
+        version: '1.0',
+        timestamp: 1000,
+        slotName: 'legacy',
+        gameState: gameState,
+        metadata: { playerCount: 2, currentCycle: 3 },
+        checksum: persistence.generateChecksum(gameState)
+    };
+}
+
+// Test 1: Current saves load without migration
+console.log('Test 1: Current format');
+const { gameFlow: game } = await createGame({ seed: 11, players });
+const territory = game.territoryGrid.territories[0];
+await quietly(() => territory.setOwner('player1'));
+await quietly(() => game.saveGame('slot1'));
+const stored = game.persistence.memoryStorage.get('slot1');
+check(`Save is written with format ${SAVE_FORMAT_VERSION}`, stored.version === SAVE_FORMAT_VERSION);
+const loaded = await quietly(() => game.persistence.loadGame('slot1'));
+check('Current save loads', loaded.success);
+check('No migrations applied', loaded.migrations.length === 0);
+
+const { gameFlow: restored } = await createGame({ seed: 11, players: null });
+restored.persistence.memoryStorage = game.persistence.memoryStorage;
+const restoredResult = await quietly(() => restored.loadGame('slot1'));
+check('GameFlowController restores the save', restoredResult.success);
+check('Territory owner survives save and load',
+    restored.territoryGrid.getTerritoryById(territory.id).ownerId === 'player1');
+console.log('');
+
+// Test 2: Format 1 saves are upgraded
+console.log('Test 2: Legacy format');
+const persistence = new GamePersistence('memory');
+persistence.memoryStorage.set('legacy', makeLegacySave(persistence));
+const legacy = await quietly(() => persistence.loadGame('legacy'));
+check('Legacy save loads', legacy.success);
+check('Reports the original format', legacy.saveVersion === 1);
+check('Applies one migration per version step', legacy.migrations.length === SAVE_FORMAT_VERSION - 1);
+check('Owner moved into ownerId', legacy.gameState.territories[0].ownerId === 'player2' &&
+    !('owner' in legacy.gameState.territories[0]));
+check('Construct state upgraded to ConstructManager format',
+    Array.isArray(legacy.gameState.constructs.constructs) && Array.isArray(legacy.gameState.constructs.installationQueue));
+check('Migrated game state carries the current version', legacy.gameState.version === SAVE_FORMAT_VERSION);
+console.log('');
+
+// Test 3: Saves from newer builds are refused with a clear report
+console.log('Test 3: Newer format');
+const futureSave = { ...makeLegacySave(persistence), version: SAVE_FORMAT_VERSION + 1 };
+persistence.memoryStorage.set('future', futureSave);
+let failedEvent = null;
+persistence.on('load.failed', (data) => { failedEvent = data; });
+const future = await quietly(() => persistence.loadGame('future'));
+check('Newer save is refused', !future.success && future.reason === 'too_new');
+check('Error names both versions', future.error.includes(`${SAVE_FORMAT_VERSION + 1}`) &&
+    future.error.includes(`${SAVE_FORMAT_VERSION}`) && future.error.includes('newer'));
+check('load.failed event reports the versions', failedEvent &&
+    failedEvent.saveVersion === SAVE_FORMAT_VERSION + 1 && failedEvent.supportedVersion === SAVE_FORMAT_VERSION);
+console.log('');
+
+// Test 4: Imported files are migrated too
+console.log('Test 4: Import');
+const legacyExport = JSON.stringify({
+    version: '1.0',
+    exportTime: 1000,
+    originalSlot: 'legacy',
+    saveData: { success: true, gameState: makeLegacySave(persistence).gameState, metadata: {}, timestamp: 1000 }
+});
+const imported = await quietly(() => persistence.importSave(legacyExport, 'imported'));
+check('Legacy export imports', imported.success && imported.migrations.length === SAVE_FORMAT_VERSION - 1);
+check('Imported save is stored in the current format',
+    persistence.memoryStorage.get('imported').version === SAVE_FORMAT_VERSION);
+const futureExport = JSON.stringify({
+    version: SAVE_FORMAT_VERSION + 1,
+    saveData: { version: SAVE_FORMAT_VERSION + 1, gameState: makeLegacySave(persistence).gameState }
+});
+const futureImport = await quietly(() => persistence.importSave(futureExport, 'future_import'));
+check('Newer export is refused', !futureImport.success && futureImport.reason === 'too_new');
+console.log('');
+
+// Test 5: Migrations chain in order
+console.log('Test 5: Migration chain');
+const registry = new SaveMigrationRegistry(4);
+registry.register(2, 'add a', (data) => { data.gameState.steps = ['a']; return data; });
+registry.register(3, 'add b', (data) => { data.gameState.steps.push('b'); return data; });
+const chained = await quietly(() => registry.migrate(makeLegacySave(persistence), 1));
+check('Runs every step from 1 to 4', chained.applied.map(step => step.to).join(',') === '2,3,4');
+check('Steps run in order', chained.saveData.gameState.steps.join(',') === 'a,b');
+const gap = new SaveMigrationRegistry(SAVE_FORMAT_VERSION + 1);
+check('Missing step is reported', gap.checkCompatibility(1).reason === 'no_migration');
+console.log('');
+
+[game, restored].forEach(flow => flow.destroy());
+
+report('Save Format Versioning');
@@ -0,0 +1,136 @@
+/**
+ * Test Whole-World Save and Restore
+ * A game saved mid-phase should load with every system exactly as it was
+ */
+
+import Construct from './src/models/Construct.js';
+import TerritoryImprovement from './src/models/TerritoryImprovement.js';
+import MarketEventSystem from './src/models/MarketEventSystem.js';
+import AuctionAnalytics from './src/models/AuctionAnalytics.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Save and Restore ===\n');
+
+const players = [
+    { id: 'player1', name: 'Player 1', color: 0xff0000, gold: 5000 },
+    { id: 'player2', name: 'Player 2', color: 0x00ff00, gold: 5000 }
+];
+
+// A game with the optional market systems, so saves cover them too
+async function createMarketGame() {
+    const { gameFlow, clock } = await createGame({ seed: 77, players: null });
+    gameFlow.marketEventSystem = new MarketEventSystem(null, null, gameFlow.random, clock);
+    gameFlow.auctionAnalytics = new AuctionAnalytics(null, null);
+    return { gameFlow, clock };
+}
+
+// Build a game with something in every system
+const { gameFlow: original, clock: originalClock } = await createMarketGame();
+await quietly(() => original.initializeGame(players, { startingGold: 5000 }));
+const player1 = original.stateManager.getPlayer('player1');
+const [home, site] = original.territoryGrid.territories;
+
+await quietly(() => {
+    home.setOwner('player1');
+    site.setOwner('player1');
+
+    home.construct = new Construct({ id: 'c_home', type: 'mana_conduit', level: 2, owner: player1, status: 'active' });
+    home.construct.territory = home;
+    home.construct.efficiency = 1.2;
+    original.constructManager.constructs.set('c_home', home.construct);
+
+    const bought = original.workshop.purchaseOutfitted('player1', 'vitality_well').construct;
+    original.workshop.purchaseOutfitted('player1', 'mana_conduit');
+    original.constructManager.initiateInstallation(bought.id, site.id, 'player1');
+
+    const wardstone = new TerritoryImprovement(home, 'wardstone', original);
+    wardstone.isUnderConstruction = true;
+    wardstone.constructionStartCycle = 1;
+    home.addImprovement(wardstone);
+
+    original.cycleManager.resourceDecay.purchasePreservation(player1, 'mana');
+    original.cycleManager.resourceStorage.upgradeStorage(player1, 'arcanum');
+    original.timeManager.setPlayerTimeBank('player2', 123);
+
+    const marketEvent = original.marketEventSystem.createEventInstance(original.marketEventSystem.eventDefinitions[0], 'mana');
+    original.marketEventSystem.activeEvents.push(marketEvent);
+    original.marketEventSystem.addToHistory(marketEvent);
+    original.auctionAnalytics.recordTrade({ resource: 'mana', price: 30, quantity: 4, buyerId: 'player1', sellerId: 'player2' });
+});
+
+// Play into the first turn a little
+await quietly(() => originalClock.advance(7000));
+await quietly(() => original.saveGame('mid_turn'));
+
+const { gameFlow: restored, clock: restoredClock } = await createMarketGame();
+restored.persistence.memoryStorage = original.persistence.memoryStorage;
+let phaseRestarted = false;
+restored.on('phase.started', () => { phaseRestarted = true; });
+const result = await quietly(() => restored.loadGame('mid_turn'));
+
+// Test 1: Territories and constructs
+console.log('Test 1: Territories and constructs');
+check('Game loads', result.success);
+const loadedHome = restored.territoryGrid.getTerritoryById(home.id);
+check('Placed construct restored as a Construct', loadedHome.construct instanceof Construct);
+check('Construct level, efficiency and status kept', loadedHome.construct.level === 2 &&
+    loadedHome.construct.efficiency === 1.2 && loadedHome.construct.status === 'active');
+check('Manager and territory share the construct instance',
+    restored.constructManager.constructs.get('c_home') === loadedHome.construct);
+check('Installation queue restored with its progress', restored.constructManager.installationQueue.length === 1 &&
+    restoredClock.now() - restored.constructManager.installationQueue[0].startTime === 7000);
+const inventory = restored.stateManager.getPlayer('player1').inventory.constructs;
+check('Inventory holds the unplaced construct', inventory.length === 1 && inventory[0] instanceof Construct);
+console.log('');
+
+// Test 2: Improvements
+console.log('Test 2: Improvements');
+const loadedWardstone = loadedHome.improvements[0];
+check('Improvement restored as a TerritoryImprovement', loadedWardstone instanceof TerritoryImprovement);
+check('Construction progress kept', loadedWardstone.isUnderConstruction && loadedWardstone.constructionStartCycle === 1);
+check('Restored improvement under construction has no effect yet', !loadedHome.getImprovementEffects().interference_reduction);
+const progressed = [];
+restored.on('improvement.progressed', (event) => progressed.push(event));
+await quietly(() => restored.broadcastEvent('cycle.started', { cycle: 2 }));
+check('Restored improvement keeps building', loadedWardstone.isUnderConstruction &&
+    progressed.some(event => event.territoryId === home.id && event.cyclesBuilt === 1));
+await quietly(() => restored.broadcastEvent('cycle.started', { cycle: 3 }));
+check('Restored improvement still completes', loadedWardstone.isActive && !loadedWardstone.isUnderConstruction &&
+    loadedHome.getImprovementEffects().interference_reduction === 0.5);
+console.log('');
+
+// Test 3: Economy systems
+console.log('Test 3: Economy systems');
+check('Preservation purchases kept', restored.cycleManager.resourceDecay.getPreservedAmounts('player1').mana === 50);
+check('Storage upgrades kept', restored.cycleManager.resourceStorage.getStorageCapacity('player1', 'arcanum') === 150);
+check('Active market event kept with its remaining time',
+    restored.marketEventSystem.getEventSummary().events[0]?.timeRemaining ===
+    original.marketEventSystem.getEventSummary().events[0]?.timeRemaining);
+check('Auction analytics kept', restored.auctionAnalytics.getSummary().overall.totalVolume === 4 &&
+    restored.auctionAnalytics.getPlayerStats('player1').favoriteResource === 'mana');
+check('Time banks kept', restored.timeManager.getPlayerTimeBank('player2') === 123000);
+console.log('');
+
+// Test 4: Resuming mid-turn
+console.log('Test 4: Resuming mid-turn');
+check('Phase is resumed, not restarted', !phaseRestarted &&
+    restored.cycleManager.currentPhase === original.cycleManager.currentPhase);
+check('Same player is on turn', restored.turnManager.currentPlayer?.id === original.turnManager.currentPlayer?.id);
+check('Phase timer keeps its remaining time',
+    restored.timeManager.globalTimer.remainingTime === original.timeManager.globalTimer.remainingTime);
+check('Random sequence continues from the save', restored.random.next() === original.random.next());
+
+// Both games should now play out the same way
+await quietly(() => {
+    originalClock.advance(300000);
+    restoredClock.advance(300000);
+});
+check('Loaded game plays on like the original',
+    restored.cycleManager.currentPhase === original.cycleManager.currentPhase &&
+    restored.turnManager.currentPlayerIndex === original.turnManager.currentPlayerIndex &&
+    restored.timeManager.getPlayerTimeBank('player1') === original.timeManager.getPlayerTimeBank('player1'));
+console.log('');
+
+await quietly(() => [original, restored].forEach(flow => flow.destroy()));
+
+report('Save and Restore');
@@ -0,0 +1,92 @@
+/**
+ * Test Seeded Random Service (same seed => same game)
+ */
+
+import SeededRandom from './src/utils/SeededRandom.js';
+import GameFlowController from './src/models/GameFlowController.js';
+import MarketEventSystem from './src/models/MarketEventSystem.js';
+import PricePredictionSystem from './src/models/PricePredictionSystem.js';
+import Game from './src/models/Game.js';
+import { check, report } from './test-helpers.js';
+
+console.log('=== Testing Seeded Random Service ===\n');
+
+// Test 1: Same seed produces the same sequence
+console.log('Test 1: Raw sequence');
+const a = new SeededRandom(12345);
+const b = new SeededRandom(12345);
+const c = new SeededRandom(54321);
+const seqA = Array.from({ length: 10 }, () => a.next());
+const seqB = Array.from({ length: 10 }, () => b.next());
+const seqC = Array.from({ length: 10 }, () => c.next());
+check('Same seed gives identical sequence', JSON.stringify(seqA) === JSON.stringify(seqB));
+check('Different seed gives different sequence', JSON.stringify(seqA) !== JSON.stringify(seqC));
+check('Values are in [0, 1)', seqA.every(v => v >= 0 && v < 1));
+check('String seed "12345" matches numeric seed', new SeededRandom('12345').next() === new SeededRandom(12345).next());
+console.log('');
+
+// Test 2: Helpers stay in range
+console.log('Test 2: Helper ranges');
+const helper = new SeededRandom(7);
+const rolls = Array.from({ length: 200 }, () => helper.int(1, 6));
+check('int(1, 6) stays within 1..6', rolls.every(r => r >= 1 && r <= 6));
+check('int(1, 6) hits both ends', rolls.includes(1) && rolls.includes(6));
+const shuffled = helper.shuffle([1, 2, 3, 4, 5]);
+check('shuffle keeps all elements', [...shuffled].sort().join() === '1,2,3,4,5');
+console.log('');
+
+// Test 3: State can be saved and restored mid-sequence
+console.log('Test 3: State restore');
+const original = new SeededRandom(99);
+original.next();
+original.next();
+const saved = original.getState();
+const expected = [original.next(), original.next()];
+const restored = new SeededRandom();
+restored.restoreState(saved);
+check('Restored generator continues the same sequence',
+    restored.next() === expected[0] && restored.next() === expected[1]);
+console.log('');
+
+// Test 4: Same seed produces the same map and installation rolls
+console.log('Test 4: Game systems');
+const makeGame = (seed) => new GameFlowController({ seed, autoSave: false, storageType: 'memory' });
+const game1 = makeGame(2024);
+const game2 = makeGame(2024);
+const game3 = makeGame(2025);
+const mapOf = (game) => game.territoryGrid.territories.map(t => t.type).join(',');
+check('Same seed generates the same map', mapOf(game1) === mapOf(game2));
+check('Different seed generates a different map', mapOf(game1) !== mapOf(game3));
+
+const installTimes = (game) => Array.from({ length: 5 }, () =>
+    game.constructManager.calculateInstallTime({ type: 'mana_conduit' }, null));
+check('Same seed gives the same install times',
+    JSON.stringify(installTimes(game1)) === JSON.stringify(installTimes(game2)));
+
+const ids = (game) => [
+    game.stateManager.gameState.gameId,
+    game.stateManager.generateActionId(),
+    game.timeManager.generateTimerId()
+].join(',');
+check('Same seed gives the same game, action and timer ids', ids(game1) === ids(game2));
+
+const events1 = new MarketEventSystem(null, null, new SeededRandom(5));
+const events2 = new MarketEventSystem(null, null, new SeededRandom(5));
+const picks = (system) => Array.from({ length: 10 }, () => system.selectRandomEvent().id).join(',');
+check('Same seed selects the same market events', picks(events1) === picks(events2));
+
+const project = (seed) => JSON.stringify(new PricePredictionSystem(null, new SeededRandom(seed))
+    .projectPrices(50, 0.02, 0.3, 'volatility'));
+check('Same seed projects the same AI price predictions', project(8) === project(8));
+
+const legacyEvents = (seed) => {
+    const game = new Game({ playerCount: 2, seed });
+    game.initializeMarket();
+    return Array.from({ length: 5 }, () => game.market.generateRandomEvent(1).name).join(',');
+};
+check('Same seed gives the same legacy market events', legacyEvents(3) === legacyEvents(3));
+
+[game1, game2, game3].forEach(game => game.destroy());
+console.log('');
+
+report('Seeded Random Service');
@@ -0,0 +1,155 @@
+/**
+ * Test Territory Improvements
+ * Building an improvement over several cycles, its effects on production
+ * and cancelling construction for a partial refund
+ */
+
+import Construct from './src/models/Construct.js';
+import TerritoryImprovement, { IMPROVEMENTS, CANCEL_REFUND_SHARE } from './src/models/TerritoryImprovement.js';
+import ResourceProductionCalculator from './src/models/ResourceProductionCalculator.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Territory Improvements ===\n');
+
+const { gameFlow } = await createGame({ seed: 25 });
+
+const grid = gameFlow.territoryGrid;
+const unowned = grid.getUnownedTerritories().filter(t => !t.blocked);
+const grove = unowned.find(t => t.type === 'ancient_grove');
+const [plain, other] = unowned.filter(t => t !== grove && t.type !== 'ancient_grove' && t.type !== 'crystalline_cave' &&
+    t.type !== 'marshland');
+
+const build = (territory, type, playerId) => quietly(() =>
+    new TerritoryImprovement(territory, type, gameFlow).startConstruction(playerId));
+const startCycle = (cycle) => quietly(() => gameFlow.broadcastEvent('cycle.started', { cycle }));
+const rich = { mana: 1000, vitality: 1000, arcanum: 1000, aether: 0 };
+
+// Test 1: Building
+console.log('Test 1: Building');
+const [first] = gameFlow.stateManager.gameState.players;
+plain.setOwner(first.id);
+first.resources = { ...rich };
+
+const early = await build(plain, 'wardstone', first.id);
+check('Improvements wait for construct outfitting', !early.success && plain.improvements.length === 0);
+
+await quietly(() => gameFlow.cycleManager.forceAdvanceToPhase('construct_outfitting'));
+const player = gameFlow.turnManager.getCurrentPlayer();
+const rival = gameFlow.stateManager.gameState.players.find(p => p.id !== player.id);
+[grove, plain].forEach(t => t.setOwner(player.id));
+other.setOwner(rival.id);
+player.resources = { ...rich };
+rival.resources = { ...rich };
+
+check("A player can't improve another player's territory", !(await build(other, 'wardstone', player.id)).success);
+check('Improvements wait for the player\'s turn', !(await build(other, 'wardstone', rival.id)).success);
+check('A Purification Circle needs a weak resource to purify', !(await build(plain, 'purification_circle', player.id)).success);
+
+const started = [];
+gameFlow.on('improvement.started', (event) => started.push(event));
+const wardstone = await build(plain, 'wardstone', player.id);
+const cost = IMPROVEMENTS.wardstone.cost;
+check('Building pays the whole cost up front', wardstone.success &&
+    player.resources.arcanum === rich.arcanum - cost.arcanum && player.resources.mana === rich.mana - cost.mana);
+const site = plain.improvements[0];
+check('The improvement starts under construction', site instanceof TerritoryImprovement &&
+    site.isUnderConstruction && !site.isActive && started.length === 1 &&
+    wardstone.completionCycle === gameFlow.cycleManager.currentCycle + IMPROVEMENTS.wardstone.constructionTime);
+check('The same improvement cannot be built twice', !(await build(plain, 'wardstone', player.id)).success);
+
+player.resources = { mana: 0, vitality: 0, arcanum: 0, aether: 0 };
+check('Improvements must be paid for', !(await build(plain, 'focus_pillar', player.id)).success);
+player.resources = { ...rich };
+console.log('');
+
+// Test 2: Construction over cycles
+console.log('Test 2: Construction over cycles');
+const progressed = [];
+const completed = [];
+gameFlow.on('improvement.progressed', (event) => progressed.push(event));
+gameFlow.on('improvement.completed', (event) => completed.push(event));
+const cycle = site.constructionStartCycle;
+
+await startCycle(cycle + 1);
+check('Each new cycle advances construction', site.isUnderConstruction && site.getCyclesBuilt(cycle + 1) === 1 &&
+    progressed.some(event => event.territoryId === plain.id && event.cyclesBuilt === 1));
+check('Display info shows the progress', site.getDisplayInfo().constructionTime === IMPROVEMENTS.wardstone.constructionTime);
+await startCycle(cycle + 2);
+await startCycle(cycle + 3);
+check('The improvement is finished after its construction time', site.isActive && !site.isUnderConstruction &&
+    completed.length === 1 && completed[0].territoryId === plain.id);
+console.log('');
+
+// Test 3: Effects
+console.log('Test 3: Effects');
+const calculator = new ResourceProductionCalculator(gameFlow);
+const install = (territory, type) => {
+    territory.construct = new Construct({ id: `${type}_${territory.id}`, type, status: 'active', owner: player });
+    territory.construct.territory = territory;
+};
+const produce = (territory) => calculator.calculateTerritoryProduction(territory).amount;
+const finish = (territory, type) => {
+    const improvement = new TerritoryImprovement(territory, type, gameFlow);
+    improvement.isActive = true;
+    territory.addImprovement(improvement);
+    return improvement;
+};
+
+install(plain, 'mana_conduit');
+calculator.calculateInterference = () => 4;
+const shielded = produce(plain);
+plain.improvements = [];
+check('A Wardstone lessens interference', shielded > produce(plain));
+plain.interferenceModifiers = { [other.id]: 0.2 };
+const exposed = plain.calculateProduction('mana');
+plain.addImprovement(site);
+check('Territory production counts the Wardstone too', plain.calculateProduction('mana') > exposed);
+delete calculator.calculateInterference;
+
+grid.leyLines.getProductionBonus = () => ({ connection: 0.2, harmonics: [], total: 0.2 });
+const unanchored = produce(plain);
+const anchor = finish(plain, 'harmonic_anchor');
+check('A Harmonic Anchor strengthens ley line bonuses by half', produce(plain) > unanchored);
+anchor.isActive = false;
+anchor.isUnderConstruction = true;
+check('An improvement under construction has no effect', produce(plain) === unanchored);
+delete grid.leyLines.getProductionBonus;
+
+install(grove, 'arcanum_extractor');
+const weak = produce(grove);
+const circle = await build(grove, 'purification_circle', player.id);
+grove.improvements[0].isActive = true;
+grove.improvements[0].isUnderConstruction = false;
+check('A Purification Circle lifts terrain penalties', circle.success && produce(grove) > weak &&
+    grove.baseModifiers.arcanum < 1);
+
+const pillar = finish(grove, 'focus_pillar');
+pillar.random = { chance: () => true };
+const doubled = await quietly(() => calculator.calculateCycleProduction());
+const groveProduction = doubled.individualProduction.find(p => p.territoryId === grove.id);
+check('A Focus Pillar can double a cycle\'s production', groveProduction.modifiers.doubled &&
+    groveProduction.amount === 2 * produce(grove) && groveProduction.modifiers.improvements.includes('focus_pillar'));
+grove.removeImprovement(pillar);
+console.log('');
+
+// Test 4: Cancelling
+console.log('Test 4: Cancelling');
+player.resources = { ...rich };
+await build(plain, 'focus_pillar', player.id);
+const building = plain.improvements.find(i => i.type === 'focus_pillar');
+check('The other player cannot cancel it', !(await quietly(() => building.cancelConstruction(rival.id))).success);
+const cancelled = await quietly(() => building.cancelConstruction(player.id));
+const pillarCost = IMPROVEMENTS.focus_pillar.cost;
+check('Cancelling refunds part of the cost', cancelled.success &&
+    Object.entries(pillarCost).every(([resource, amount]) =>
+        player.resources[resource] === rich[resource] - amount + Math.floor(amount * CANCEL_REFUND_SHARE)));
+check('The cancelled improvement is gone', !plain.hasImprovement('focus_pillar'));
+check('Finished improvements cannot be cancelled', !(await quietly(() => site.cancelConstruction(player.id))).success);
+const recorded = gameFlow.replayRecorder.replay.entries.filter(entry => entry.kind === 'action').map(entry => entry.type);
+check('Building and cancelling are recorded', recorded.filter(type => type === 'build_improvement').length === 3 &&
+    recorded.includes('cancel_improvement'));
+console.log('');
+
+await quietly(() => gameFlow.destroy());
+
+report('Territory Improvements');
@@ -0,0 +1,103 @@
+/**
+ * Test Territory Surveys
+ * Territories carry hidden richness in each resource that scales their
+ * production; a paid survey reveals it to the surveying player only
+ */
+
+import Construct from './src/models/Construct.js';
+import Territory from './src/models/Territory.js';
+import ResourceProductionCalculator from './src/models/ResourceProductionCalculator.js';
+import { SURVEY } from './src/config/gameConfig.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing Territory Surveys ===\n');
+
+const players = [
+    { id: 'player1', name: 'Player 1', color: 0xff0000 },
+    { id: 'player2', name: 'Player 2', color: 0x00ff00, specialization: 'aethermancer' }
+];
+
+const { gameFlow } = await createGame({ seed: 14, players });
+const grid = gameFlow.territoryGrid;
+const acquisition = gameFlow.territoryAcquisition;
+const player1 = gameFlow.stateManager.getPlayer('player1');
+const player2 = gameFlow.stateManager.getPlayer('player2');
+player2.specialization = 'aethermancer';
+
+// Test 1: Generation
+console.log('Test 1: Generation');
+const manaLevels = new Set(grid.territories.map(t => t.richness.mana));
+check('Every territory has richness in each resource', grid.territories.every(t =>
+    ['mana', 'vitality', 'arcanum', 'aether'].every(resource => SURVEY.RICHNESS_LEVELS.includes(t.richness[resource]))));
+check('Richness varies across the map', manaLevels.size > 2);
+const { gameFlow: twin } = await createGame({ seed: 14, players });
+const sameSeed = twin.territoryGrid.territories.map(t => JSON.stringify(t.richness));
+await quietly(() => twin.destroy());
+check('The same seed gives the same richness', sameSeed.every((r, i) => r === JSON.stringify(grid.territories[i].richness)));
+console.log('');
+
+// Test 2: Production
+console.log('Test 2: Production');
+const territory = grid.territories.find(t => t.richness.mana !== 1.0);
+const plain = new Territory({ id: 'plain', type: territory.type, q: 0, r: 0 });
+check('Territory production scales with richness', Math.abs(territory.calculateProduction('mana') -
+    plain.calculateProduction('mana') * territory.richness.mana) <= 1);
+territory.setOwner('player1');
+territory.construct = new Construct({ id: 'probe', type: 'mana_conduit', owner: player1, status: 'active' });
+territory.construct.territory = territory;
+const calculator = new ResourceProductionCalculator(gameFlow);
+const rich = calculator.calculateTerritoryProduction(territory);
+const richness = territory.richness.mana;
+territory.richness.mana = 1.0;
+const average = calculator.calculateTerritoryProduction(territory);
+territory.richness.mana = richness;
+check('Construct yield scales with richness', rich.modifiers.richness === richness &&
+    Math.abs(rich.amount - average.amount * richness) <= 1);
+territory.construct = null;
+territory.setOwner(null);
+console.log('');
+
+// Test 3: Surveying
+console.log('Test 3: Surveying');
+const current = gameFlow.turnManager.getCurrentPlayer();
+const other = current.id === 'player1' ? player2 : player1;
+const target = grid.territories.find(t => t.ownerId === null);
+check('Richness is hidden before a survey', Object.keys(target.getKnownRichness(player1)).length === 0);
+const goldBefore = current.gold;
+const survey = await quietly(() => acquisition.surveyTerritory(current.id, target.id));
+check('Survey reveals all richness', survey.success && JSON.stringify(survey.richness) === JSON.stringify(target.richness));
+check(`Survey costs ${SURVEY.COST} gold`, current.gold === goldBefore - SURVEY.COST);
+check('A repeat survey is refused', !(await quietly(() => acquisition.surveyTerritory(current.id, target.id))).success);
+check('Other players learn nothing', !target.isSurveyedBy(other.id) &&
+    Object.keys(target.getKnownRichness({ id: other.id })).length === 0);
+check('Only the current player may survey', !(await quietly(() => acquisition.surveyTerritory(other.id, target.id))).success);
+const claim = await quietly(() => acquisition.attemptClaim(current.id, target.id));
+check('Surveying leaves the claim for the turn', claim.success);
+console.log('');
+
+// Test 4: Aether detection
+console.log('Test 4: Aether detection');
+const unsurveyed = grid.territories.find(t => t.surveyedBy.length === 0);
+const sensed = unsurveyed.getKnownRichness(player2);
+check('Aethermancers sense aether without a survey', Object.keys(sensed).join() === 'aether' &&
+    sensed.aether === unsurveyed.richness.aether);
+check('The detection bonus alone is enough', Object.keys(target.getKnownRichness({ id: 'x', specializationBonuses: { aetherDetection: true } })).join() === 'aether');
+console.log('');
+
+// Test 5: Save and restore
+console.log('Test 5: Save and restore');
+const restored = new Territory({ id: target.id, type: target.type, q: target.q, r: target.r });
+restored.restoreFromData(target.serialize());
+check('Richness and surveys are kept', JSON.stringify(restored.richness) === JSON.stringify(target.richness) &&
+    restored.isSurveyedBy(current.id));
+console.log('');
+
+// Test 6: Phase
+console.log('Test 6: Phase');
+gameFlow.cycleManager.currentPhase = 'construct_outfitting';
+check('No surveys outside territory selection', !(await quietly(() => acquisition.surveyTerritory(current.id, grid.territories[1].id))).success);
+console.log('');
+
+await quietly(() => gameFlow.destroy());
+
+report('Territory Surveys');
@@ -0,0 +1,129 @@
+/**
+ * Test World Events
+ * Realm-wide events from the Market Events table that change production
+ * and prices for a number of cycles
+ */
+
+import Construct from './src/models/Construct.js';
+import MarketDataService from './src/models/MarketDataService.js';
+import { WORLD_EVENTS } from './src/config/gameConfig.js';
+import { check, quietly, createGame, report } from './test-helpers.js';
+
+console.log('=== Testing World Events ===\n');
+
+const EVENTS = WORLD_EVENTS.EVENTS;
+
+// Test 1: Rolling and duration
+console.log('Test 1: Rolling and duration');
+const { gameFlow } = await createGame({ seed: 20 });
+const system = gameFlow.worldEvents;
+const started = [];
+const ended = [];
+gameFlow.on('world_event.started', (event) => started.push(event));
+gameFlow.on('world_event.ended', (event) => ended.push(event));
+
+let cycle = 0;
+await quietly(() => {
+    while (!system.activeEvent && cycle < 100) {
+        gameFlow.cycleManager.currentCycle = ++cycle;
+        gameFlow.cycleManager.processMarketEvents();
+    }
+});
+const first = system.activeEvent;
+check('An event from the table begins at the end of a cycle', first && EVENTS[first.eventId] &&
+    first.startedCycle === cycle && started.length === 1 && started[0].eventId === first.eventId);
+check('It lasts the cycles its definition sets', first.remainingCycles === EVENTS[first.eventId].duration);
+
+await quietly(() => {
+    for (let i = 1; i < EVENTS[first.eventId].duration; i++) {
+        system.processEndOfCycle(++cycle);
+    }
+});
+check('Only one event is under way at a time', started.length === 1 && system.activeEvent?.remainingCycles === 1);
+await quietly(() => system.processEndOfCycle(++cycle));
+check('It passes once its cycles are over', ended.length === 1 && ended[0].eventId === first.eventId &&
+    system.history.length === 1 && system.history[0].endedCycle === cycle);
+console.log('');
+
+// Test 2: Production
+console.log('Test 2: Production');
+const grid = gameFlow.territoryGrid;
+const calculator = gameFlow.resourceProductionCalculator;
+const build = (territory, type) => {
+    territory.ownerId = 'player1';
+    territory.construct = new Construct({ id: `c_${territory.id}`, type, status: 'active' });
+    return territory;
+};
+const [wellSite, conduitSite, resonatorSite] = grid.getUnownedTerritories();
+const well = build(wellSite, 'vitality_well');
+const conduit = build(conduitSite, 'mana_conduit');
+const resonator = build(resonatorSite, 'aether_resonator');
+const calm = (territory) => calculator.calculateTerritoryProduction(territory).amount;
+system.activeEvent = null;
+const before = { well: calm(well), conduit: calm(conduit), resonator: calm(resonator) };
+
+await quietly(() => system.startEvent('life_bloom', cycle));
+check('Life Bloom doubles vitality production', [0, 1].includes(calm(well) - before.well * 2));
+check('Other resources are untouched', calm(conduit) === before.conduit);
+await quietly(() => system.endEvent(cycle));
+
+await quietly(() => system.startEvent('planar_interference', cycle));
+check('Planar Interference dampens all production', calm(well) < before.well && calm(conduit) < before.conduit &&
+    calm(resonator) <= before.resonator);
+await quietly(() => system.endEvent(cycle));
+
+await quietly(() => system.startEvent('aether_storm', cycle));
+const strengths = [system.getProductionMultiplier('aether')];
+await quietly(() => {
+    for (let i = 1; i < 8; i++) {
+        system.activeEvent.remainingCycles = 2;
+        system.processEndOfCycle(++cycle);
+        strengths.push(system.getProductionMultiplier('aether'));
+    }
+});
+const storm = EVENTS.aether_storm;
+check('An Aether Storm is unstable, changing strength each cycle', new Set(strengths).size > 1 &&
+    strengths.every(s => Math.abs(s - storm.production.aether) <= storm.instability));
+await quietly(() => system.endEvent(cycle));
+check('Production returns to normal once the event passes', calm(well) === before.well && calm(resonator) === before.resonator);
+console.log('');
+
+// Test 3: Prices
+console.log('Test 3: Prices');
+// Little mana about, so its price sits clear of the floor
+gameFlow.stateManager.gameState.players.forEach(player => { player.resources.mana = 10; });
+const market = new MarketDataService(gameFlow.stateManager);
+gameFlow.marketDataService = market;
+system.applyPriceEffects();
+const normal = market.calculateDynamicPrice('mana');
+const normalArcanum = market.calculateDynamicPrice('arcanum');
+
+await quietly(() => system.startEvent('mana_drought', cycle));
+check('A Mana Drought makes mana dearer', market.calculateDynamicPrice('mana') ===
+    Math.max(10, Math.min(500, Math.round(normal * EVENTS.mana_drought.prices.mana))) &&
+    market.getMarketSummary('mana').eventModifier === EVENTS.mana_drought.prices.mana);
+check('The market is repriced as the event begins', market.getCurrentPrice('mana') === market.calculateDynamicPrice('mana'));
+await quietly(() => system.endEvent(cycle));
+check('Prices return to normal once it passes', market.calculateDynamicPrice('mana') === normal);
+
+await quietly(() => system.startEvent('magical_convergence', cycle));
+check('A Magical Convergence cheapens mana and raises everything else',
+    market.calculateDynamicPrice('mana') < normal && market.calculateDynamicPrice('arcanum') > normalArcanum);
+console.log('');
+
+// Test 4: Saves
+console.log('Test 4: Saves');
+await quietly(() => gameFlow.saveGame('world'));
+const { gameFlow: restored } = await createGame({ seed: 99 });
+const restoredMarket = new MarketDataService(restored.stateManager);
+restored.marketDataService = restoredMarket;
+restored.persistence.memoryStorage = gameFlow.persistence.memoryStorage;
+const result = await quietly(() => restored.loadGame('world'));
+check('A loaded game keeps the event under way and its history', result.success &&
+    JSON.stringify(restored.worldEvents.getSerializableState()) === JSON.stringify(system.getSerializableState()));
+check('Its market picks the price effects back up', restoredMarket.priceModifiers.mana === EVENTS.magical_convergence.prices.mana);
+console.log('');
+
+await quietly(() => [gameFlow, restored].forEach(game => game.destroy()));
+
+report('World Events');